@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+/**
+ * Rewrap every tenant's data keys under the active master key.
+ * Usage: add the new key to ENCRYPTION_MASTER_KEYS, point ENCRYPTION_MASTER_KEY_ID at it,
+ * run `npm run keys:rewrap`, then the old master key can be removed from configuration.
+ * Stored records don't change: only the wrapped data keys are rewritten.
+ */
+
+require('dotenv').config();
+const { createKeyRing } = require('../src/encryption/keyRing');
+
+async function main() {
+  const keyRing = createKeyRing({ logger: console });
+  if (!keyRing) {
+    console.error('Encryption at rest is not enabled; nothing to rewrap');
+    process.exitCode = 1;
+    return;
+  }
+
+  const count = await keyRing.rewrap();
+  console.log(`Rewrapped ${count} data keys under master key ${keyRing.activeMasterKeyId}`);
+}
+
+main().catch((error) => {
+  console.error('Rewrapping data keys failed:', error);
+  process.exitCode = 2;
+});
@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+/**
+ * Verify the audit log hash chain.
+ * Usage: npm run audit:verify [-- path/to/audit.jsonl [path/to/audit.jsonl.head]]
+ * Exits non-zero if any entry has been altered, removed or reordered, or the log no
+ * longer reaches its head record.
+ */
+
+require('dotenv').config();
+const { createAuditLog } = require('../src/audit/auditLog');
+
+async function main() {
+  const env = { ...process.env };
+  if (process.argv[2]) {
+    env.AUDIT_LOG_PATH = process.argv[2];
+    env.AUDIT_HEAD_PATH = process.argv[3] || `${process.argv[2]}.head`;
+  }
+
+  const auditLog = createAuditLog({ logger: console, env });
+  const result = await auditLog.verify();
+
+  if (result.valid) {
+    console.log(`Audit log OK: ${result.count} entries, head ${result.lastHash}`);
+    return;
+  }
+
+  const where = result.brokenAt ? ` at seq ${result.brokenAt}` : '';
+  console.error(`Audit log BROKEN${where} (${result.count} entries verified): ${result.reason}`);
+  process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error('Audit verification failed:', error);
+  process.exitCode = 2;
+});
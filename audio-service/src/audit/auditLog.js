@@ -0,0 +1,260 @@
+/**
+ * Tamper-evident audit trail for PHI access.
+ * Entries are appended to a JSON-lines file and hash-chained: each entry carries the
+ * previous entry's hash, and its own hash covers its content plus that link. Editing,
+ * removing or reordering any entry breaks the chain from that point on. The chain alone
+ * can't show entries cut from the end, so the head (last seq and hash) is also kept in a
+ * separate file and checked against the log. With AUDIT_HMAC_KEY set, entry hashes and
+ * the head are keyed so neither can simply be recomputed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { v4: uuidv4 } = require('uuid');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+class AuditLog {
+  constructor({ filePath, headPath = `${filePath}.head`, hmacKey, logger }) {
+    this.filePath = filePath;
+    this.headPath = headPath;
+    this.hmacKey = hmacKey;
+    this.logger = logger;
+    this.queue = Promise.resolve();
+    // Loaded on the first write, so verifying a log never touches its head
+    this.ready = null;
+    // The last write's error while writes are failing, for /health
+    this.failure = null;
+  }
+
+  /**
+   * Pick up the chain where the existing file left off, and bring the head up to date
+   */
+  async loadTail() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    this.lastHash = GENESIS_HASH;
+    this.seq = 0;
+
+    for await (const entry of this.entries()) {
+      this.lastHash = entry.hash;
+      this.seq = entry.seq;
+    }
+
+    const head = await this.readHead();
+    if (head && head.seq > this.seq) {
+      // Leave the head as evidence; writing a new one would hide the truncation
+      this.headLocked = true;
+      this.logger.error(`Audit log ends at seq ${this.seq} but its head records seq ${head.seq}; run audit:verify`);
+    } else if (!head || head.seq < this.seq) {
+      // First start with a head file, or a crash between appending an entry and the head
+      await this.writeHead();
+    }
+  }
+
+  async readHead() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.headPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async writeHead() {
+    if (this.headLocked || this.seq === 0) {
+      return;
+    }
+    const head = { seq: this.seq, hash: this.lastHash };
+    head.mac = this.headMac(head);
+    const tempFile = `${this.headPath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempFile, JSON.stringify(head));
+    await fs.promises.rename(tempFile, this.headPath);
+  }
+
+  headMac({ seq, hash }) {
+    return this.hash({ head: true, seq, entryHash: hash });
+  }
+
+  /**
+   * Append an entry. Resolves once it is on disk; entries are written strictly in order.
+   */
+  record({ actor = {}, action, resource = {}, outcome = 'success', details = {} }) {
+    const write = async () => {
+      // A load that failed (e.g. on a line torn by a crash) is tried again on the next write
+      this.ready = this.ready || this.loadTail().catch((error) => {
+        this.ready = null;
+        throw error;
+      });
+      await this.ready;
+
+      const entry = {
+        seq: this.seq + 1,
+        id: uuidv4(),
+        timestamp: new Date().toISOString(),
+        actor: {
+          tenantId: actor.tenantId || null,
+          clinicianId: actor.clinicianId || null,
+          method: actor.method || null
+        },
+        action,
+        resource,
+        outcome,
+        details,
+        prevHash: this.lastHash
+      };
+      entry.hash = this.hash(entry);
+
+      await fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+      this.seq = entry.seq;
+      this.lastHash = entry.hash;
+      await this.writeHead();
+      this.failure = null;
+      return entry;
+    };
+
+    const result = this.queue.then(write);
+    this.queue = result.catch((error) => {
+      this.failure = { error: error.message, failedAt: new Date().toISOString() };
+      this.logger.error('Audit log write error:', error);
+    });
+    return result;
+  }
+
+  /**
+   * Whether the trail is being written; unhealthy from a failed write until one succeeds
+   */
+  status() {
+    return this.failure ? { healthy: false, ...this.failure } : { healthy: true };
+  }
+
+  hash(entry) {
+    const { hash, ...content } = entry;
+    const payload = canonicalJson(content);
+    return this.hmacKey
+      ? crypto.createHmac('sha256', this.hmacKey).update(payload).digest('hex')
+      : crypto.createHash('sha256').update(payload).digest('hex');
+  }
+
+  /**
+   * Stream every entry in order
+   */
+  async *entries() {
+    let stream;
+    try {
+      await fs.promises.access(this.filePath);
+      stream = fs.createReadStream(this.filePath, 'utf8');
+    } catch (error) {
+      return;
+    }
+
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (line.trim()) {
+        yield JSON.parse(line);
+      }
+    }
+  }
+
+  /**
+   * Find entries matching the filters, newest first
+   */
+  async query({ tenantId, sessionId, action, clinicianId, from, to, limit = 100 } = {}) {
+    const matches = [];
+    for await (const entry of this.entries()) {
+      if (tenantId !== undefined && entry.actor.tenantId !== tenantId) continue;
+      if (sessionId && entry.resource.sessionId !== sessionId) continue;
+      if (action && entry.action !== action) continue;
+      if (clinicianId && entry.actor.clinicianId !== clinicianId) continue;
+      if (from && entry.timestamp < from) continue;
+      if (to && entry.timestamp > to) continue;
+      matches.push(entry);
+    }
+    return matches.reverse().slice(0, limit);
+  }
+
+  /**
+   * Walk the whole chain, then check it still reaches the recorded head; reports the
+   * first broken entry, if any
+   */
+  async verify() {
+    let prevHash = GENESIS_HASH;
+    let expectedSeq = 1;
+    let count = 0;
+    let headEntryHash = null;
+
+    let head;
+    try {
+      head = await this.readHead();
+    } catch (error) {
+      return { valid: false, count, brokenAt: null, reason: `Unreadable head record: ${error.message}` };
+    }
+    if (head && head.mac !== this.headMac(head)) {
+      return { valid: false, count, brokenAt: null, reason: 'Head record does not match its MAC' };
+    }
+
+    try {
+      for await (const entry of this.entries()) {
+        if (entry.seq !== expectedSeq) {
+          return { valid: false, count, brokenAt: entry.seq, reason: `Expected seq ${expectedSeq}, found ${entry.seq}` };
+        }
+        if (entry.prevHash !== prevHash) {
+          return { valid: false, count, brokenAt: entry.seq, reason: 'prevHash does not match the previous entry' };
+        }
+        if (this.hash(entry) !== entry.hash) {
+          return { valid: false, count, brokenAt: entry.seq, reason: 'Entry content does not match its hash' };
+        }
+
+        if (head && entry.seq === head.seq) {
+          headEntryHash = entry.hash;
+        }
+        prevHash = entry.hash;
+        expectedSeq++;
+        count++;
+      }
+    } catch (error) {
+      return { valid: false, count, brokenAt: expectedSeq, reason: `Unreadable entry: ${error.message}` };
+    }
+
+    if (!head) {
+      if (count > 0) {
+        return { valid: false, count, brokenAt: null, reason: `Head record ${this.headPath} is missing, so entries removed from the end can't be ruled out` };
+      }
+    } else if (head.seq > count) {
+      return { valid: false, count, brokenAt: count + 1, reason: `Log ends at seq ${count} but the head records seq ${head.seq}: entries were removed from the end` };
+    } else if (headEntryHash !== head.hash) {
+      return { valid: false, count, brokenAt: head.seq, reason: 'Entry at the head seq does not match the head hash' };
+    }
+
+    // Entries after the head were appended after it was last written (a crash in between)
+    return { valid: true, count, lastHash: prevHash };
+  }
+}
+
+// Stable key order so the same entry always hashes the same way
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).filter(key => value[key] !== undefined).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Create the audit log configured for this deployment
+ */
+function createAuditLog({ logger, env = process.env }) {
+  return new AuditLog({
+    filePath: env.AUDIT_LOG_PATH || path.join('data', 'audit', 'audit.jsonl'),
+    headPath: env.AUDIT_HEAD_PATH || undefined,
+    hmacKey: env.AUDIT_HMAC_KEY || undefined,
+    logger
+  });
+}
+
+module.exports = { AuditLog, createAuditLog };
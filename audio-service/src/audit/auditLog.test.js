@@ -0,0 +1,128 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AuditLog } = require('./auditLog');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+describe('AuditLog', () => {
+  let directory;
+  let filePath;
+
+  beforeEach(async () => {
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'audit-'));
+    filePath = path.join(directory, 'audit.jsonl');
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  });
+
+  function open() {
+    return new AuditLog({ filePath, hmacKey: 'test-key', logger });
+  }
+
+  async function recordSome(auditLog, count) {
+    for (let i = 0; i < count; i++) {
+      await auditLog.record({ actor: { tenantId: 'tenant-a' }, action: 'session.view', resource: { sessionId: `s${i}` } });
+    }
+  }
+
+  async function lines() {
+    return (await fs.promises.readFile(filePath, 'utf8')).trim().split('\n');
+  }
+
+  test('chains entries and verifies them against the head', async () => {
+    const auditLog = open();
+    await recordSome(auditLog, 3);
+
+    const entries = (await lines()).map(line => JSON.parse(line));
+    expect(entries.map(entry => entry.seq)).toEqual([1, 2, 3]);
+    expect(entries[1].prevHash).toBe(entries[0].hash);
+
+    const head = JSON.parse(await fs.promises.readFile(`${filePath}.head`, 'utf8'));
+    expect(head).toMatchObject({ seq: 3, hash: entries[2].hash });
+    expect(await auditLog.verify()).toEqual({ valid: true, count: 3, lastHash: entries[2].hash });
+  });
+
+  test('continues the chain after a restart', async () => {
+    await recordSome(open(), 2);
+    const reopened = open();
+    const entry = await reopened.record({ action: 'session.view' });
+
+    expect(entry.seq).toBe(3);
+    expect((await reopened.verify()).valid).toBe(true);
+  });
+
+  test('detects an edited entry', async () => {
+    await recordSome(open(), 3);
+    const entries = await lines();
+    entries[1] = entries[1].replace('"s1"', '"s9"');
+    await fs.promises.writeFile(filePath, `${entries.join('\n')}\n`);
+
+    expect(await open().verify()).toMatchObject({ valid: false, brokenAt: 2, reason: 'Entry content does not match its hash' });
+  });
+
+  test('detects an entry removed from the middle', async () => {
+    await recordSome(open(), 3);
+    const entries = await lines();
+    await fs.promises.writeFile(filePath, `${[entries[0], entries[2]].join('\n')}\n`);
+
+    expect(await open().verify()).toMatchObject({ valid: false, brokenAt: 3, reason: 'Expected seq 2, found 3' });
+  });
+
+  test('detects entries cut from the end', async () => {
+    await recordSome(open(), 3);
+    const entries = await lines();
+    await fs.promises.writeFile(filePath, `${entries.slice(0, 2).join('\n')}\n`);
+
+    expect(await open().verify()).toMatchObject({ valid: false, count: 2, brokenAt: 3 });
+  });
+
+  test('keeps the head when it starts on a truncated log', async () => {
+    await recordSome(open(), 3);
+    const entries = await lines();
+    await fs.promises.writeFile(filePath, `${entries.slice(0, 2).join('\n')}\n`);
+
+    const reopened = open();
+    await recordSome(reopened, 2);
+
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('its head records seq 3'));
+    expect(await reopened.verify()).toMatchObject({ valid: false, brokenAt: 3, reason: 'Entry at the head seq does not match the head hash' });
+  });
+
+  test('detects a rewritten head', async () => {
+    await recordSome(open(), 3);
+    const head = JSON.parse(await fs.promises.readFile(`${filePath}.head`, 'utf8'));
+    await fs.promises.writeFile(`${filePath}.head`, JSON.stringify({ ...head, seq: 2 }));
+
+    expect(await open().verify()).toMatchObject({ valid: false, reason: 'Head record does not match its MAC' });
+  });
+
+  test('requires the head once the log has entries', async () => {
+    await recordSome(open(), 1);
+    await fs.promises.rm(`${filePath}.head`);
+
+    expect((await open().verify()).valid).toBe(false);
+  });
+
+  test('verifies an empty log', async () => {
+    expect(await open().verify()).toEqual({ valid: true, count: 0, lastHash: '0'.repeat(64) });
+  });
+
+  test('reports failed writes and recovers once the log is readable again', async () => {
+    await recordSome(open(), 2);
+    const intact = await fs.promises.readFile(filePath, 'utf8');
+    await fs.promises.appendFile(filePath, '{"seq":3,"id":');
+
+    const auditLog = open();
+    await expect(recordSome(auditLog, 1)).rejects.toThrow();
+    expect(auditLog.status()).toMatchObject({ healthy: false, error: expect.any(String) });
+    await expect(recordSome(auditLog, 1)).rejects.toThrow();
+
+    await fs.promises.writeFile(filePath, intact);
+    await recordSome(auditLog, 1);
+    expect(auditLog.status()).toEqual({ healthy: true });
+    expect((await auditLog.verify()).valid).toBe(true);
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Authentication for REST routes and the Socket.IO handshake.
+ * Accepts either an API key (`X-API-Key` or `Authorization: Bearer <key>`) or an HS256
+ * JWT (`Authorization: Bearer <jwt>`). Both resolve to a principal that ties the caller
+ * to a tenant: { tenantId, clinicianId, role, method }.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const TENANT_ID = /^[A-Za-z0-9_-]{1,64}$/;
+
+class Authenticator {
+  constructor({ apiKeys = {}, jwtSecret, jwtIssuer, jwtAudience, disabled = false, logger }) {
+    this.jwtSecret = jwtSecret;
+    this.jwtIssuer = jwtIssuer;
+    this.jwtAudience = jwtAudience;
+    this.disabled = disabled;
+    this.logger = logger;
+
+    // Keys are looked up by hash so the raw keys aren't kept around after startup
+    this.apiKeys = new Map();
+    Object.entries(apiKeys).forEach(([key, principal]) => {
+      if (!TENANT_ID.test(principal.tenantId || '')) {
+        throw new Error('Every API key needs a valid tenantId');
+      }
+      this.apiKeys.set(hashKey(key), {
+        tenantId: principal.tenantId,
+        clinicianId: principal.clinicianId || null,
+        role: principal.role || 'clinician',
+        method: 'api_key'
+      });
+    });
+  }
+
+  /**
+   * Resolve a credential to a principal, or null when it is missing or invalid
+   */
+  authenticate(credential) {
+    if (this.disabled) {
+      return { tenantId: 'default', clinicianId: null, role: 'clinician', method: 'none' };
+    }
+    if (!credential) {
+      return null;
+    }
+
+    if (credential.split('.').length === 3 && this.jwtSecret) {
+      return this.verifyJwt(credential);
+    }
+    return this.apiKeys.get(hashKey(credential)) || null;
+  }
+
+  verifyJwt(token) {
+    try {
+      const claims = jwt.verify(token, this.jwtSecret, {
+        algorithms: ['HS256'],
+        issuer: this.jwtIssuer,
+        audience: this.jwtAudience
+      });
+
+      const tenantId = claims.tenant_id || claims.tenantId || claims.tid;
+      if (!TENANT_ID.test(tenantId || '')) {
+        return null;
+      }
+
+      return {
+        tenantId,
+        clinicianId: claims.sub || null,
+        role: claims.role || 'clinician',
+        method: 'jwt'
+      };
+    } catch (error) {
+      this.logger.warn(`Rejected JWT: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Express middleware; sets req.auth or responds 401
+   */
+  middleware() {
+    return (req, res, next) => {
+      const principal = this.authenticate(credentialFromHeaders(req.headers));
+      if (!principal) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+
+      req.auth = principal;
+      next();
+    };
+  }
+
+  /**
+   * Socket.IO middleware; checks the handshake and sets socket.data.auth
+   */
+  socketMiddleware() {
+    return (socket, next) => {
+      const credential = (socket.handshake.auth && socket.handshake.auth.token) ||
+        credentialFromHeaders(socket.handshake.headers);
+      const principal = this.authenticate(credential);
+      if (!principal) {
+        return next(new Error('Authentication required'));
+      }
+
+      socket.data.auth = principal;
+      next();
+    };
+  }
+}
+
+/**
+ * Express middleware limiting a route to principals with one of the given roles
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.auth || !roles.includes(req.auth.role)) {
+      return res.status(403).json({ error: `Requires one of the roles: ${roles.join(', ')}` });
+    }
+    next();
+  };
+}
+
+function credentialFromHeaders(headers = {}) {
+  if (headers['x-api-key']) {
+    return headers['x-api-key'];
+  }
+  const authorization = headers.authorization || '';
+  return authorization.startsWith('Bearer ') ? authorization.slice('Bearer '.length).trim() : null;
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Create the authenticator configured for this deployment
+ */
+function createAuthenticator({ logger, env = process.env }) {
+  const disabled = env.AUTH_DISABLED === 'true';
+  if (disabled) {
+    logger.warn('Authentication is disabled (AUTH_DISABLED=true); all callers share the "default" tenant');
+  }
+
+  return new Authenticator({
+    apiKeys: env.API_KEYS ? JSON.parse(env.API_KEYS) : {},
+    jwtSecret: env.JWT_SECRET,
+    jwtIssuer: env.JWT_ISSUER || undefined,
+    jwtAudience: env.JWT_AUDIENCE || undefined,
+    disabled,
+    logger
+  });
+}
+
+module.exports = { Authenticator, createAuthenticator, requireRole };
@@ -0,0 +1,132 @@
+/**
+ * Envelope-encrypting storage backend.
+ * Wraps any backend with the read/write/remove/keys interface so records are stored as
+ * AES-256-GCM envelopes under their tenant's data key. The GCM tag covers the record id,
+ * tenant and key id as well as the content, so a record that was altered, or moved to
+ * another id or tenant, fails its integrity check on read instead of being returned.
+ * Plain-text records written before encryption was enabled are still readable and are
+ * encrypted the next time they are written or re-encrypted.
+ */
+
+const crypto = require('crypto');
+
+const ENVELOPE_VERSION = 'verba-envelope/1';
+const ALGORITHM = 'aes-256-gcm';
+
+class EncryptedBackend {
+  /**
+   * `tenantOf(data)` names the tenant whose key encrypts a record
+   */
+  constructor(backend, { keyRing, tenantOf, logger }) {
+    this.backend = backend;
+    this.keyRing = keyRing;
+    this.tenantOf = tenantOf;
+    this.logger = logger;
+  }
+
+  async read(id) {
+    const stored = await this.backend.read(id);
+    if (!isEnvelope(stored)) {
+      return stored;
+    }
+    return this.decrypt(id, stored);
+  }
+
+  async write(id, data) {
+    await this.backend.write(id, await this.encrypt(id, data));
+  }
+
+  remove(id) {
+    return this.backend.remove(id);
+  }
+
+  keys() {
+    return this.backend.keys();
+  }
+
+  /**
+   * Rewrite a record under its tenant's active key. Returns the key id it was under
+   * (null for plain text), or undefined when it belongs to another tenant or is current.
+   */
+  async reencrypt(id, tenantId) {
+    const stored = await this.backend.read(id);
+    if (!stored) {
+      return undefined;
+    }
+
+    const encrypted = isEnvelope(stored);
+    const owner = encrypted ? stored.tenantId : this.tenantOf(stored);
+    if (owner !== tenantId) {
+      return undefined;
+    }
+
+    const active = await this.keyRing.activeKey(tenantId);
+    if (encrypted && stored.keyId === active.id) {
+      return undefined;
+    }
+
+    const data = encrypted ? await this.decrypt(id, stored) : stored;
+    await this.backend.write(id, await this.encrypt(id, data));
+    return encrypted ? stored.keyId : null;
+  }
+
+  async encrypt(id, data) {
+    const tenantId = this.tenantOf(data);
+    const { id: keyId, key } = await this.keyRing.activeKey(tenantId);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    cipher.setAAD(additionalData(id, tenantId, keyId));
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+
+    return {
+      envelope: ENVELOPE_VERSION,
+      alg: ALGORITHM,
+      tenantId,
+      keyId,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: ciphertext.toString('base64')
+    };
+  }
+
+  async decrypt(id, envelope) {
+    let key;
+    try {
+      key = await this.keyRing.key(envelope.tenantId, envelope.keyId);
+    } catch (error) {
+      // No such key for the named tenant means the envelope header was altered
+      if (error.code === 'EKEYMISSING') {
+        throw this.integrityError(id, envelope);
+      }
+      throw error;
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+      decipher.setAAD(additionalData(id, envelope.tenantId, envelope.keyId));
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+      const plaintext = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+      return JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+      throw this.integrityError(id, envelope);
+    }
+  }
+
+  integrityError(id, envelope) {
+    this.logger.error(`Integrity check failed for stored record ${id} (tenant ${envelope.tenantId}, key ${envelope.keyId})`);
+    const error = new Error(`Stored record ${id} failed its integrity check`);
+    error.code = 'EINTEGRITY';
+    error.statusCode = 500;
+    return error;
+  }
+}
+
+function isEnvelope(stored) {
+  return Boolean(stored) && stored.envelope === ENVELOPE_VERSION;
+}
+
+function additionalData(id, tenantId, keyId) {
+  return Buffer.from(`${ENVELOPE_VERSION}:${id}:${tenantId}:${keyId}`);
+}
+
+module.exports = { EncryptedBackend, isEnvelope };
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const { EncryptedBackend, isEnvelope } = require('./encryptedBackend');
+const { KeyRing } = require('./keyRing');
+const MemoryBackend = require('../sessions/memoryBackend');
+const { SessionStore } = require('../sessions/sessionStore');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+describe('EncryptedBackend', () => {
+  let inner;
+  let keyRing;
+  let backend;
+
+  beforeEach(() => {
+    inner = new MemoryBackend();
+    keyRing = new KeyRing({ masterKeys: { m1: crypto.randomBytes(32) }, activeMasterKeyId: 'm1', backend: new MemoryBackend(), logger });
+    backend = new EncryptedBackend(inner, { keyRing, tenantOf: record => record.tenantId, logger });
+  });
+
+  test('stores records as envelopes under the tenant\'s key', async () => {
+    await backend.write('s1', { tenantId: 'tenant-a', note: 'private' });
+
+    const stored = await inner.read('s1');
+    expect(isEnvelope(stored)).toBe(true);
+    expect(stored).toMatchObject({ tenantId: 'tenant-a', keyId: (await keyRing.activeKey('tenant-a')).id });
+    expect(JSON.stringify(stored)).not.toContain('private');
+    expect(await backend.read('s1')).toEqual({ tenantId: 'tenant-a', note: 'private' });
+  });
+
+  test('still reads plain-text records', async () => {
+    await inner.write('s1', { tenantId: 'tenant-a', note: 'old' });
+    expect(await backend.read('s1')).toEqual({ tenantId: 'tenant-a', note: 'old' });
+  });
+
+  test('fails the integrity check for altered or moved records', async () => {
+    await backend.write('s1', { tenantId: 'tenant-a', note: 'private' });
+    await backend.write('s2', { tenantId: 'tenant-b', note: 'other' });
+    const stored = await inner.read('s1');
+
+    await inner.write('moved', stored);
+    await expect(backend.read('moved')).rejects.toMatchObject({ code: 'EINTEGRITY', statusCode: 500 });
+
+    await inner.write('s1', { ...stored, tenantId: 'tenant-b' });
+    await expect(backend.read('s1')).rejects.toMatchObject({ code: 'EINTEGRITY' });
+
+    const data = Buffer.from(stored.data, 'base64');
+    data[0] ^= 1;
+    await inner.write('s1', { ...stored, data: data.toString('base64') });
+    await expect(backend.read('s1')).rejects.toMatchObject({ code: 'EINTEGRITY' });
+  });
+});
+
+describe('SessionStore.reencrypt', () => {
+  test('moves a tenant\'s sessions to its new key after rotation', async () => {
+    const inner = new MemoryBackend();
+    const keyRing = new KeyRing({ masterKeys: { m1: crypto.randomBytes(32) }, activeMasterKeyId: 'm1', backend: new MemoryBackend(), logger });
+    const store = new SessionStore(new EncryptedBackend(inner, { keyRing, tenantOf: session => session.tenantId, logger }));
+
+    await store.update('s1', () => {}, { create: true, tenantId: 'tenant-a' });
+    await store.update('s2', () => {}, { create: true, tenantId: 'tenant-b' });
+    await inner.write('legacy', SessionStore.createSession('legacy', { tenantId: 'tenant-a' }));
+    const oldKeyId = (await keyRing.activeKey('tenant-a')).id;
+    const newKeyId = await keyRing.rotate('tenant-a');
+
+    expect(await store.reencrypt('tenant-a')).toEqual({ count: 2, previousKeyIds: [oldKeyId] });
+    expect((await inner.read('s1')).keyId).toBe(newKeyId);
+    expect(isEnvelope(await inner.read('legacy'))).toBe(true);
+    expect((await inner.read('s2')).tenantId).toBe('tenant-b');
+    expect(await store.reencrypt('tenant-a')).toEqual({ count: 0, previousKeyIds: [] });
+
+    await keyRing.destroy('tenant-a', [oldKeyId]);
+    expect((await store.get('s1', { tenantId: 'tenant-a' })).id).toBe('s1');
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Tenant data keys for envelope encryption.
+ * Each tenant gets its own AES-256 data key. Data keys are stored only in wrapped form,
+ * encrypted under a master key from configuration, so the key store on disk is useless
+ * without the master key. Rotating a tenant key adds a new active key (older keys stay
+ * readable until their records are re-encrypted); rotating the master key only rewraps
+ * the data keys.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const MemoryBackend = require('../sessions/memoryBackend');
+const FileBackend = require('../sessions/fileBackend');
+
+const WRAP_ALGORITHM = 'aes-256-gcm';
+
+class KeyRing {
+  constructor({ masterKeys, activeMasterKeyId, backend, logger }) {
+    if (!masterKeys[activeMasterKeyId]) {
+      throw new Error(`Active master key ${activeMasterKeyId} is not configured`);
+    }
+    this.masterKeys = masterKeys;
+    this.activeMasterKeyId = activeMasterKeyId;
+    this.backend = backend;
+    this.logger = logger;
+    this.unwrapped = new Map();
+    this.pending = new Map();
+  }
+
+  /**
+   * The tenant's active data key, created on first use: { id, key }
+   */
+  async activeKey(tenantId) {
+    const record = await this.withTenant(tenantId, async (stored) => {
+      if (stored && stored.activeKeyId) {
+        return null;
+      }
+      return this.addKey(stored || { tenantId, keys: [] });
+    });
+    return { id: record.activeKeyId, key: this.unwrap(record, record.activeKeyId) };
+  }
+
+  /**
+   * A specific data key, for decrypting records written before a rotation
+   */
+  async key(tenantId, keyId) {
+    const cached = this.unwrapped.get(`${tenantId}:${keyId}`);
+    if (cached) {
+      return cached;
+    }
+
+    const record = await this.backend.read(tenantId);
+    if (!record || !record.keys.some(k => k.id === keyId)) {
+      const error = new Error(`Data key ${keyId} for tenant ${tenantId} not found`);
+      error.code = 'EKEYMISSING';
+      throw error;
+    }
+    return this.unwrap(record, keyId);
+  }
+
+  /**
+   * Make a new data key the tenant's active one; returns its id
+   */
+  async rotate(tenantId) {
+    const record = await this.withTenant(tenantId, async stored => this.addKey(stored || { tenantId, keys: [] }));
+    this.logger.info(`Rotated data key for tenant ${tenantId}: ${record.activeKeyId}`);
+    return record.activeKeyId;
+  }
+
+  /**
+   * Destroy data keys no record is encrypted with any more
+   */
+  async destroy(tenantId, keyIds) {
+    await this.withTenant(tenantId, async (stored) => {
+      if (!stored) {
+        return null;
+      }
+      stored.keys = stored.keys.filter(k => k.id === stored.activeKeyId || !keyIds.includes(k.id));
+      keyIds.forEach(id => this.unwrapped.delete(`${tenantId}:${id}`));
+      return stored;
+    });
+  }
+
+  /**
+   * Rewrap every tenant's data keys under the active master key; returns how many changed
+   */
+  async rewrap() {
+    let count = 0;
+    for (const tenantId of await this.backend.keys()) {
+      await this.withTenant(tenantId, async (stored) => {
+        const stale = stored.keys.filter(k => k.masterKeyId !== this.activeMasterKeyId);
+        stale.forEach((entry) => {
+          Object.assign(entry, this.wrap(this.unwrap(stored, entry.id), tenantId, entry.id));
+          count++;
+        });
+        return stale.length > 0 ? stored : null;
+      });
+    }
+    return count;
+  }
+
+  /**
+   * Key metadata for a tenant (never the key material)
+   */
+  async describe(tenantId) {
+    const record = await this.backend.read(tenantId);
+    if (!record) {
+      return { tenantId, activeKeyId: null, keys: [] };
+    }
+    return {
+      tenantId,
+      activeKeyId: record.activeKeyId,
+      keys: record.keys.map(({ id, masterKeyId, createdAt }) => ({ id, masterKeyId, createdAt, active: id === record.activeKeyId }))
+    };
+  }
+
+  addKey(record) {
+    const id = uuidv4();
+    const key = crypto.randomBytes(32);
+    record.keys.push({ id, createdAt: new Date().toISOString(), ...this.wrap(key, record.tenantId, id) });
+    record.activeKeyId = id;
+    this.unwrapped.set(`${record.tenantId}:${id}`, key);
+    return record;
+  }
+
+  wrap(key, tenantId, keyId) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(WRAP_ALGORITHM, this.masterKeys[this.activeMasterKeyId], iv);
+    cipher.setAAD(Buffer.from(`${tenantId}:${keyId}`));
+    const wrapped = Buffer.concat([cipher.update(key), cipher.final()]);
+    return {
+      masterKeyId: this.activeMasterKeyId,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      wrapped: wrapped.toString('base64')
+    };
+  }
+
+  unwrap(record, keyId) {
+    const cacheKey = `${record.tenantId}:${keyId}`;
+    if (this.unwrapped.has(cacheKey)) {
+      return this.unwrapped.get(cacheKey);
+    }
+
+    const entry = record.keys.find(k => k.id === keyId);
+    const masterKey = this.masterKeys[entry.masterKeyId];
+    if (!masterKey) {
+      throw new Error(`Master key ${entry.masterKeyId} is needed to unwrap data key ${keyId} but is not configured`);
+    }
+
+    const decipher = crypto.createDecipheriv(WRAP_ALGORITHM, masterKey, Buffer.from(entry.iv, 'base64'));
+    decipher.setAAD(Buffer.from(cacheKey));
+    decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+    const key = Buffer.concat([decipher.update(Buffer.from(entry.wrapped, 'base64')), decipher.final()]);
+    this.unwrapped.set(cacheKey, key);
+    return key;
+  }
+
+  /**
+   * Read-modify-write a tenant's key record, one change per tenant at a time.
+   * `change` returns the record to save, or null to leave it as it is.
+   */
+  async withTenant(tenantId, change) {
+    const previous = this.pending.get(tenantId) || Promise.resolve();
+    const current = previous.catch(() => {}).then(async () => {
+      const stored = await this.backend.read(tenantId);
+      const updated = await change(stored);
+      if (updated) {
+        await this.backend.write(tenantId, updated);
+      }
+      return updated || stored;
+    });
+    this.pending.set(tenantId, current);
+
+    try {
+      return await current;
+    } finally {
+      if (this.pending.get(tenantId) === current) {
+        this.pending.delete(tenantId);
+      }
+    }
+  }
+}
+
+/**
+ * Master keys may be 64 hex characters, base64 of 32 bytes, or a passphrase of at least
+ * 32 characters (hashed down to 32 bytes)
+ */
+function parseMasterKey(value, id) {
+  const text = String(value || '');
+  if (/^[0-9a-f]{64}$/i.test(text)) {
+    return Buffer.from(text, 'hex');
+  }
+  const decoded = Buffer.from(text, 'base64');
+  if (decoded.length === 32 && decoded.toString('base64') === text) {
+    return decoded;
+  }
+  if (text.length >= 32) {
+    return crypto.createHash('sha256').update(text).digest();
+  }
+  throw new Error(`Master key ${id} must be 32 bytes (64 hex characters or base64) or a passphrase of at least 32 characters`);
+}
+
+/**
+ * Create the key ring configured for this deployment; null when encryption at rest is off.
+ * ENCRYPTION_MASTER_KEYS ({ id: key }) with ENCRYPTION_MASTER_KEY_ID allows master key
+ * rotation; a single ENCRYPTION_KEY is master key "primary".
+ */
+function createKeyRing({ logger, env = process.env, type } = {}) {
+  let masterKeys = {};
+  if (env.ENCRYPTION_MASTER_KEYS) {
+    try {
+      masterKeys = JSON.parse(env.ENCRYPTION_MASTER_KEYS);
+    } catch (error) {
+      throw new Error('ENCRYPTION_MASTER_KEYS must be a JSON object of key id to key');
+    }
+  } else if (env.ENCRYPTION_KEY) {
+    masterKeys = { primary: env.ENCRYPTION_KEY };
+  }
+
+  const configured = Object.keys(masterKeys).length > 0;
+  const enabled = env.DATA_ENCRYPTION_ENABLED !== undefined
+    ? env.DATA_ENCRYPTION_ENABLED === 'true'
+    : configured || env.NODE_ENV === 'production';
+
+  if (!enabled) {
+    logger.warn('Encryption at rest is disabled; sessions and templates are stored in plain text');
+    return null;
+  }
+  if (!configured) {
+    throw new Error('Encryption at rest needs ENCRYPTION_KEY or ENCRYPTION_MASTER_KEYS');
+  }
+
+  const keys = Object.fromEntries(Object.entries(masterKeys).map(([id, value]) => [id, parseMasterKey(value, id)]));
+  const storeType = type || env.SESSION_STORE || 'file';
+  const backend = storeType === 'memory'
+    ? new MemoryBackend()
+    : new FileBackend(env.ENCRYPTION_KEY_DIR || path.join('data', 'keys'));
+
+  return new KeyRing({
+    masterKeys: keys,
+    activeMasterKeyId: env.ENCRYPTION_MASTER_KEY_ID || Object.keys(keys)[0],
+    backend,
+    logger
+  });
+}
+
+module.exports = { KeyRing, createKeyRing, parseMasterKey };
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const { KeyRing, createKeyRing, parseMasterKey } = require('./keyRing');
+const MemoryBackend = require('../sessions/memoryBackend');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+const masterKey = () => crypto.randomBytes(32);
+
+describe('KeyRing', () => {
+  let backend;
+  let keyRing;
+
+  beforeEach(() => {
+    backend = new MemoryBackend();
+    keyRing = new KeyRing({ masterKeys: { m1: masterKey() }, activeMasterKeyId: 'm1', backend, logger });
+  });
+
+  test('creates one data key per tenant and stores it only wrapped', async () => {
+    const first = await keyRing.activeKey('tenant-a');
+    const again = await keyRing.activeKey('tenant-a');
+    const other = await keyRing.activeKey('tenant-b');
+
+    expect(again.id).toBe(first.id);
+    expect(other.id).not.toBe(first.id);
+    expect(first.key).toHaveLength(32);
+    expect(JSON.stringify(await backend.read('tenant-a'))).not.toContain(first.key.toString('base64'));
+  });
+
+  test('creates a single key when a tenant\'s first requests race', async () => {
+    const keys = await Promise.all([keyRing.activeKey('tenant-a'), keyRing.activeKey('tenant-a')]);
+    expect(keys[0].id).toBe(keys[1].id);
+    expect((await backend.read('tenant-a')).keys).toHaveLength(1);
+  });
+
+  test('rotating keeps older keys readable until they are destroyed', async () => {
+    const before = await keyRing.activeKey('tenant-a');
+    const rotatedId = await keyRing.rotate('tenant-a');
+
+    expect((await keyRing.activeKey('tenant-a')).id).toBe(rotatedId);
+    expect(await keyRing.key('tenant-a', before.id)).toEqual(before.key);
+
+    await keyRing.destroy('tenant-a', [before.id, rotatedId]);
+    expect((await keyRing.describe('tenant-a')).keys.map(k => k.id)).toEqual([rotatedId]);
+    await expect(keyRing.key('tenant-a', before.id)).rejects.toMatchObject({ code: 'EKEYMISSING' });
+  });
+
+  test('rewraps data keys under a new master key', async () => {
+    const m1 = keyRing.masterKeys.m1;
+    const { id, key } = await keyRing.activeKey('tenant-a');
+
+    const rotated = new KeyRing({ masterKeys: { m1, m2: masterKey() }, activeMasterKeyId: 'm2', backend, logger });
+    expect(await rotated.rewrap()).toBe(1);
+    expect(await rotated.rewrap()).toBe(0);
+
+    const m2Only = new KeyRing({ masterKeys: { m2: rotated.masterKeys.m2 }, activeMasterKeyId: 'm2', backend, logger });
+    expect(await m2Only.key('tenant-a', id)).toEqual(key);
+    expect((await m2Only.describe('tenant-a')).keys).toEqual([expect.objectContaining({ id, masterKeyId: 'm2', active: true })]);
+  });
+
+  test('refuses to unwrap without the master key', async () => {
+    const { id } = await keyRing.activeKey('tenant-a');
+    const stranger = new KeyRing({ masterKeys: { m2: masterKey() }, activeMasterKeyId: 'm2', backend, logger });
+    await expect(stranger.key('tenant-a', id)).rejects.toThrow('Master key m1 is needed');
+  });
+});
+
+describe('parseMasterKey', () => {
+  test('accepts hex, base64 and long passphrases', () => {
+    const key = masterKey();
+    expect(parseMasterKey(key.toString('hex'), 'k')).toEqual(key);
+    expect(parseMasterKey(key.toString('base64'), 'k')).toEqual(key);
+    expect(parseMasterKey('a passphrase that is long enough to use', 'k')).toHaveLength(32);
+    expect(() => parseMasterKey('short', 'k')).toThrow('Master key k must be 32 bytes');
+  });
+});
+
+describe('createKeyRing', () => {
+  test('is off unless configured or in production', () => {
+    expect(createKeyRing({ logger, env: {} })).toBeNull();
+    expect(() => createKeyRing({ logger, env: { NODE_ENV: 'production' } })).toThrow('needs ENCRYPTION_KEY');
+  });
+
+  test('uses the configured master keys', () => {
+    const keyRing = createKeyRing({
+      logger,
+      type: 'memory',
+      env: { ENCRYPTION_MASTER_KEYS: JSON.stringify({ old: masterKey().toString('hex'), new: masterKey().toString('hex') }), ENCRYPTION_MASTER_KEY_ID: 'new' }
+    });
+    expect(keyRing.activeMasterKeyId).toBe('new');
+    expect(Object.keys(keyRing.masterKeys)).toEqual(['old', 'new']);
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * FHIR R4 note export.
+ * Produces a `document` Bundle: the Composition first (one section per note section),
+ * then the Patient, Practitioner and Encounter it references, and a DocumentReference
+ * carrying the Markdown rendering for systems that index documents rather than
+ * compositions.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const markdownRenderer = require('./markdownRenderer');
+
+const LOINC = 'http://loinc.org';
+const PROGRESS_NOTE = { system: LOINC, code: '11506-3', display: 'Progress note' };
+const IDENTIFIER_SYSTEM = 'urn:verba-ai';
+
+// Note lifecycle status -> Composition.status
+const COMPOSITION_STATUS = {
+  signed: 'final',
+  amended: 'amended'
+};
+
+module.exports = {
+  format: 'fhir',
+  contentType: 'application/fhir+json; charset=utf-8',
+  extension: 'fhir.json',
+
+  render(doc) {
+    const ids = {
+      composition: uuidv4(),
+      patient: uuidv4(),
+      practitioner: uuidv4(),
+      encounter: uuidv4(),
+      documentReference: uuidv4()
+    };
+    const ref = id => ({ reference: `urn:uuid:${id}` });
+    const status = COMPOSITION_STATUS[doc.status] || 'preliminary';
+    const type = { coding: [PROGRESS_NOTE], text: doc.title };
+    const period = { start: doc.encounter.start, end: doc.encounter.end };
+
+    const patient = {
+      resourceType: 'Patient',
+      id: ids.patient,
+      identifier: doc.client.mrn ? [{ type: { text: 'MRN' }, value: String(doc.client.mrn) }] : undefined,
+      name: doc.client.name ? [{ text: doc.client.name }] : undefined,
+      birthDate: fhirDate(doc.client.dob)
+    };
+
+    const practitioner = {
+      resourceType: 'Practitioner',
+      id: ids.practitioner,
+      identifier: doc.clinician.id ? [{ system: `${IDENTIFIER_SYSTEM}:clinician`, value: doc.clinician.id }] : undefined,
+      name: doc.signature && doc.signature.name ? [{ text: doc.signature.name }] : undefined
+    };
+
+    const encounter = {
+      resourceType: 'Encounter',
+      id: ids.encounter,
+      identifier: [{ system: `${IDENTIFIER_SYSTEM}:session`, value: doc.sessionId }],
+      status: 'finished',
+      class: { system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode', code: 'AMB', display: 'ambulatory' },
+      type: [{ text: doc.encounter.type }],
+      subject: ref(ids.patient),
+      participant: [{ individual: ref(ids.practitioner) }],
+      period
+    };
+
+    const composition = {
+      resourceType: 'Composition',
+      id: ids.composition,
+      identifier: doc.id ? { system: `${IDENTIFIER_SYSTEM}:note`, value: doc.id } : undefined,
+      status,
+      type,
+      subject: ref(ids.patient),
+      encounter: ref(ids.encounter),
+      date: doc.generatedAt,
+      author: [ref(ids.practitioner)],
+      title: doc.title,
+      confidentiality: 'R',
+      attester: doc.signature ? [{ mode: 'legal', time: doc.signature.signedAt, party: ref(ids.practitioner) }] : undefined,
+      section: doc.sections.map(section => ({
+        title: section.title,
+        text: { status: 'generated', div: narrative(section.text) }
+      }))
+    };
+
+    const documentReference = {
+      resourceType: 'DocumentReference',
+      id: ids.documentReference,
+      status: 'current',
+      docStatus: status,
+      type,
+      subject: ref(ids.patient),
+      date: doc.generatedAt,
+      author: [ref(ids.practitioner)],
+      content: [{
+        attachment: {
+          contentType: 'text/markdown',
+          data: Buffer.from(markdownRenderer.render(doc)).toString('base64'),
+          title: doc.title,
+          creation: doc.generatedAt
+        }
+      }],
+      context: { encounter: [ref(ids.encounter)], period }
+    };
+
+    const bundleId = uuidv4();
+    const bundle = {
+      resourceType: 'Bundle',
+      id: bundleId,
+      identifier: { system: 'urn:ietf:rfc:3986', value: `urn:uuid:${bundleId}` },
+      type: 'document',
+      timestamp: new Date().toISOString(),
+      entry: [composition, patient, practitioner, encounter, documentReference].map(resource => ({
+        fullUrl: `urn:uuid:${resource.id}`,
+        resource
+      }))
+    };
+
+    return JSON.stringify(bundle, null, 2);
+  }
+};
+
+/**
+ * XHTML narrative for a section, as FHIR requires
+ */
+function narrative(text) {
+  const paragraphs = text.split(/\n{2,}/).map(paragraph => `<p>${escapeXml(paragraph).replace(/\n/g, '<br/>')}</p>`);
+  return `<div xmlns="http://www.w3.org/1999/xhtml">${paragraphs.join('')}</div>`;
+}
+
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// FHIR dates are YYYY-MM-DD; anything we can't parse is left out rather than guessed
+function fhirDate(value) {
+  if (!value) {
+    return undefined;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString().slice(0, 10);
+}
@@ -0,0 +1,73 @@
+const fhirRenderer = require('./fhirRenderer');
+const { buildNoteDocument } = require('./noteDocument');
+
+const template = { name: 'SOAP Note', sections: [{ key: 'subjective', title: 'Subjective' }, { key: 'plan', title: 'Plan' }] };
+const session = { id: 'session-1', clinicianId: 'dr-lee', startTime: '2026-03-02T14:00:00.000Z', updatedAt: '2026-03-02T15:00:00.000Z' };
+
+function render(note) {
+  return JSON.parse(fhirRenderer.render(buildNoteDocument({
+    session,
+    note: { id: 'note-1', noteType: 'SOAP', generatedAt: '2026-03-02T15:01:00.000Z', sections: { subjective: 'Better.', plan: 'Review.' }, ...note },
+    template
+  })));
+}
+
+function resources(bundle) {
+  return bundle.entry.map(entry => entry.resource);
+}
+
+describe('fhirRenderer', () => {
+  test('builds a document Bundle led by the Composition, with every reference resolvable', () => {
+    const bundle = render({ clientInfo: { name: 'J. Doe', dob: '1980-05-04', mrn: 12345 } });
+    const [composition, patient, practitioner, encounter, documentReference] = resources(bundle);
+
+    expect(bundle).toMatchObject({ resourceType: 'Bundle', type: 'document' });
+    expect(resources(bundle).map(resource => resource.resourceType)).toEqual(['Composition', 'Patient', 'Practitioner', 'Encounter', 'DocumentReference']);
+    bundle.entry.forEach(entry => expect(entry.fullUrl).toBe(`urn:uuid:${entry.resource.id}`));
+
+    expect(composition).toMatchObject({
+      identifier: { value: 'note-1' },
+      type: { coding: [{ system: 'http://loinc.org', code: '11506-3' }], text: 'SOAP Note' },
+      subject: { reference: `urn:uuid:${patient.id}` },
+      encounter: { reference: `urn:uuid:${encounter.id}` },
+      author: [{ reference: `urn:uuid:${practitioner.id}` }],
+      date: '2026-03-02T15:01:00.000Z'
+    });
+    expect(composition.section.map(section => section.title)).toEqual(['Subjective', 'Plan']);
+    expect(patient).toMatchObject({ identifier: [{ value: '12345' }], name: [{ text: 'J. Doe' }], birthDate: '1980-05-04' });
+    expect(encounter.identifier).toEqual([{ system: 'urn:verba-ai:session', value: 'session-1' }]);
+
+    const attachment = documentReference.content[0].attachment;
+    expect(attachment.contentType).toBe('text/markdown');
+    expect(Buffer.from(attachment.data, 'base64').toString()).toContain('## Subjective\n\nBetter.');
+  });
+
+  test('maps the note status onto Composition.status', () => {
+    const signature = { name: 'Dr. Lee', signedAt: '2026-03-02T16:00:00.000Z' };
+    const composition = note => resources(render(note))[0];
+
+    expect(composition({}).status).toBe('preliminary');
+    expect(composition({ status: 'draft' }).status).toBe('preliminary');
+    expect(composition({ status: 'signed', signature })).toMatchObject({
+      status: 'final',
+      attester: [{ mode: 'legal', time: '2026-03-02T16:00:00.000Z' }]
+    });
+    expect(composition({ status: 'amended', signature }).status).toBe('amended');
+    expect(resources(render({ status: 'signed', signature }))[4].docStatus).toBe('final');
+  });
+
+  test('escapes section text into an XHTML narrative', () => {
+    const composition = resources(render({ sections: { subjective: 'Said "I <can\'t> sleep" & wakes early.\nEvery night.\n\nNo change since March.' } }))[0];
+
+    expect(composition.section[0].text).toEqual({
+      status: 'generated',
+      div: '<div xmlns="http://www.w3.org/1999/xhtml"><p>Said &quot;I &lt;can\'t&gt; sleep&quot; &amp; wakes early.<br/>Every night.</p><p>No change since March.</p></div>'
+    });
+  });
+
+  test('leaves out client details that were not given or are not dates', () => {
+    const patient = resources(render({ clientInfo: { dob: 'sometime in May' } }))[1];
+
+    expect(patient).toEqual({ resourceType: 'Patient', id: patient.id });
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Clinical note exporters.
+ *
+ * A renderer exposes:
+ *   format        - registry key, the `format` query parameter
+ *   contentType   - response Content-Type
+ *   extension     - download file extension
+ *   render(doc)   - string, Buffer or a promise of either, from a note document
+ *                   built by buildNoteDocument
+ *
+ * New formats only need a renderer registered here.
+ */
+
+const { buildNoteDocument } = require('./noteDocument');
+const fhirRenderer = require('./fhirRenderer');
+const markdownRenderer = require('./markdownRenderer');
+const pdfRenderer = require('./pdfRenderer');
+const textRenderer = require('./textRenderer');
+
+class NoteExporter {
+  constructor() {
+    this.renderers = new Map();
+  }
+
+  register(renderer) {
+    this.renderers.set(renderer.format, renderer);
+    return this;
+  }
+
+  has(format) {
+    return this.renderers.has(format);
+  }
+
+  formats() {
+    return Array.from(this.renderers.keys());
+  }
+
+  /**
+   * Render a session's note; resolves { body, contentType, filename }
+   */
+  async export(format, { session, note, template }) {
+    const renderer = this.renderers.get(format);
+    if (!renderer) {
+      const error = new Error(`Unknown export format: ${format}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const doc = buildNoteDocument({ session, note, template });
+    return {
+      body: await renderer.render(doc),
+      contentType: renderer.contentType,
+      filename: `${doc.noteType}-${doc.sessionId}.${renderer.extension}`
+    };
+  }
+}
+
+function createNoteExporter() {
+  return new NoteExporter()
+    .register(fhirRenderer)
+    .register(pdfRenderer)
+    .register(markdownRenderer)
+    .register(textRenderer);
+}
+
+module.exports = { NoteExporter, createNoteExporter };
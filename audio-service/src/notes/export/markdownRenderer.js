@@ -0,0 +1,28 @@
+/**
+ * Markdown note export
+ */
+
+const { describeDocument, signatureLine, amendmentLines } = require('./noteDocument');
+
+module.exports = {
+  format: 'markdown',
+  contentType: 'text/markdown; charset=utf-8',
+  extension: 'md',
+
+  render(doc) {
+    const lines = [`# ${doc.title}`, ''];
+
+    describeDocument(doc).forEach(([label, value]) => {
+      lines.push(`- **${label}:** ${value}`);
+    });
+
+    doc.sections.forEach((section) => {
+      lines.push('', `## ${section.title}`, '', section.text);
+    });
+
+    lines.push('', '---', '', signatureLine(doc));
+    amendmentLines(doc).forEach(line => lines.push('', `_${line}_`));
+
+    return `${lines.join('\n')}\n`;
+  }
+};
@@ -0,0 +1,117 @@
+/**
+ * Format-neutral view of a clinical note.
+ * Every export renderer works from this document rather than the stored session, so
+ * section ordering, client details and signature state are worked out once.
+ */
+
+/**
+ * Build the export document for a session's note
+ */
+function buildNoteDocument({ session, note, template }) {
+  const clientInfo = note.clientInfo || {};
+
+  return {
+    id: note.id || null,
+    sessionId: session.id,
+    tenantId: session.tenantId || null,
+    noteType: note.noteType,
+    title: template ? template.name : `${note.noteType} Note`,
+    status: note.status || 'draft',
+    generatedAt: note.generatedAt,
+    sections: orderedSections(note, template),
+    client: {
+      name: clientInfo.name || null,
+      dob: clientInfo.dob || null,
+      mrn: clientInfo.mrn || null
+    },
+    clinician: {
+      id: session.clinicianId || null
+    },
+    encounter: {
+      type: clientInfo.sessionType || 'Individual Therapy',
+      start: session.startTime,
+      end: lastTranscriptTime(session) || session.updatedAt,
+      duration: note.sessionDuration || null
+    },
+    // Set once the note has been signed; until then renderers leave a blank signature block
+    signature: note.signature || null,
+    amendments: note.amendments || []
+  };
+}
+
+/**
+ * Sections in template order, with any the template doesn't know about appended
+ */
+function orderedSections(note, template) {
+  const sections = note.sections || {};
+  const templateSections = template ? template.sections : [];
+  const known = templateSections.map(section => section.key);
+
+  const ordered = templateSections
+    .filter(section => sections[section.key] !== undefined)
+    .map(section => ({ key: section.key, title: section.title, text: sectionText(sections[section.key]) }));
+
+  Object.keys(sections)
+    .filter(key => !known.includes(key))
+    .forEach(key => ordered.push({ key, title: key, text: sectionText(sections[key]) }));
+
+  // Notes stored before structured sections only have the rendered text
+  if (ordered.length === 0 && note.content) {
+    ordered.push({ key: 'note', title: 'Note', text: note.content });
+  }
+
+  return ordered;
+}
+
+function sectionText(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+}
+
+function lastTranscriptTime(session) {
+  const transcripts = session.transcripts || [];
+  return transcripts.length > 0 ? transcripts[transcripts.length - 1].timestamp : null;
+}
+
+/**
+ * Header lines shared by the text formats
+ */
+function describeDocument(doc) {
+  return [
+    ['Client', doc.client.name || 'Not provided'],
+    ['Date of Birth', doc.client.dob],
+    ['MRN', doc.client.mrn],
+    ['Session Type', doc.encounter.type],
+    ['Session Date', formatDate(doc.encounter.start)],
+    ['Duration', doc.encounter.duration],
+    ['Status', doc.status],
+    ['Generated', formatDate(doc.generatedAt)]
+  ].filter(([, value]) => value);
+}
+
+/**
+ * Signature attestation for signed notes, or a blank line to sign by hand
+ */
+function signatureLine(doc) {
+  if (!doc.signature) {
+    return 'Clinician signature: ______________________  Date: ____________';
+  }
+  return `Electronically signed by ${doc.signature.name || doc.signature.clinicianId} on ${formatDate(doc.signature.signedAt)}`;
+}
+
+/**
+ * One line per amendment made after signing
+ */
+function amendmentLines(doc) {
+  return doc.amendments.map(amendment =>
+    `Amended ${formatDate(amendment.amendedAt)}${amendment.clinicianId ? ` by ${amendment.clinicianId}` : ''}: ${amendment.reason}`);
+}
+
+function formatDate(value) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toISOString().replace('T', ' ').slice(0, 16) + ' UTC';
+}
+
+module.exports = { buildNoteDocument, describeDocument, signatureLine, amendmentLines, formatDate };
@@ -0,0 +1,72 @@
+const { buildNoteDocument, signatureLine } = require('./noteDocument');
+
+const template = {
+  id: 'SOAP',
+  name: 'SOAP Note',
+  sections: [
+    { key: 'subjective', title: 'Subjective' },
+    { key: 'objective', title: 'Objective' },
+    { key: 'assessment', title: 'Assessment' },
+    { key: 'plan', title: 'Plan' }
+  ]
+};
+
+const session = {
+  id: 'session-1',
+  tenantId: 't1',
+  clinicianId: 'dr-lee',
+  startTime: '2026-03-02T14:00:00.000Z',
+  updatedAt: '2026-03-02T15:10:00.000Z',
+  transcripts: [{ timestamp: '2026-03-02T14:20:00.000Z' }, { timestamp: '2026-03-02T14:50:00.000Z' }]
+};
+
+describe('buildNoteDocument', () => {
+  test('puts sections in template order and appends ones the template does not know', () => {
+    const note = {
+      noteType: 'SOAP',
+      sections: { plan: 'Follow up in two weeks.', riskNotes: { level: 'low' }, subjective: 'Reports better sleep.', assessment: 'Improving.' }
+    };
+
+    const doc = buildNoteDocument({ session, note, template });
+
+    expect(doc.sections).toEqual([
+      { key: 'subjective', title: 'Subjective', text: 'Reports better sleep.' },
+      { key: 'assessment', title: 'Assessment', text: 'Improving.' },
+      { key: 'plan', title: 'Plan', text: 'Follow up in two weeks.' },
+      { key: 'riskNotes', title: 'riskNotes', text: '{\n  "level": "low"\n}' }
+    ]);
+  });
+
+  test('falls back to the rendered text of notes without structured sections', () => {
+    const doc = buildNoteDocument({ session, note: { noteType: 'DAP', content: 'Free text note' }, template: null });
+
+    expect(doc.title).toBe('DAP Note');
+    expect(doc.sections).toEqual([{ key: 'note', title: 'Note', text: 'Free text note' }]);
+  });
+
+  test('takes the encounter from the session and defaults to an unsigned draft', () => {
+    const doc = buildNoteDocument({ session, note: { noteType: 'SOAP', sections: {}, clientInfo: { name: 'J. Doe' } }, template });
+
+    expect(doc).toMatchObject({
+      sessionId: 'session-1',
+      title: 'SOAP Note',
+      status: 'draft',
+      client: { name: 'J. Doe', dob: null, mrn: null },
+      clinician: { id: 'dr-lee' },
+      encounter: { type: 'Individual Therapy', start: '2026-03-02T14:00:00.000Z', end: '2026-03-02T14:50:00.000Z' },
+      signature: null,
+      amendments: []
+    });
+    expect(signatureLine(doc)).toContain('Clinician signature: ____');
+  });
+
+  test('describes the signature of a signed note', () => {
+    const doc = buildNoteDocument({
+      session,
+      note: { noteType: 'SOAP', sections: {}, status: 'signed', signature: { name: 'Dr. Lee', signedAt: '2026-03-02T16:05:00.000Z' } },
+      template
+    });
+
+    expect(signatureLine(doc)).toBe('Electronically signed by Dr. Lee on 2026-03-02 16:05 UTC');
+  });
+});
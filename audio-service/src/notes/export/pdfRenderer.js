@@ -0,0 +1,52 @@
+/**
+ * Printable PDF note export, with a signature block at the end
+ */
+
+const PDFDocument = require('pdfkit');
+const { describeDocument, signatureLine, amendmentLines } = require('./noteDocument');
+
+module.exports = {
+  format: 'pdf',
+  contentType: 'application/pdf',
+  extension: 'pdf',
+
+  render(doc) {
+    return new Promise((resolve, reject) => {
+      const pdf = new PDFDocument({ size: 'LETTER', margin: 54, info: { Title: doc.title } });
+      const chunks = [];
+      pdf.on('data', chunk => chunks.push(chunk));
+      pdf.on('end', () => resolve(Buffer.concat(chunks)));
+      pdf.on('error', reject);
+
+      pdf.font('Helvetica-Bold').fontSize(18).text(doc.title);
+      pdf.moveDown(0.5);
+
+      pdf.fontSize(10);
+      describeDocument(doc).forEach(([label, value]) => {
+        pdf.font('Helvetica-Bold').text(`${label}: `, { continued: true });
+        pdf.font('Helvetica').text(String(value));
+      });
+
+      doc.sections.forEach((section) => {
+        pdf.moveDown();
+        pdf.font('Helvetica-Bold').fontSize(13).text(section.title);
+        pdf.moveDown(0.25);
+        pdf.font('Helvetica').fontSize(11).text(section.text, { align: 'left' });
+      });
+
+      // Keep the signature block together on one page
+      if (pdf.y > pdf.page.height - pdf.page.margins.bottom - 90) {
+        pdf.addPage();
+      }
+      pdf.moveDown(2);
+      pdf.font('Helvetica-Bold').fontSize(11).text('Clinician Attestation');
+      pdf.font('Helvetica').fontSize(10)
+        .text('I have reviewed this note and attest that it accurately reflects the session.');
+      pdf.moveDown();
+      pdf.text(signatureLine(doc));
+      amendmentLines(doc).forEach(line => pdf.moveDown(0.5).text(line));
+
+      pdf.end();
+    });
+  }
+};
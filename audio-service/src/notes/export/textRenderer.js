@@ -0,0 +1,27 @@
+/**
+ * Plain-text note export
+ */
+
+const { describeDocument, signatureLine, amendmentLines } = require('./noteDocument');
+
+module.exports = {
+  format: 'text',
+  contentType: 'text/plain; charset=utf-8',
+  extension: 'txt',
+
+  render(doc) {
+    const lines = [doc.title.toUpperCase(), '='.repeat(doc.title.length), ''];
+
+    describeDocument(doc).forEach(([label, value]) => {
+      lines.push(`${label}: ${value}`);
+    });
+
+    doc.sections.forEach((section) => {
+      lines.push('', section.title.toUpperCase(), section.text);
+    });
+
+    lines.push('', signatureLine(doc), ...amendmentLines(doc));
+
+    return `${lines.join('\n')}\n`;
+  }
+};
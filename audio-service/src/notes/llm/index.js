@@ -0,0 +1,186 @@
+/**
+ * Note-generation model router.
+ *
+ * A provider exposes:
+ *   name, defaultModel
+ *   complete({ model, messages, temperature, maxTokens, signal })
+ *     - resolves { content, finishReason, model, usage: { promptTokens, completionTokens, totalTokens } }
+ *
+ * The router picks a provider and model for each call (request override, then tenant
+ * configuration, then deployment default) and applies timeouts and retries uniformly.
+ * A tenant that names a provider is pinned to it: request overrides are only honoured
+ * for providers in the tenant's `allowedProviders`.
+ * Callers that retry on their own pass `maxRetries: 0` so the two don't multiply.
+ */
+
+const OpenAIChatProvider = require('./openaiProvider');
+const LocalNoteProvider = require('./localProvider');
+
+const RETRYABLE_STATUS = [408, 409, 429, 500, 502, 503, 504];
+
+class NoteModelRouter {
+  constructor({ defaultProvider, tenantConfig = {}, timeoutMs = 60000, maxRetries = 2, logger }) {
+    this.providers = new Map();
+    this.defaultProvider = defaultProvider;
+    this.tenantConfig = tenantConfig;
+    this.timeoutMs = timeoutMs;
+    this.maxRetries = maxRetries;
+    this.logger = logger;
+  }
+
+  register(provider) {
+    this.providers.set(provider.name, provider);
+    return this;
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  names() {
+    return Array.from(this.providers.keys());
+  }
+
+  /**
+   * Whether a tenant may ask for this provider per request
+   */
+  allows(provider, tenantId) {
+    const tenant = (tenantId && this.tenantConfig[tenantId]) || {};
+    if (Array.isArray(tenant.allowedProviders)) {
+      return tenant.allowedProviders.includes(provider);
+    }
+    return tenant.provider === undefined || tenant.provider === provider;
+  }
+
+  /**
+   * Work out which provider and model serve a call
+   */
+  resolve({ provider, model, tenantId } = {}) {
+    const tenant = (tenantId && this.tenantConfig[tenantId]) || {};
+    if (provider && !this.allows(provider, tenantId)) {
+      const error = new Error(`Note generation provider not allowed for this tenant: ${provider}`);
+      error.statusCode = 403;
+      throw error;
+    }
+    const providerName = provider || tenant.provider || this.defaultProvider;
+    const selected = this.providers.get(providerName);
+
+    if (!selected) {
+      throw new Error(`Note generation provider not configured: ${providerName}`);
+    }
+
+    // A tenant's model only applies when the tenant's provider is the one being used
+    const tenantModel = tenant.provider === undefined || tenant.provider === providerName ? tenant.model : undefined;
+    return {
+      provider: selected,
+      model: model || tenantModel || selected.defaultModel
+    };
+  }
+
+  async complete({ provider, model, tenantId, messages, temperature = 0.3, maxTokens = 2000, timeoutMs, maxRetries = this.maxRetries }) {
+    const resolved = this.resolve({ provider, model, tenantId });
+    const timeout = timeoutMs || this.timeoutMs;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await withTimeout(timeout, signal => resolved.provider.complete({
+          model: resolved.model,
+          messages,
+          temperature,
+          maxTokens,
+          signal
+        }));
+
+        return { ...result, provider: resolved.provider.name, attempts: attempt };
+      } catch (error) {
+        if (attempt > maxRetries || !isRetryable(error)) {
+          throw error;
+        }
+
+        const delay = Math.min(500 * 2 ** (attempt - 1), 8000) + Math.floor(Math.random() * 250);
+        this.logger.warn(`${resolved.provider.name} completion failed (attempt ${attempt}), retrying in ${delay}ms: ${error.message}`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+}
+
+/**
+ * Whether a failed model call is worth trying again
+ */
+function isRetryable(error) {
+  if (error.name === 'TimeoutError') {
+    return true;
+  }
+  // Connection failures from the openai SDK carry no status
+  if (error.name === 'APIConnectionError' || error.name === 'APIConnectionTimeoutError') {
+    return true;
+  }
+  return RETRYABLE_STATUS.includes(error.status);
+}
+
+async function withTimeout(timeoutMs, fn) {
+  const controller = new AbortController();
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      const error = new Error(`Model call timed out after ${timeoutMs}ms`);
+      error.name = 'TimeoutError';
+      reject(error);
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([fn(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Register every provider this deployment has configuration for
+ */
+function createNoteModelRouter({ logger, env = process.env }) {
+  const router = new NoteModelRouter({
+    defaultProvider: env.LLM_PROVIDER || 'openai',
+    tenantConfig: env.LLM_TENANT_CONFIG ? JSON.parse(env.LLM_TENANT_CONFIG) : {},
+    timeoutMs: parseInt(env.LLM_TIMEOUT_MS, 10) || 60000,
+    maxRetries: env.LLM_MAX_RETRIES !== undefined ? parseInt(env.LLM_MAX_RETRIES, 10) : 2,
+    logger
+  });
+
+  if (env.OPENAI_API_KEY) {
+    router.register(OpenAIChatProvider.openai({
+      apiKey: env.OPENAI_API_KEY,
+      model: env.LLM_MODEL
+    }));
+  }
+
+  if (env.AZURE_OPENAI_ENDPOINT) {
+    router.register(OpenAIChatProvider.azure({
+      endpoint: env.AZURE_OPENAI_ENDPOINT,
+      apiKey: env.AZURE_OPENAI_API_KEY,
+      apiVersion: env.AZURE_OPENAI_API_VERSION || '2024-06-01',
+      deployment: env.AZURE_OPENAI_DEPLOYMENT
+    }));
+  }
+
+  if (env.OPENAI_COMPATIBLE_BASE_URL) {
+    router.register(OpenAIChatProvider.compatible({
+      baseUrl: env.OPENAI_COMPATIBLE_BASE_URL,
+      apiKey: env.OPENAI_COMPATIBLE_API_KEY,
+      model: env.OPENAI_COMPATIBLE_MODEL
+    }));
+  }
+
+  // Canned notes must never silently replace a real model in production
+  if (env.LLM_PROVIDER === 'local' || env.NODE_ENV !== 'production') {
+    router.register(new LocalNoteProvider());
+  }
+
+  return router;
+}
+
+module.exports = { NoteModelRouter, createNoteModelRouter, isRetryable };
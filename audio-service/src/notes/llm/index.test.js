@@ -0,0 +1,97 @@
+const { NoteModelRouter, isRetryable } = require('./index');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+function failingProvider(status) {
+  return {
+    name: 'flaky',
+    defaultModel: 'flaky-1',
+    complete: jest.fn(async () => {
+      const error = new Error(`Provider returned ${status}`);
+      error.status = status;
+      throw error;
+    })
+  };
+}
+
+function router(provider) {
+  return new NoteModelRouter({ defaultProvider: provider.name, maxRetries: 1, logger }).register(provider);
+}
+
+describe('NoteModelRouter', () => {
+  beforeEach(() => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    jest.spyOn(global, 'setTimeout').mockImplementation((fn) => {
+      fn();
+      return 0;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('retries transient failures up to maxRetries', async () => {
+    const provider = failingProvider(503);
+    await expect(router(provider).complete({ messages: [] })).rejects.toThrow('Provider returned 503');
+    expect(provider.complete).toHaveBeenCalledTimes(2);
+  });
+
+  test('makes a single attempt when the caller passes maxRetries: 0', async () => {
+    const provider = failingProvider(503);
+    await expect(router(provider).complete({ messages: [], maxRetries: 0 })).rejects.toThrow();
+    expect(provider.complete).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not retry client errors', async () => {
+    const provider = failingProvider(400);
+    await expect(router(provider).complete({ messages: [] })).rejects.toThrow();
+    expect(provider.complete).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('NoteModelRouter.resolve', () => {
+  function provider(name) {
+    return { name, defaultModel: `${name}-model`, complete: jest.fn() };
+  }
+
+  const models = new NoteModelRouter({
+    defaultProvider: 'openai',
+    tenantConfig: {
+      pinned: { provider: 'azure', model: 'gpt-4o-baa' },
+      listed: { provider: 'azure', allowedProviders: ['azure', 'compatible'] }
+    },
+    logger
+  }).register(provider('openai')).register(provider('azure')).register(provider('compatible'));
+
+  test('uses the tenant\'s provider and model before the deployment default', () => {
+    expect(models.resolve({ tenantId: 'pinned' })).toMatchObject({ provider: { name: 'azure' }, model: 'gpt-4o-baa' });
+    expect(models.resolve({ tenantId: 'other' })).toMatchObject({ provider: { name: 'openai' }, model: 'openai-model' });
+  });
+
+  test('refuses a request override away from the tenant\'s pinned provider', () => {
+    expect(models.allows('openai', 'pinned')).toBe(false);
+    expect(() => models.resolve({ provider: 'openai', tenantId: 'pinned' })).toThrow(expect.objectContaining({ statusCode: 403 }));
+    expect(models.resolve({ provider: 'azure', tenantId: 'pinned' }).provider.name).toBe('azure');
+  });
+
+  test('honours overrides in the tenant\'s allow-list only', () => {
+    expect(models.resolve({ provider: 'compatible', tenantId: 'listed' }).provider.name).toBe('compatible');
+    expect(() => models.resolve({ provider: 'openai', tenantId: 'listed' })).toThrow('not allowed for this tenant');
+  });
+
+  test('lets unconfigured tenants pick any registered provider', () => {
+    expect(models.resolve({ provider: 'compatible', tenantId: 'other' }).provider.name).toBe('compatible');
+  });
+});
+
+describe('isRetryable', () => {
+  test('treats provider status codes as transient or not', () => {
+    expect(isRetryable(Object.assign(new Error(), { status: 429 }))).toBe(true);
+    expect(isRetryable(Object.assign(new Error(), { status: 401 }))).toBe(false);
+  });
+
+  test('does not retry a note that failed validation', () => {
+    expect(isRetryable(Object.assign(new Error('Generated note did not match the template'), { statusCode: 502 }))).toBe(false);
+  });
+});
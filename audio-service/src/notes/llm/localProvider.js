@@ -0,0 +1,70 @@
+/**
+ * Local canned note provider.
+ * Returns a fixed note without calling out to any model, for tests and offline development.
+ * When the prompt carries a JSON schema, the canned text is returned as a matching object.
+ */
+
+const CANNED_SECTIONS = {
+  subjective: 'Client reported increased anxiety and poor sleep over the past week, related to changes at work.',
+  objective: 'Client was alert and oriented, engaged throughout the session, with congruent affect.',
+  data: 'Client reported increased anxiety and poor sleep related to work changes; presented alert, engaged and with congruent affect.',
+  behavior: 'Client presented as anxious but engaged, describing poor sleep and stress about a new work schedule.',
+  goals: 'Reduce work-related anxiety; improve sleep quality.',
+  intervention: 'Clinician reviewed diaphragmatic breathing and introduced a CBT thought record for work-related worries.',
+  response: 'Client practiced the breathing exercise in session and agreed to try the thought record.',
+  assessment: 'Symptoms are consistent with ongoing work-related stress; no acute risk indicators were observed.',
+  plan: 'Continue weekly sessions, practice breathing exercises daily, and review sleep hygiene at the next visit.'
+};
+
+const SCHEMA_BLOCK = /```json\s*([\s\S]*?)```/;
+
+class LocalNoteProvider {
+  constructor({ response } = {}) {
+    this.name = 'local';
+    this.defaultModel = 'local-canned';
+    this.response = response;
+  }
+
+  async complete({ model, messages }) {
+    const content = this.response || cannedResponse(messages);
+    const promptTokens = estimateTokens(messages.map(m => m.content).join('\n'));
+    const completionTokens = estimateTokens(content);
+
+    return {
+      content,
+      finishReason: 'stop',
+      model,
+      usage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens
+      }
+    };
+  }
+}
+
+function cannedResponse(messages) {
+  const prompt = messages.filter(m => m.role === 'user').map(m => m.content).join('\n');
+  const schemaBlock = prompt.match(SCHEMA_BLOCK);
+
+  if (!schemaBlock) {
+    return Object.entries(CANNED_SECTIONS)
+      .filter(([key]) => ['subjective', 'objective', 'assessment', 'plan'].includes(key))
+      .map(([key, text]) => `${key[0].toUpperCase()}${key.slice(1)}: ${text}`)
+      .join('\n');
+  }
+
+  const schema = JSON.parse(schemaBlock[1]);
+  const note = {};
+  Object.keys(schema.properties || {}).forEach((key) => {
+    note[key] = CANNED_SECTIONS[key] || 'Not addressed in this session.';
+  });
+  return JSON.stringify(note, null, 2);
+}
+
+// Roughly four characters per token for English text
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+module.exports = LocalNoteProvider;
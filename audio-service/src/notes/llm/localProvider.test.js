@@ -0,0 +1,31 @@
+const LocalNoteProvider = require('./localProvider');
+
+describe('LocalNoteProvider', () => {
+  test('answers a schema prompt with an object holding every schema property', async () => {
+    const provider = new LocalNoteProvider();
+    const schema = { type: 'object', properties: { subjective: {}, plan: {}, homework: {} } };
+    const prompt = `Write the note.\n\`\`\`json\n${JSON.stringify(schema)}\n\`\`\``;
+
+    const result = await provider.complete({ model: 'local-canned', messages: [{ role: 'user', content: prompt }] });
+    const note = JSON.parse(result.content);
+
+    expect(Object.keys(note)).toEqual(['subjective', 'plan', 'homework']);
+    expect(note.homework).toBe('Not addressed in this session.');
+    expect(result.finishReason).toBe('stop');
+    expect(result.usage.totalTokens).toBe(result.usage.promptTokens + result.usage.completionTokens);
+  });
+
+  test('falls back to a plain SOAP note without a schema', async () => {
+    const provider = new LocalNoteProvider();
+    const result = await provider.complete({ messages: [{ role: 'user', content: 'Write a note' }] });
+
+    expect(result.content.split('\n').map(line => line.split(':')[0])).toEqual(['Subjective', 'Objective', 'Assessment', 'Plan']);
+  });
+
+  test('returns a fixed response when given one', async () => {
+    const provider = new LocalNoteProvider({ response: '{"plan": "Follow up"}' });
+    const result = await provider.complete({ messages: [{ role: 'user', content: 'anything' }] });
+
+    expect(result.content).toBe('{"plan": "Follow up"}');
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * OpenAI chat-completions provider.
+ * Covers api.openai.com, Azure OpenAI deployments and self-hosted OpenAI-compatible
+ * endpoints, which all speak the same chat API through the openai SDK.
+ */
+
+const OpenAI = require('openai');
+const { AzureOpenAI } = require('openai');
+
+class OpenAIChatProvider {
+  constructor({ name, client, defaultModel }) {
+    this.name = name;
+    this.client = client;
+    this.defaultModel = defaultModel;
+  }
+
+  static openai({ apiKey, model }) {
+    return new OpenAIChatProvider({
+      name: 'openai',
+      // Retries and timeouts are applied by the router so every provider behaves the same
+      client: new OpenAI({ apiKey, maxRetries: 0 }),
+      defaultModel: model || 'gpt-4'
+    });
+  }
+
+  static azure({ endpoint, apiKey, apiVersion, deployment }) {
+    return new OpenAIChatProvider({
+      name: 'azure',
+      client: new AzureOpenAI({ endpoint, apiKey, apiVersion, deployment, maxRetries: 0 }),
+      defaultModel: deployment
+    });
+  }
+
+  static compatible({ baseUrl, apiKey, model }) {
+    return new OpenAIChatProvider({
+      name: 'compatible',
+      client: new OpenAI({ baseURL: baseUrl, apiKey: apiKey || 'not-required', maxRetries: 0 }),
+      defaultModel: model
+    });
+  }
+
+  async complete({ model, messages, temperature, maxTokens, signal }) {
+    const completion = await this.client.chat.completions.create({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    }, { signal });
+
+    const choice = completion.choices[0];
+    const usage = completion.usage || {};
+    return {
+      content: choice.message.content,
+      finishReason: choice.finish_reason,
+      model: completion.model || model,
+      usage: {
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || 0,
+        totalTokens: usage.total_tokens || 0
+      }
+    };
+  }
+}
+
+module.exports = OpenAIChatProvider;
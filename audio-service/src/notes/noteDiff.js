@@ -0,0 +1,87 @@
+/**
+ * Word-level diff between two versions of a note section
+ */
+
+// The LCS table is (n+1)*(m+1) cells of 4 bytes; past this (16 MB) the changed middle is
+// reported as replaced instead of diffed word by word
+const MAX_TABLE_CELLS = 4 * 1000 * 1000;
+
+/**
+ * Diff two strings into runs of { type: 'equal' | 'insert' | 'delete', text }
+ */
+function diffWords(before = '', after = '') {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // Common prefix and suffix don't need the LCS table
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+    suffix++;
+  }
+
+  const midA = a.slice(prefix, a.length - suffix);
+  const midB = b.slice(prefix, b.length - suffix);
+  const changes = [];
+  push(changes, 'equal', a.slice(0, prefix));
+  if ((midA.length + 1) * (midB.length + 1) > MAX_TABLE_CELLS) {
+    push(changes, 'delete', midA);
+    push(changes, 'insert', midB);
+  } else {
+    lcsDiff(midA, midB).forEach(change => push(changes, change.type, [change.token]));
+  }
+  push(changes, 'equal', a.slice(a.length - suffix));
+  return changes;
+}
+
+function lcsDiff(a, b) {
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      changes.push({ type: 'equal', token: a[i++] });
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      changes.push({ type: 'delete', token: a[i++] });
+    } else {
+      changes.push({ type: 'insert', token: b[j++] });
+    }
+  }
+  while (i < a.length) changes.push({ type: 'delete', token: a[i++] });
+  while (j < b.length) changes.push({ type: 'insert', token: b[j++] });
+  return changes;
+}
+
+// Words and the whitespace between them, so joined runs reproduce the original text
+function tokenize(text) {
+  return String(text).split(/(\s+)/).filter(Boolean);
+}
+
+function push(changes, type, tokens) {
+  if (tokens.length === 0) {
+    return;
+  }
+  const last = changes[changes.length - 1];
+  if (last && last.type === type) {
+    last.text += tokens.join('');
+  } else {
+    changes.push({ type, text: tokens.join('') });
+  }
+}
+
+module.exports = { diffWords };
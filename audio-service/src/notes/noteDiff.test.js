@@ -0,0 +1,26 @@
+const { diffWords } = require('./noteDiff');
+
+describe('diffWords', () => {
+  test('diffs word by word and keeps whitespace', () => {
+    expect(diffWords('Client reports low mood', 'Client reports improved mood today')).toEqual([
+      { type: 'equal', text: 'Client reports ' },
+      { type: 'delete', text: 'low' },
+      { type: 'insert', text: 'improved' },
+      { type: 'equal', text: ' mood' },
+      { type: 'insert', text: ' today' }
+    ]);
+  });
+
+  test('reports a very large change as replaced instead of building a huge table', () => {
+    const words = prefix => Array.from({ length: 3000 }, (unused, index) => `${prefix}${index}`).join(' ');
+    const before = `Start ${words('a')} end`;
+    const after = `Start ${words('b')} end`;
+
+    expect(diffWords(before, after)).toEqual([
+      { type: 'equal', text: 'Start ' },
+      { type: 'delete', text: words('a') },
+      { type: 'insert', text: words('b') },
+      { type: 'equal', text: ' end' }
+    ]);
+  });
+});
@@ -0,0 +1,280 @@
+/**
+ * Clinical note generation.
+ * De-identifies the transcript, builds the template prompt, calls the model router, and
+ * parses and validates the structured response, giving the model one chance to repair a
+ * note that fails the schema. Real values are restored only after validation.
+ *
+ * Prompt size is counted up front. When the transcript won't fit the model's context
+ * window alongside the response, the session is split into segments that are summarised
+ * first (and the summaries condensed again if needed), and the note is written from the
+ * summaries instead.
+ */
+
+const {
+  SYSTEM_PROMPT,
+  createClinicalNotePrompt,
+  createSegmentSummaryPrompt,
+  createCombineSummariesPrompt,
+  createRepairPrompt,
+  formatOffset
+} = require('./prompt');
+const { parseNoteJson, renderNoteText } = require('./structuredNote');
+const { splitIntoSegments } = require('./transcriptSegments');
+const { formatTurns } = require('../transcription/speakerTracker');
+
+const MAX_REPAIR_ATTEMPTS = 1;
+const SUMMARY_MAX_TOKENS = 700;
+
+class NoteGenerator {
+  constructor({ noteModels, templates, deidentifier, tokenBudget, logger, segmentMinutes = 10 }) {
+    this.noteModels = noteModels;
+    this.templates = templates;
+    this.deidentifier = deidentifier;
+    this.tokenBudget = tokenBudget;
+    this.logger = logger;
+    this.segmentSeconds = segmentMinutes * 60;
+  }
+
+  /**
+   * Generate a note. Pass the session as timestamped `turns` ([{ start, label, text }]) so
+   * long sessions can be segmented by time, or as a plain `transcript`.
+   * `onProgress(stage, fraction)` reports the summarising and writing stages.
+   * `maxRetries` overrides the router's retries for every model call.
+   */
+  async generate({ sessionId, template, transcript, turns, clientInfo, speakers = [], riskFlags = [], phiMapping, provider, model, tenantId, maxRetries, onProgress = () => {} }) {
+    // Nothing identifying leaves the service: the model only ever sees placeholders
+    const phi = this.deidentifier.createContext(phiMapping);
+    phi.addKnownNames(speakers.map(speaker => speaker.name));
+    const redactedClientInfo = phi.redactClientInfo(clientInfo);
+    const sessionTurns = turns || transcript.split('\n').map(text => ({ text }));
+    const redactedTurns = sessionTurns.map(turn => ({
+      ...turn,
+      label: turn.label ? phi.redact(turn.label) : turn.label,
+      text: phi.redact(turn.text)
+    }));
+    const redactedRiskFlags = riskFlags.map(flag => ({ ...flag, matchedText: phi.redact(flag.matchedText) }));
+    this.deidentifier.report(sessionId, phi);
+
+    const call = { provider, model, tenantId, maxRetries };
+    const resolvedModel = this.noteModels.resolve(call).model;
+    const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    const warnings = [];
+
+    // Count the single-pass prompt first and only summarise when it won't fit
+    const noteMessages = (text, summarized) => [
+      { role: 'system', content: SYSTEM_PROMPT },
+      {
+        role: 'user',
+        content: createClinicalNotePrompt(template, text, redactedClientInfo, redactedRiskFlags, { summarized })
+      }
+    ];
+    const promptBudget = this.tokenBudget.promptBudget(resolvedModel);
+    let messages = noteMessages(formatTurns(redactedTurns), false);
+    const transcriptTokens = this.tokenBudget.countMessages(messages, resolvedModel);
+    const generation = {
+      mode: 'single-pass',
+      transcriptTokens,
+      contextWindow: this.tokenBudget.contextWindow(resolvedModel),
+      segments: 0
+    };
+
+    if (transcriptTokens > promptBudget) {
+      const scaffold = this.tokenBudget.countMessages(noteMessages('', true), resolvedModel);
+      const summaries = await this.summarize({
+        call,
+        template,
+        turns: redactedTurns,
+        model: resolvedModel,
+        promptBudget,
+        finalBudget: promptBudget - scaffold,
+        usage,
+        onProgress
+      });
+
+      generation.mode = 'multi-pass';
+      generation.segments = summaries.segmentCount;
+      messages = noteMessages(formatSummaries(summaries.summaries), true);
+      this.logger.info(`Session ${sessionId} transcript is ${transcriptTokens} tokens (budget ${promptBudget}); wrote note from ${summaries.segmentCount} segment summaries`);
+    }
+
+    generation.promptTokens = this.tokenBudget.countMessages(messages, resolvedModel);
+    onProgress('writing', 0);
+
+    let maxTokens = this.tokenBudget.maxOutputTokens;
+    for (let repair = 0; ; ) {
+      const completion = await this.noteModels.complete({
+        ...call,
+        messages,
+        temperature: 0.3,
+        maxTokens
+      });
+      addUsage(usage, completion.usage);
+
+      // A note cut off at the output limit can't be valid JSON; allow one retry with more room
+      if (completion.finishReason === 'length') {
+        const room = this.tokenBudget.contextWindow(resolvedModel) - this.tokenBudget.countMessages(messages, resolvedModel);
+        const larger = Math.min(maxTokens * 2, room);
+        warnings.push(`Note output reached the ${maxTokens}-token limit`);
+        this.logger.warn(`Generated ${template.id} note for session ${sessionId} was truncated at ${maxTokens} tokens`);
+
+        if (larger <= maxTokens || maxTokens > this.tokenBudget.maxOutputTokens) {
+          const error = new Error(`Generated note was truncated at the ${maxTokens}-token output limit`);
+          error.statusCode = 502;
+          throw error;
+        }
+        maxTokens = larger;
+        continue;
+      }
+
+      let sections;
+      let errors;
+      try {
+        sections = parseNoteJson(completion.content);
+        ({ errors } = this.templates.validate(template, sections));
+      } catch (error) {
+        errors = [error.message];
+      }
+
+      if (errors.length === 0) {
+        const restored = phi.restore(sections);
+        return {
+          sections: restored,
+          content: renderNoteText(template, restored),
+          provider: completion.provider,
+          model: completion.model,
+          usage,
+          generation: { ...generation, maxTokens, warnings },
+          phiMapping: phi.mapping,
+          redactionCount: phi.redactions.length
+        };
+      }
+
+      if (repair >= MAX_REPAIR_ATTEMPTS) {
+        const error = new Error(`Generated note did not match the ${template.id} template: ${errors.join('; ')}`);
+        error.statusCode = 502;
+        throw error;
+      }
+
+      repair++;
+      this.logger.warn(`Generated ${template.id} note failed validation, asking model to repair: ${errors.join('; ')}`);
+      messages.push(
+        { role: 'assistant', content: completion.content },
+        { role: 'user', content: createRepairPrompt(errors) }
+      );
+    }
+  }
+
+  /**
+   * Summarise each segment of a long session, then condense neighbouring summaries until
+   * they fit the final note prompt
+   */
+  async summarize({ call, template, turns, model, promptBudget, finalBudget, usage, onProgress }) {
+    const scaffold = this.tokenBudget.count(
+      createSegmentSummaryPrompt(template, '', { index: 0, total: 1 }), model
+    ) + this.tokenBudget.count(SYSTEM_PROMPT, model);
+
+    const segments = splitIntoSegments(turns, {
+      maxSeconds: this.segmentSeconds,
+      maxTokens: promptBudget - scaffold,
+      countTokens: text => this.tokenBudget.count(text, model)
+    });
+
+    let summaries = [];
+    for (let index = 0; index < segments.length; index++) {
+      const segment = segments[index];
+      const text = await this.complete(call, createSegmentSummaryPrompt(template, formatTurns(segment.turns), {
+        index,
+        total: segments.length,
+        start: segment.start,
+        end: segment.end
+      }), usage);
+      summaries.push({ start: segment.start, end: segment.end, text });
+      onProgress('summarizing', (index + 1) / segments.length);
+    }
+
+    // Condense groups of neighbouring summaries until the whole set fits
+    while (summaries.length > 1 && this.tokenBudget.count(formatSummaries(summaries), model) > finalBudget) {
+      const groups = groupByTokens(summaries, promptBudget - scaffold, text => this.tokenBudget.count(text, model));
+      if (groups.length === summaries.length) {
+        break;
+      }
+
+      const condensed = [];
+      for (const group of groups) {
+        condensed.push(group.length === 1 ? group[0] : {
+          start: group[0].start,
+          end: group[group.length - 1].end,
+          text: await this.complete(call, createCombineSummariesPrompt(template, formatSummaries(group)), usage)
+        });
+      }
+      summaries = condensed;
+    }
+
+    if (this.tokenBudget.count(formatSummaries(summaries), model) > finalBudget) {
+      const error = new Error('Session is too long to summarise within the model context window');
+      error.statusCode = 413;
+      throw error;
+    }
+
+    return { summaries, segmentCount: segments.length };
+  }
+
+  async complete(call, prompt, usage) {
+    const completion = await this.noteModels.complete({
+      ...call,
+      messages: [
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user', content: prompt }
+      ],
+      temperature: 0.2,
+      maxTokens: SUMMARY_MAX_TOKENS
+    });
+    addUsage(usage, completion.usage);
+
+    if (completion.finishReason === 'length') {
+      this.logger.warn(`Segment summary was truncated at ${SUMMARY_MAX_TOKENS} tokens`);
+    }
+    return completion.content.trim();
+  }
+}
+
+function formatSummaries(summaries) {
+  return summaries
+    .map((summary, index) => {
+      const range = typeof summary.start === 'number' && typeof summary.end === 'number'
+        ? ` (${formatOffset(summary.start)}-${formatOffset(summary.end)})`
+        : '';
+      return `Segment ${index + 1}${range}:\n${summary.text}`;
+    })
+    .join('\n\n');
+}
+
+// Consecutive runs of summaries that fit together within maxTokens
+function groupByTokens(summaries, maxTokens, countTokens) {
+  const groups = [];
+  let current = [];
+  let tokens = 0;
+
+  summaries.forEach((summary) => {
+    const size = countTokens(summary.text) + 20;
+    if (current.length > 0 && tokens + size > maxTokens) {
+      groups.push(current);
+      current = [];
+      tokens = 0;
+    }
+    current.push(summary);
+    tokens += size;
+  });
+  if (current.length > 0) {
+    groups.push(current);
+  }
+  return groups;
+}
+
+function addUsage(total, usage = {}) {
+  total.promptTokens += usage.promptTokens || 0;
+  total.completionTokens += usage.completionTokens || 0;
+  total.totalTokens += usage.totalTokens || 0;
+}
+
+module.exports = { NoteGenerator };
@@ -0,0 +1,221 @@
+/**
+ * Background note-generation jobs.
+ * Requests are queued and run a few at a time so HTTP callers don't wait on the model.
+ * Each job reports its stage and progress through `onUpdate`, failed attempts that are
+ * worth retrying are run again with exponential backoff, and a second request for a
+ * session that already has a job in flight gets that job back instead of a new one.
+ * Jobs are kept in memory and forgotten `retainMs` after they finish.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const ACTIVE_STATUSES = ['queued', 'running', 'retrying'];
+
+class NoteJobQueue {
+  constructor({ handler, isRetryable, onUpdate = () => {}, logger, concurrency = 2, maxAttempts = 3, retryDelayMs = 5000, retainMs = 60 * 60 * 1000 }) {
+    this.handler = handler;
+    this.isRetryable = isRetryable;
+    this.onUpdate = onUpdate;
+    this.logger = logger;
+    this.concurrency = concurrency;
+    this.maxAttempts = maxAttempts;
+    this.retryDelayMs = retryDelayMs;
+    this.retainMs = retainMs;
+
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+    this.waiters = new Map();
+  }
+
+  /**
+   * Queue a job; returns { job, duplicate } where duplicate means a job for the
+   * session was already in flight and is returned instead. A job in flight for another
+   * note type is a 409: both would write the session's one current note.
+   */
+  enqueue({ sessionId, actor, params }) {
+    const { tenantId } = actor;
+    const existing = Array.from(this.jobs.values()).find(job =>
+      job.sessionId === sessionId && job.tenantId === tenantId && ACTIVE_STATUSES.includes(job.status));
+    if (existing) {
+      if (existing.params.noteType !== params.noteType) {
+        const error = new Error(`A ${existing.params.noteType} note is already being generated for this session (job ${existing.id})`);
+        error.statusCode = 409;
+        throw error;
+      }
+      return { job: existing, duplicate: true };
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: uuidv4(),
+      sessionId,
+      tenantId,
+      actor,
+      params,
+      status: 'queued',
+      stage: 'queued',
+      progress: 0,
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    this.update(job);
+    this.pump();
+    return { job, duplicate: false };
+  }
+
+  /**
+   * Look up a job; jobs belonging to another tenant are not found
+   */
+  get(jobId, tenantId) {
+    const job = this.jobs.get(jobId);
+    return job && (tenantId === undefined || job.tenantId === tenantId) ? job : null;
+  }
+
+  /**
+   * Resolve with the job once it has completed or failed for good
+   */
+  wait(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || !ACTIVE_STATUSES.includes(job.status)) {
+      return Promise.resolve(job || null);
+    }
+    return new Promise((resolve) => {
+      this.waiters.set(jobId, (this.waiters.get(jobId) || []).concat(resolve));
+    });
+  }
+
+  /**
+   * Forget finished jobs for a session that has been erased, so their notes don't outlive it
+   */
+  discard(sessionId) {
+    this.jobs.forEach((job, id) => {
+      if (job.sessionId === sessionId && !ACTIVE_STATUSES.includes(job.status)) {
+        this.jobs.delete(id);
+      }
+    });
+  }
+
+  activeCount() {
+    return Array.from(this.jobs.values()).filter(job => ACTIVE_STATUSES.includes(job.status)).length;
+  }
+
+  pump() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this.running++;
+      this.run(job).finally(() => {
+        this.running--;
+        this.pump();
+      });
+    }
+  }
+
+  async run(job) {
+    job.attempts++;
+    job.status = 'running';
+    job.startedAt = job.startedAt || new Date().toISOString();
+    delete job.nextAttemptAt;
+    this.progress(job, 'starting', 5);
+
+    try {
+      job.result = await this.handler(job, (stage, progress) => this.progress(job, stage, progress));
+      job.status = 'completed';
+      job.stage = 'completed';
+      job.progress = 100;
+      delete job.error;
+      this.finish(job);
+    } catch (error) {
+      job.error = { message: error.message, statusCode: error.statusCode || 500 };
+
+      if (job.attempts < job.maxAttempts && this.isRetryable(error)) {
+        const delay = this.retryDelayMs * 2 ** (job.attempts - 1);
+        job.status = 'retrying';
+        job.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        this.logger.warn(`Note job ${job.id} attempt ${job.attempts} failed, retrying in ${delay}ms: ${error.message}`);
+        this.update(job);
+
+        setTimeout(() => {
+          this.pending.push(job);
+          this.pump();
+        }, delay);
+        return;
+      }
+
+      this.logger.error(`Note job ${job.id} failed after ${job.attempts} attempt(s): ${error.message}`);
+      job.status = 'failed';
+      this.finish(job);
+    }
+  }
+
+  progress(job, stage, progress) {
+    job.stage = stage;
+    job.progress = progress;
+    this.update(job);
+  }
+
+  update(job) {
+    job.updatedAt = new Date().toISOString();
+    try {
+      this.onUpdate(job);
+    } catch (error) {
+      this.logger.error('Note job update error:', error);
+    }
+  }
+
+  finish(job) {
+    job.completedAt = new Date().toISOString();
+    this.update(job);
+
+    (this.waiters.get(job.id) || []).forEach(resolve => resolve(job));
+    this.waiters.delete(job.id);
+
+    const timer = setTimeout(() => this.jobs.delete(job.id), this.retainMs);
+    timer.unref();
+  }
+}
+
+/**
+ * Public view of a job: no request parameters (which can carry client details) or result internals
+ */
+function describeJob(job) {
+  return {
+    id: job.id,
+    sessionId: job.sessionId,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    noteType: job.params.noteType,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    nextAttemptAt: job.nextAttemptAt,
+    noteId: job.result ? job.result.id : undefined,
+    error: job.error
+  };
+}
+
+/**
+ * Create the job queue configured for this deployment
+ */
+function createNoteJobQueue({ handler, isRetryable, onUpdate, logger, env = process.env }) {
+  return new NoteJobQueue({
+    handler,
+    isRetryable,
+    onUpdate,
+    logger,
+    concurrency: parseInt(env.NOTE_JOB_CONCURRENCY, 10) || 2,
+    maxAttempts: parseInt(env.NOTE_JOB_MAX_ATTEMPTS, 10) || 3,
+    retryDelayMs: env.NOTE_JOB_RETRY_DELAY_MS !== undefined ? parseInt(env.NOTE_JOB_RETRY_DELAY_MS, 10) : 5000
+  });
+}
+
+module.exports = { NoteJobQueue, createNoteJobQueue, describeJob };
@@ -0,0 +1,89 @@
+const { NoteJobQueue, describeJob } = require('./noteJobs');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+const actor = { tenantId: 'tenant-a', clinicianId: 'dr-lee' };
+
+function transient(message = 'Provider returned 503') {
+  return Object.assign(new Error(message), { statusCode: 503 });
+}
+
+describe('NoteJobQueue', () => {
+  let handler;
+  let updates;
+  let queue;
+
+  beforeEach(() => {
+    handler = jest.fn(async (job, progress) => {
+      progress('generating', 50);
+      return { id: 'note-1' };
+    });
+    updates = [];
+    queue = new NoteJobQueue({
+      handler,
+      isRetryable: error => error.statusCode === 503,
+      onUpdate: job => updates.push(`${job.status}:${job.stage}:${job.progress}`),
+      logger,
+      retryDelayMs: 0
+    });
+  });
+
+  test('runs a job and reports its progress', async () => {
+    const { job, duplicate } = queue.enqueue({ sessionId: 's1', actor, params: { noteType: 'soap' } });
+    const finished = await queue.wait(job.id);
+
+    expect(duplicate).toBe(false);
+    expect(describeJob(finished)).toMatchObject({ status: 'completed', progress: 100, attempts: 1, noteType: 'soap', noteId: 'note-1' });
+    expect(updates).toEqual(['queued:queued:0', 'running:starting:5', 'running:generating:50', 'completed:completed:100']);
+  });
+
+  test('returns the job in flight for a repeated request', async () => {
+    const first = queue.enqueue({ sessionId: 's1', actor, params: { noteType: 'soap' } });
+    const second = queue.enqueue({ sessionId: 's1', actor, params: { noteType: 'soap' } });
+    const otherTenant = queue.enqueue({ sessionId: 's1', actor: { tenantId: 'tenant-b' }, params: { noteType: 'soap' } });
+
+    expect(second).toEqual({ job: first.job, duplicate: true });
+    expect(otherTenant.duplicate).toBe(false);
+    await queue.wait(first.job.id);
+    expect(queue.enqueue({ sessionId: 's1', actor, params: { noteType: 'soap' } }).duplicate).toBe(false);
+  });
+
+  test('refuses a request for another note type while one is in flight', () => {
+    queue.enqueue({ sessionId: 's1', actor, params: { noteType: 'soap' } });
+    expect(() => queue.enqueue({ sessionId: 's1', actor, params: { noteType: 'dap' } }))
+      .toThrow(expect.objectContaining({ statusCode: 409 }));
+  });
+
+  test('retries transient failures up to maxAttempts', async () => {
+    handler.mockRejectedValueOnce(transient()).mockRejectedValueOnce(transient());
+    const { job } = queue.enqueue({ sessionId: 's1', actor, params: { noteType: 'soap' } });
+    const finished = await queue.wait(job.id);
+
+    expect(finished).toMatchObject({ status: 'completed', attempts: 3 });
+    expect(updates).toContain('retrying:starting:5');
+  });
+
+  test('fails for good on errors that are not worth retrying', async () => {
+    handler.mockRejectedValue(Object.assign(new Error('Generated note did not match the template'), { statusCode: 502 }));
+    const { job } = queue.enqueue({ sessionId: 's1', actor, params: { noteType: 'soap' } });
+    const finished = await queue.wait(job.id);
+
+    expect(finished).toMatchObject({ status: 'failed', attempts: 1, error: { statusCode: 502 } });
+    expect(queue.get(job.id, 'tenant-b')).toBeNull();
+  });
+
+  test('runs no more than `concurrency` jobs at once', async () => {
+    let running = 0;
+    let most = 0;
+    handler.mockImplementation(async () => {
+      running++;
+      most = Math.max(most, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+      return { id: 'note' };
+    });
+
+    const jobs = ['s1', 's2', 's3', 's4'].map(sessionId => queue.enqueue({ sessionId, actor, params: { noteType: 'soap' } }).job);
+    await Promise.all(jobs.map(job => queue.wait(job.id)));
+    expect(most).toBe(2);
+  });
+});
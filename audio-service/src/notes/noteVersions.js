@@ -0,0 +1,255 @@
+/**
+ * Clinical note lifecycle and version history.
+ * A session's current note lives on `session.clinicalNote`; every change to it is also
+ * kept as a full snapshot in `session.noteVersions`. Notes move from an AI `draft`
+ * through clinician `edited` to `signed`, after which they are locked and can only be
+ * `amended` with a reason. These functions mutate the session and are meant to run
+ * inside a session store update.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { renderNoteText } = require('./structuredNote');
+const { diffWords } = require('./noteDiff');
+
+const NOTE_STATUSES = ['draft', 'edited', 'signed', 'amended'];
+const LOCKED_STATUSES = ['signed', 'amended'];
+
+function isLocked(note) {
+  return Boolean(note) && LOCKED_STATUSES.includes(note.status);
+}
+
+/**
+ * Find a session's note by id; `latest` is the current note
+ */
+function findNote(session, noteId) {
+  const note = session.clinicalNote;
+  if (!note) {
+    return null;
+  }
+  return noteId === 'latest' || note.id === noteId ? note : null;
+}
+
+/**
+ * Make a freshly generated note the session's current draft.
+ * Regenerating keeps the note id and adds a version; signed notes are refused.
+ */
+function recordGeneratedNote(session, note, actor) {
+  const current = session.clinicalNote;
+  if (isLocked(current)) {
+    throw workflowError(409, 'Note is signed and cannot be regenerated; amend it instead');
+  }
+  if (current) {
+    seedHistory(session, current);
+  }
+
+  const id = current ? current.id : uuidv4();
+  const clinicalNote = { ...note, id, status: 'draft', version: nextVersion(session, id) };
+  session.clinicalNote = clinicalNote;
+  addVersion(session, clinicalNote, 'generate', actor);
+  return clinicalNote;
+}
+
+/**
+ * Apply clinician edits to an unsigned note. `sections` may be partial.
+ */
+function editNote(session, noteId, { sections, actor, template, validate }) {
+  const note = requireNote(session, noteId);
+  if (isLocked(note)) {
+    throw workflowError(409, 'Note is signed and locked; amend it with a reason instead');
+  }
+
+  applySections(note, sections, template, validate);
+  note.status = 'edited';
+  bump(session, note);
+  addVersion(session, note, 'edit', actor);
+  return note;
+}
+
+/**
+ * Sign and lock a note
+ */
+function signNote(session, noteId, { actor, name }) {
+  const note = requireNote(session, noteId);
+  if (isLocked(note)) {
+    throw workflowError(409, 'Note is already signed');
+  }
+  if (!actor.clinicianId) {
+    throw workflowError(400, 'Signing requires an authenticated clinician');
+  }
+
+  note.status = 'signed';
+  note.signature = {
+    clinicianId: actor.clinicianId,
+    name: name ? String(name).trim() : null,
+    signedAt: new Date().toISOString()
+  };
+  bump(session, note);
+  addVersion(session, note, 'sign', actor);
+  return note;
+}
+
+/**
+ * Amend a signed note; the reason is kept on the note and in its history
+ */
+function amendNote(session, noteId, { sections, reason, actor, template, validate }) {
+  const note = requireNote(session, noteId);
+  if (!isLocked(note)) {
+    throw workflowError(409, 'Only signed notes can be amended; edit the draft instead');
+  }
+  if (!reason || !String(reason).trim()) {
+    throw workflowError(400, 'An amendment needs a reason');
+  }
+
+  applySections(note, sections, template, validate);
+  note.status = 'amended';
+  bump(session, note);
+  note.amendments = (note.amendments || []).concat({
+    version: note.version,
+    reason: String(reason).trim(),
+    clinicianId: actor.clinicianId || null,
+    amendedAt: note.updatedAt
+  });
+  addVersion(session, note, 'amend', actor, String(reason).trim());
+  return note;
+}
+
+/**
+ * Version summaries for a note, oldest first
+ */
+function listVersions(session, noteId) {
+  const note = findNote(session, noteId);
+  if (!note) {
+    return null;
+  }
+  return versionsOf(session, note).map(({ sections, content, ...summary }) => summary);
+}
+
+function getVersion(session, noteId, version) {
+  const note = findNote(session, noteId);
+  if (!note) {
+    return null;
+  }
+  return versionsOf(session, note).find(v => v.version === Number(version)) || null;
+}
+
+/**
+ * Section-by-section word diff between two versions; defaults to the previous version vs the current one
+ */
+function diffVersions(session, noteId, from, to) {
+  const note = requireNote(session, noteId);
+  const toVersion = to !== undefined ? Number(to) : note.version || 1;
+  const fromVersion = from !== undefined ? Number(from) : toVersion - 1;
+
+  const before = getVersion(session, noteId, fromVersion);
+  const after = getVersion(session, noteId, toVersion);
+  if (!before || !after) {
+    throw workflowError(404, `Version not found: ${!before ? fromVersion : toVersion}`);
+  }
+
+  const a = before.sections || {};
+  const b = after.sections || {};
+  const sections = Array.from(new Set([...Object.keys(a), ...Object.keys(b)]))
+    .filter(key => sectionText(a[key]) !== sectionText(b[key]))
+    .map(key => ({ key, changes: diffWords(sectionText(a[key]), sectionText(b[key])) }));
+
+  return {
+    noteId: note.id,
+    from: { version: before.version, status: before.status },
+    to: { version: after.version, status: after.status },
+    sections
+  };
+}
+
+function requireNote(session, noteId) {
+  const note = findNote(session, noteId);
+  if (!note) {
+    throw workflowError(404, 'Note not found');
+  }
+  seedHistory(session, note);
+  return note;
+}
+
+// Notes generated before versioning have no history; start it from what's stored
+function seedHistory(session, note) {
+  if (!note.id) {
+    note.id = uuidv4();
+  }
+  if (!note.version) {
+    note.status = note.status || 'draft';
+    note.version = 1;
+    addVersion(session, note, 'generate', {});
+  }
+}
+
+function applySections(note, sections, template, validate) {
+  if (!sections || typeof sections !== 'object' || Array.isArray(sections)) {
+    throw workflowError(400, 'sections must be an object of section text keyed by section');
+  }
+
+  const merged = { ...note.sections, ...sections };
+  const result = validate(merged);
+  if (!result.valid) {
+    const error = workflowError(400, 'Note sections do not match the template');
+    error.details = result.errors;
+    throw error;
+  }
+
+  note.sections = merged;
+  note.content = renderNoteText(template || { sections: Object.keys(merged).map(key => ({ key, title: key })) }, merged);
+  note.wordCount = note.content.split(/\s+/).length;
+}
+
+function bump(session, note) {
+  note.version = nextVersion(session, note.id);
+  note.updatedAt = new Date().toISOString();
+}
+
+function nextVersion(session, noteId) {
+  return versionsOf(session, { id: noteId }).reduce((max, v) => Math.max(max, v.version), 0) + 1;
+}
+
+function addVersion(session, note, action, actor = {}, reason) {
+  session.noteVersions = session.noteVersions || [];
+  session.noteVersions.push({
+    noteId: note.id,
+    version: note.version,
+    status: note.status,
+    action,
+    reason,
+    noteType: note.noteType,
+    sections: { ...note.sections },
+    content: note.content,
+    clinicianId: actor.clinicianId || null,
+    createdAt: new Date().toISOString()
+  });
+}
+
+function versionsOf(session, note) {
+  return (session.noteVersions || []).filter(v => v.noteId === note.id);
+}
+
+function sectionText(value) {
+  if (value === undefined) {
+    return '';
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+}
+
+function workflowError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+module.exports = {
+  NOTE_STATUSES,
+  isLocked,
+  findNote,
+  recordGeneratedNote,
+  editNote,
+  signNote,
+  amendNote,
+  listVersions,
+  getVersion,
+  diffVersions
+};
@@ -0,0 +1,107 @@
+const {
+  recordGeneratedNote,
+  editNote,
+  signNote,
+  amendNote,
+  listVersions,
+  getVersion,
+  diffVersions
+} = require('./noteVersions');
+
+const clinician = { clinicianId: 'clinician-1' };
+const valid = () => ({ valid: true });
+
+function generated() {
+  return { noteType: 'soap', sections: { subjective: 'Feels tired', plan: 'Follow up' }, content: 'Feels tired' };
+}
+
+describe('noteVersions', () => {
+  let session;
+
+  beforeEach(() => {
+    session = { id: 'session-1' };
+  });
+
+  test('regenerating keeps the note id and adds a version', () => {
+    const first = recordGeneratedNote(session, generated(), clinician);
+    const second = recordGeneratedNote(session, generated(), clinician);
+
+    expect(second.id).toBe(first.id);
+    expect(second).toMatchObject({ status: 'draft', version: 2 });
+    expect(listVersions(session, 'latest').map(v => v.action)).toEqual(['generate', 'generate']);
+  });
+
+  test('edits merge sections and diff against the previous version', () => {
+    const note = recordGeneratedNote(session, generated(), clinician);
+    editNote(session, note.id, { sections: { plan: 'Follow up in two weeks' }, actor: clinician, validate: valid });
+
+    expect(session.clinicalNote).toMatchObject({ status: 'edited', version: 2 });
+    expect(session.clinicalNote.sections.subjective).toBe('Feels tired');
+    expect(session.clinicalNote.content).toBe('subjective:\nFeels tired\n\nplan:\nFollow up in two weeks');
+
+    const diff = diffVersions(session, note.id);
+    expect(diff.from.version).toBe(1);
+    expect(diff.to.version).toBe(2);
+    expect(diff.sections).toEqual([{
+      key: 'plan',
+      changes: [{ type: 'equal', text: 'Follow up' }, { type: 'insert', text: ' in two weeks' }]
+    }]);
+  });
+
+  test('rejects sections that fail validation', () => {
+    const note = recordGeneratedNote(session, generated(), clinician);
+    const validate = () => ({ valid: false, errors: ['plan is required'] });
+
+    expect(() => editNote(session, note.id, { sections: { plan: '' }, actor: clinician, validate }))
+      .toThrow(expect.objectContaining({ statusCode: 400, details: ['plan is required'] }));
+    expect(session.clinicalNote.version).toBe(1);
+  });
+
+  test('signing locks the note against edits and regeneration', () => {
+    const note = recordGeneratedNote(session, generated(), clinician);
+    signNote(session, note.id, { actor: clinician, name: ' Dr. Lee ' });
+
+    expect(session.clinicalNote.status).toBe('signed');
+    expect(session.clinicalNote.signature).toMatchObject({ clinicianId: 'clinician-1', name: 'Dr. Lee' });
+    expect(() => editNote(session, note.id, { sections: {}, actor: clinician, validate: valid })).toThrow(expect.objectContaining({ statusCode: 409 }));
+    expect(() => recordGeneratedNote(session, generated(), clinician)).toThrow(expect.objectContaining({ statusCode: 409 }));
+    expect(() => signNote(session, note.id, { actor: clinician })).toThrow('Note is already signed');
+  });
+
+  test('only an authenticated clinician can sign', () => {
+    const note = recordGeneratedNote(session, generated(), clinician);
+    expect(() => signNote(session, note.id, { actor: {} })).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  test('amending a signed note needs a reason and keeps it', () => {
+    const note = recordGeneratedNote(session, generated(), clinician);
+    expect(() => amendNote(session, note.id, { sections: {}, reason: 'typo', actor: clinician, validate: valid }))
+      .toThrow('Only signed notes can be amended; edit the draft instead');
+
+    signNote(session, note.id, { actor: clinician });
+    expect(() => amendNote(session, note.id, { sections: {}, reason: ' ', actor: clinician, validate: valid }))
+      .toThrow('An amendment needs a reason');
+
+    amendNote(session, note.id, { sections: { plan: 'Discharge' }, reason: ' Wrong plan ', actor: clinician, validate: valid });
+    expect(session.clinicalNote).toMatchObject({ status: 'amended', version: 3 });
+    expect(session.clinicalNote.amendments).toEqual([expect.objectContaining({ version: 3, reason: 'Wrong plan', clinicianId: 'clinician-1' })]);
+    expect(listVersions(session, note.id).map(({ action, reason }) => [action, reason])).toEqual([
+      ['generate', undefined], ['sign', undefined], ['amend', 'Wrong plan']
+    ]);
+    expect(getVersion(session, note.id, 1).sections.plan).toBe('Follow up');
+  });
+
+  test('starts history for notes stored before versioning', () => {
+    session.clinicalNote = { sections: { plan: 'Rest' }, content: 'plan:\nRest' };
+    editNote(session, 'latest', { sections: { plan: 'Rest more' }, actor: clinician, validate: valid });
+
+    expect(listVersions(session, 'latest').map(v => [v.version, v.action])).toEqual([[1, 'generate'], [2, 'edit']]);
+  });
+
+  test('reports unknown notes and versions', () => {
+    expect(listVersions(session, 'latest')).toBeNull();
+    const note = recordGeneratedNote(session, generated(), clinician);
+    expect(() => diffVersions(session, note.id, 1, 5)).toThrow('Version not found: 5');
+    expect(() => signNote(session, 'other', { actor: clinician })).toThrow('Note not found');
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Prompts for clinical note generation
+ */
+
+const SYSTEM_PROMPT = 'You are a HIPAA-compliant clinical documentation AI assistant specializing in mental health therapy notes. Generate professional, objective, behaviorally anchored clinical notes.';
+
+/**
+ * Prompt for the note itself, from the full transcript or, for long sessions, from
+ * summaries of consecutive segments (`summarized: true`)
+ */
+function createClinicalNotePrompt(template, transcript, clientInfo, riskFlags = [], { summarized = false } = {}) {
+  const riskSummary = riskFlags.length
+    ? riskFlags.map((flag) => {
+      const at = flagTime(flag);
+      return `- ${flag.label}: "${flag.matchedText}"${at !== null ? ` at ${formatOffset(at)}` : ''}`;
+    }).join('\n')
+    : '- None flagged by automated screening';
+
+  const sectionInstructions = template.sections
+    .map(section => `- "${section.key}" (${section.title}): ${section.instructions}`)
+    .join('\n');
+
+  const basePrompt = `
+Generate a professional ${template.name} based on the following therapy session ${summarized ? 'segment summaries, which cover the whole session in order' : 'transcript'}.
+
+Client Information:
+- Name: ${clientInfo.name || 'Client'}
+- Date of Birth: ${clientInfo.dob || 'Not provided'}
+- Session Date: ${new Date().toLocaleDateString()}
+- Session Type: ${clientInfo.sessionType || 'Individual Therapy'}
+
+${summarized ? 'Session Segment Summaries' : 'Session Transcript'}:
+${transcript}
+
+Risk Indicators Flagged During Session:
+${riskSummary}
+
+Requirements:
+- Use objective, behaviorally anchored language
+- Maintain HIPAA compliance
+- Include relevant clinical observations
+- Avoid subjective interpretations
+- Include a risk assessment; address every flagged risk indicator and the clinician's response to it
+- Suggest treatment plan elements
+
+Sections:
+${sectionInstructions}
+
+Respond with a single JSON object and nothing else. It must match this JSON schema:
+\`\`\`json
+${JSON.stringify(template.schema, null, 2)}
+\`\`\`
+`;
+
+  return basePrompt;
+}
+
+/**
+ * Prompt summarising one segment of a long session, for the note to be written from later
+ */
+function createSegmentSummaryPrompt(template, segmentText, { index, total, start, end }) {
+  const range = start !== undefined && end !== undefined ? ` (${formatOffset(start)}-${formatOffset(end)})` : '';
+
+  return `
+This is segment ${index + 1} of ${total}${range} of a therapy session transcript. A ${template.name} will be written later from the summaries of every segment, so summarise this segment for that purpose.
+
+Keep:
+- The client's reported concerns, symptoms, mood and relevant history
+- Observable presentation and engagement
+- Clinician interventions and how the client responded
+- Goals, homework, plans and follow-up agreed
+- Any statement about suicide, self-harm, harm to others or abuse, quoted verbatim with who said it
+- Placeholders such as [NAME_1] exactly as written
+
+Write concise bullet points (at most 300 words). Do not write the note itself.
+
+Segment Transcript:
+${segmentText}
+`;
+}
+
+/**
+ * Prompt condensing several consecutive segment summaries into one
+ */
+function createCombineSummariesPrompt(template, summariesText) {
+  return `
+The following are summaries of consecutive segments of one therapy session. Combine them into a single summary of the whole span, in order, for a ${template.name} to be written from later. Keep every risk-related statement verbatim, keep placeholders such as [NAME_1] exactly as written, and use concise bullet points (at most 400 words).
+
+Segment Summaries:
+${summariesText}
+`;
+}
+
+// Where the flag falls on the session timeline; the chunk-relative time for flags placed before it existed
+function flagTime(flag) {
+  if (flag.sessionStart !== undefined && flag.sessionStart !== null) {
+    return flag.sessionStart;
+  }
+  return flag.start !== undefined ? flag.start : null;
+}
+
+// Seconds into the recording as m:ss
+function formatOffset(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.floor(seconds % 60).toString().padStart(2, '0');
+  return `${minutes}:${rest}`;
+}
+
+/**
+ * Follow-up prompt asking the model to fix a note that failed schema validation
+ */
+function createRepairPrompt(errors) {
+  return `The JSON you returned did not match the schema:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return the corrected JSON object only.`;
+}
+
+module.exports = {
+  SYSTEM_PROMPT,
+  createClinicalNotePrompt,
+  createSegmentSummaryPrompt,
+  createCombineSummariesPrompt,
+  createRepairPrompt,
+  formatOffset
+};
@@ -0,0 +1,17 @@
+const { createClinicalNotePrompt } = require('./prompt');
+
+const template = { name: 'SOAP Note', sections: [{ key: 'plan', title: 'Plan', instructions: 'Next steps' }], schema: { type: 'object' } };
+
+describe('createClinicalNotePrompt', () => {
+  test('times risk flags on the session timeline', () => {
+    const prompt = createClinicalNotePrompt(template, 'transcript', {}, [
+      { label: 'Self-harm', matchedText: 'hurt myself', start: 12, sessionStart: 612 },
+      { label: 'Substance use', matchedText: 'drinking', start: 75 },
+      { label: 'Violence', matchedText: 'hit him', start: null }
+    ]);
+
+    expect(prompt).toContain('- Self-harm: "hurt myself" at 10:12');
+    expect(prompt).toContain('- Substance use: "drinking" at 1:15');
+    expect(prompt).toContain('- Violence: "hit him"\n');
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * Parsing and rendering of structured (sectioned) clinical notes
+ */
+
+/**
+ * Pull the JSON object out of a model response, tolerating code fences and stray prose
+ */
+function parseNoteJson(content) {
+  const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1] : content;
+
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('Model response did not contain a JSON object');
+  }
+
+  return JSON.parse(candidate.slice(start, end + 1));
+}
+
+/**
+ * Render sections as plain text in template order
+ */
+function renderNoteText(template, sections) {
+  return template.sections
+    .filter(section => sections[section.key] !== undefined)
+    .map((section) => {
+      const value = sections[section.key];
+      const body = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+      return `${section.title}:\n${body}`;
+    })
+    .join('\n\n');
+}
+
+module.exports = { parseNoteJson, renderNoteText };
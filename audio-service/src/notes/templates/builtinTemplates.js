@@ -0,0 +1,99 @@
+/**
+ * Built-in clinical note templates
+ */
+
+const PLAN = {
+  key: 'plan',
+  title: 'Plan',
+  instructions: 'Next steps agreed in session: homework, interventions to continue or introduce, referrals, and the date or frequency of the next session.'
+};
+
+module.exports = [
+  {
+    id: 'SOAP',
+    name: 'SOAP Note',
+    description: 'Subjective, Objective, Assessment, Plan',
+    sections: [
+      {
+        key: 'subjective',
+        title: 'Subjective',
+        instructions: "The client's self-reported concerns, symptoms, mood and relevant history, paraphrased or briefly quoted."
+      },
+      {
+        key: 'objective',
+        title: 'Objective',
+        instructions: 'Observable presentation: appearance, behavior, affect, speech and engagement. Measurable facts only.'
+      },
+      {
+        key: 'assessment',
+        title: 'Assessment',
+        instructions: 'Clinical interpretation of progress toward goals, symptom changes and any risk factors identified.'
+      },
+      PLAN
+    ]
+  },
+  {
+    id: 'DAP',
+    name: 'DAP Note',
+    description: 'Data, Assessment, Plan',
+    sections: [
+      {
+        key: 'data',
+        title: 'Data',
+        instructions: 'Combined subjective and objective information: what the client reported and what was observed in session.'
+      },
+      {
+        key: 'assessment',
+        title: 'Assessment',
+        instructions: 'Clinical interpretation of the data, progress toward treatment goals and any risk factors identified.'
+      },
+      PLAN
+    ]
+  },
+  {
+    id: 'BIRP',
+    name: 'BIRP Note',
+    description: 'Behavior, Intervention, Response, Plan',
+    sections: [
+      {
+        key: 'behavior',
+        title: 'Behavior',
+        instructions: "The client's presenting behavior, mood, affect and reported concerns during the session."
+      },
+      {
+        key: 'intervention',
+        title: 'Intervention',
+        instructions: 'Therapeutic interventions and techniques the clinician used, named specifically (e.g. CBT thought record).'
+      },
+      {
+        key: 'response',
+        title: 'Response',
+        instructions: "The client's response to each intervention, including engagement and any shifts in insight or affect."
+      },
+      PLAN
+    ]
+  },
+  {
+    id: 'GIRP',
+    name: 'GIRP Note',
+    description: 'Goals, Intervention, Response, Plan',
+    sections: [
+      {
+        key: 'goals',
+        title: 'Goals',
+        instructions: 'Treatment-plan goals and objectives addressed in this session.'
+      },
+      {
+        key: 'intervention',
+        title: 'Intervention',
+        instructions: 'Therapeutic interventions used to work toward the goals, named specifically.'
+      },
+      {
+        key: 'response',
+        title: 'Response',
+        instructions: "The client's response to the interventions and progress toward each goal."
+      },
+      PLAN
+    ]
+  }
+];
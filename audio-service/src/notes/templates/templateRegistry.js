@@ -0,0 +1,187 @@
+/**
+ * Note template registry.
+ * Serves the built-in templates plus clinic-defined custom templates, and compiles
+ * each template's JSON schema for validating generated notes. Custom templates are
+ * private to the tenant that registered them, and encrypted under the tenant's data key
+ * when a key ring is configured.
+ */
+
+const path = require('path');
+const Ajv = require('ajv');
+const MemoryBackend = require('../../sessions/memoryBackend');
+const FileBackend = require('../../sessions/fileBackend');
+const { EncryptedBackend } = require('../../encryption/encryptedBackend');
+const builtinTemplates = require('./builtinTemplates');
+
+const TEMPLATE_ID = /^[A-Za-z0-9_-]{2,40}$/;
+const SECTION_KEY = /^[a-z][A-Za-z0-9]*$/;
+
+class TemplateRegistry {
+  constructor(createBackend) {
+    this.createBackend = createBackend;
+    this.backends = new Map();
+    this.ajv = new Ajv({ allErrors: true });
+    this.validators = new Map();
+    this.builtins = new Map(
+      builtinTemplates.map(template => [template.id, normalizeTemplate({ ...template, builtin: true })])
+    );
+  }
+
+  backendFor(tenantId) {
+    if (!this.backends.has(tenantId)) {
+      this.backends.set(tenantId, this.createBackend(tenantId));
+    }
+    return this.backends.get(tenantId);
+  }
+
+  async list(tenantId) {
+    const backend = this.backendFor(tenantId);
+    const customIds = await backend.keys();
+    const custom = await Promise.all(customIds.map(id => backend.read(id)));
+    return [...this.builtins.values(), ...custom.filter(Boolean)];
+  }
+
+  /**
+   * Look up a template by id, case-insensitively
+   */
+  async get(id, tenantId) {
+    if (!id) {
+      return null;
+    }
+    const key = String(id).toUpperCase();
+    return this.builtins.get(key) || (TEMPLATE_ID.test(key) ? this.backendFor(tenantId).read(key) : null);
+  }
+
+  async register(definition, tenantId) {
+    const template = normalizeTemplate({ ...definition, builtin: false });
+    if (this.builtins.has(template.id)) {
+      throw validationError(`Template ${template.id} is built in and cannot be replaced`);
+    }
+
+    try {
+      this.ajv.compile(template.schema);
+    } catch (error) {
+      throw validationError(`Invalid template schema: ${error.message}`);
+    }
+
+    template.tenantId = tenantId;
+    template.updatedAt = new Date().toISOString();
+    await this.backendFor(tenantId).write(template.id, template);
+    return template;
+  }
+
+  async remove(id, tenantId) {
+    const key = String(id).toUpperCase();
+    if (this.builtins.has(key)) {
+      throw validationError(`Template ${key} is built in and cannot be deleted`);
+    }
+    return TEMPLATE_ID.test(key) ? this.backendFor(tenantId).remove(key) : false;
+  }
+
+  /**
+   * Re-encrypt the tenant's custom templates under its active data key
+   */
+  async reencrypt(tenantId) {
+    const backend = this.backendFor(tenantId);
+    const previousKeyIds = new Set();
+    let count = 0;
+
+    for (const id of await backend.keys()) {
+      const previous = await backend.reencrypt(id, tenantId);
+      if (previous !== undefined) {
+        count++;
+        if (previous) {
+          previousKeyIds.add(previous);
+        }
+      }
+    }
+    return { count, previousKeyIds: Array.from(previousKeyIds) };
+  }
+
+  /**
+   * Check generated note sections against the template schema
+   */
+  validate(template, sections) {
+    const cacheKey = `${template.tenantId || ''}:${template.id}:${template.updatedAt || 'builtin'}`;
+    let validator = this.validators.get(cacheKey);
+    if (!validator) {
+      validator = this.ajv.compile(template.schema);
+      this.validators.set(cacheKey, validator);
+    }
+
+    const valid = validator(sections);
+    return {
+      valid,
+      errors: valid ? [] : validator.errors.map(e => `${e.instancePath || '(root)'} ${e.message}`)
+    };
+  }
+}
+
+/**
+ * Check a template definition and fill in a schema derived from its sections
+ */
+function normalizeTemplate(definition) {
+  if (!definition || !TEMPLATE_ID.test(definition.id || '')) {
+    throw validationError('Template id must be 2-40 letters, digits, dashes or underscores');
+  }
+  if (!Array.isArray(definition.sections) || definition.sections.length === 0) {
+    throw validationError('Template must define at least one section');
+  }
+
+  const sections = definition.sections.map((section) => {
+    if (!section || !SECTION_KEY.test(section.key || '')) {
+      throw validationError('Section keys must be camelCase identifiers');
+    }
+    if (!section.instructions) {
+      throw validationError(`Section ${section.key} needs instructions`);
+    }
+    return {
+      key: section.key,
+      title: section.title || section.key,
+      instructions: section.instructions
+    };
+  });
+
+  const schema = definition.schema || {
+    type: 'object',
+    required: sections.map(section => section.key),
+    properties: Object.fromEntries(sections.map(section => [section.key, { type: 'string', minLength: 1 }])),
+    additionalProperties: false
+  };
+
+  if (schema.type !== 'object') {
+    throw validationError('Template schema must describe an object');
+  }
+
+  return {
+    id: definition.id.toUpperCase(),
+    name: definition.name || definition.id,
+    description: definition.description || '',
+    builtin: Boolean(definition.builtin),
+    sections,
+    schema
+  };
+}
+
+function validationError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Create the registry configured for this deployment
+ */
+function createTemplateRegistry(options = {}) {
+  const type = options.type || process.env.SESSION_STORE || 'file';
+  const directory = options.directory || process.env.TEMPLATE_STORE_DIR || path.join('data', 'templates');
+
+  return new TemplateRegistry((tenantId) => {
+    const backend = type === 'memory' ? new MemoryBackend() : new FileBackend(path.join(directory, tenantId));
+    return options.keyRing
+      ? new EncryptedBackend(backend, { keyRing: options.keyRing, tenantOf: () => tenantId, logger: options.logger })
+      : backend;
+  });
+}
+
+module.exports = { TemplateRegistry, createTemplateRegistry };
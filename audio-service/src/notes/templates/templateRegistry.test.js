@@ -0,0 +1,95 @@
+const { createTemplateRegistry } = require('./templateRegistry');
+
+const progressNote = {
+  id: 'progress-note',
+  name: 'Progress note',
+  sections: [
+    { key: 'summary', title: 'Summary', instructions: 'What happened in the session' },
+    { key: 'nextSteps', instructions: 'Agreed next steps' }
+  ]
+};
+
+describe('TemplateRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = createTemplateRegistry({ type: 'memory' });
+  });
+
+  test('serves the built-in templates to every tenant, case-insensitively', async () => {
+    const soap = await registry.get('soap', 't1');
+
+    expect(soap).toMatchObject({ id: 'SOAP', builtin: true });
+    expect(soap.sections.map(section => section.key)).toEqual(['subjective', 'objective', 'assessment', 'plan']);
+    expect((await registry.list()).map(template => template.id)).toEqual(expect.arrayContaining(['SOAP', 'DAP', 'BIRP', 'GIRP']));
+  });
+
+  test('registers a custom template with a schema derived from its sections', async () => {
+    const template = await registry.register(progressNote, 't1');
+
+    expect(template).toMatchObject({ id: 'PROGRESS-NOTE', builtin: false, tenantId: 't1' });
+    expect(template.sections[1]).toEqual({ key: 'nextSteps', title: 'nextSteps', instructions: 'Agreed next steps' });
+    expect(template.schema).toEqual({
+      type: 'object',
+      required: ['summary', 'nextSteps'],
+      properties: { summary: { type: 'string', minLength: 1 }, nextSteps: { type: 'string', minLength: 1 } },
+      additionalProperties: false
+    });
+    expect(await registry.get('Progress-Note', 't1')).toMatchObject({ id: 'PROGRESS-NOTE' });
+  });
+
+  test('keeps custom templates private to the tenant that registered them', async () => {
+    await registry.register(progressNote, 't1');
+
+    expect(await registry.get('PROGRESS-NOTE', 't2')).toBeNull();
+    expect((await registry.list('t2')).some(template => template.id === 'PROGRESS-NOTE')).toBe(false);
+    expect(await registry.remove('PROGRESS-NOTE', 't2')).toBe(false);
+    expect(await registry.remove('PROGRESS-NOTE', 't1')).toBe(true);
+    expect(await registry.get('PROGRESS-NOTE', 't1')).toBeNull();
+  });
+
+  test('rejects malformed definitions with a 400', async () => {
+    const cases = [
+      [{ ...progressNote, id: 'x' }, 'Template id must be 2-40 letters'],
+      [{ ...progressNote, sections: [] }, 'at least one section'],
+      [{ ...progressNote, sections: [{ key: 'Next steps', instructions: 'x' }] }, 'camelCase'],
+      [{ ...progressNote, sections: [{ key: 'summary' }] }, 'Section summary needs instructions'],
+      [{ ...progressNote, schema: { type: 'array' } }, 'must describe an object'],
+      [{ ...progressNote, schema: { type: 'object', properties: { summary: { type: 'text' } } } }, 'Invalid template schema'],
+      [{ ...progressNote, id: 'soap' }, 'Template SOAP is built in and cannot be replaced']
+    ];
+
+    for (const [definition, message] of cases) {
+      await expect(registry.register(definition, 't1')).rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining(message) });
+    }
+    await expect(registry.remove('dap', 't1')).rejects.toThrow('Template DAP is built in and cannot be deleted');
+  });
+
+  test('validates generated sections against the template schema', async () => {
+    const template = await registry.register(progressNote, 't1');
+
+    expect(registry.validate(template, { summary: 'Discussed sleep.', nextSteps: 'Sleep diary.' })).toEqual({ valid: true, errors: [] });
+
+    const { valid, errors } = registry.validate(template, { summary: '', extra: 'x' });
+    expect(valid).toBe(false);
+    expect(errors).toEqual(expect.arrayContaining([
+      '(root) must have required property \'nextSteps\'',
+      '(root) must NOT have additional properties',
+      '/summary must NOT have fewer than 1 characters'
+    ]));
+  });
+
+  test('validates against a template\'s own schema when it brings one', async () => {
+    const template = await registry.register({
+      ...progressNote,
+      schema: {
+        type: 'object',
+        required: ['summary'],
+        properties: { summary: { type: 'string' }, nextSteps: { type: 'array', items: { type: 'string' } } }
+      }
+    }, 't1');
+
+    expect(registry.validate(template, { summary: 'ok', nextSteps: ['diary'] }).valid).toBe(true);
+    expect(registry.validate(template, { summary: 'ok', nextSteps: 'diary' }).errors).toEqual(['/nextSteps must be array']);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Token counting and model context limits for note generation.
+ * Counts use the model's own tokenizer when js-tiktoken knows the model and cl100k_base
+ * otherwise, which is close enough to budget against other GPT-style models. Context
+ * windows come from the table below unless LLM_CONTEXT_TOKENS pins one (Azure deployment
+ * names and self-hosted models can't be looked up).
+ */
+
+const { getEncoding, encodingForModel } = require('js-tiktoken');
+
+const CONTEXT_WINDOWS = [
+  [/^gpt-4\.1/, 1047576],
+  [/^gpt-4o/, 128000],
+  [/^gpt-4-turbo|^gpt-4-(1106|0125)/, 128000],
+  [/^gpt-4-32k/, 32768],
+  [/^gpt-4/, 8192],
+  [/^gpt-3\.5-turbo|^gpt-35-turbo/, 16385]
+];
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Chat formats add a few tokens of framing per message
+const MESSAGE_OVERHEAD = 4;
+
+class TokenBudget {
+  constructor({ contextWindow, maxOutputTokens = 2000, safetyMargin = 0.05 } = {}) {
+    this.fixedContextWindow = contextWindow;
+    this.maxOutputTokens = maxOutputTokens;
+    this.safetyMargin = safetyMargin;
+    this.encoders = new Map();
+    if (contextWindow) {
+      this.check();
+    }
+  }
+
+  /**
+   * Throw when the room kept for the response leaves none for a prompt to `model`
+   */
+  check(model) {
+    if (this.promptBudget(model) <= 0) {
+      const window = `${this.contextWindow(model)}-token context window${model ? ` of ${model}` : ''}`;
+      throw new Error(`LLM_MAX_OUTPUT_TOKENS (${this.maxOutputTokens}) leaves no room for a prompt in the ${window}`);
+    }
+  }
+
+  contextWindow(model = '') {
+    if (this.fixedContextWindow) {
+      return this.fixedContextWindow;
+    }
+    const match = CONTEXT_WINDOWS.find(([pattern]) => pattern.test(model));
+    return match ? match[1] : DEFAULT_CONTEXT_WINDOW;
+  }
+
+  /**
+   * Tokens available for the prompt once room is left for the response
+   */
+  promptBudget(model, outputTokens = this.maxOutputTokens) {
+    return Math.floor(this.contextWindow(model) * (1 - this.safetyMargin)) - outputTokens;
+  }
+
+  count(text, model) {
+    return this.encoder(model).encode(text || '').length;
+  }
+
+  countMessages(messages, model) {
+    return messages.reduce((total, message) => total + MESSAGE_OVERHEAD + this.count(message.content, model), 3);
+  }
+
+  encoder(model = '') {
+    if (!this.encoders.has(model)) {
+      let encoder;
+      try {
+        encoder = encodingForModel(model);
+      } catch (error) {
+        encoder = getEncoding('cl100k_base');
+      }
+      this.encoders.set(model, encoder);
+    }
+    return this.encoders.get(model);
+  }
+}
+
+/**
+ * Create the token budget configured for this deployment
+ */
+function createTokenBudget(env = process.env) {
+  return new TokenBudget({
+    contextWindow: parseInt(env.LLM_CONTEXT_TOKENS, 10) || undefined,
+    maxOutputTokens: parseInt(env.LLM_MAX_OUTPUT_TOKENS, 10) || 2000
+  });
+}
+
+module.exports = { TokenBudget, createTokenBudget };
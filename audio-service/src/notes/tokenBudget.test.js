@@ -0,0 +1,23 @@
+const { TokenBudget, createTokenBudget } = require('./tokenBudget');
+
+describe('TokenBudget', () => {
+  test('looks context windows up by model unless one is pinned', () => {
+    expect(new TokenBudget().contextWindow('gpt-4o-mini')).toBe(128000);
+    expect(new TokenBudget().contextWindow('my-deployment')).toBe(8192);
+    expect(new TokenBudget({ contextWindow: 32000 }).contextWindow('gpt-4o')).toBe(32000);
+  });
+
+  test('leaves room for the response and a safety margin', () => {
+    const budget = new TokenBudget({ contextWindow: 10000, maxOutputTokens: 2000 });
+    expect(budget.promptBudget()).toBe(7500);
+    expect(budget.count('hello world')).toBe(2);
+    expect(budget.countMessages([{ role: 'user', content: 'hello world' }])).toBe(9);
+  });
+
+  test('rejects an output allowance that fills the context window', () => {
+    expect(() => createTokenBudget({ LLM_CONTEXT_TOKENS: '4096', LLM_MAX_OUTPUT_TOKENS: '4096' }))
+      .toThrow('LLM_MAX_OUTPUT_TOKENS (4096) leaves no room for a prompt in the 4096-token context window');
+    expect(() => new TokenBudget({ maxOutputTokens: 9000 }).check('gpt-4')).toThrow('context window of gpt-4');
+    expect(() => new TokenBudget({ maxOutputTokens: 9000 }).check('gpt-4o')).not.toThrow();
+  });
+});
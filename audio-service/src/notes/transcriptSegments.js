@@ -0,0 +1,69 @@
+/**
+ * Splitting long transcripts into segments for multi-pass summarisation.
+ * Segments break on speaker turns, every `maxSeconds` of session time, and before a
+ * segment would outgrow `maxTokens`. A single turn too long for one segment is split
+ * across several.
+ */
+
+/**
+ * Split turns ([{ start, label, text }]) into segments of { start, end, turns }
+ */
+function splitIntoSegments(turns, { maxSeconds, maxTokens, countTokens }) {
+  if (!(maxTokens >= 1)) {
+    throw new Error(`No room left in the prompt for transcript segments (${maxTokens} tokens)`);
+  }
+  const segments = [];
+  let current = null;
+
+  const pieces = [];
+  turns.forEach((turn) => {
+    const tokens = countTokens(line(turn));
+    if (tokens <= maxTokens) {
+      pieces.push({ turn, tokens });
+      return;
+    }
+    splitTurn(turn, Math.ceil(tokens / maxTokens)).forEach(part => pieces.push({ turn: part, tokens: countTokens(line(part)) }));
+  });
+
+  pieces.forEach(({ turn, tokens }) => {
+    const timedOut = current && typeof turn.start === 'number' && typeof current.start === 'number' &&
+      turn.start - current.start >= maxSeconds;
+    if (!current || timedOut || current.tokens + tokens > maxTokens) {
+      current = { start: turn.start, end: turn.start, turns: [], tokens: 0 };
+      segments.push(current);
+    }
+
+    current.turns.push(turn);
+    current.tokens += tokens;
+    if (typeof turn.start === 'number') {
+      current.end = turn.start;
+    }
+  });
+
+  // A segment runs until the next one starts
+  segments.forEach((segment, index) => {
+    const next = segments[index + 1];
+    if (next && typeof next.start === 'number') {
+      segment.end = next.start;
+    }
+  });
+
+  return segments;
+}
+
+// Break an overlong turn into roughly equal runs of words
+function splitTurn(turn, parts) {
+  const words = turn.text.split(/\s+/);
+  const size = Math.ceil(words.length / parts);
+  const result = [];
+  for (let i = 0; i < words.length; i += size) {
+    result.push({ ...turn, text: words.slice(i, i + size).join(' ') });
+  }
+  return result;
+}
+
+function line(turn) {
+  return turn.label ? `${turn.label}: ${turn.text}` : turn.text;
+}
+
+module.exports = { splitIntoSegments };
@@ -0,0 +1,37 @@
+const { splitIntoSegments } = require('./transcriptSegments');
+
+// One token per word, plus one for the label
+const countTokens = text => text.split(/\s+/).length;
+
+function turn(start, text, label = 'Client') {
+  return { start, label, text };
+}
+
+describe('splitIntoSegments', () => {
+  test('starts a new segment every maxSeconds of session time', () => {
+    const segments = splitIntoSegments([turn(0, 'a'), turn(200, 'b'), turn(610, 'c'), turn(900, 'd')], { maxSeconds: 600, maxTokens: 100, countTokens });
+
+    expect(segments.map(({ start, end, turns }) => ({ start, end, texts: turns.map(t => t.text) }))).toEqual([
+      { start: 0, end: 610, texts: ['a', 'b'] },
+      { start: 610, end: 900, texts: ['c', 'd'] }
+    ]);
+  });
+
+  test('starts a new segment before one would outgrow maxTokens', () => {
+    const segments = splitIntoSegments([turn(0, 'one two three'), turn(1, 'four five'), turn(2, 'six')], { maxSeconds: 600, maxTokens: 6, countTokens });
+    expect(segments.map(segment => segment.tokens)).toEqual([4, 5]);
+  });
+
+  test('splits a turn too long for one segment', () => {
+    const words = Array.from({ length: 10 }, (unused, index) => `w${index}`).join(' ');
+    const segments = splitIntoSegments([turn(5, words, 'Clinician')], { maxSeconds: 600, maxTokens: 5, countTokens });
+
+    expect(segments.length).toBeGreaterThan(1);
+    expect(segments.flatMap(segment => segment.turns.map(t => t.text)).join(' ')).toBe(words);
+    expect(segments.every(segment => segment.tokens <= 5 && segment.turns.every(t => t.label === 'Clinician'))).toBe(true);
+  });
+
+  test('refuses a budget with no room for any text', () => {
+    expect(() => splitIntoSegments([turn(0, 'a')], { maxSeconds: 600, maxTokens: 0, countTokens })).toThrow('No room left in the prompt');
+  });
+});
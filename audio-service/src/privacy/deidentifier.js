@@ -0,0 +1,213 @@
+/**
+ * PHI de-identification.
+ * Replaces names, dates, phone numbers, emails, addresses, MRNs and SSNs with stable
+ * placeholders ([NAME_1], [DATE_2], ...) before text is sent to an external model, and
+ * restores the real values in the model's output. The placeholder mapping is kept per
+ * session so the same value always gets the same placeholder.
+ */
+
+const MONTHS = 'Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?';
+const STREET_SUFFIX = 'Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Circle|Cir|Highway|Hwy';
+const PROPER_NAME = "[A-Z][a-z'-]+(?:\\s+[A-Z][a-z'-]+)?";
+
+// `group` picks the part of the match that is PHI when the pattern needs surrounding context
+const PATTERNS = [
+  { type: 'EMAIL', regex: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g },
+  { type: 'SSN', regex: /\b\d{3}-\d{2}-\d{4}\b/g },
+  { type: 'PHONE', regex: /(?:\+?1[-.\s]?)?\(?\b\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}\b/g },
+  { type: 'MRN', regex: /\b(?:MRN|medical record(?: number)?|record number|patient id|member id)[\s:#]*(?:is\s+)?([A-Z0-9][A-Z0-9-]{3,})\b/gi, group: 1 },
+  { type: 'DATE', regex: /\b\d{1,2}[/-]\d{1,2}[/-](?:\d{4}|\d{2})\b/g },
+  { type: 'DATE', regex: /\b\d{4}-\d{2}-\d{2}\b/g },
+  { type: 'DATE', regex: new RegExp(`\\b(?:${MONTHS})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?\\b`, 'g') },
+  { type: 'DATE', regex: new RegExp(`\\b\\d{1,2}(?:st|nd|rd|th)?\\s+(?:of\\s+)?(?:${MONTHS})\\.?(?:,?\\s+\\d{4})?\\b`, 'g') },
+  { type: 'ADDRESS', regex: new RegExp(`\\b\\d{1,6}\\s+(?:[A-Z][a-z]+\\s+){1,3}(?:${STREET_SUFFIX})\\b\\.?(?:,?\\s+(?:Apt|Apartment|Suite|Unit)\\.?\\s*#?\\w+)?`, 'g') },
+  { type: 'ADDRESS', regex: /\b[A-Z]{2}\s+\d{5}(?:-\d{4})?\b/g },
+  { type: 'NAME', regex: new RegExp(`\\b(?:Mr|Mrs|Ms|Miss|Mx|Dr)\\.?\\s+(${PROPER_NAME})`, 'g'), group: 1 },
+  { type: 'NAME', regex: new RegExp(`\\b(?:[Mm]y name is|[Cc]all me|named|[Tt]his is)\\s+(${PROPER_NAME})`, 'g'), group: 1 }
+];
+
+const PLACEHOLDER = /\[(NAME|DATE|PHONE|EMAIL|ADDRESS|MRN|SSN)_(\d+)\]/g;
+
+// clientInfo fields that are identifiers, and the placeholder type each gets
+const CLIENT_INFO_FIELDS = {
+  name: 'NAME',
+  dob: 'DATE',
+  phone: 'PHONE',
+  email: 'EMAIL',
+  address: 'ADDRESS',
+  mrn: 'MRN',
+  ssn: 'SSN'
+};
+
+class Deidentifier {
+  constructor({ mode = 'redact', logger } = {}) {
+    this.mode = mode;
+    this.logger = logger;
+  }
+
+  get enabled() {
+    return this.mode !== 'off';
+  }
+
+  /**
+   * Start a redaction context seeded with a session's existing placeholder mapping
+   */
+  createContext(mapping = {}) {
+    return new RedactionContext(mapping, this.enabled);
+  }
+
+  /**
+   * In audit mode, log what was redacted without writing the values themselves
+   */
+  report(sessionId, context) {
+    if (this.mode !== 'audit' || !this.logger) {
+      return;
+    }
+
+    this.logger.info('PHI redaction report', {
+      sessionId,
+      redactions: context.redactions.map(r => ({
+        type: r.type,
+        placeholder: r.placeholder,
+        preview: mask(r.value)
+      }))
+    });
+  }
+}
+
+class RedactionContext {
+  constructor(mapping, enabled) {
+    this.enabled = enabled;
+    this.mapping = { ...mapping };
+    this.byValue = new Map(Object.entries(this.mapping).map(([placeholder, value]) => [normalise(value), placeholder]));
+
+    // Names found earlier in the session may reappear without any context that would detect them
+    this.knownValues = Object.entries(this.mapping)
+      .filter(([placeholder]) => placeholder.startsWith('[NAME_'))
+      .map(([, value]) => ({ type: 'NAME', value }));
+    this.redactions = [];
+  }
+
+  /**
+   * Redact identifying clientInfo fields and remember them so the transcript is redacted consistently
+   */
+  redactClientInfo(clientInfo = {}) {
+    if (!this.enabled) {
+      return clientInfo;
+    }
+
+    const redacted = { ...clientInfo };
+    Object.entries(CLIENT_INFO_FIELDS).forEach(([field, type]) => {
+      if (!clientInfo[field]) {
+        return;
+      }
+      const value = String(clientInfo[field]);
+      redacted[field] = this.placeholderFor(type, value);
+      this.knownValues.push({ type, value });
+
+      // People are usually addressed by first or last name alone
+      if (type === 'NAME') {
+        value.split(/\s+/).filter(part => part.length > 1).forEach(part => this.knownValues.push({ type, value: part }));
+      }
+    });
+
+    this.addKnownNames(clientInfo.knownNames || []);
+    delete redacted.knownNames;
+    return redacted;
+  }
+
+  /**
+   * Names that must be redacted wherever they appear, e.g. labelled speakers or family members
+   */
+  addKnownNames(names) {
+    if (!this.enabled) {
+      return;
+    }
+    names.filter(Boolean).forEach(name => this.knownValues.push({ type: 'NAME', value: String(name) }));
+  }
+
+  redact(text) {
+    if (!this.enabled || !text) {
+      return text;
+    }
+
+    const spans = [];
+    PATTERNS.forEach(({ type, regex, group }) => {
+      regex.lastIndex = 0;
+      let match;
+      while ((match = regex.exec(text)) !== null) {
+        const value = group ? match[group] : match[0];
+        const start = match.index + match[0].lastIndexOf(value);
+        spans.push({ type, start, end: start + value.length });
+      }
+    });
+
+    this.knownValues.forEach(({ type, value }) => {
+      const regex = new RegExp(`\\b${escapeRegex(value)}\\b`, 'gi');
+      let match;
+      while ((match = regex.exec(text)) !== null) {
+        spans.push({ type, start: match.index, end: match.index + match[0].length });
+      }
+    });
+
+    // Longest span wins where detectors overlap
+    spans.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+
+    let result = '';
+    let cursor = 0;
+    spans.forEach((span) => {
+      if (span.start < cursor) {
+        return;
+      }
+      result += text.slice(cursor, span.start) + this.placeholderFor(span.type, text.slice(span.start, span.end));
+      cursor = span.end;
+    });
+
+    return result + text.slice(cursor);
+  }
+
+  /**
+   * Put real values back in place of placeholders
+   */
+  restore(value) {
+    if (typeof value === 'string') {
+      return value.replace(PLACEHOLDER, placeholder => this.mapping[placeholder] || placeholder);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.restore(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.restore(item)]));
+    }
+    return value;
+  }
+
+  placeholderFor(type, value) {
+    const key = normalise(value);
+    let placeholder = this.byValue.get(key);
+
+    if (!placeholder) {
+      const count = Object.keys(this.mapping).filter(p => p.startsWith(`[${type}_`)).length;
+      placeholder = `[${type}_${count + 1}]`;
+      this.mapping[placeholder] = value;
+      this.byValue.set(key, placeholder);
+    }
+
+    this.redactions.push({ type, placeholder, value });
+    return placeholder;
+  }
+}
+
+function normalise(value) {
+  return String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function mask(value) {
+  return value.length <= 2 ? '**' : `${value[0]}${'*'.repeat(Math.min(value.length - 1, 8))}`;
+}
+
+module.exports = { Deidentifier };
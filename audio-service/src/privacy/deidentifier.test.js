@@ -0,0 +1,62 @@
+const { Deidentifier } = require('./deidentifier');
+
+describe('Deidentifier', () => {
+  const deidentifier = new Deidentifier();
+
+  test('replaces identifiers with typed placeholders', () => {
+    const context = deidentifier.createContext();
+    const text = 'Dr. Patel saw her on March 3rd, 2024. Call 555-123-4567 or mail jo@example.com. SSN 123-45-6789, MRN: A12345, lives at 42 Elm Street';
+
+    expect(context.redact(text)).toBe(
+      'Dr. [NAME_1] saw her on [DATE_1]. Call [PHONE_1] or mail [EMAIL_1]. SSN [SSN_1], MRN: [MRN_1], lives at [ADDRESS_1]'
+    );
+  });
+
+  test('gives the same value the same placeholder and restores it', () => {
+    const context = deidentifier.createContext();
+    const first = context.redact('My name is Jane Doe.');
+    const second = context.redact('Later, Mr. Smith asked and she said my name is Jane Doe.');
+
+    expect(first).toBe('My name is [NAME_1].');
+    expect(second).toBe('Later, Mr. [NAME_2] asked and she said my name is [NAME_1].');
+    expect(context.restore({ summary: second, items: ['[NAME_2]'] })).toEqual({
+      summary: 'Later, Mr. Smith asked and she said my name is Jane Doe.',
+      items: ['Smith']
+    });
+  });
+
+  test('redacts client info and the client\'s first or last name alone', () => {
+    const context = deidentifier.createContext();
+    const clientInfo = context.redactClientInfo({ name: 'Maria Lopez', dob: '1980-02-01', sessionType: 'individual', knownNames: ['Carlos'] });
+
+    expect(clientInfo).toEqual({ name: '[NAME_1]', dob: '[DATE_1]', sessionType: 'individual' });
+    expect(context.redact('Maria said Carlos and Lopez family are well')).toBe('[NAME_2] said [NAME_3] and [NAME_4] family are well');
+  });
+
+  test('continues a session\'s existing mapping', () => {
+    const context = deidentifier.createContext({ '[NAME_1]': 'Jane Doe' });
+
+    expect(context.redact('jane doe and Dr. Kim')).toBe('[NAME_1] and Dr. [NAME_2]');
+    expect(context.mapping).toEqual({ '[NAME_1]': 'Jane Doe', '[NAME_2]': 'Kim' });
+  });
+
+  test('leaves text alone when turned off', () => {
+    const context = new Deidentifier({ mode: 'off' }).createContext();
+
+    expect(context.redact('Dr. Patel, 555-123-4567')).toBe('Dr. Patel, 555-123-4567');
+    expect(context.redactClientInfo({ name: 'Jane' })).toEqual({ name: 'Jane' });
+  });
+
+  test('reports masked values in audit mode', () => {
+    const logger = { info: jest.fn() };
+    const auditing = new Deidentifier({ mode: 'audit', logger });
+    const context = auditing.createContext();
+    context.redact('Call 555-123-4567');
+    auditing.report('s1', context);
+
+    expect(logger.info).toHaveBeenCalledWith('PHI redaction report', {
+      sessionId: 's1',
+      redactions: [{ type: 'PHONE', placeholder: '[PHONE_1]', preview: '5********' }]
+    });
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Retention enforcement and erasure.
+ * The background purge walks every session and removes what its tenant's policy says
+ * has expired: transcript chunks by their upload time, the current note (with its
+ * version history) by when it was last changed or signed. A session left with nothing
+ * in it is deleted. Sessions under a legal hold are never touched, by the purge or by
+ * an explicit erase.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { isLocked } = require('../notes/noteVersions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SYSTEM_ACTOR = { tenantId: null, clinicianId: null, method: 'retention' };
+
+function isOnHold(session) {
+  return Boolean(session && session.legalHold);
+}
+
+function isEmpty(session) {
+  return session.transcripts.length === 0 && !session.clinicalNote;
+}
+
+/**
+ * Count what a session holds, per artifact, for purge reports and deletion receipts
+ */
+function countArtifacts(session) {
+  const note = session.clinicalNote;
+  return {
+    transcriptChunks: session.transcripts.length,
+    words: session.transcripts.reduce((sum, chunk) => sum + (chunk.words || []).length, 0),
+    speakers: (session.speakers || []).length,
+    riskFlags: (session.riskFlags || []).length,
+    draftNotes: note && !isLocked(note) ? 1 : 0,
+    signedNotes: note && isLocked(note) ? 1 : 0,
+    noteVersions: (session.noteVersions || []).length,
+    phiMappings: Object.keys(session.phiMapping || {}).length
+  };
+}
+
+function hasCounts(counts) {
+  return Object.values(counts).some(count => count > 0);
+}
+
+/**
+ * Remove everything in the session the policy says has expired. Mutates the session and
+ * returns the counts removed (all zero when nothing was due or the session is on hold).
+ */
+function applyRetention(session, policy, now = Date.now()) {
+  const before = countArtifacts(session);
+  if (isOnHold(session)) {
+    return subtractCounts(before, before);
+  }
+
+  const expired = (days, timestamp) => days !== null && days !== undefined && Date.parse(timestamp) <= now - days * DAY_MS;
+
+  const expiredChunks = new Set(session.transcripts
+    .filter(chunk => expired(policy.transcript, chunk.timestamp))
+    .map(chunk => chunk.id));
+  if (expiredChunks.size > 0) {
+    session.transcripts = session.transcripts.filter(chunk => !expiredChunks.has(chunk.id));
+    session.riskFlags = (session.riskFlags || []).filter(flag => !expiredChunks.has(flag.chunkId));
+
+    // Speaker labels and the PHI placeholder map only make sense alongside a transcript
+    if (session.transcripts.length === 0) {
+      session.speakers = [];
+      session.riskFlags = [];
+      delete session.phiMapping;
+    }
+  }
+
+  const note = session.clinicalNote;
+  if (note) {
+    const locked = isLocked(note);
+    const changedAt = note.updatedAt || (note.signature && note.signature.signedAt) || note.generatedAt;
+    if (expired(locked ? policy.signedNote : policy.draftNote, changedAt)) {
+      delete session.clinicalNote;
+      session.noteVersions = (session.noteVersions || []).filter(version => version.noteId !== note.id);
+    }
+  }
+
+  return subtractCounts(before, countArtifacts(session));
+}
+
+function subtractCounts(before, after) {
+  return Object.fromEntries(Object.keys(before).map(key => [key, before[key] - after[key]]));
+}
+
+/**
+ * A record of an erasure: what was removed, per session, and what a legal hold kept
+ */
+function buildDeletionReceipt({ tenantId, actor, scope, removed, withheld, notFound = [] }) {
+  const totals = {};
+  removed.forEach(({ artifacts }) => {
+    Object.entries(artifacts).forEach(([key, count]) => {
+      totals[key] = (totals[key] || 0) + count;
+    });
+  });
+
+  return {
+    id: uuidv4(),
+    tenantId,
+    requestedBy: actor.clinicianId || null,
+    completedAt: new Date().toISOString(),
+    scope,
+    sessionsRemoved: removed.length,
+    removed,
+    totals,
+    withheld,
+    notFound,
+    // Uploaded audio is never written to storage, so there is none to remove
+    audio: 'not_retained'
+  };
+}
+
+class RetentionEngine {
+  constructor({ sessionStore, policies, audit, logger, intervalMs }) {
+    this.sessionStore = sessionStore;
+    this.policies = policies;
+    this.audit = audit;
+    this.logger = logger;
+    this.intervalMs = intervalMs;
+    this.running = null;
+  }
+
+  start() {
+    if (!this.intervalMs) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.run().catch(error => this.logger.error('Retention purge error:', error));
+    }, this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+  }
+
+  /**
+   * One background pass over every session; overlapping calls share the pass in progress
+   */
+  run() {
+    if (!this.running) {
+      this.running = this.purge().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  /**
+   * Enforce retention on every session, or just one tenant's; returns what was done
+   */
+  async purge({ tenantId: onlyTenant, now = Date.now() } = {}) {
+    const summary = { sessionsChecked: 0, sessionsPurged: 0, sessionsDeleted: 0, held: 0 };
+    const policies = new Map();
+    const sessions = await this.sessionStore.list({ limit: Infinity, tenantId: onlyTenant });
+
+    for (const { id, tenantId } of sessions) {
+      if (!policies.has(tenantId)) {
+        policies.set(tenantId, await this.policies.get(tenantId));
+      }
+      const policy = policies.get(tenantId);
+      summary.sessionsChecked++;
+
+      let removed = null;
+      let empty = false;
+      await this.sessionStore.update(id, (session) => {
+        if (isOnHold(session)) {
+          summary.held++;
+          return false;
+        }
+        removed = applyRetention(session, policy, now);
+        empty = isEmpty(session);
+        return hasCounts(removed) ? undefined : false;
+      }, { tenantId });
+
+      if (!removed || !hasCounts(removed)) {
+        continue;
+      }
+
+      summary.sessionsPurged++;
+      // Only sessions the purge just emptied are deleted, never ones still being filled
+      const deleted = empty && await this.sessionStore.delete(id, {
+        tenantId,
+        onlyIf: session => isEmpty(session) && !isOnHold(session)
+      });
+      if (deleted) {
+        summary.sessionsDeleted++;
+      }
+
+      await this.audit({ ...SYSTEM_ACTOR, tenantId }, 'retention.purge', { type: 'session', sessionId: id }, 'success', {
+        removed,
+        sessionDeleted: Boolean(deleted)
+      });
+    }
+
+    if (summary.sessionsPurged > 0) {
+      this.logger.info(`Retention purge removed expired data from ${summary.sessionsPurged} sessions (${summary.sessionsDeleted} deleted, ${summary.held} on legal hold)`);
+    }
+    return summary;
+  }
+}
+
+/**
+ * Create the purge engine configured for this deployment (RETENTION_PURGE_INTERVAL_MINUTES, 0 disables)
+ */
+function createRetentionEngine({ sessionStore, policies, audit, logger, env = process.env }) {
+  const minutes = env.RETENTION_PURGE_INTERVAL_MINUTES !== undefined ? Number(env.RETENTION_PURGE_INTERVAL_MINUTES) : 60;
+  return new RetentionEngine({
+    sessionStore,
+    policies,
+    audit,
+    logger,
+    intervalMs: Number.isFinite(minutes) && minutes > 0 ? minutes * 60 * 1000 : 0
+  });
+}
+
+module.exports = {
+  RetentionEngine,
+  createRetentionEngine,
+  applyRetention,
+  countArtifacts,
+  buildDeletionReceipt,
+  isOnHold
+};
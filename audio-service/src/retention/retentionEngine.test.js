@@ -0,0 +1,136 @@
+const { RetentionEngine, applyRetention, countArtifacts, buildDeletionReceipt } = require('./retentionEngine');
+const { RetentionPolicies, validatePolicy } = require('./retentionPolicy');
+const { SessionStore } = require('../sessions/sessionStore');
+const MemoryBackend = require('../sessions/memoryBackend');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = Date.parse('2025-03-01T00:00:00.000Z');
+const daysAgo = days => new Date(now - days * DAY_MS).toISOString();
+
+function chunk(id, days) {
+  return { id, timestamp: daysAgo(days), words: [{ word: 'hello' }] };
+}
+
+function session(attributes = {}) {
+  return {
+    ...SessionStore.createSession('s1', { tenantId: 'tenant-a' }),
+    transcripts: [chunk('old', 40), chunk('new', 5)],
+    speakers: [{ id: 'speaker_0' }],
+    riskFlags: [{ chunkId: 'old' }, { chunkId: 'new' }],
+    clinicalNote: { id: 'n1', status: 'draft', updatedAt: daysAgo(40) },
+    noteVersions: [{ noteId: 'n1', version: 1 }],
+    ...attributes
+  };
+}
+
+describe('applyRetention', () => {
+  test('removes only what has expired', () => {
+    const stored = session();
+    const removed = applyRetention(stored, { transcript: 30, draftNote: null, signedNote: null }, now);
+
+    expect(stored.transcripts.map(c => c.id)).toEqual(['new']);
+    expect(stored.riskFlags).toEqual([{ chunkId: 'new' }]);
+    expect(stored.clinicalNote).toBeDefined();
+    expect(removed).toMatchObject({ transcriptChunks: 1, words: 1, riskFlags: 1, draftNotes: 0 });
+  });
+
+  test('drops speakers and PHI mappings with the last transcript chunk', () => {
+    const stored = session({ phiMapping: { '[NAME_1]': 'Jane' } });
+    applyRetention(stored, { transcript: 1, draftNote: 30, signedNote: null }, now);
+
+    expect(stored).toMatchObject({ transcripts: [], speakers: [], riskFlags: [], noteVersions: [] });
+    expect(stored.clinicalNote).toBeUndefined();
+    expect(stored.phiMapping).toBeUndefined();
+  });
+
+  test('uses the signed-note period for signed notes', () => {
+    const stored = session({ clinicalNote: { id: 'n1', status: 'signed', updatedAt: daysAgo(40) } });
+    expect(applyRetention(stored, { transcript: null, draftNote: 1, signedNote: null }, now).signedNotes).toBe(0);
+    expect(applyRetention(stored, { transcript: null, draftNote: null, signedNote: 30 }, now).signedNotes).toBe(1);
+  });
+
+  test('leaves sessions on legal hold alone', () => {
+    const stored = session({ legalHold: { reason: 'litigation' } });
+    const removed = applyRetention(stored, { transcript: 1, draftNote: 1, signedNote: 1 }, now);
+
+    expect(Object.values(removed).every(count => count === 0)).toBe(true);
+    expect(stored.transcripts).toHaveLength(2);
+  });
+});
+
+describe('RetentionEngine', () => {
+  let sessionStore;
+  let policies;
+  let audit;
+  let engine;
+
+  beforeEach(() => {
+    sessionStore = new SessionStore(new MemoryBackend());
+    policies = new RetentionPolicies({ backend: new MemoryBackend(), defaults: { transcript: 30, draftNote: 30 } });
+    audit = jest.fn();
+    engine = new RetentionEngine({ sessionStore, policies, audit, logger });
+  });
+
+  async function save(id, attributes) {
+    await sessionStore.update(id, stored => Object.assign(stored, session(attributes), { id }), { create: true, tenantId: attributes.tenantId || 'tenant-a' });
+  }
+
+  test('purges expired data, deletes emptied sessions and audits each', async () => {
+    await save('expired', { transcripts: [chunk('old', 40)] });
+    await save('recent', { transcripts: [chunk('new', 5)], clinicalNote: undefined });
+    await save('held', { legalHold: { reason: 'litigation' } });
+
+    expect(await engine.purge({ now })).toEqual({ sessionsChecked: 3, sessionsPurged: 1, sessionsDeleted: 1, held: 1 });
+    expect(await sessionStore.get('expired')).toBeNull();
+    expect((await sessionStore.get('recent')).transcripts).toHaveLength(1);
+    expect((await sessionStore.get('held')).transcripts).toHaveLength(2);
+    expect(audit).toHaveBeenCalledWith(expect.objectContaining({ tenantId: 'tenant-a', method: 'retention' }), 'retention.purge',
+      { type: 'session', sessionId: 'expired' }, 'success', expect.objectContaining({ sessionDeleted: true }));
+  });
+
+  test('applies each tenant\'s own policy', async () => {
+    await policies.set('tenant-b', { transcript: null, draftNote: null });
+    await save('a', { transcripts: [chunk('old', 40)] });
+    await save('b', { tenantId: 'tenant-b', transcripts: [chunk('old', 40)] });
+
+    await engine.purge({ now });
+    expect(await sessionStore.get('a')).toBeNull();
+    expect(await sessionStore.get('b')).not.toBeNull();
+  });
+});
+
+describe('validatePolicy', () => {
+  test('accepts whole days or null per known artifact type', () => {
+    expect(validatePolicy({ transcript: 30, signedNote: null, audio: 0 })).toEqual({ transcript: 30, signedNote: null, audio: 0 });
+    expect(() => validatePolicy({ video: 1 })).toThrow('Unknown artifact type: video');
+    expect(() => validatePolicy({ transcript: 1.5 })).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => validatePolicy({ audio: 7 })).toThrow('Audio is not retained after transcription');
+  });
+});
+
+describe('buildDeletionReceipt', () => {
+  test('totals what was erased and what a hold kept', () => {
+    const removed = [
+      { sessionId: 's1', artifacts: countArtifacts(session()) },
+      { sessionId: 's2', artifacts: countArtifacts(session({ clinicalNote: undefined, noteVersions: [] })) }
+    ];
+    const receipt = buildDeletionReceipt({
+      tenantId: 'tenant-a',
+      actor: { clinicianId: 'dr-lee' },
+      scope: { clientId: 'client-1' },
+      removed,
+      withheld: [{ sessionId: 's3', reason: 'legal_hold' }]
+    });
+
+    expect(receipt).toMatchObject({
+      tenantId: 'tenant-a',
+      requestedBy: 'dr-lee',
+      sessionsRemoved: 2,
+      withheld: [{ sessionId: 's3', reason: 'legal_hold' }],
+      notFound: [],
+      audio: 'not_retained'
+    });
+    expect(receipt.totals).toMatchObject({ transcriptChunks: 4, words: 4, draftNotes: 1, noteVersions: 1 });
+  });
+});
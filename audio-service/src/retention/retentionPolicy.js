@@ -0,0 +1,99 @@
+/**
+ * Data retention policies.
+ * A policy gives, per artifact type, how many days data is kept before the background
+ * purge removes it; null keeps it indefinitely. Deployment defaults come from
+ * RETENTION_DEFAULTS and each tenant can override them for its own data. Audio is listed
+ * for completeness: uploads are discarded once transcribed, so its retention is always 0.
+ */
+
+const path = require('path');
+const MemoryBackend = require('../sessions/memoryBackend');
+const FileBackend = require('../sessions/fileBackend');
+
+const ARTIFACT_TYPES = ['audio', 'transcript', 'draftNote', 'signedNote'];
+
+// Nothing is purged unless a deployment or tenant asks for it
+const BUILTIN_DEFAULTS = { audio: 0, transcript: null, draftNote: null, signedNote: null };
+
+class RetentionPolicies {
+  constructor({ backend, defaults = {} }) {
+    this.backend = backend;
+    this.defaults = { ...BUILTIN_DEFAULTS, ...validatePolicy(defaults) };
+  }
+
+  /**
+   * The tenant's effective policy: its overrides on top of the deployment defaults
+   */
+  async get(tenantId) {
+    const stored = await this.backend.read(tenantId);
+    return { ...this.defaults, ...(stored ? stored.policy : {}) };
+  }
+
+  /**
+   * Replace the tenant's overrides; types left out fall back to the defaults
+   */
+  async set(tenantId, policy, actor = {}) {
+    const overrides = validatePolicy(policy);
+    await this.backend.write(tenantId, {
+      tenantId,
+      policy: overrides,
+      updatedAt: new Date().toISOString(),
+      updatedBy: actor.clinicianId || null
+    });
+    return this.get(tenantId);
+  }
+}
+
+/**
+ * Check a (partial) policy: known artifact types, whole days or null
+ */
+function validatePolicy(policy) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw policyError('Retention policy must be an object of artifact type to days');
+  }
+
+  const validated = {};
+  Object.entries(policy).forEach(([type, days]) => {
+    if (!ARTIFACT_TYPES.includes(type)) {
+      throw policyError(`Unknown artifact type: ${type}. Expected one of ${ARTIFACT_TYPES.join(', ')}`);
+    }
+    if (days !== null && !(Number.isInteger(days) && days >= 0)) {
+      throw policyError(`Retention for ${type} must be a whole number of days or null`);
+    }
+    // Uploaded audio is transcribed in memory and never written to storage
+    if (type === 'audio' && days !== 0) {
+      throw policyError('Audio is not retained after transcription; its retention can only be 0');
+    }
+    validated[type] = days;
+  });
+  return validated;
+}
+
+function policyError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Create the policy store configured for this deployment
+ */
+function createRetentionPolicies({ env = process.env, type } = {}) {
+  let defaults = {};
+  if (env.RETENTION_DEFAULTS) {
+    try {
+      defaults = JSON.parse(env.RETENTION_DEFAULTS);
+    } catch (error) {
+      throw new Error('RETENTION_DEFAULTS must be a JSON object of artifact type to days');
+    }
+  }
+
+  const storeType = type || env.SESSION_STORE || 'file';
+  const backend = storeType === 'memory'
+    ? new MemoryBackend()
+    : new FileBackend(env.RETENTION_POLICY_DIR || path.join('data', 'retention'));
+
+  return new RetentionPolicies({ backend, defaults });
+}
+
+module.exports = { ARTIFACT_TYPES, RetentionPolicies, validatePolicy, createRetentionPolicies };
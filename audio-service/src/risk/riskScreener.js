@@ -0,0 +1,174 @@
+/**
+ * Risk screening for transcription chunks.
+ * Flags language suggesting suicidal ideation, self-harm, harm to others or abuse so the
+ * clinician is alerted in real time. Phrase matching is deliberately broad; it prompts a
+ * clinical check and is not an assessment in itself.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const CATEGORIES = {
+  suicidal_ideation: {
+    label: 'Suicidal ideation',
+    patterns: [
+      /\bkill(?:ing)? myself\b/,
+      /\bend(?:ing)? (?:my|it) (?:own )?life\b/,
+      /\btak(?:e|ing) my (?:own )?life\b/,
+      /\bsuicid(?:e|al)\b/,
+      /\bwant(?:ed)? to die\b/,
+      /\bbetter off dead\b/,
+      /\bdon'?t want to (?:be alive|live|wake up)\b/,
+      /\bno reason to (?:live|go on)\b/,
+      /\bend it all\b/,
+      /\bnot (?:be|being) here anymore\b/
+    ]
+  },
+  self_harm: {
+    label: 'Self-harm',
+    patterns: [
+      /\b(?:cut|cutting|burn|burning|burned|hurt|hurting|hit|hitting) myself\b/,
+      /\bself[- ]harm(?:ing)?\b/,
+      /\boverdos(?:e|ed|ing)\b/
+    ]
+  },
+  harm_to_others: {
+    label: 'Harm to others',
+    patterns: [
+      /\bkill (?:him|her|them|you|someone|somebody|everyone|my \w+)\b/,
+      /\b(?:hurt|shoot|stab) (?:him|her|them|you|someone|somebody|my \w+)\b/,
+      /\bget (?:a|my) gun\b/,
+      /\bmake (?:him|her|them) pay\b/,
+      /\bwant (?:him|her|them) dead\b/
+    ]
+  },
+  abuse_disclosure: {
+    label: 'Abuse disclosure',
+    patterns: [
+      /\b(?:he|she|they|my \w+) (?:hits?|beats?|beat|hurts?|chokes?|choked|touch(?:es|ed)?|kicks?|kicked) me\b/,
+      /\b(?:sexually |physically |emotionally )?abus(?:e|ed|es|ing|ive)\b/,
+      /\bmolest(?:ed|ing)?\b/,
+      /\brap(?:e|ed)\b/,
+      /\b(?:domestic|physical|sexual) violence\b/,
+      /\bafraid to go home\b/
+    ]
+  }
+};
+
+// A negation directly before the phrase, in the same clause, suppresses the flag:
+// "I have never wanted to die" is not flagged, "I'm not okay, I want to die" is
+const NEGATIONS = new Set(['not', 'never', 'no', "don't", 'dont', "didn't", 'didnt', "doesn't", 'doesnt', 'denies', 'denied', 'deny', 'without']);
+const NEGATION_WINDOW = 3;
+// Words that start a new clause, so a negation before them belongs to another statement
+const CLAUSE_WORDS = new Set(['and', 'but', 'because', 'so', 'though', 'although', 'yet', 'however']);
+// Punctuation that ends a clause, checked on the words as spoken (before normalising)
+const CLAUSE_END = /[.,;:!?\u2026\u2013\u2014-]["')\]]*$/;
+
+class RiskScreener {
+  /**
+   * Screen a final transcription chunk; returns one flag per matched phrase
+   */
+  screen(transcription) {
+    const { text, spans } = indexWords(transcription);
+    const flags = [];
+
+    Object.entries(CATEGORIES).forEach(([category, { label, patterns }]) => {
+      patterns.forEach((pattern) => {
+        const regex = new RegExp(pattern.source, 'g');
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+          if (negated(spans, match.index)) {
+            continue;
+          }
+
+          const words = spans
+            .filter(span => span.word && span.startOffset < match.index + match[0].length && span.endOffset > match.index)
+            .map(span => span.word);
+
+          // Overlapping patterns in one category describe the same disclosure
+          if (flags.some(flag => flag.category === category && overlaps(flag, match))) {
+            continue;
+          }
+
+          flags.push({
+            id: uuidv4(),
+            category,
+            label,
+            severity: 'high',
+            matchedText: match[0],
+            words: words.map(w => ({ word: w.punctuated_word || w.word, start: w.start, end: w.end })),
+            start: words.length ? words[0].start : null,
+            end: words.length ? words[words.length - 1].end : null,
+            speaker: words.length ? words[0].speaker : undefined,
+            chunkTimestamp: transcription.timestamp,
+            detectedAt: new Date().toISOString(),
+            offset: match.index,
+            length: match[0].length
+          });
+        }
+      });
+    });
+
+    return flags.map(({ offset, length, ...flag }) => flag);
+  }
+}
+
+/**
+ * Lay the words out as one lowercase string, remembering where each word sits and
+ * whether punctuation followed it, so text matches can be mapped back to word
+ * timestamps and clause boundaries
+ */
+function indexWords(transcription) {
+  const words = transcription.words || [];
+  const tokens = words.length > 0
+    ? words.map(word => ({ raw: word.punctuated_word || word.word || '', word }))
+    : String(transcription.transcript || '').split(/\s+/).filter(Boolean).map(raw => ({ raw, word: null }));
+
+  let text = '';
+  const spans = [];
+  tokens.forEach(({ raw, word }) => {
+    const token = normalise(raw);
+    const boundary = CLAUSE_END.test(raw.trim());
+    if (!token) {
+      // A lone dash or ellipsis still separates clauses
+      if (boundary && spans.length) {
+        spans[spans.length - 1].boundary = true;
+      }
+      return;
+    }
+    if (text) {
+      text += ' ';
+    }
+    spans.push({ word, token, boundary, startOffset: text.length, endOffset: text.length + token.length });
+    text += token;
+  });
+
+  return { text, spans };
+}
+
+/**
+ * Whether a negation in the same clause, at most NEGATION_WINDOW words back, modifies
+ * the phrase starting at `offset`
+ */
+function negated(spans, offset) {
+  const before = spans.filter(span => span.endOffset <= offset);
+  for (let i = before.length - 1; i >= 0 && i >= before.length - NEGATION_WINDOW; i--) {
+    const span = before[i];
+    if (span.boundary || CLAUSE_WORDS.has(span.token)) {
+      return false;
+    }
+    if (NEGATIONS.has(span.token)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function normalise(text) {
+  return text.toLowerCase().replace(/[’]/g, "'").replace(/[^a-z0-9'\s-]/g, '').replace(/^-+|-+$/g, '');
+}
+
+function overlaps(flag, match) {
+  return flag.offset < match.index + match[0].length && match.index < flag.offset + flag.length;
+}
+
+module.exports = { RiskScreener, RISK_CATEGORIES: Object.keys(CATEGORIES) };
@@ -0,0 +1,66 @@
+const { RiskScreener } = require('./riskScreener');
+
+const screener = new RiskScreener();
+
+// Word-level results, the way providers return them
+function chunk(sentence) {
+  const words = sentence.split(' ').map((punctuated, index) => ({
+    word: punctuated.toLowerCase().replace(/[^a-z']/g, ''),
+    punctuated_word: punctuated,
+    start: index,
+    end: index + 0.5,
+    speaker: 1
+  }));
+  return { transcript: sentence, words, timestamp: '2025-01-01T00:00:00.000Z' };
+}
+
+function categories(transcription) {
+  return screener.screen(transcription).map(flag => flag.category);
+}
+
+describe('RiskScreener', () => {
+  describe('true positives', () => {
+    test.each([
+      ['I want to die.', 'suicidal_ideation'],
+      ['Sometimes I think about killing myself', 'suicidal_ideation'],
+      ['I am not okay, I want to die.', 'suicidal_ideation'],
+      ['No. I want to die.', 'suicidal_ideation'],
+      ["I'm not sleeping and I want to end it all", 'suicidal_ideation'],
+      ["It's not that bad but I've been cutting myself", 'self_harm'],
+      ['I could kill him for that', 'harm_to_others'],
+      ['My stepfather hits me when he drinks', 'abuse_disclosure']
+    ])('flags "%s"', (sentence, category) => {
+      expect(categories(chunk(sentence))).toContain(category);
+    });
+
+    test('flags plain transcripts without word timings', () => {
+      const flags = screener.screen({ transcript: 'I am not okay, I want to die.' });
+      expect(flags.map(flag => flag.category)).toEqual(['suicidal_ideation']);
+      expect(flags[0].start).toBeNull();
+    });
+
+    test('maps the flag back to the matched words and their timings', () => {
+      const [flag] = screener.screen(chunk('Honestly I want to die.'));
+      expect(flag.words.map(word => word.word)).toEqual(['want', 'to', 'die.']);
+      expect(flag.start).toBe(2);
+      expect(flag.end).toBe(4.5);
+      expect(flag.speaker).toBe(1);
+    });
+  });
+
+  describe('negations', () => {
+    test.each([
+      'I have never wanted to die',
+      "I don't want to kill myself",
+      "I'm not going to hurt myself",
+      'She reports no self harm since March',
+      'Without suicidal thoughts this week'
+    ])('does not flag "%s"', (sentence) => {
+      expect(categories(chunk(sentence))).toEqual([]);
+    });
+  });
+
+  test('reports each separate disclosure', () => {
+    expect(categories(chunk('I want to end my life, I want to kill myself'))).toEqual(['suicidal_ideation', 'suicidal_ideation']);
+  });
+});
@@ -2,14 +2,37 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const multer = require('multer');
-const { createClient } = require('@deepgram/sdk');
-const OpenAI = require('openai');
 const cors = require('cors');
 const helmet = require('helmet');
-const winston = require('winston');
 const { v4: uuidv4 } = require('uuid');
 require('dotenv').config();
 
+const logger = require('./logger');
+const { createSessionStore } = require('./sessions/sessionStore');
+const { extractSpeakers } = require('./transcription/transcriptUtils');
+const { isDuplicateChunk, placeChunk } = require('./transcription/sessionTimeline');
+const { SPEAKER_ROLES, trackSpeakers, labelSpeaker, buildTranscriptTurns } = require('./transcription/speakerTracker');
+const { probeAudio, supportedFormats } = require('./transcription/audioFormat');
+const { canTranscribeChannels, transcribeChannels } = require('./transcription/channels');
+const { exportTranscript, transcriptFormats } = require('./transcription/transcriptExport');
+const { LiveStreamManager } = require('./transcription/liveStreams');
+const { createTranscriptionProviders } = require('./transcription/providers');
+const { createNoteModelRouter, isRetryable } = require('./notes/llm');
+const { createTemplateRegistry } = require('./notes/templates/templateRegistry');
+const { NoteGenerator } = require('./notes/noteGenerator');
+const { createTokenBudget } = require('./notes/tokenBudget');
+const { createNoteExporter } = require('./notes/export');
+const noteVersions = require('./notes/noteVersions');
+const { createNoteJobQueue, describeJob } = require('./notes/noteJobs');
+const { Deidentifier } = require('./privacy/deidentifier');
+const { RiskScreener } = require('./risk/riskScreener');
+const { createAuthenticator, requireRole } = require('./auth/authenticator');
+const { createAuditLog } = require('./audit/auditLog');
+const { createKeyRing } = require('./encryption/keyRing');
+const { createRetentionPolicies } = require('./retention/retentionPolicy');
+const { createRetentionEngine, countArtifacts, buildDeletionReceipt, isOnHold } = require('./retention/retentionEngine');
+const { createWebhookService, WEBHOOK_EVENTS } = require('./webhooks/webhookService');
+
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server, {
@@ -19,23 +42,27 @@ const io = socketIo(server, {
   }
 });
 
-// Logger setup
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'logs/combined.log' }),
-    new winston.transports.Console()
-  ]
-});
+// Envelope encryption at rest: per-tenant data keys wrapped by the master key
+// (see ENCRYPTION_KEY); null when DATA_ENCRYPTION_ENABLED is off
+const keyRing = createKeyRing({ logger });
 
 // Initialize AI services
-const deepgram = createClient(process.env.DEEPGRAM_API_KEY);
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+const transcriptionProviders = createTranscriptionProviders();
+const noteModels = createNoteModelRouter({ logger });
+const noteTemplates = createTemplateRegistry({ keyRing, logger });
+const deidentifier = new Deidentifier({ mode: process.env.PHI_DEIDENTIFICATION || 'redact', logger });
+const tokenBudget = createTokenBudget();
+// Fail now, not on the first long session, if the response allowance fills a model's context
+noteModels.names().forEach(name => tokenBudget.check(noteModels.resolve({ provider: name }).model));
+const noteGenerator = new NoteGenerator({
+  noteModels,
+  templates: noteTemplates,
+  deidentifier,
+  tokenBudget,
+  segmentMinutes: parseInt(process.env.NOTE_SEGMENT_MINUTES, 10) || 10,
+  logger
+});
+const noteExporter = createNoteExporter();
 
 // Middleware
 app.use(helmet());
@@ -43,213 +70,1458 @@ app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// Storage for active sessions
-const activeSessions = new Map();
+// Every API route and socket connection is tied to an authenticated tenant
+const authenticator = createAuthenticator({ logger });
+app.use('/api', authenticator.middleware());
+io.use(authenticator.socketMiddleware());
+
+// Notes are written by clinicians; admins may also read sessions
+const writesNotes = requireRole('clinician');
+const readsSessions = requireRole('clinician', 'admin');
+
+// Session storage (memory or file backend, see SESSION_STORE), encrypted with the key ring
+const sessionStore = createSessionStore({ keyRing, logger });
+
+// Hash-chained record of who touched which session (see AUDIT_LOG_PATH)
+const auditLog = createAuditLog({ logger });
+
+// Retention policies per tenant and artifact type, enforced by a background purge
+// (RETENTION_PURGE_INTERVAL_MINUTES); sessions under a legal hold are skipped
+const retentionPolicies = createRetentionPolicies();
+const retention = createRetentionEngine({ sessionStore, policies: retentionPolicies, audit, logger });
+retention.start();
+
+// Signed outbound webhooks per tenant, retried with backoff; pending deliveries survive restarts
+const webhooks = createWebhookService({ keyRing, logger });
+webhooks.resume().catch(error => logger.error('Webhook resume error:', error));
+setInterval(() => {
+  webhooks.prune().catch(error => logger.error('Webhook log prune error:', error));
+}, 60 * 60 * 1000).unref();
 
-// Multer for file uploads
+// Risk screening runs on every final transcription chunk
+const riskScreener = new RiskScreener();
+
+// Live Socket.IO transcription streams, one per connected socket
+const liveStreams = new LiveStreamManager({
+  providers: transcriptionProviders,
+  io,
+  logger,
+  onFinalResult: storeTranscription
+});
+
+// Note generation runs in the background; progress goes to the session room
+const noteJobs = createNoteJobQueue({
+  handler: generateNote,
+  // The job is the only retry layer: transient provider errors get another attempt, but
+  // a note that failed validation already had its repair attempt
+  isRetryable,
+  onUpdate: (job) => {
+    io.to(`session_${job.sessionId}`).emit('clinical-note', {
+      ...describeJob(job),
+      jobId: job.id,
+      note: job.status === 'completed' ? job.result : undefined
+    });
+  },
+  logger
+});
+
+// Multer for file uploads. The declared type is only a first filter: uploads are
+// identified by their content (see transcription/audioFormat)
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: 100 * 1024 * 1024 }, // 100MB limit
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['audio/wav', 'audio/mp3', 'audio/m4a', 'audio/webm'];
-    if (allowedTypes.includes(file.mimetype)) {
+    if (/^(audio|video)\//.test(file.mimetype) || file.mimetype === 'application/octet-stream') {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only audio files allowed.'));
+      const error = new Error('Invalid file type. Only audio files allowed.');
+      error.statusCode = 415;
+      cb(error);
     }
   }
 });
 
+// Stereo uploads are mixed unless the request (or STEREO_CHANNEL_MODE) asks for per-channel
+const DEFAULT_CHANNEL_MODE = process.env.STEREO_CHANNEL_MODE === 'separate' ? 'separate' : 'mixed';
+
+// What the meeting-bot service reports, delivered to webhooks as `meeting.<event>`
+const MEETING_EVENTS = ['bot_joined', 'bot_left'];
+
 // Real-time transcription endpoint
 app.post('/api/transcribe/stream', upload.single('audio'), async (req, res) => {
   try {
     const sessionId = req.body.sessionId || uuidv4();
+    const { provider: providerName, model, language } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No audio file uploaded' });
+    }
+
+    // Trust the bytes, not the declared MIME type
     const audioBuffer = req.file.buffer;
-    
-    logger.info(`Starting transcription for session: ${sessionId}`);
-
-    // Use Deepgram for real-time transcription
-    const { result, error } = await deepgram.listen.prerecorded.transcribeFile(
-      audioBuffer,
-      {
-        model: 'nova-2',
-        language: 'en-US',
-        smart_format: true,
-        diarize: true,
-        punctuate: true,
-        numerals: true,
-        timestamps: true,
-        speaker_labels: true
-      }
-    );
+    const audio = probeAudio(audioBuffer);
+    if (!audio) {
+      return res.status(415).json({
+        error: 'Unrecognised audio format',
+        declaredType: req.file.mimetype,
+        supported: supportedFormats()
+      });
+    }
+
+    if (providerName && !transcriptionProviders.has(providerName)) {
+      return res.status(400).json({
+        error: `Unknown transcription provider: ${providerName}`,
+        available: transcriptionProviders.names()
+      });
+    }
+
+    // Optional placement on the session timeline: the client's chunk number and/or where
+    // the chunk starts, in seconds from the start of the session
+    const sequence = optionalNumber(req.body.sequence, Number.isInteger);
+    const startOffset = optionalNumber(req.body.startOffset, Number.isFinite);
+    if (sequence === null || startOffset === null) {
+      return res.status(400).json({ error: 'sequence must be a non-negative integer and startOffset a non-negative number of seconds' });
+    }
+
+    // Roles for each channel ("clinician,client") imply per-channel transcription
+    const channelRoles = req.body.channelRoles ? String(req.body.channelRoles).split(',').map(role => role.trim() || null) : [];
+    const invalidRole = channelRoles.find(role => role && !SPEAKER_ROLES.includes(role));
+    if (invalidRole) {
+      return res.status(400).json({ error: `Invalid channel role: ${invalidRole}. Expected one of ${SPEAKER_ROLES.join(', ')}` });
+    }
+    const channelMode = channelRoles.length > 0 ? 'separate' : (req.body.channelMode || DEFAULT_CHANNEL_MODE);
+    if (!['mixed', 'separate'].includes(channelMode)) {
+      return res.status(400).json({ error: 'channelMode must be mixed or separate' });
+    }
+
+    // Claim the session for this tenant before spending anything on transcription
+    let session;
+    try {
+      session = await claimSession(sessionId, req.auth);
+    } catch (error) {
+      await audit(req.auth, 'session.transcribe', sessionResource(sessionId), 'denied');
+      throw error;
+    }
+
+    // A retried upload of a chunk we already have is acknowledged, not transcribed again
+    if (isDuplicateChunk(session, { sequence })) {
+      const existing = session.transcripts.find(chunk => chunk.sequence === sequence && !chunk.streamId);
+      return res.json({ success: true, sessionId, duplicate: true, transcription: existing });
+    }
+
+    const provider = transcriptionProviders.get(providerName);
+    const perChannel = channelMode === 'separate' && canTranscribeChannels(provider, audio);
+    const warnings = [];
+    if (channelMode === 'separate' && !perChannel && audio.channels > 1) {
+      warnings.push(`${provider.name} cannot transcribe ${audio.format}/${audio.codec} audio per channel; channels were mixed`);
+    }
+    logger.info(`Starting ${provider.name} transcription for session: ${sessionId} (${audio.format}, ${audio.channels || '?'} channels${perChannel ? ', per channel' : ''})`);
 
-    if (error) {
-      logger.error('Deepgram transcription error:', error);
+    let result;
+    try {
+      const options = {
+        model,
+        language,
+        mimeType: audio.mimeType,
+        filename: `audio.${audio.extension}`
+      };
+      result = perChannel
+        ? await transcribeChannels(provider, audioBuffer, audio, options)
+        : await provider.transcribe(audioBuffer, options);
+    } catch (error) {
+      logger.error(`${provider.name} transcription error:`, error);
+      await audit(req.auth, 'session.transcribe', sessionResource(sessionId), 'failure', { provider: provider.name });
       return res.status(500).json({ error: 'Transcription failed' });
     }
 
     const transcription = {
       sessionId,
-      transcript: result.results.channels[0].alternatives[0].transcript,
-      words: result.results.channels[0].alternatives[0].words,
-      speakers: extractSpeakers(result.results.channels[0].alternatives[0].words),
+      transcript: result.transcript,
+      words: result.words,
+      speakers: extractSpeakers(result.words),
+      provider: result.provider,
+      model: result.model,
+      duration: result.duration !== undefined ? result.duration : audio.duration,
+      audio: describeAudio(audio),
+      channels: perChannel
+        ? result.channels.map(channel => ({ ...channel, role: channelRoles[channel.channel] || null }))
+        : undefined,
+      sequence,
+      startOffset,
       timestamp: new Date().toISOString()
     };
 
-    // Store session data
-    if (!activeSessions.has(sessionId)) {
-      activeSessions.set(sessionId, {
-        id: sessionId,
-        startTime: new Date(),
-        transcripts: [],
-        speakers: new Set()
-      });
+    // Store session data, then tell connected clients where the chunk landed
+    const { riskFlags, duplicate } = await storeTranscription(sessionId, transcription, req.auth);
+    if (duplicate) {
+      return res.json({ success: true, sessionId, duplicate: true, transcription });
     }
 
-    const session = activeSessions.get(sessionId);
-    session.transcripts.push(transcription);
-    
-    // Emit to connected clients
     io.to(`session_${sessionId}`).emit('transcription', transcription);
 
+    await audit(req.auth, 'session.transcribe', sessionResource(sessionId), 'success', {
+      source: 'upload',
+      provider: transcription.provider,
+      wordCount: (transcription.words || []).length,
+      riskFlagCount: riskFlags.length
+    });
+
     res.json({
       success: true,
       sessionId,
-      transcription
+      transcription,
+      riskFlags,
+      warnings: warnings.length > 0 ? warnings : undefined
     });
 
   } catch (error) {
     logger.error('Transcription error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
-// Generate clinical notes from session
-app.post('/api/generate/notes', async (req, res) => {
+// Queue note generation for a session; poll the job or listen for `clinical-note` events.
+// `wait: true` holds the request until the job finishes and returns the note.
+app.post('/api/generate/notes', writesNotes, async (req, res) => {
   try {
-    const { sessionId, noteType = 'SOAP', clientInfo = {} } = req.body;
-    
-    if (!activeSessions.has(sessionId)) {
+    const { sessionId, noteType = 'SOAP', clientInfo = {}, llmProvider, model, wait } = req.body;
+    const { tenantId } = req.auth;
+
+    if (llmProvider && !noteModels.has(llmProvider)) {
+      return res.status(400).json({
+        error: `Unknown note generation provider: ${llmProvider}`,
+        available: noteModels.names()
+      });
+    }
+    if (llmProvider && !noteModels.allows(llmProvider, tenantId)) {
+      return res.status(403).json({ error: `Note generation provider not allowed for this tenant: ${llmProvider}` });
+    }
+
+    const template = await noteTemplates.get(noteType, tenantId);
+    if (!template) {
+      return res.status(400).json({
+        error: `Unknown note type: ${noteType}`,
+        available: (await noteTemplates.list(tenantId)).map(t => t.id)
+      });
+    }
+
+    const session = await sessionStore.get(sessionId, { tenantId });
+    if (!session) {
+      await audit(req.auth, 'note.generate', sessionResource(sessionId), await missingOutcome(sessionId));
       return res.status(404).json({ error: 'Session not found' });
     }
+    if (noteVersions.isLocked(session.clinicalNote)) {
+      return res.status(409).json({ error: 'Note is signed and cannot be regenerated; amend it instead' });
+    }
 
-    const session = activeSessions.get(sessionId);
-    const fullTranscript = session.transcripts
-      .map(t => `[${t.timestamp}] ${t.transcript}`)
-      .join('\n');
+    const { job, duplicate } = noteJobs.enqueue({
+      sessionId,
+      actor: req.auth,
+      params: { noteType: template.id, clientInfo, llmProvider, model }
+    });
+    if (duplicate) {
+      logger.info(`Note job ${job.id} already in progress for session: ${sessionId}`);
+    }
 
-    logger.info(`Generating ${noteType} notes for session: ${sessionId}`);
+    if (wait === true || wait === 'true') {
+      const finished = await noteJobs.wait(job.id);
+      if (finished.status === 'failed') {
+        return res.status(finished.error.statusCode).json({ error: finished.error.message, job: describeJob(finished) });
+      }
+      return res.json({ success: true, note: finished.result, job: describeJob(finished) });
+    }
 
-    // Generate clinical notes using GPT-4
-    const prompt = createClinicalNotePrompt(noteType, fullTranscript, clientInfo);
-    
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a HIPAA-compliant clinical documentation AI assistant specializing in mental health therapy notes. Generate professional, objective, behaviorally anchored clinical notes.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      temperature: 0.3,
-      max_tokens: 2000
+    res.status(202)
+      .location(`/api/generate/notes/jobs/${job.id}`)
+      .json({ success: true, jobId: job.id, duplicate, job: describeJob(job) });
+
+  } catch (error) {
+    logger.error('Note generation error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Poll a note generation job
+app.get('/api/generate/notes/jobs/:jobId', readsSessions, (req, res) => {
+  const job = noteJobs.get(req.params.jobId, req.auth.tenantId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json({
+    success: true,
+    job: describeJob(job),
+    note: job.status === 'completed' ? job.result : undefined
+  });
+});
+
+// List note templates (built-in and custom)
+app.get('/api/templates', async (req, res) => {
+  try {
+    res.json({ success: true, templates: await noteTemplates.list(req.auth.tenantId) });
+  } catch (error) {
+    logger.error('Template list error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/templates/:templateId', async (req, res) => {
+  try {
+    const template = await noteTemplates.get(req.params.templateId, req.auth.tenantId);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json({ success: true, template });
+  } catch (error) {
+    logger.error('Template fetch error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Register or replace a custom clinic template
+app.post('/api/templates', async (req, res) => {
+  try {
+    const template = await noteTemplates.register(req.body, req.auth.tenantId);
+    await audit(req.auth, 'template.register', { type: 'template', templateId: template.id });
+
+    logger.info(`Registered note template: ${template.id}`);
+    res.status(201).json({ success: true, template });
+  } catch (error) {
+    logger.error('Template registration error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/templates/:templateId', async (req, res) => {
+  try {
+    const deleted = await noteTemplates.remove(req.params.templateId, req.auth.tenantId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    await audit(req.auth, 'template.delete', { type: 'template', templateId: req.params.templateId.toUpperCase() });
+
+    logger.info(`Deleted note template: ${req.params.templateId}`);
+    res.json({ success: true, templateId: req.params.templateId });
+  } catch (error) {
+    logger.error('Template delete error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// List stored sessions
+app.get('/api/sessions', readsSessions, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const sessions = await sessionStore.list({
+      limit,
+      offset,
+      tenantId: req.auth.tenantId,
+      meetingId: req.query.meetingId
     });
 
-    const clinicalNote = {
+    res.json({ success: true, sessions });
+  } catch (error) {
+    logger.error('Session list error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Fetch a single session with its transcripts and note
+app.get('/api/sessions/:sessionId', readsSessions, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = await sessionStore.get(sessionId, { tenantId: req.auth.tenantId });
+    if (!session) {
+      await audit(req.auth, 'session.view', sessionResource(sessionId), await missingOutcome(sessionId));
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await audit(req.auth, 'session.view', sessionResource(sessionId));
+    res.json({ success: true, session });
+  } catch (error) {
+    logger.error('Session fetch error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Delete a session and everything stored with it
+app.delete('/api/sessions/:sessionId', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    let held = false;
+    const deleted = await sessionStore.delete(sessionId, {
+      tenantId: req.auth.tenantId,
+      onlyIf: (session) => {
+        held = isOnHold(session);
+        return !held;
+      }
+    });
+    if (held) {
+      await audit(req.auth, 'session.delete', sessionResource(sessionId), 'denied', { reason: 'legal_hold' });
+      return res.status(409).json({ error: 'Session is under a legal hold and cannot be deleted' });
+    }
+    if (!deleted) {
+      await audit(req.auth, 'session.delete', sessionResource(sessionId), await missingOutcome(sessionId));
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    noteJobs.discard(sessionId);
+
+    await audit(req.auth, 'session.delete', sessionResource(sessionId));
+
+    logger.info(`Deleted session: ${req.params.sessionId}`);
+    res.json({ success: true, sessionId: req.params.sessionId });
+  } catch (error) {
+    logger.error('Session delete error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Session speakers with their role labels and talk statistics
+app.get('/api/sessions/:sessionId/speakers', readsSessions, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = await sessionStore.get(sessionId, { tenantId: req.auth.tenantId });
+    if (!session) {
+      await audit(req.auth, 'session.view', sessionResource(sessionId), await missingOutcome(sessionId), { view: 'speakers' });
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await audit(req.auth, 'session.view', sessionResource(sessionId), 'success', { view: 'speakers' });
+    res.json({ success: true, speakers: session.speakers });
+  } catch (error) {
+    logger.error('Speaker list error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Label a speaker with a role (clinician, client, family_member, other) and name
+app.patch('/api/sessions/:sessionId/speakers/:speakerId', async (req, res) => {
+  try {
+    const { sessionId, speakerId } = req.params;
+    const result = await applySpeakerLabel(sessionId, speakerId, req.body, req.auth);
+    if (!result) {
+      return res.status(404).json({ error: 'Speaker not found' });
+    }
+
+    res.json({ success: true, speaker: result.speaker });
+  } catch (error) {
+    logger.error('Speaker label error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Query the tenant's audit trail, newest first
+app.get('/api/audit', requireRole('admin', 'auditor'), async (req, res) => {
+  try {
+    const { sessionId, action, clinicianId, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const entries = await auditLog.query({
+      tenantId: req.auth.tenantId,
       sessionId,
-      noteType,
-      content: completion.choices[0].message.content,
-      generatedAt: new Date().toISOString(),
-      wordCount: completion.choices[0].message.content.split(' ').length,
-      clientInfo,
-      sessionDuration: calculateSessionDuration(session)
-    };
+      action,
+      clinicianId,
+      from,
+      to,
+      limit
+    });
+
+    res.json({ success: true, entries });
+  } catch (error) {
+    logger.error('Audit query error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download the tenant's audit entries as JSON lines, oldest first, with their chain hashes.
+// Other tenants' entries are left out, so the export is checked against the full log
+// (audit:verify) rather than on its own.
+app.get('/api/audit/export', requireRole('admin', 'auditor'), async (req, res) => {
+  try {
+    const { tenantId } = req.auth;
+    await audit(req.auth, 'audit.export', { type: 'audit', tenantId });
+
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-${tenantId}.jsonl"`);
+    for await (const entry of auditLog.entries()) {
+      if (entry.actor.tenantId === tenantId) {
+        res.write(`${JSON.stringify(entry)}\n`);
+      }
+    }
+    res.end();
+  } catch (error) {
+    logger.error('Audit export error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The tenant's data keys (ids and dates only)
+app.get('/api/encryption/keys', requireRole('admin'), async (req, res) => {
+  try {
+    if (!keyRing) {
+      return res.status(409).json({ error: 'Encryption at rest is not enabled' });
+    }
+    res.json({ success: true, ...(await keyRing.describe(req.auth.tenantId)) });
+  } catch (error) {
+    logger.error('Encryption key listing error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rotate the tenant's data key, re-encrypt everything stored under the old keys, then destroy them
+app.post('/api/encryption/rotate', requireRole('admin'), async (req, res) => {
+  try {
+    if (!keyRing) {
+      return res.status(409).json({ error: 'Encryption at rest is not enabled' });
+    }
 
-    // Store the generated note
-    session.clinicalNote = clinicalNote;
+    const { tenantId } = req.auth;
+    let rotation;
+    try {
+      rotation = await rotateTenantKey(tenantId);
+    } catch (error) {
+      await audit(req.auth, 'encryption.rotate', { type: 'encryption', tenantId }, 'failure', { reason: error.message });
+      throw error;
+    }
 
+    await audit(req.auth, 'encryption.rotate', { type: 'encryption', tenantId }, 'success', rotation);
+    res.json({ success: true, ...rotation });
+  } catch (error) {
+    logger.error('Encryption key rotation error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// The tenant's retention policy (days per artifact type; null keeps indefinitely)
+app.get('/api/retention/policy', requireRole('admin', 'auditor'), async (req, res) => {
+  try {
     res.json({
       success: true,
-      note: clinicalNote
+      policy: await retentionPolicies.get(req.auth.tenantId),
+      defaults: retentionPolicies.defaults
     });
+  } catch (error) {
+    logger.error('Retention policy fetch error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
+// Set the tenant's retention overrides; artifact types left out use the deployment defaults
+app.put('/api/retention/policy', requireRole('admin'), async (req, res) => {
+  try {
+    const { tenantId } = req.auth;
+    const policy = await retentionPolicies.set(tenantId, req.body.policy || {}, req.auth);
+    await audit(req.auth, 'retention.policy', { type: 'retention', tenantId }, 'success', { policy });
+
+    logger.info(`Updated retention policy for tenant: ${tenantId}`);
+    res.json({ success: true, policy });
   } catch (error) {
-    logger.error('Note generation error:', error);
+    logger.error('Retention policy update error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Enforce the tenant's retention policy now instead of waiting for the background purge
+app.post('/api/retention/purge', requireRole('admin'), async (req, res) => {
+  try {
+    const summary = await retention.purge({ tenantId: req.auth.tenantId });
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    logger.error('Retention purge error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// Place a legal hold on a session: nothing in it can be purged, erased or deleted until released
+app.put('/api/sessions/:sessionId/legal-hold', requireRole('admin'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { reason } = req.body;
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ error: 'A legal hold needs a reason' });
+    }
+
+    let legalHold;
+    const session = await sessionStore.update(sessionId, (stored) => {
+      legalHold = {
+        reason: String(reason).trim(),
+        placedBy: req.auth.clinicianId || null,
+        placedAt: new Date().toISOString()
+      };
+      stored.legalHold = legalHold;
+    }, { tenantId: req.auth.tenantId });
+    if (!session) {
+      await audit(req.auth, 'session.hold', sessionResource(sessionId), await missingOutcome(sessionId));
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await audit(req.auth, 'session.hold', sessionResource(sessionId));
+    logger.info(`Legal hold placed on session: ${sessionId}`);
+    res.json({ success: true, sessionId, legalHold });
+  } catch (error) {
+    logger.error('Legal hold error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Release a session's legal hold
+app.delete('/api/sessions/:sessionId/legal-hold', requireRole('admin'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    let released = null;
+    const session = await sessionStore.update(sessionId, (stored) => {
+      released = stored.legalHold || null;
+      if (!released) {
+        return false;
+      }
+      delete stored.legalHold;
+    }, { tenantId: req.auth.tenantId });
+    if (!session) {
+      await audit(req.auth, 'session.release', sessionResource(sessionId), await missingOutcome(sessionId));
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    if (!released) {
+      return res.status(409).json({ error: 'Session is not under a legal hold' });
+    }
+
+    await audit(req.auth, 'session.release', sessionResource(sessionId));
+    logger.info(`Legal hold released on session: ${sessionId}`);
+    res.json({ success: true, sessionId, released });
+  } catch (error) {
+    logger.error('Legal hold release error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Erase sessions outright (`sessionIds`, or every session whose note is for `clientMrn`)
+// and return a deletion receipt; sessions under a legal hold are withheld
+app.post('/api/erasure', requireRole('admin'), async (req, res) => {
+  try {
+    const { sessionIds, clientMrn } = req.body;
+    const { tenantId } = req.auth;
+    if (!clientMrn && !(Array.isArray(sessionIds) && sessionIds.length > 0)) {
+      return res.status(400).json({ error: 'Erasure needs sessionIds or clientMrn' });
+    }
+
+    const forClient = session => Boolean(session.clinicalNote && session.clinicalNote.clientInfo
+      && session.clinicalNote.clientInfo.mrn === String(clientMrn));
+    const targets = clientMrn
+      ? (await Promise.all((await sessionStore.list({ limit: Infinity, tenantId }))
+        .map(summary => sessionStore.get(summary.id, { tenantId }))))
+        .filter(session => session && forClient(session))
+        .map(session => session.id)
+      : Array.from(new Set(sessionIds.map(String)));
+
+    const removed = [];
+    const withheld = [];
+    const notFound = [];
+    for (const sessionId of targets) {
+      let artifacts = null;
+      let hold = null;
+      const deleted = await sessionStore.delete(sessionId, {
+        tenantId,
+        onlyIf: (session) => {
+          if (isOnHold(session)) {
+            hold = session.legalHold;
+            return false;
+          }
+          artifacts = countArtifacts(session);
+          return !clientMrn || forClient(session);
+        }
+      });
+
+      if (deleted) {
+        removed.push({ sessionId, artifacts });
+        noteJobs.discard(sessionId);
+      } else if (hold) {
+        withheld.push({ sessionId, reason: 'legal_hold', hold });
+      } else {
+        notFound.push(sessionId);
+      }
+    }
+
+    const receipt = buildDeletionReceipt({
+      tenantId,
+      actor: req.auth,
+      scope: clientMrn ? { clientMrn: String(clientMrn) } : { sessionIds: targets },
+      removed,
+      withheld,
+      notFound
+    });
+
+    // The audit entry (no client identifiers) makes the receipt verifiable later
+    const entry = await audit(req.auth, 'data.erase', { type: 'erasure', tenantId }, 'success', {
+      receiptId: receipt.id,
+      scope: clientMrn ? 'client' : 'sessions',
+      removedSessionIds: removed.map(r => r.sessionId),
+      withheldSessionIds: withheld.map(w => w.sessionId),
+      totals: receipt.totals
+    });
+    receipt.auditEntry = entry ? { seq: entry.seq, hash: entry.hash } : null;
+
+    logger.info(`Erased ${removed.length} sessions for tenant ${tenantId} (${withheld.length} withheld under legal hold)`);
+    res.json({ success: true, receipt });
+  } catch (error) {
+    logger.error('Erasure error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Subscribe a URL to webhook events (`url`, `events`, `description`); the signing secret is returned only here
+app.post('/api/webhooks', requireRole('admin'), async (req, res) => {
+  try {
+    const subscription = await webhooks.create(req.auth.tenantId, req.body, req.auth);
+    await audit(req.auth, 'webhook.create', webhookResource(subscription.id), 'success', {
+      url: subscription.url,
+      events: subscription.events
+    });
+
+    logger.info(`Created webhook ${subscription.id} for tenant: ${req.auth.tenantId}`);
+    res.status(201).json({ success: true, subscription, events: WEBHOOK_EVENTS });
+  } catch (error) {
+    logger.error('Webhook create error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/webhooks', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ success: true, subscriptions: await webhooks.list(req.auth.tenantId), events: WEBHOOK_EVENTS });
+  } catch (error) {
+    logger.error('Webhook list error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/webhooks/:webhookId', requireRole('admin'), async (req, res) => {
+  try {
+    const subscription = await webhooks.get(req.auth.tenantId, req.params.webhookId);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json({ success: true, subscription });
+  } catch (error) {
+    logger.error('Webhook fetch error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change a subscription's `url`, `events`, `description` or `active` flag
+app.patch('/api/webhooks/:webhookId', requireRole('admin'), async (req, res) => {
+  try {
+    const { url, events, description, active } = req.body;
+    const subscription = await webhooks.update(req.auth.tenantId, req.params.webhookId, { url, events, description, active });
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    await audit(req.auth, 'webhook.update', webhookResource(subscription.id), 'success', {
+      url: subscription.url,
+      events: subscription.events,
+      active: subscription.active
+    });
+    res.json({ success: true, subscription });
+  } catch (error) {
+    logger.error('Webhook update error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/webhooks/:webhookId', requireRole('admin'), async (req, res) => {
+  try {
+    const removed = await webhooks.remove(req.auth.tenantId, req.params.webhookId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    await audit(req.auth, 'webhook.delete', webhookResource(req.params.webhookId));
+    logger.info(`Deleted webhook ${req.params.webhookId} for tenant: ${req.auth.tenantId}`);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Webhook delete error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Send a signed `webhook.ping` to the subscription now and report how the receiver answered
+app.post('/api/webhooks/:webhookId/ping', requireRole('admin'), async (req, res) => {
+  try {
+    const delivery = await webhooks.ping(req.auth.tenantId, req.params.webhookId);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json({ success: delivery.status === 'delivered', delivery });
+  } catch (error) {
+    logger.error('Webhook ping error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The subscription's delivery log, newest first (`status`, `event`, `limit`)
+app.get('/api/webhooks/:webhookId/deliveries', requireRole('admin'), async (req, res) => {
+  try {
+    const { tenantId } = req.auth;
+    if (!await webhooks.get(tenantId, req.params.webhookId)) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const deliveries = await webhooks.listDeliveries(tenantId, {
+      subscriptionId: req.params.webhookId,
+      status: req.query.status,
+      event: req.query.event,
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 500)
+    });
+    res.json({ success: true, deliveries });
+  } catch (error) {
+    logger.error('Webhook delivery list error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/webhooks/:webhookId/deliveries/:deliveryId', requireRole('admin'), async (req, res) => {
+  try {
+    const delivery = await webhooks.getDelivery(req.auth.tenantId, req.params.deliveryId);
+    if (!delivery || delivery.subscriptionId !== req.params.webhookId) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    res.json({ success: true, delivery });
+  } catch (error) {
+    logger.error('Webhook delivery fetch error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Send a logged delivery again, as a new delivery carrying the same event id
+app.post('/api/webhooks/:webhookId/deliveries/:deliveryId/redeliver', requireRole('admin'), async (req, res) => {
+  try {
+    const original = await webhooks.getDelivery(req.auth.tenantId, req.params.deliveryId);
+    if (!original || original.subscriptionId !== req.params.webhookId) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    const delivery = await webhooks.redeliver(req.auth.tenantId, original.id);
+    await audit(req.auth, 'webhook.redeliver', webhookResource(req.params.webhookId), 'success', {
+      deliveryId: delivery.id,
+      redeliveryOf: original.id,
+      event: delivery.event
+    });
+    res.json({ success: delivery.status === 'delivered', delivery });
+  } catch (error) {
+    logger.error('Webhook redelivery error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Meeting bot lifecycle reported by the meeting-bot service, which calls with a
+// short-lived `service` token for the tenant that owns the bot
+app.post('/api/meeting-events', requireRole('service'), async (req, res) => {
+  const { event, meetingId, platform, sessionId, reason, occurredAt } = req.body;
+  if (!MEETING_EVENTS.includes(event) || !meetingId) {
+    return res.status(400).json({ error: `event must be one of ${MEETING_EVENTS.join(', ')} and meetingId is required` });
+  }
+
+  notifyWebhooks(req.auth.tenantId, `meeting.${event}`, {
+    meetingId: String(meetingId),
+    platform,
+    sessionId,
+    clinicianId: req.auth.clinicianId,
+    reason,
+    occurredAt: occurredAt || new Date().toISOString()
+  });
+  res.status(202).json({ success: true });
+});
+
+// Export the session transcript as WebVTT, SRT, speaker-turn text or word-level JSON
+app.get('/api/sessions/:sessionId/transcript/export', readsSessions, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const format = req.query.format || 'vtt';
+
+    if (!transcriptFormats().includes(format)) {
+      return res.status(400).json({
+        error: `Unknown transcript format: ${format}`,
+        available: transcriptFormats()
+      });
+    }
+
+    const session = await sessionStore.get(sessionId, { tenantId: req.auth.tenantId });
+    if (!session) {
+      await audit(req.auth, 'session.export', sessionResource(sessionId), await missingOutcome(sessionId), { format });
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const options = {};
+    if (req.query.pause !== undefined) {
+      options.pause = Number(req.query.pause);
+      if (!(options.pause > 0)) {
+        return res.status(400).json({ error: 'pause must be a positive number of seconds' });
+      }
+    }
+
+    const exported = exportTranscript(session, format, options);
+    await audit(req.auth, 'session.export', sessionResource(sessionId), 'success', { format });
+
+    res.setHeader('Content-Type', exported.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exported.filename}"`);
+    res.send(exported.body);
+  } catch (error) {
+    logger.error('Transcript export error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Save clinician edits to an unsigned note (`sections`, partial)
+app.patch('/api/sessions/:sessionId/notes/:noteId', writesNotes, async (req, res) => {
+  const { sessionId, noteId } = req.params;
+  try {
+    const note = await changeNote(sessionId, noteId, req.auth, (stored, { template, validate }) =>
+      noteVersions.editNote(stored, noteId, { sections: req.body.sections, actor: req.auth, template, validate }));
+
+    await audit(req.auth, 'note.edit', sessionResource(sessionId), 'success', { noteId: note.id, version: note.version });
+    res.json({ success: true, note });
+  } catch (error) {
+    logger.error('Note edit error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
+  }
+});
+
+// Sign and lock a note
+app.post('/api/sessions/:sessionId/notes/:noteId/sign', writesNotes, async (req, res) => {
+  const { sessionId, noteId } = req.params;
+  try {
+    const note = await changeNote(sessionId, noteId, req.auth, stored =>
+      noteVersions.signNote(stored, noteId, { actor: req.auth, name: req.body.name }));
+
+    await audit(req.auth, 'note.sign', sessionResource(sessionId), 'success', { noteId: note.id, version: note.version });
+    notifyWebhooks(req.auth.tenantId, 'note.signed', {
+      sessionId,
+      noteId: note.id,
+      version: note.version,
+      signedBy: note.signature.clinicianId,
+      signedAt: note.signature.signedAt
+    });
+    logger.info(`Note ${note.id} signed for session: ${sessionId}`);
+    res.json({ success: true, note });
+  } catch (error) {
+    logger.error('Note sign error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Amend a signed note (`sections`, `reason`)
+app.post('/api/sessions/:sessionId/notes/:noteId/amend', writesNotes, async (req, res) => {
+  const { sessionId, noteId } = req.params;
+  try {
+    const { sections, reason } = req.body;
+    const note = await changeNote(sessionId, noteId, req.auth, (stored, { template, validate }) =>
+      noteVersions.amendNote(stored, noteId, { sections, reason, actor: req.auth, template, validate }));
+
+    await audit(req.auth, 'note.amend', sessionResource(sessionId), 'success', { noteId: note.id, version: note.version });
+    logger.info(`Note ${note.id} amended for session: ${sessionId}`);
+    res.json({ success: true, note });
+  } catch (error) {
+    logger.error('Note amend error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message, details: error.details });
+  }
+});
+
+// Version history of a note
+app.get('/api/sessions/:sessionId/notes/:noteId/versions', readsSessions, async (req, res) => {
+  try {
+    const session = await sessionStore.get(req.params.sessionId, { tenantId: req.auth.tenantId });
+    const versions = session && noteVersions.listVersions(session, req.params.noteId);
+    if (!versions) {
+      return res.status(404).json({ error: session ? 'Note not found' : 'Session not found' });
+    }
+
+    res.json({ success: true, versions });
+  } catch (error) {
+    logger.error('Note version list error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/sessions/:sessionId/notes/:noteId/versions/:version', readsSessions, async (req, res) => {
+  try {
+    const { sessionId, noteId, version } = req.params;
+    const session = await sessionStore.get(sessionId, { tenantId: req.auth.tenantId });
+    const snapshot = session && noteVersions.getVersion(session, noteId, version);
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    await audit(req.auth, 'note.view', sessionResource(sessionId), 'success', { noteId: snapshot.noteId, version: snapshot.version });
+    res.json({ success: true, version: snapshot });
+  } catch (error) {
+    logger.error('Note version fetch error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Word diff between two versions (`from`, `to`; defaults to the previous and current versions)
+app.get('/api/sessions/:sessionId/notes/:noteId/diff', readsSessions, async (req, res) => {
+  try {
+    const { sessionId, noteId } = req.params;
+    const session = await sessionStore.get(sessionId, { tenantId: req.auth.tenantId });
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const diff = noteVersions.diffVersions(session, noteId, req.query.from, req.query.to);
+    await audit(req.auth, 'note.view', sessionResource(sessionId), 'success', { noteId: diff.noteId, diff: `${diff.from.version}..${diff.to.version}` });
+    res.json({ success: true, diff });
+  } catch (error) {
+    logger.error('Note diff error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Export a session's note as FHIR, PDF, Markdown or plain text (`format` query parameter)
+app.get('/api/sessions/:sessionId/notes/:noteId/export', readsSessions, async (req, res) => {
+  try {
+    const { sessionId, noteId } = req.params;
+    const format = req.query.format || 'markdown';
+    const { tenantId } = req.auth;
+
+    if (!noteExporter.has(format)) {
+      return res.status(400).json({
+        error: `Unknown export format: ${format}`,
+        available: noteExporter.formats()
+      });
+    }
+
+    const session = await sessionStore.get(sessionId, { tenantId });
+    if (!session) {
+      await audit(req.auth, 'note.export', sessionResource(sessionId), await missingOutcome(sessionId), { format });
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const note = noteVersions.findNote(session, noteId);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    const template = await noteTemplates.get(note.noteType, tenantId);
+    const exported = await noteExporter.export(format, { session, note, template });
+
+    await audit(req.auth, 'note.export', sessionResource(sessionId), 'success', { noteId: note.id, format });
+
+    res.setHeader('Content-Type', exported.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exported.filename}"`);
+    res.send(exported.body);
+  } catch (error) {
+    logger.error('Note export error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
 // Socket.IO for real-time communication
 io.on('connection', (socket) => {
-  logger.info(`Client connected: ${socket.id}`);
+  logger.info(`Client connected: ${socket.id} (tenant ${socket.data.auth.tenantId})`);
+
+  socket.on('join_session', async (sessionId) => {
+    // Joining claims a new session for this tenant, so another tenant can never share the room
+    let session;
+    try {
+      session = await claimSession(sessionId, socket.data.auth);
+    } catch (error) {
+      logger.warn(`Client ${socket.id} refused session ${sessionId}: ${error.message}`);
+      await audit(socket.data.auth, 'session.join', sessionResource(sessionId), error.statusCode === 404 ? 'denied' : 'failure');
+      socket.emit('session_error', { sessionId, error: 'Session not found' });
+      return;
+    }
 
-  socket.on('join_session', (sessionId) => {
     socket.join(`session_${sessionId}`);
+    socket.data.sessionId = sessionId;
     logger.info(`Client ${socket.id} joined session: ${sessionId}`);
+    await audit(socket.data.auth, 'session.join', sessionResource(sessionId));
     
-    // Send existing session data if available
-    if (activeSessions.has(sessionId)) {
-      const session = activeSessions.get(sessionId);
-      socket.emit('session_data', {
-        sessionId,
-        transcripts: session.transcripts,
-        speakers: Array.from(session.speakers)
-      });
+    // Send existing session data
+    socket.emit('session_data', {
+      sessionId,
+      transcripts: session.transcripts,
+      speakers: session.speakers
+    });
+  });
+
+  // Start live transcription; results go to the session room as `transcription` events
+  socket.on('start_stream', async (options = {}) => {
+    const sessionId = options.sessionId || socket.data.sessionId || uuidv4();
+
+    try {
+      await claimSession(sessionId, socket.data.auth, { meetingId: options.meetingId });
+      socket.join(`session_${sessionId}`);
+      socket.data.sessionId = sessionId;
+
+      liveStreams.start(socket, sessionId, options);
+      await audit(socket.data.auth, 'session.transcribe', sessionResource(sessionId), 'success', { source: 'stream' });
+      socket.emit('stream_started', { sessionId });
+    } catch (error) {
+      logger.error('Live stream start error:', error);
+      socket.emit('stream_error', { sessionId, error: error.message });
+    }
+  });
+
+  socket.on('audio-chunk', (chunk) => {
+    if (liveStreams.push(socket.id, chunk)) {
+      return;
+    }
+
+    // Clients that joined a session can stream straight away without start_stream
+    if (!socket.data.sessionId) {
+      socket.emit('stream_error', { error: 'No active stream. Emit start_stream or join_session first.' });
+      return;
+    }
+
+    try {
+      liveStreams.start(socket, socket.data.sessionId);
+      socket.emit('stream_started', { sessionId: socket.data.sessionId });
+      liveStreams.push(socket.id, chunk);
+    } catch (error) {
+      logger.error('Live stream start error:', error);
+      socket.emit('stream_error', { sessionId: socket.data.sessionId, error: error.message });
+    }
+  });
+
+  socket.on('stop_stream', () => {
+    liveStreams.stop(socket.id);
+  });
+
+  socket.on('label_speaker', async ({ sessionId, speakerId, role, name } = {}) => {
+    try {
+      const result = await applySpeakerLabel(
+        sessionId || socket.data.sessionId,
+        speakerId,
+        { role, name },
+        socket.data.auth
+      );
+      if (!result) {
+        socket.emit('speaker_error', { sessionId, speakerId, error: 'Speaker not found' });
+      }
+    } catch (error) {
+      logger.error('Speaker label error:', error);
+      socket.emit('speaker_error', { sessionId, speakerId, error: error.message });
     }
   });
 
   socket.on('disconnect', () => {
+    liveStreams.stop(socket.id);
     logger.info(`Client disconnected: ${socket.id}`);
   });
 });
 
 // Helper functions
-function extractSpeakers(words) {
-  const speakers = {};
-  words.forEach(word => {
-    if (word.speaker !== undefined) {
-      if (!speakers[word.speaker]) {
-        speakers[word.speaker] = [];
+
+/**
+ * Append an audit entry. Details must stay free of PHI: ids, counts and settings only.
+ */
+async function audit(actor, action, resource, outcome = 'success', details = {}) {
+  try {
+    return await auditLog.record({ actor, action, resource, outcome, details });
+  } catch (error) {
+    logger.error(`Audit record error (${action}):`, error);
+    return null;
+  }
+}
+
+function sessionResource(sessionId) {
+  return { type: 'session', sessionId };
+}
+
+function webhookResource(webhookId) {
+  return { type: 'webhook', webhookId };
+}
+
+/**
+ * Audit outcome for a session the caller couldn't see: `denied` when another tenant
+ * owns it, `not_found` when it doesn't exist at all
+ */
+async function missingOutcome(sessionId) {
+  try {
+    return (await sessionStore.get(sessionId)) ? 'denied' : 'not_found';
+  } catch (error) {
+    return 'not_found';
+  }
+}
+
+/**
+ * Get a tenant's session, creating it for them if it doesn't exist yet.
+ * Rejects with a 404 when the session belongs to another tenant.
+ */
+async function claimSession(sessionId, auth, { meetingId } = {}) {
+  return sessionStore.update(sessionId, (stored) => {
+    // A session recorded by the meeting bot stays linked to the meeting it came from
+    if (meetingId && !stored.meetingId) {
+      stored.meetingId = String(meetingId);
+    }
+  }, {
+    create: true,
+    tenantId: auth.tenantId,
+    attributes: { clinicianId: auth.clinicianId }
+  });
+}
+
+/**
+ * Store a final transcription chunk on its session, screening it for risk first
+ */
+async function storeTranscription(sessionId, transcription, auth) {
+  transcription.id = uuidv4();
+  const riskFlags = riskScreener.screen(transcription).map(flag => ({ ...flag, chunkId: transcription.id }));
+  let speakersAdded = false;
+  let duplicate = false;
+
+  const session = await sessionStore.update(sessionId, (stored) => {
+    // Checked again under the session lock in case a retry raced the first upload
+    if (isDuplicateChunk(stored, transcription)) {
+      duplicate = true;
+      return;
+    }
+
+    speakersAdded = trackSpeakers(stored.speakers, transcription);
+    // Flags point at the tracked speaker, since diarization indexes only hold within a chunk
+    riskFlags.forEach((flag) => {
+      const word = flag.speaker !== undefined && transcription.words.find(w => w.speaker === flag.speaker && w.start === flag.start);
+      if (word) {
+        flag.speakerId = word.speakerId;
       }
-      speakers[word.speaker].push({
-        word: word.word,
-        start: word.start,
-        end: word.end,
-        confidence: word.confidence
-      });
+    });
+    // A channel recorded for a known role labels its speaker, unless someone already has
+    (transcription.channels || []).forEach(({ channel, role }) => {
+      const speaker = role && stored.speakers.find(s => s.id === `channel_${channel}`);
+      if (speaker && !speaker.role) {
+        labelSpeaker(stored.speakers, speaker.id, { role });
+        speakersAdded = true;
+      }
+    });
+    if (riskFlags.length > 0) {
+      stored.riskFlags = (stored.riskFlags || []).concat(riskFlags);
     }
+    placeChunk(stored, transcription);
+  }, { create: true, tenantId: auth.tenantId, attributes: { clinicianId: auth.clinicianId } });
+
+  if (duplicate) {
+    return { riskFlags: [], duplicate };
+  }
+
+  if (speakersAdded) {
+    io.to(`session_${sessionId}`).emit('speakers_updated', { sessionId, speakers: session.speakers });
+  }
+
+  notifyWebhooks(auth.tenantId, 'transcription.chunk_stored', {
+    sessionId,
+    chunkId: transcription.id,
+    sequence: transcription.sequence,
+    streamId: transcription.streamId,
+    offset: transcription.offset,
+    duration: transcription.duration,
+    wordCount: (transcription.words || []).length
   });
-  return speakers;
+
+  if (riskFlags.length > 0) {
+    logger.warn(`Risk indicators flagged for session ${sessionId}: ${riskFlags.map(f => f.category).join(', ')}`);
+    io.to(`session_${sessionId}`).emit('risk_alert', { sessionId, flags: riskFlags });
+    // Categories and timing only; the matched words stay in the session
+    notifyWebhooks(auth.tenantId, 'risk.flagged', {
+      sessionId,
+      chunkId: transcription.id,
+      flags: riskFlags.map(({ category, label, severity, start, end }) => ({ category, label, severity, start, end }))
+    });
+  }
+
+  return { riskFlags };
+}
+
+/**
+ * Queue webhook deliveries for an event; a delivery problem never fails the caller
+ */
+function notifyWebhooks(tenantId, event, data) {
+  webhooks.emit(tenantId, event, data).catch(error => logger.error(`Webhook ${event} error:`, error));
+}
+
+/**
+ * Make a new data key active for the tenant and re-encrypt its sessions, templates and webhooks.
+ * Old keys are destroyed only once nothing is left under them; any failure keeps them.
+ */
+async function rotateTenantKey(tenantId) {
+  const keyId = await keyRing.rotate(tenantId);
+  const sessions = await sessionStore.reencrypt(tenantId);
+  const templates = await noteTemplates.reencrypt(tenantId);
+  const webhookRecords = await webhooks.reencrypt(tenantId);
+
+  const { keys } = await keyRing.describe(tenantId);
+  const retired = keys.filter(key => !key.active).map(key => key.id);
+  await keyRing.destroy(tenantId, retired);
+
+  logger.info(`Re-encrypted ${sessions.count} sessions and ${templates.count} templates for tenant ${tenantId}`);
+  return {
+    keyId,
+    reencrypted: { sessions: sessions.count, templates: templates.count, webhooks: webhookRecords.count },
+    destroyedKeyIds: retired
+  };
 }
 
-function createClinicalNotePrompt(noteType, transcript, clientInfo) {
-  const basePrompt = `
-Generate a professional ${noteType} clinical note based on the following therapy session transcript.
-
-Client Information:
-- Name: ${clientInfo.name || 'Client'}
-- Date of Birth: ${clientInfo.dob || 'Not provided'}
-- Session Date: ${new Date().toLocaleDateString()}
-- Session Type: ${clientInfo.sessionType || 'Individual Therapy'}
-
-Session Transcript:
-${transcript}
-
-Requirements:
-- Use objective, behaviorally anchored language
-- Maintain HIPAA compliance
-- Include relevant clinical observations
-- Avoid subjective interpretations
-- Follow ${noteType} format structure
-- Include risk assessment if applicable
-- Suggest treatment plan elements
-`;
-
-  return basePrompt;
+/**
+ * Label a session speaker and tell the session room; resolves null when the speaker is unknown
+ */
+async function applySpeakerLabel(sessionId, speakerId, label, auth) {
+  let speaker = null;
+  const session = await sessionStore.update(sessionId, (stored) => {
+    speaker = labelSpeaker(stored.speakers, speakerId, label);
+  }, { tenantId: auth.tenantId });
+
+  if (!session || !speaker) {
+    return null;
+  }
+
+  await audit(auth, 'speaker.label', sessionResource(sessionId), 'success', { speakerId, role: speaker.role });
+
+  logger.info(`Labeled ${speakerId} as ${speaker.role || 'unassigned'} in session: ${sessionId}`);
+  io.to(`session_${sessionId}`).emit('speakers_updated', { sessionId, speakers: session.speakers });
+  return { speaker, session };
+}
+
+/**
+ * Note job handler: generate a note for the job's session and store it as a new draft
+ */
+async function generateNote(job, progress) {
+  const { sessionId, actor } = job;
+  const { noteType, clientInfo, llmProvider, model } = job.params;
+  const { tenantId } = actor;
+
+  progress('preparing', 10);
+  const [session, template] = await Promise.all([
+    sessionStore.get(sessionId, { tenantId }),
+    noteTemplates.get(noteType, tenantId)
+  ]);
+  if (!session || !template) {
+    const error = new Error(session ? `Unknown note type: ${noteType}` : 'Session not found');
+    error.statusCode = session ? 400 : 404;
+    throw error;
+  }
+
+  logger.info(`Generating ${template.id} notes for session: ${sessionId} (job ${job.id}, attempt ${job.attempts})`);
+
+  // Generate clinical notes with the provider/model selected for this request or tenant
+  progress('generating', 30);
+  let generated;
+  try {
+    generated = await noteGenerator.generate({
+      sessionId,
+      template,
+      turns: buildTranscriptTurns(session),
+      clientInfo,
+      speakers: session.speakers,
+      riskFlags: session.riskFlags,
+      phiMapping: session.phiMapping,
+      provider: llmProvider,
+      model,
+      tenantId,
+      // The job queue retries transient failures, so the router doesn't as well
+      maxRetries: 0,
+      // Long sessions are summarised segment by segment before the note is written
+      onProgress: (stage, fraction) => progress(stage, stage === 'summarizing' ? 30 + Math.round(fraction * 50) : 85)
+    });
+  } catch (error) {
+    await audit(actor, 'note.generate', sessionResource(sessionId), 'failure', { noteType: template.id, jobId: job.id, attempt: job.attempts });
+    throw error;
+  }
+
+  const generatedNote = {
+    sessionId,
+    noteType: template.id,
+    sections: generated.sections,
+    content: generated.content,
+    generatedAt: new Date().toISOString(),
+    wordCount: generated.content.split(/\s+/).length,
+    clientInfo,
+    sessionDuration: calculateSessionDuration(session),
+    provider: generated.provider,
+    model: generated.model,
+    usage: generated.usage,
+    generation: generated.generation,
+    redactionCount: generated.redactionCount,
+    riskFlags: session.riskFlags || []
+  };
+
+  // Store the generated note as a new draft version, plus the placeholder mapping so
+  // later generations reuse it. A note signed while the job ran is left alone (409).
+  progress('saving', 90);
+  let clinicalNote;
+  await sessionStore.update(sessionId, (stored) => {
+    clinicalNote = noteVersions.recordGeneratedNote(stored, generatedNote, actor);
+    stored.phiMapping = generated.phiMapping;
+  }, { tenantId });
+  if (!clinicalNote) {
+    // Erased while the note was being written
+    const error = new Error('Session not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  await audit(actor, 'note.generate', sessionResource(sessionId), 'success', {
+    noteType: template.id,
+    provider: generated.provider,
+    model: generated.model,
+    redactionCount: generated.redactionCount,
+    jobId: job.id
+  });
+  notifyWebhooks(tenantId, 'note.generated', {
+    sessionId,
+    noteId: clinicalNote.id,
+    noteType: template.id,
+    version: clinicalNote.version,
+    status: clinicalNote.status,
+    jobId: job.id
+  });
+
+  return clinicalNote;
+}
+
+/**
+ * Run a note lifecycle change (edit, sign, amend) against the session's current note.
+ * `change(stored, { template, validate })` mutates the stored session and returns the note.
+ */
+async function changeNote(sessionId, noteId, auth, change) {
+  const session = await sessionStore.get(sessionId, { tenantId: auth.tenantId });
+  const note = session && noteVersions.findNote(session, noteId);
+  if (!note) {
+    const error = new Error(session ? 'Note not found' : 'Session not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const template = await noteTemplates.get(note.noteType, auth.tenantId);
+  const validate = template
+    ? sections => noteTemplates.validate(template, sections)
+    : () => ({ valid: true, errors: [] });
+
+  let changed;
+  await sessionStore.update(sessionId, (stored) => {
+    changed = change(stored, { template, validate });
+  }, { tenantId: auth.tenantId });
+  return changed;
+}
+
+/**
+ * Audio metadata stored with a chunk (drops the parser's internal offsets)
+ */
+function describeAudio({ format, mimeType, codec, duration, sampleRate, channels, bitsPerSample, hasVideo }) {
+  return { format, mimeType, codec, duration, sampleRate, channels, bitsPerSample, hasVideo: hasVideo || undefined };
+}
+
+/**
+ * Parse an optional numeric form field: undefined when absent, null when invalid
+ */
+function optionalNumber(value, check) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const number = Number(value);
+  return check(number) && number >= 0 ? number : null;
 }
 
 function calculateSessionDuration(session) {
@@ -260,14 +1532,36 @@ function calculateSessionDuration(session) {
 }
 
 // Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
+app.get('/health', async (req, res) => {
+  let activeSessions;
+  try {
+    activeSessions = await sessionStore.count();
+  } catch (error) {
+    logger.error('Health check error:', error);
+    return res.status(503).json({ status: 'unhealthy', timestamp: new Date().toISOString(), error: 'Session store unavailable' });
+  }
+
+  // Requests still succeed while audit writes fail, so the failure has to show here
+  const audit = auditLog.status();
+  res.status(audit.healthy ? 200 : 503).json({
+    status: audit.healthy ? 'healthy' : 'unhealthy',
     timestamp: new Date().toISOString(),
-    activeSessions: activeSessions.size
+    audit,
+    activeSessions,
+    activeNoteJobs: noteJobs.activeCount(),
+    transcriptionProviders: transcriptionProviders.names(),
+    noteProviders: noteModels.names()
   });
 });
 
+// Upload errors (rejected type, file too large) come back as JSON like everything else
+app.use((error, req, res, next) => {
+  if (!(error instanceof multer.MulterError) && !error.statusCode) {
+    return next(error);
+  }
+  res.status(error.statusCode || (error.code === 'LIMIT_FILE_SIZE' ? 413 : 400)).json({ error: error.message });
+});
+
 const PORT = process.env.PORT || 4000;
 server.listen(PORT, () => {
   logger.info(`Audio service running on port ${PORT}`);
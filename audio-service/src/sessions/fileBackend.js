@@ -0,0 +1,72 @@
+/**
+ * File session backend.
+ * Stores one JSON document per session in a directory, for single-node deployments.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const SAFE_ID = /^[A-Za-z0-9_-]+$/;
+
+class FileBackend {
+  constructor(directory) {
+    this.directory = directory;
+    this.ready = fs.mkdir(directory, { recursive: true });
+  }
+
+  filePath(id) {
+    // Ids come from clients, so never let them escape the directory
+    if (!SAFE_ID.test(id)) {
+      const error = new Error(`Invalid id: ${id}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  async read(id) {
+    await this.ready;
+    try {
+      const contents = await fs.readFile(this.filePath(id), 'utf8');
+      return JSON.parse(contents);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async write(id, data) {
+    await this.ready;
+    const target = this.filePath(id);
+    const tempFile = `${target}.${process.pid}.tmp`;
+
+    // Write then rename so a crash never leaves a half-written session behind
+    await fs.writeFile(tempFile, JSON.stringify(data));
+    await fs.rename(tempFile, target);
+  }
+
+  async remove(id) {
+    await this.ready;
+    try {
+      await fs.unlink(this.filePath(id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async keys() {
+    await this.ready;
+    const files = await fs.readdir(this.directory);
+    return files
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -'.json'.length));
+  }
+}
+
+module.exports = FileBackend;
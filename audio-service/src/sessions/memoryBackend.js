@@ -0,0 +1,30 @@
+/**
+ * In-memory session backend.
+ * Keeps sessions in a Map; used for tests and local development.
+ */
+
+class MemoryBackend {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async read(id) {
+    const record = this.records.get(id);
+    // Hand out copies so callers can't mutate stored state behind the store's back
+    return record ? JSON.parse(record) : null;
+  }
+
+  async write(id, data) {
+    this.records.set(id, JSON.stringify(data));
+  }
+
+  async remove(id) {
+    return this.records.delete(id);
+  }
+
+  async keys() {
+    return Array.from(this.records.keys());
+  }
+}
+
+module.exports = MemoryBackend;
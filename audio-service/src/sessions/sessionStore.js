@@ -0,0 +1,195 @@
+/**
+ * Session storage layer.
+ * Wraps a pluggable backend (memory or file) and serialises updates per session.
+ * Passing `tenantId` scopes a call to that tenant's sessions; other tenants' sessions
+ * behave as if they don't exist. With a key ring, sessions are encrypted at rest under
+ * their tenant's data key.
+ */
+
+const path = require('path');
+const MemoryBackend = require('./memoryBackend');
+const FileBackend = require('./fileBackend');
+const { EncryptedBackend } = require('../encryption/encryptedBackend');
+
+class SessionStore {
+  constructor(backend) {
+    this.backend = backend;
+    this.locks = new Map();
+  }
+
+  /**
+   * Build a fresh session record
+   */
+  static createSession(id, attributes = {}) {
+    const now = new Date().toISOString();
+    return {
+      id,
+      startTime: now,
+      updatedAt: now,
+      transcripts: [],
+      speakers: [],
+      riskFlags: [],
+      ...attributes
+    };
+  }
+
+  async get(id, { tenantId } = {}) {
+    const session = await this.backend.read(id);
+    return session && ownedBy(session, tenantId) ? session : null;
+  }
+
+  /**
+   * Apply a mutation to a session and persist it; a mutator that returns false leaves it unchanged.
+   * Updates to the same session run one at a time so concurrent chunks don't clobber each other.
+   */
+  async update(id, mutator, { create = false, attributes, tenantId } = {}) {
+    return this.withLock(id, async () => {
+      let session = await this.backend.read(id);
+      if (session && !ownedBy(session, tenantId)) {
+        throw sessionNotFound();
+      }
+      if (!session) {
+        if (!create) {
+          return null;
+        }
+        session = SessionStore.createSession(id, { tenantId, ...attributes });
+      }
+
+      if (await mutator(session) === false) {
+        return session;
+      }
+      session.updatedAt = new Date().toISOString();
+      await this.backend.write(id, session);
+      return session;
+    });
+  }
+
+  /**
+   * Delete a session; `onlyIf(session)` returning false keeps it (checked under the lock)
+   */
+  async delete(id, { tenantId, onlyIf } = {}) {
+    return this.withLock(id, async () => {
+      const session = await this.backend.read(id);
+      if (!session || !ownedBy(session, tenantId)) {
+        return false;
+      }
+      if (onlyIf && !onlyIf(session)) {
+        return false;
+      }
+      return this.backend.remove(id);
+    });
+  }
+
+  /**
+   * List session summaries, most recently updated first; `meetingId` keeps only the
+   * sessions recorded from that meeting
+   */
+  async list({ limit = 50, offset = 0, tenantId, meetingId } = {}) {
+    const ids = await this.backend.keys();
+    // A record that fails its integrity check is logged by the backend and left out here,
+    // so one damaged session can't take the whole list down
+    const sessions = await Promise.all(ids.map(id => this.backend.read(id).catch((error) => {
+      if (error.code === 'EINTEGRITY') {
+        return null;
+      }
+      throw error;
+    })));
+
+    return sessions
+      .filter(session => session && ownedBy(session, tenantId))
+      .filter(session => !meetingId || session.meetingId === meetingId)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .slice(offset, offset + limit)
+      .map(session => ({
+        id: session.id,
+        tenantId: session.tenantId,
+        clinicianId: session.clinicianId,
+        meetingId: session.meetingId,
+        startTime: session.startTime,
+        updatedAt: session.updatedAt,
+        transcriptCount: session.transcripts.length,
+        hasClinicalNote: Boolean(session.clinicalNote)
+      }));
+  }
+
+  /**
+   * Re-encrypt the tenant's sessions under its active data key, e.g. after a rotation.
+   * Returns how many were rewritten and the key ids they were under before.
+   */
+  async reencrypt(tenantId) {
+    const previousKeyIds = new Set();
+    let count = 0;
+
+    for (const id of await this.backend.keys()) {
+      const previous = await this.withLock(id, () => this.backend.reencrypt(id, tenantId));
+      if (previous !== undefined) {
+        count++;
+        if (previous) {
+          previousKeyIds.add(previous);
+        }
+      }
+    }
+    return { count, previousKeyIds: Array.from(previousKeyIds) };
+  }
+
+  async count() {
+    return (await this.backend.keys()).length;
+  }
+
+  async withLock(id, fn) {
+    const previous = this.locks.get(id) || Promise.resolve();
+    const current = previous.catch(() => {}).then(fn);
+    this.locks.set(id, current);
+
+    try {
+      return await current;
+    } finally {
+      if (this.locks.get(id) === current) {
+        this.locks.delete(id);
+      }
+    }
+  }
+}
+
+// Internal callers omit tenantId and see every session
+function ownedBy(session, tenantId) {
+  return tenantId === undefined || session.tenantId === tenantId;
+}
+
+function sessionNotFound() {
+  const error = new Error('Session not found');
+  error.statusCode = 404;
+  return error;
+}
+
+/**
+ * Create the store configured for this deployment
+ */
+function createSessionStore(options = {}) {
+  const type = options.type || process.env.SESSION_STORE || 'file';
+
+  let backend;
+  switch (type) {
+    case 'memory':
+      backend = new MemoryBackend();
+      break;
+    case 'file':
+      backend = new FileBackend(
+        options.directory || process.env.SESSION_STORE_DIR || path.join('data', 'sessions')
+      );
+      break;
+    default:
+      throw new Error(`Unknown session store: ${type}`);
+  }
+
+  if (options.keyRing) {
+    backend = new EncryptedBackend(backend, {
+      keyRing: options.keyRing,
+      tenantOf: session => session.tenantId || 'default',
+      logger: options.logger
+    });
+  }
+  return new SessionStore(backend);
+}
+
+module.exports = { SessionStore, createSessionStore };
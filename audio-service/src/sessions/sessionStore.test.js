@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SessionStore, createSessionStore } = require('./sessionStore');
+const MemoryBackend = require('./memoryBackend');
+
+describe('SessionStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new SessionStore(new MemoryBackend());
+  });
+
+  test('creates a session for its tenant on first update', async () => {
+    const session = await store.update('s1', (stored) => {
+      stored.transcripts.push({ transcript: 'hello' });
+    }, { create: true, tenantId: 'tenant-a', attributes: { clinicianId: 'dr-lee' } });
+
+    expect(session).toMatchObject({ id: 's1', tenantId: 'tenant-a', clinicianId: 'dr-lee', speakers: [], riskFlags: [] });
+    expect((await store.get('s1')).transcripts).toHaveLength(1);
+  });
+
+  test('does not create a session unless asked to', async () => {
+    expect(await store.update('missing', () => {})).toBeNull();
+    expect(await store.count()).toBe(0);
+  });
+
+  test('hides other tenants\' sessions', async () => {
+    await store.update('s1', () => {}, { create: true, tenantId: 'tenant-a' });
+
+    expect(await store.get('s1', { tenantId: 'tenant-b' })).toBeNull();
+    await expect(store.update('s1', () => {}, { tenantId: 'tenant-b', create: true })).rejects.toMatchObject({ statusCode: 404 });
+    expect(await store.delete('s1', { tenantId: 'tenant-b' })).toBe(false);
+    expect(await store.list({ tenantId: 'tenant-b' })).toEqual([]);
+    expect(await store.get('s1', { tenantId: 'tenant-a' })).not.toBeNull();
+  });
+
+  test('runs concurrent updates to a session one at a time', async () => {
+    await store.update('s1', () => {}, { create: true, tenantId: 'tenant-a' });
+
+    await Promise.all(Array.from({ length: 10 }, (unused, index) => store.update('s1', async (stored) => {
+      await new Promise(resolve => setTimeout(resolve, 10 - index));
+      stored.transcripts.push({ index });
+    })));
+
+    expect((await store.get('s1')).transcripts.map(chunk => chunk.index)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  });
+
+  test('leaves the session unchanged when the mutator returns false', async () => {
+    const created = await store.update('s1', () => {}, { create: true, tenantId: 'tenant-a' });
+    await store.update('s1', (stored) => {
+      stored.transcripts.push({});
+      return false;
+    });
+
+    expect(await store.get('s1')).toEqual(created);
+  });
+
+  test('keeps a session when the delete condition fails', async () => {
+    await store.update('s1', (stored) => {
+      stored.legalHold = { reason: 'litigation' };
+    }, { create: true, tenantId: 'tenant-a' });
+
+    expect(await store.delete('s1', { onlyIf: session => !session.legalHold })).toBe(false);
+    expect(await store.delete('s1')).toBe(true);
+    expect(await store.get('s1')).toBeNull();
+  });
+
+  test('lists summaries filtered by meeting, most recently updated first', async () => {
+    await store.update('s1', () => {}, { create: true, tenantId: 'tenant-a', attributes: { meetingId: 'm1' } });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await store.update('s2', () => {}, { create: true, tenantId: 'tenant-a' });
+
+    expect((await store.list({ tenantId: 'tenant-a' })).map(session => session.id)).toEqual(['s2', 's1']);
+    expect((await store.list({ tenantId: 'tenant-a', meetingId: 'm1' })).map(session => session.id)).toEqual(['s1']);
+  });
+
+  test('persists sessions in the file store', async () => {
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sessions-'));
+    try {
+      const fileStore = createSessionStore({ type: 'file', directory });
+      await fileStore.update('s1', (stored) => {
+        stored.transcripts.push({ transcript: 'hello' });
+      }, { create: true, tenantId: 'tenant-a' });
+
+      const reopened = createSessionStore({ type: 'file', directory });
+      expect((await reopened.get('s1', { tenantId: 'tenant-a' })).transcripts).toEqual([{ transcript: 'hello' }]);
+    } finally {
+      await fs.promises.rm(directory, { recursive: true, force: true });
+    }
+  });
+});
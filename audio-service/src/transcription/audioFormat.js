@@ -0,0 +1,569 @@
+/**
+ * Audio container sniffing and metadata.
+ * Uploads are identified by their magic bytes rather than the client-supplied MIME type,
+ * and the container headers are read for duration, sample rate and channel count.
+ * Nothing is decoded: fields a container doesn't state up front are left undefined.
+ */
+
+const FORMATS = {
+  wav: { mimeType: 'audio/wav', extension: 'wav' },
+  aiff: { mimeType: 'audio/aiff', extension: 'aiff' },
+  flac: { mimeType: 'audio/flac', extension: 'flac' },
+  mp3: { mimeType: 'audio/mpeg', extension: 'mp3' },
+  aac: { mimeType: 'audio/aac', extension: 'aac' },
+  ogg: { mimeType: 'audio/ogg', extension: 'ogg' },
+  mp4: { mimeType: 'audio/mp4', extension: 'm4a' },
+  webm: { mimeType: 'audio/webm', extension: 'webm' },
+  matroska: { mimeType: 'audio/x-matroska', extension: 'mka' },
+  amr: { mimeType: 'audio/amr', extension: 'amr' }
+};
+
+const WAV_CODECS = { 1: 'pcm', 3: 'pcm_float', 6: 'alaw', 7: 'mulaw', 0x11: 'adpcm', 0x55: 'mp3' };
+
+const MPEG_BITRATES = {
+  // [version][layer] in kbps, index 1-14
+  1: {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+  },
+  2: {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+  }
+};
+const MPEG_SAMPLE_RATES = { 1: [44100, 48000, 32000], 2: [22050, 24000, 16000], 2.5: [11025, 12000, 8000] };
+const AAC_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+const MP4_CODECS = { mp4a: 'aac', alac: 'alac', Opus: 'opus', fLaC: 'flac', 'ac-3': 'ac3', 'ec-3': 'eac3', samr: 'amr', '.mp3': 'mp3' };
+const MATROSKA_CODECS = { A_OPUS: 'opus', A_VORBIS: 'vorbis', A_AAC: 'aac', A_FLAC: 'flac', A_MPEG: 'mp3', A_PCM: 'pcm', A_AC3: 'ac3' };
+
+/**
+ * Identify the container from the first bytes of the file; null when unrecognised
+ */
+function detectFormat(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    return null;
+  }
+
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+
+  if ((ascii(0, 4) === 'RIFF' || ascii(0, 4) === 'RF64') && ascii(8, 12) === 'WAVE') return 'wav';
+  if (ascii(0, 4) === 'FORM' && (ascii(8, 12) === 'AIFF' || ascii(8, 12) === 'AIFC')) return 'aiff';
+  if (ascii(0, 4) === 'fLaC') return 'flac';
+  if (ascii(0, 4) === 'OggS') return 'ogg';
+  if (ascii(4, 8) === 'ftyp') return 'mp4';
+  if (buffer.readUInt32BE(0) === 0x1A45DFA3) {
+    return ascii(0, Math.min(buffer.length, 64)).includes('webm') ? 'webm' : 'matroska';
+  }
+  if (ascii(0, 5) === '#!AMR') return 'amr';
+  if (ascii(0, 3) === 'ID3') return 'mp3';
+
+  const frame = mpegFrameAt(buffer, 0);
+  if (frame && (frame.length >= buffer.length || mpegFrameAt(buffer, frame.length))) return 'mp3';
+  const adts = adtsFrameAt(buffer, 0);
+  if (adts && (adts.length >= buffer.length || adtsFrameAt(buffer, adts.length))) return 'aac';
+
+  return null;
+}
+
+/**
+ * Sniff an upload and read what its headers say about the audio:
+ * { format, mimeType, extension, codec, duration, sampleRate, channels, bitsPerSample, hasVideo }.
+ * Returns null when the bytes aren't a supported container.
+ */
+function probeAudio(buffer) {
+  const format = detectFormat(buffer);
+  if (!format) {
+    return null;
+  }
+
+  let details = {};
+  try {
+    details = PARSERS[format](buffer);
+  } catch (error) {
+    // A truncated or unusual header still leaves us with the container type
+    details = {};
+  }
+
+  const info = { format, ...FORMATS[format], ...details };
+  if (info.hasVideo) {
+    info.mimeType = info.mimeType.replace('audio/', 'video/');
+    info.extension = format === 'mp4' ? 'mp4' : info.extension;
+  }
+  if (Number.isFinite(info.duration)) {
+    info.duration = Math.round(info.duration * 1000) / 1000;
+  }
+  return info;
+}
+
+function supportedFormats() {
+  return Object.keys(FORMATS);
+}
+
+const PARSERS = {
+  wav: parseWav,
+  aiff: parseAiff,
+  flac: parseFlac,
+  mp3: parseMp3,
+  aac: parseAdts,
+  ogg: parseOgg,
+  mp4: parseMp4,
+  webm: parseMatroska,
+  matroska: parseMatroska,
+  amr: parseAmr
+};
+
+function parseWav(buffer) {
+  const info = {};
+  let byteRate;
+
+  for (let offset = 12; offset + 8 <= buffer.length;) {
+    const id = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'fmt ') {
+      let code = buffer.readUInt16LE(body);
+      // WAVE_FORMAT_EXTENSIBLE keeps the real format code in its sub-format GUID
+      if (code === 0xFFFE && size >= 26) {
+        code = buffer.readUInt16LE(body + 24);
+      }
+      info.codec = WAV_CODECS[code] || `wav_${code}`;
+      info.formatCode = code;
+      info.channels = buffer.readUInt16LE(body + 2);
+      info.sampleRate = buffer.readUInt32LE(body + 4);
+      byteRate = buffer.readUInt32LE(body + 8);
+      info.blockAlign = buffer.readUInt16LE(body + 12);
+      info.bitsPerSample = buffer.readUInt16LE(body + 14);
+    } else if (id === 'data') {
+      // Streaming writers leave the size at 0 or 0xFFFFFFFF; the data then runs to the end
+      const available = buffer.length - body;
+      const dataSize = size === 0 || size === 0xFFFFFFFF || size > available ? available : size;
+      info.dataOffset = body;
+      info.dataSize = dataSize;
+      if (byteRate) {
+        info.duration = dataSize / byteRate;
+      }
+      break;
+    }
+
+    offset = body + size + (size % 2);
+  }
+
+  return info;
+}
+
+function parseAiff(buffer) {
+  for (let offset = 12; offset + 8 <= buffer.length;) {
+    const id = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32BE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'COMM') {
+      const channels = buffer.readUInt16BE(body);
+      const frames = buffer.readUInt32BE(body + 2);
+      const sampleRate = readExtendedFloat(buffer, body + 8);
+      return {
+        codec: buffer.toString('latin1', 8, 12) === 'AIFC' ? buffer.toString('latin1', body + 18, body + 22).trim().toLowerCase() : 'pcm',
+        channels,
+        sampleRate,
+        bitsPerSample: buffer.readUInt16BE(body + 6),
+        duration: sampleRate ? frames / sampleRate : undefined
+      };
+    }
+    offset = body + size + (size % 2);
+  }
+  return {};
+}
+
+function parseFlac(buffer) {
+  // STREAMINFO is always the first metadata block
+  const b = 18;
+  const sampleRate = (buffer[b] << 12) | (buffer[b + 1] << 4) | (buffer[b + 2] >> 4);
+  const totalSamples = (buffer[b + 3] & 0x0F) * 2 ** 32 + buffer.readUInt32BE(b + 4);
+  return {
+    codec: 'flac',
+    sampleRate,
+    channels: ((buffer[b + 2] >> 1) & 0x07) + 1,
+    bitsPerSample: (((buffer[b + 2] & 0x01) << 4) | (buffer[b + 3] >> 4)) + 1,
+    duration: sampleRate && totalSamples ? totalSamples / sampleRate : undefined
+  };
+}
+
+function parseMp3(buffer) {
+  let offset = 0;
+  // Skip any ID3v2 tag (syncsafe size, plus a footer when flagged)
+  if (buffer.toString('latin1', 0, 3) === 'ID3') {
+    const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+    offset = 10 + size + (buffer[5] & 0x10 ? 10 : 0);
+  }
+
+  let frame = null;
+  for (; offset < buffer.length - 4; offset++) {
+    frame = mpegFrameAt(buffer, offset);
+    if (frame) break;
+  }
+  if (!frame) {
+    return { codec: 'mp3' };
+  }
+
+  const info = {
+    codec: frame.layer === 3 ? 'mp3' : `mp${frame.layer}`,
+    sampleRate: frame.sampleRate,
+    channels: frame.channels
+  };
+
+  // A Xing/Info or VBRI header gives the exact frame count; otherwise assume constant bitrate
+  const sideInfo = frame.version === 1 ? (frame.channels === 1 ? 17 : 32) : (frame.channels === 1 ? 9 : 17);
+  const xing = offset + 4 + sideInfo;
+  const tag = buffer.toString('latin1', xing, xing + 4);
+  let frames;
+  if ((tag === 'Xing' || tag === 'Info') && buffer.readUInt32BE(xing + 4) & 0x01) {
+    frames = buffer.readUInt32BE(xing + 8);
+  } else if (buffer.toString('latin1', offset + 36, offset + 40) === 'VBRI') {
+    frames = buffer.readUInt32BE(offset + 36 + 14);
+  }
+
+  info.duration = frames
+    ? frames * frame.samplesPerFrame / frame.sampleRate
+    : (buffer.length - offset) * 8 / (frame.bitrate * 1000);
+  return info;
+}
+
+// Decode an MPEG audio frame header at offset; null when the bytes aren't one
+function mpegFrameAt(buffer, offset) {
+  if (offset + 4 > buffer.length || buffer[offset] !== 0xFF || (buffer[offset + 1] & 0xE0) !== 0xE0) {
+    return null;
+  }
+
+  const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+  const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = buffer[offset + 2] >> 4;
+  const rateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) {
+    return null;
+  }
+
+  const version = versionBits === 3 ? 1 : versionBits === 2 ? 2 : 2.5;
+  const layer = 4 - layerBits;
+  const bitrate = MPEG_BITRATES[version === 1 ? 1 : 2][layer][bitrateIndex];
+  const sampleRate = MPEG_SAMPLE_RATES[version][rateIndex];
+  const padding = (buffer[offset + 2] >> 1) & 0x01;
+  const samplesPerFrame = layer === 1 ? 384 : layer === 3 && version !== 1 ? 576 : 1152;
+  const length = layer === 1
+    ? (Math.floor(12 * bitrate * 1000 / sampleRate) + padding) * 4
+    : Math.floor(samplesPerFrame / 8 * bitrate * 1000 / sampleRate) + padding;
+
+  return {
+    version,
+    layer,
+    bitrate,
+    sampleRate,
+    samplesPerFrame,
+    length,
+    channels: (buffer[offset + 3] >> 6) === 3 ? 1 : 2
+  };
+}
+
+function parseAdts(buffer) {
+  const first = adtsFrameAt(buffer, 0);
+  let frames = 0;
+  for (let offset = 0, frame = first; frame; frame = adtsFrameAt(buffer, offset)) {
+    frames++;
+    offset += frame.length;
+  }
+  return {
+    codec: 'aac',
+    sampleRate: first.sampleRate,
+    channels: first.channels,
+    duration: first.sampleRate ? frames * 1024 / first.sampleRate : undefined
+  };
+}
+
+function adtsFrameAt(buffer, offset) {
+  if (offset + 7 > buffer.length || buffer[offset] !== 0xFF || (buffer[offset + 1] & 0xF6) !== 0xF0) {
+    return null;
+  }
+  const length = ((buffer[offset + 3] & 0x03) << 11) | (buffer[offset + 4] << 3) | (buffer[offset + 5] >> 5);
+  const sampleRate = AAC_SAMPLE_RATES[(buffer[offset + 2] >> 2) & 0x0F];
+  if (length < 7 || !sampleRate) {
+    return null;
+  }
+  return {
+    length,
+    sampleRate,
+    channels: ((buffer[offset + 2] & 0x01) << 2) | (buffer[offset + 3] >> 6)
+  };
+}
+
+function parseOgg(buffer) {
+  const segments = buffer[26];
+  const packet = 27 + segments;
+  const head = buffer.toString('latin1', packet, packet + 8);
+  const info = {};
+  let granuleRate;
+  let preSkip = 0;
+
+  if (head === 'OpusHead') {
+    // Opus granule positions always count 48kHz samples, whatever the input rate was
+    info.codec = 'opus';
+    info.channels = buffer[packet + 9];
+    preSkip = buffer.readUInt16LE(packet + 10);
+    info.sampleRate = buffer.readUInt32LE(packet + 12) || 48000;
+    granuleRate = 48000;
+  } else if (head.slice(1, 7) === 'vorbis') {
+    info.codec = 'vorbis';
+    info.channels = buffer[packet + 11];
+    info.sampleRate = buffer.readUInt32LE(packet + 12);
+    granuleRate = info.sampleRate;
+  } else if (head.startsWith('Speex')) {
+    info.codec = 'speex';
+    info.sampleRate = buffer.readUInt32LE(packet + 36);
+    info.channels = buffer.readUInt32LE(packet + 48);
+    granuleRate = info.sampleRate;
+  } else if (head.slice(1, 5) === 'FLAC') {
+    info.codec = 'flac';
+  }
+
+  // The last page's granule position is the total sample count
+  const lastPage = buffer.lastIndexOf('OggS', buffer.length - 27, 'latin1');
+  if (granuleRate && lastPage >= 0) {
+    const granule = Number(buffer.readBigUInt64LE(lastPage + 6));
+    if (granule > preSkip && granule < 2 ** 53) {
+      info.duration = (granule - preSkip) / granuleRate;
+    }
+  }
+  return info;
+}
+
+function parseMp4(buffer) {
+  const info = {};
+  const moov = findBoxes(buffer, 0, buffer.length, 'moov')[0];
+  if (!moov) {
+    return info;
+  }
+
+  const mvhd = findBoxes(buffer, moov.start, moov.end, 'mvhd')[0];
+  if (mvhd) {
+    const { timescale, duration } = readMediaHeader(buffer, mvhd.start);
+    if (timescale) {
+      info.duration = duration / timescale;
+    }
+  }
+
+  findBoxes(buffer, moov.start, moov.end, 'trak').forEach((trak) => {
+    const mdia = findBoxes(buffer, trak.start, trak.end, 'mdia')[0];
+    const hdlr = mdia && findBoxes(buffer, mdia.start, mdia.end, 'hdlr')[0];
+    if (!hdlr) {
+      return;
+    }
+
+    const handler = buffer.toString('latin1', hdlr.start + 8, hdlr.start + 12);
+    if (handler === 'vide') {
+      info.hasVideo = true;
+      return;
+    }
+    if (handler !== 'soun' || info.codec) {
+      return;
+    }
+
+    const minf = findBoxes(buffer, mdia.start, mdia.end, 'minf')[0];
+    const stbl = minf && findBoxes(buffer, minf.start, minf.end, 'stbl')[0];
+    const stsd = stbl && findBoxes(buffer, stbl.start, stbl.end, 'stsd')[0];
+    if (stsd) {
+      // First sample entry follows the version/flags and entry count
+      const entry = stsd.start + 8;
+      const codec = buffer.toString('latin1', entry + 4, entry + 8);
+      info.codec = MP4_CODECS[codec] || codec.trim();
+      info.channels = buffer.readUInt16BE(entry + 24);
+      info.bitsPerSample = buffer.readUInt16BE(entry + 26);
+      info.sampleRate = buffer.readUInt32BE(entry + 32) >>> 16;
+    }
+
+    const mdhd = findBoxes(buffer, mdia.start, mdia.end, 'mdhd')[0];
+    if (mdhd && !info.duration) {
+      const { timescale, duration } = readMediaHeader(buffer, mdhd.start);
+      if (timescale) {
+        info.duration = duration / timescale;
+      }
+    }
+  });
+
+  return info;
+}
+
+// Child boxes of the given type between start and end
+function findBoxes(buffer, start, end, type) {
+  const boxes = [];
+  for (let offset = start; offset + 8 <= end;) {
+    let size = buffer.readUInt32BE(offset);
+    let header = 8;
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header) {
+      break;
+    }
+
+    if (buffer.toString('latin1', offset + 4, offset + 8) === type) {
+      boxes.push({ start: offset + header, end: Math.min(offset + size, end) });
+    }
+    offset += size;
+  }
+  return boxes;
+}
+
+// mvhd and mdhd share their timescale/duration layout
+function readMediaHeader(buffer, start) {
+  if (buffer[start] === 1) {
+    return { timescale: buffer.readUInt32BE(start + 20), duration: Number(buffer.readBigUInt64BE(start + 24)) };
+  }
+  return { timescale: buffer.readUInt32BE(start + 12), duration: buffer.readUInt32BE(start + 16) };
+}
+
+const EBML = {
+  Segment: 0x18538067,
+  Info: 0x1549A966,
+  TimecodeScale: 0x2AD7B1,
+  Duration: 0x4489,
+  Tracks: 0x1654AE6B,
+  TrackEntry: 0xAE,
+  TrackType: 0x83,
+  CodecID: 0x86,
+  Audio: 0xE1,
+  SamplingFrequency: 0xB5,
+  Channels: 0x9F,
+  BitDepth: 0x6264,
+  Cluster: 0x1F43B675,
+  Timecode: 0xE7,
+  SimpleBlock: 0xA3,
+  BlockGroup: 0xA0,
+  Block: 0xA1
+};
+
+// Elements we step into rather than over; unknown-size elements (live recordings) work too
+const EBML_CONTAINERS = new Set([EBML.Segment, EBML.Info, EBML.Tracks, EBML.TrackEntry, EBML.Audio, EBML.Cluster, EBML.BlockGroup]);
+
+function parseMatroska(buffer) {
+  const info = {};
+  const tracks = [];
+  let timecodeScale = 1000000;
+  let declaredDuration;
+  let clusterTime = 0;
+  let lastBlockTime = 0;
+  let track = null;
+
+  // Skip the EBML header, then walk the segment as a flat element stream
+  const header = readEbmlElement(buffer, 0);
+  for (let offset = header.dataStart + header.size; offset < buffer.length;) {
+    const element = readEbmlElement(buffer, offset);
+    if (!element) {
+      break;
+    }
+    const { id, dataStart, size } = element;
+
+    if (EBML_CONTAINERS.has(id)) {
+      if (id === EBML.TrackEntry) {
+        track = {};
+        tracks.push(track);
+      }
+      offset = dataStart;
+      continue;
+    }
+
+    const end = size === null ? buffer.length : Math.min(dataStart + size, buffer.length);
+    switch (id) {
+      case EBML.TimecodeScale: timecodeScale = readUInt(buffer, dataStart, end); break;
+      case EBML.Duration: declaredDuration = size === 4 ? buffer.readFloatBE(dataStart) : buffer.readDoubleBE(dataStart); break;
+      case EBML.TrackType: if (track) track.type = readUInt(buffer, dataStart, end); break;
+      case EBML.CodecID: if (track) track.codec = buffer.toString('latin1', dataStart, end).replace(/\0+$/, ''); break;
+      case EBML.SamplingFrequency: if (track) track.sampleRate = size === 4 ? buffer.readFloatBE(dataStart) : buffer.readDoubleBE(dataStart); break;
+      case EBML.Channels: if (track) track.channels = readUInt(buffer, dataStart, end); break;
+      case EBML.BitDepth: if (track) track.bitsPerSample = readUInt(buffer, dataStart, end); break;
+      case EBML.Timecode: clusterTime = readUInt(buffer, dataStart, end); break;
+      case EBML.SimpleBlock:
+      case EBML.Block: {
+        // Track number (a vint), then the block's int16 time relative to its cluster
+        const trackNumber = readVint(buffer, dataStart);
+        if (trackNumber && dataStart + trackNumber.length + 2 <= end) {
+          lastBlockTime = Math.max(lastBlockTime, clusterTime + buffer.readInt16BE(dataStart + trackNumber.length));
+        }
+        break;
+      }
+      default:
+        break;
+    }
+    offset = end;
+  }
+
+  const audio = tracks.find(t => t.type === 2) || {};
+  info.hasVideo = tracks.some(t => t.type === 1);
+  info.codec = audio.codec ? (MATROSKA_CODECS[audio.codec.split('/')[0]] || audio.codec.toLowerCase()) : undefined;
+  info.sampleRate = audio.sampleRate ? Math.round(audio.sampleRate) : undefined;
+  info.channels = audio.channels || (audio.codec ? 1 : undefined);
+  info.bitsPerSample = audio.bitsPerSample;
+
+  // MediaRecorder output has no Duration, so fall back to the last block's timestamp
+  const units = declaredDuration || lastBlockTime;
+  info.duration = units ? units * timecodeScale / 1e9 : undefined;
+  return info;
+}
+
+function readEbmlElement(buffer, offset) {
+  const id = readVint(buffer, offset, true);
+  const size = id && readVint(buffer, offset + id.length);
+  if (!size) {
+    return null;
+  }
+  return { id: id.value, dataStart: offset + id.length + size.length, size: size.unknown ? null : size.value };
+}
+
+// EBML variable-length integer; ids keep their length marker, sizes don't
+function readVint(buffer, offset, keepMarker = false) {
+  if (offset >= buffer.length) {
+    return null;
+  }
+  const first = buffer[offset];
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) {
+    length++;
+  }
+  if (length > 8 || offset + length > buffer.length) {
+    return null;
+  }
+
+  let value = keepMarker ? first : first & (0xFF >> length);
+  let allOnes = value === (0xFF >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buffer[offset + i];
+    allOnes = allOnes && buffer[offset + i] === 0xFF;
+  }
+  return { value, length, unknown: !keepMarker && allOnes };
+}
+
+function readUInt(buffer, start, end) {
+  let value = 0;
+  for (let i = start; i < end; i++) {
+    value = value * 256 + buffer[i];
+  }
+  return value;
+}
+
+function parseAmr(buffer) {
+  const wideband = buffer.toString('latin1', 0, 9) === '#!AMR-WB\n';
+  return { codec: wideband ? 'amr_wb' : 'amr_nb', sampleRate: wideband ? 16000 : 8000, channels: 1 };
+}
+
+// 80-bit IEEE 754 extended precision, as used for AIFF sample rates
+function readExtendedFloat(buffer, offset) {
+  const exponent = buffer.readUInt16BE(offset) & 0x7FFF;
+  const mantissa = buffer.readUInt32BE(offset + 2) * 2 ** 32 + buffer.readUInt32BE(offset + 6);
+  return exponent === 0 ? 0 : Math.round(mantissa * 2 ** (exponent - 16383 - 63));
+}
+
+module.exports = { detectFormat, probeAudio, supportedFormats };
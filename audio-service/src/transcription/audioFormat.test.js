@@ -0,0 +1,110 @@
+const { detectFormat, probeAudio, supportedFormats } = require('./audioFormat');
+
+// A RIFF/WAVE file from its fmt chunk body and data, with the data size given explicitly
+function wav(fmt, data, dataSize = data.length) {
+  const chunk = (id, body, size = body.length) => {
+    const header = Buffer.alloc(8);
+    header.write(id, 0, 'latin1');
+    header.writeUInt32LE(size, 4);
+    return Buffer.concat([header, body]);
+  };
+  const body = Buffer.concat([Buffer.from('WAVE', 'latin1'), chunk('fmt ', fmt), chunk('data', data, dataSize)]);
+  return Buffer.concat([Buffer.from('RIFF', 'latin1'), Buffer.alloc(4), body]);
+}
+
+function pcmFormat({ code = 1, channels = 1, sampleRate = 16000, bitsPerSample = 16, size = 16 } = {}) {
+  const blockAlign = channels * bitsPerSample / 8;
+  const fmt = Buffer.alloc(size);
+  fmt.writeUInt16LE(code, 0);
+  fmt.writeUInt16LE(channels, 2);
+  fmt.writeUInt32LE(sampleRate, 4);
+  fmt.writeUInt32LE(sampleRate * blockAlign, 8);
+  fmt.writeUInt16LE(blockAlign, 12);
+  fmt.writeUInt16LE(bitsPerSample, 14);
+  return fmt;
+}
+
+describe('audioFormat', () => {
+  test('reads the fmt and data chunks of a PCM WAV', () => {
+    const buffer = wav(pcmFormat({ channels: 2 }), Buffer.alloc(16000 * 4 / 2));
+
+    expect(probeAudio(buffer)).toEqual({
+      format: 'wav',
+      mimeType: 'audio/wav',
+      extension: 'wav',
+      codec: 'pcm',
+      formatCode: 1,
+      channels: 2,
+      sampleRate: 16000,
+      blockAlign: 4,
+      bitsPerSample: 16,
+      dataOffset: 44,
+      dataSize: 32000,
+      duration: 0.5
+    });
+  });
+
+  test('takes the real codec from a WAVE_FORMAT_EXTENSIBLE sub-format', () => {
+    const fmt = pcmFormat({ code: 0xFFFE, size: 40 });
+    fmt.writeUInt16LE(3, 24);
+
+    expect(probeAudio(wav(fmt, Buffer.alloc(8)))).toMatchObject({ codec: 'pcm_float', formatCode: 3 });
+  });
+
+  test('runs the data of a streamed WAV to the end of the file', () => {
+    const buffer = wav(pcmFormat(), Buffer.alloc(3200), 0xFFFFFFFF);
+
+    expect(probeAudio(buffer)).toMatchObject({ dataSize: 3200, duration: 0.1 });
+  });
+
+  test('keeps the container type when the header is truncated', () => {
+    const buffer = wav(pcmFormat(), Buffer.alloc(0)).subarray(0, 22);
+
+    expect(probeAudio(buffer)).toEqual({ format: 'wav', mimeType: 'audio/wav', extension: 'wav' });
+  });
+
+  test('reads the STREAMINFO block of a FLAC file', () => {
+    const buffer = Buffer.alloc(42);
+    buffer.write('fLaC', 0, 'latin1');
+    // 16kHz, two channels, 16 bits, 32000 samples
+    buffer.set([0x03, 0xE8, 0x02, 0xF0], 18);
+    buffer.writeUInt32BE(32000, 22);
+
+    expect(probeAudio(buffer)).toMatchObject({ format: 'flac', codec: 'flac', sampleRate: 16000, channels: 2, bitsPerSample: 16, duration: 2 });
+  });
+
+  test('recognises MPEG frames without an ID3 tag and estimates a constant bitrate duration', () => {
+    // MPEG-1 layer III, 128kbps, 44.1kHz, mono: 417-byte frames
+    const frame = Buffer.alloc(417);
+    frame.set([0xFF, 0xFB, 0x90, 0xC0]);
+    const buffer = Buffer.concat([frame, frame]);
+
+    expect(detectFormat(buffer)).toBe('mp3');
+    expect(probeAudio(buffer)).toMatchObject({ format: 'mp3', mimeType: 'audio/mpeg', codec: 'mp3', sampleRate: 44100, channels: 1, duration: 0.052 });
+  });
+
+  test('counts ADTS frames for the duration of raw AAC', () => {
+    // MPEG-4 AAC LC, 44.1kHz, stereo: 20-byte frames
+    const frame = Buffer.alloc(20);
+    frame.set([0xFF, 0xF1, 0x50, 0x80, 0x02, 0x9F, 0xFC]);
+    const buffer = Buffer.concat([frame, frame, frame]);
+
+    expect(probeAudio(buffer)).toMatchObject({ format: 'aac', codec: 'aac', sampleRate: 44100, channels: 2, duration: 0.07 });
+  });
+
+  test('tells narrowband and wideband AMR apart', () => {
+    expect(probeAudio(Buffer.from('#!AMR\n' + '\0'.repeat(10), 'latin1'))).toMatchObject({ format: 'amr', codec: 'amr_nb', sampleRate: 8000 });
+    expect(probeAudio(Buffer.from('#!AMR-WB\n' + '\0'.repeat(10), 'latin1'))).toMatchObject({ format: 'amr', codec: 'amr_wb', sampleRate: 16000 });
+  });
+
+  test('refuses bytes that are not a supported container', () => {
+    expect(detectFormat(Buffer.from('this is not audio', 'latin1'))).toBeNull();
+    expect(detectFormat(Buffer.from('RIFF', 'latin1'))).toBeNull();
+    expect(detectFormat('RIFF....WAVE')).toBeNull();
+    expect(probeAudio(Buffer.from('%PDF-1.7 document', 'latin1'))).toBeNull();
+  });
+
+  test('lists the containers it can identify', () => {
+    expect(supportedFormats()).toEqual(expect.arrayContaining(['wav', 'aiff', 'flac', 'mp3', 'aac', 'ogg', 'mp4', 'webm', 'matroska', 'amr']));
+  });
+});
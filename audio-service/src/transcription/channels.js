@@ -0,0 +1,111 @@
+/**
+ * Per-channel transcription for multi-channel recordings.
+ * When the clinician and client are recorded on separate channels, each channel is
+ * transcribed on its own and its words are attributed to the channel (the session
+ * speaker `channel_<n>`), instead of relying on diarization of the mixed audio.
+ * Providers that accept multi-channel audio natively get the file as-is; otherwise PCM
+ * WAV is split into mono files and each is transcribed in turn.
+ */
+
+const SPLITTABLE_WAV_CODECS = ['pcm', 'pcm_float', 'alaw', 'mulaw'];
+// The channel count comes from the upload's own header, so it is bounded before it
+// decides how many files are built and transcribed
+const MAX_CHANNELS = 8;
+
+/**
+ * Whether per-channel transcription is possible for this upload with this provider
+ */
+function canTranscribeChannels(provider, audio) {
+  if (!audio || !(audio.channels > 1) || audio.channels > MAX_CHANNELS) {
+    return false;
+  }
+  return Boolean(provider.supportsMultichannel) || isSplittableWav(audio);
+}
+
+function isSplittableWav(audio) {
+  return audio.format === 'wav' && SPLITTABLE_WAV_CODECS.includes(audio.codec) &&
+    audio.channels > 0 && audio.channels <= MAX_CHANNELS &&
+    audio.blockAlign > 0 && audio.blockAlign % audio.channels === 0;
+}
+
+/**
+ * Transcribe each channel; resolves the usual provider result with words attributed by
+ * channel, plus `channels: [{ channel, transcript, wordCount }]`
+ */
+async function transcribeChannels(provider, audioBuffer, audio, options = {}) {
+  let channelResults;
+  let base;
+
+  if (provider.supportsMultichannel) {
+    base = await provider.transcribe(audioBuffer, { ...options, multichannel: true });
+    channelResults = base.channels;
+  } else {
+    // One request at a time; the provider sees an ordinary mono WAV for each channel
+    channelResults = [];
+    const monoFiles = splitWavChannels(audioBuffer, audio);
+    for (const mono of monoFiles) {
+      const result = await provider.transcribe(mono, { ...options, filename: `channel-${channelResults.length}.wav` });
+      base = base || result;
+      channelResults.push(result);
+    }
+  }
+
+  const words = channelResults
+    .flatMap((result, channel) => (result.words || []).map(word => ({ ...word, speaker: channel })))
+    .sort((a, b) => a.start - b.start);
+
+  return {
+    provider: base.provider,
+    model: base.model,
+    transcript: words.map(word => word.punctuated_word || word.word).join(' '),
+    words,
+    duration: base.duration !== undefined ? base.duration : audio.duration,
+    channels: channelResults.map((result, channel) => ({
+      channel,
+      transcript: result.transcript,
+      wordCount: (result.words || []).length
+    }))
+  };
+}
+
+/**
+ * Split an interleaved WAV into one mono WAV per channel
+ */
+function splitWavChannels(buffer, audio) {
+  if (!isSplittableWav(audio)) {
+    throw new Error(`Cannot split ${audio.format}/${audio.codec} audio into channels`);
+  }
+
+  const { channels, blockAlign, dataOffset, dataSize } = audio;
+  const sampleBytes = blockAlign / channels;
+  const frames = Math.floor(dataSize / blockAlign);
+
+  return Array.from({ length: channels }, (unused, channel) => {
+    const data = Buffer.alloc(frames * sampleBytes);
+    for (let frame = 0; frame < frames; frame++) {
+      const source = dataOffset + frame * blockAlign + channel * sampleBytes;
+      buffer.copy(data, frame * sampleBytes, source, source + sampleBytes);
+    }
+    return Buffer.concat([wavHeader({ ...audio, channels: 1, blockAlign: sampleBytes }, data.length), data]);
+  });
+}
+
+function wavHeader({ formatCode, channels, sampleRate, bitsPerSample, blockAlign }, dataSize) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(36 + dataSize, 4);
+  header.write('WAVE', 8, 'latin1');
+  header.write('fmt ', 12, 'latin1');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(formatCode, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36, 'latin1');
+  header.writeUInt32LE(dataSize, 40);
+  return header;
+}
+
+module.exports = { canTranscribeChannels, transcribeChannels, splitWavChannels };
@@ -0,0 +1,119 @@
+const { probeAudio } = require('./audioFormat');
+const { canTranscribeChannels, transcribeChannels, splitWavChannels } = require('./channels');
+
+// 16-bit PCM WAV whose frames hold the given per-channel sample values
+function wav(frames, { sampleRate = 8000, channels = frames[0].length, blockAlign = channels * 2 } = {}) {
+  const data = Buffer.alloc(frames.length * blockAlign);
+  frames.forEach((samples, frame) => {
+    samples.forEach((sample, channel) => data.writeInt16LE(sample, frame * blockAlign + channel * 2));
+  });
+
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8, 'latin1');
+  header.write('fmt ', 12, 'latin1');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'latin1');
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+function samples(monoWav) {
+  const audio = probeAudio(monoWav);
+  const values = [];
+  for (let offset = audio.dataOffset; offset < audio.dataOffset + audio.dataSize; offset += 2) {
+    values.push(monoWav.readInt16LE(offset));
+  }
+  return values;
+}
+
+describe('channels', () => {
+  const splitter = { name: 'whisper', supportsMultichannel: false };
+  const native = { name: 'deepgram', supportsMultichannel: true };
+
+  test('splits interleaved PCM into one mono WAV per channel', () => {
+    const buffer = wav([[1, -1], [2, -2], [3, -3]]);
+    const monoFiles = splitWavChannels(buffer, probeAudio(buffer));
+
+    expect(monoFiles).toHaveLength(2);
+    expect(monoFiles.map(samples)).toEqual([[1, 2, 3], [-1, -2, -3]]);
+    expect(probeAudio(monoFiles[0])).toMatchObject({ format: 'wav', codec: 'pcm', channels: 1, blockAlign: 2, sampleRate: 8000 });
+  });
+
+  test('only transcribes per channel when the audio has several channels', () => {
+    const stereo = probeAudio(wav([[0, 0]]));
+    const mono = probeAudio(wav([[0]]));
+
+    expect(canTranscribeChannels(splitter, stereo)).toBe(true);
+    expect(canTranscribeChannels(splitter, mono)).toBe(false);
+    expect(canTranscribeChannels(native, { format: 'mp3', codec: 'mp3', channels: 2 })).toBe(true);
+    expect(canTranscribeChannels(splitter, { format: 'mp3', codec: 'mp3', channels: 2 })).toBe(false);
+  });
+
+  test('refuses channel counts beyond the cap whatever the provider', () => {
+    const audio = { format: 'wav', codec: 'pcm', channels: 9, blockAlign: 18 };
+
+    expect(canTranscribeChannels(splitter, audio)).toBe(false);
+    expect(canTranscribeChannels(native, audio)).toBe(false);
+    expect(() => splitWavChannels(Buffer.alloc(64), audio)).toThrow('Cannot split wav/pcm audio into channels');
+  });
+
+  test('refuses a header whose block size does not divide into the channels', () => {
+    const buffer = wav([[1, 2], [3, 4]], { blockAlign: 5 });
+    const audio = probeAudio(buffer);
+
+    expect(audio).toMatchObject({ channels: 2, blockAlign: 5 });
+    expect(canTranscribeChannels(splitter, audio)).toBe(false);
+    expect(() => splitWavChannels(buffer, audio)).toThrow('Cannot split');
+  });
+
+  test('attributes each mono file\'s words to its channel', async () => {
+    const buffer = wav([[1, -1], [2, -2]]);
+    const provider = {
+      ...splitter,
+      transcribe: jest.fn()
+        .mockResolvedValueOnce({ provider: 'whisper', model: 'base', transcript: 'hello there', words: [{ word: 'hello', start: 0, end: 0.5 }, { word: 'there', start: 1, end: 1.5 }] })
+        .mockResolvedValueOnce({ provider: 'whisper', model: 'base', transcript: 'hi', words: [{ word: 'hi', start: 0.6, end: 0.9 }] })
+    };
+
+    const result = await transcribeChannels(provider, buffer, probeAudio(buffer), { language: 'en' });
+
+    expect(provider.transcribe).toHaveBeenCalledTimes(2);
+    expect(provider.transcribe.mock.calls[1][1]).toEqual({ language: 'en', filename: 'channel-1.wav' });
+    expect(result.transcript).toBe('hello hi there');
+    expect(result.words.map(word => word.speaker)).toEqual([0, 1, 0]);
+    expect(result.channels).toEqual([
+      { channel: 0, transcript: 'hello there', wordCount: 2 },
+      { channel: 1, transcript: 'hi', wordCount: 1 }
+    ]);
+  });
+
+  test('hands the whole file to providers that transcribe channels natively', async () => {
+    const buffer = wav([[1, -1]]);
+    const provider = {
+      ...native,
+      transcribe: jest.fn().mockResolvedValue({
+        provider: 'deepgram',
+        model: 'nova-2',
+        duration: 4,
+        channels: [
+          { transcript: 'good morning', words: [{ word: 'good', start: 0, end: 0.4 }, { word: 'morning', start: 0.5, end: 1 }] },
+          { transcript: 'morning', words: [{ word: 'morning', start: 1.2, end: 1.6 }] }
+        ]
+      })
+    };
+
+    const result = await transcribeChannels(provider, buffer, probeAudio(buffer));
+
+    expect(provider.transcribe).toHaveBeenCalledWith(buffer, { multichannel: true });
+    expect(result.duration).toBe(4);
+    expect(result.words.map(word => [word.word, word.speaker])).toEqual([['good', 0], ['morning', 0], ['morning', 1]]);
+  });
+});
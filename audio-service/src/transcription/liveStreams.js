@@ -0,0 +1,168 @@
+/**
+ * Live streaming transcription over Socket.IO.
+ * Each socket gets its own provider live connection; interim and final results
+ * are broadcast to the session room and final results are handed to `onFinalResult`
+ * to be stored on the session.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { extractSpeakers } = require('./transcriptUtils');
+
+const KEEP_ALIVE_INTERVAL_MS = 8000;
+
+class LiveStreamManager {
+  constructor({ providers, io, logger, onFinalResult }) {
+    this.providers = providers;
+    this.onFinalResult = onFinalResult;
+    this.io = io;
+    this.logger = logger;
+    this.streams = new Map();
+  }
+
+  /**
+   * Open a live transcription stream for a socket
+   */
+  start(socket, sessionId, options = {}) {
+    this.stop(socket.id);
+
+    const provider = this.providers.get(options.provider);
+    if (!provider.supportsStreaming) {
+      throw new Error(`Transcription provider ${provider.name} does not support live streaming`);
+    }
+
+    const connection = provider.openLiveStream(options);
+    const stream = {
+      id: uuidv4(),
+      socketId: socket.id,
+      sessionId,
+      auth: socket.data.auth,
+      provider: provider.name,
+      // Where the stream starts on the session timeline, when the client knows
+      startOffset: Number.isFinite(options.startOffset) && options.startOffset >= 0 ? options.startOffset : undefined,
+      connection,
+      open: false,
+      pending: [],
+      lastAudioAt: Date.now(),
+      keepAlive: null
+    };
+
+    connection.on('open', () => {
+      stream.open = true;
+      stream.pending.forEach(chunk => connection.send(chunk));
+      stream.pending = [];
+
+      // Providers drop idle connections, so keep quiet streams alive between chunks
+      stream.keepAlive = setInterval(() => {
+        if (Date.now() - stream.lastAudioAt >= KEEP_ALIVE_INTERVAL_MS) {
+          connection.keepAlive();
+        }
+      }, KEEP_ALIVE_INTERVAL_MS);
+
+      this.logger.info(`Live stream opened for session: ${sessionId}`);
+    });
+
+    connection.on('result', (result) => {
+      this.handleResult(stream, result).catch((error) => {
+        this.logger.error('Live transcription storage error:', error);
+      });
+    });
+
+    connection.on('error', (error) => {
+      this.logger.error(`${provider.name} live stream error:`, error);
+      socket.emit('stream_error', { sessionId, error: 'Live transcription failed' });
+    });
+
+    connection.on('close', () => {
+      clearInterval(stream.keepAlive);
+      if (this.streams.get(socket.id) === stream) {
+        this.streams.delete(socket.id);
+      }
+      socket.emit('stream_stopped', { sessionId });
+      this.logger.info(`Live stream closed for session: ${sessionId}`);
+    });
+
+    this.streams.set(socket.id, stream);
+    return stream;
+  }
+
+  /**
+   * Forward an audio chunk from a socket; returns false when the socket has no stream
+   */
+  push(socketId, chunk) {
+    const stream = this.streams.get(socketId);
+    if (!stream) {
+      return false;
+    }
+
+    const audio = toBuffer(chunk);
+    if (!audio) {
+      return true;
+    }
+
+    stream.lastAudioAt = Date.now();
+    if (stream.open) {
+      stream.connection.send(audio);
+    } else {
+      stream.pending.push(audio);
+    }
+    return true;
+  }
+
+  /**
+   * Close a socket's stream, letting the provider flush any final results
+   */
+  stop(socketId) {
+    const stream = this.streams.get(socketId);
+    if (!stream) {
+      return;
+    }
+
+    clearInterval(stream.keepAlive);
+    this.streams.delete(socketId);
+    stream.connection.close();
+  }
+
+  has(socketId) {
+    return this.streams.has(socketId);
+  }
+
+  async handleResult(stream, result) {
+    const transcription = {
+      sessionId: stream.sessionId,
+      transcript: result.transcript,
+      words: result.words,
+      speakers: extractSpeakers(result.words),
+      isFinal: result.isFinal,
+      source: 'stream',
+      streamId: stream.id,
+      startOffset: stream.startOffset,
+      provider: stream.provider,
+      timestamp: new Date().toISOString()
+    };
+
+    this.io.to(`session_${stream.sessionId}`).emit('transcription', transcription);
+
+    // Interim results are superseded by the final one, so only finals are kept
+    if (transcription.isFinal) {
+      await this.onFinalResult(stream.sessionId, transcription, stream.auth);
+    }
+  }
+}
+
+function toBuffer(chunk) {
+  if (!chunk) {
+    return null;
+  }
+  if (Buffer.isBuffer(chunk)) {
+    return chunk;
+  }
+  if (chunk instanceof ArrayBuffer || ArrayBuffer.isView(chunk)) {
+    return Buffer.from(chunk.buffer || chunk, chunk.byteOffset || 0, chunk.byteLength);
+  }
+  if (chunk.audio) {
+    return toBuffer(chunk.audio);
+  }
+  return null;
+}
+
+module.exports = { LiveStreamManager };
@@ -0,0 +1,140 @@
+const { EventEmitter } = require('events');
+const { LiveStreamManager } = require('./liveStreams');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+function fakeConnection() {
+  const connection = new EventEmitter();
+  connection.send = jest.fn();
+  connection.keepAlive = jest.fn();
+  connection.close = jest.fn(() => connection.emit('close'));
+  return connection;
+}
+
+function fakeSocket(id = 'socket-1') {
+  return { id, data: { auth: { tenantId: 't1', clinicianId: 'dr-lee' } }, emit: jest.fn() };
+}
+
+describe('LiveStreamManager', () => {
+  let connections;
+  let provider;
+  let broadcast;
+  let io;
+  let onFinalResult;
+  let manager;
+
+  beforeEach(() => {
+    connections = [];
+    provider = {
+      name: 'deepgram',
+      supportsStreaming: true,
+      openLiveStream: jest.fn(() => {
+        const connection = fakeConnection();
+        connections.push(connection);
+        return connection;
+      })
+    };
+    broadcast = jest.fn();
+    io = { to: jest.fn(() => ({ emit: broadcast })) };
+    onFinalResult = jest.fn().mockResolvedValue();
+    manager = new LiveStreamManager({ providers: { get: () => provider }, io, logger, onFinalResult });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('buffers audio until the provider connection opens, then forwards it', () => {
+    const socket = fakeSocket();
+    manager.start(socket, 'session-1', { encoding: 'linear16', sampleRate: 16000 });
+
+    expect(manager.push(socket.id, Buffer.from([1, 2]))).toBe(true);
+    expect(manager.push(socket.id, { audio: new Uint8Array([3]) })).toBe(true);
+    expect(connections[0].send).not.toHaveBeenCalled();
+
+    connections[0].emit('open');
+    expect(connections[0].send.mock.calls.map(([chunk]) => [...chunk])).toEqual([[1, 2], [3]]);
+
+    manager.push(socket.id, Buffer.from([4]));
+    expect(connections[0].send).toHaveBeenLastCalledWith(Buffer.from([4]));
+    manager.stop(socket.id);
+  });
+
+  test('reports audio for a socket without a stream as unhandled', () => {
+    expect(manager.push('nobody', Buffer.from([1]))).toBe(false);
+  });
+
+  test('broadcasts interim results but only stores final ones', async () => {
+    const socket = fakeSocket();
+    const stream = manager.start(socket, 'session-1', { startOffset: 30 });
+    const words = [{ word: 'hello', start: 0, end: 0.4, speaker: 0 }];
+
+    await manager.handleResult(stream, { transcript: 'hel', words: [], isFinal: false });
+    await manager.handleResult(stream, { transcript: 'hello', words, isFinal: true });
+
+    expect(io.to).toHaveBeenCalledWith('session_session-1');
+    expect(broadcast.mock.calls.map(([event, data]) => [event, data.transcript, data.isFinal])).toEqual([
+      ['transcription', 'hel', false],
+      ['transcription', 'hello', true]
+    ]);
+    expect(onFinalResult).toHaveBeenCalledTimes(1);
+    expect(onFinalResult).toHaveBeenCalledWith('session-1', expect.objectContaining({
+      transcript: 'hello',
+      source: 'stream',
+      streamId: stream.id,
+      startOffset: 30,
+      provider: 'deepgram',
+      speakers: { 0: [{ word: 'hello', start: 0, end: 0.4, confidence: undefined }] }
+    }), socket.data.auth);
+  });
+
+  test('ignores a start offset that is not a position on the timeline', () => {
+    expect(manager.start(fakeSocket('a'), 'session-1', { startOffset: -5 }).startOffset).toBeUndefined();
+    expect(manager.start(fakeSocket('b'), 'session-1', { startOffset: '12' }).startOffset).toBeUndefined();
+  });
+
+  test('keeps a quiet stream alive and stops when the socket stops', () => {
+    jest.useFakeTimers();
+    const socket = fakeSocket();
+    manager.start(socket, 'session-1');
+    connections[0].emit('open');
+
+    jest.advanceTimersByTime(8000);
+    expect(connections[0].keepAlive).toHaveBeenCalledTimes(1);
+
+    manager.stop(socket.id);
+    expect(connections[0].close).toHaveBeenCalled();
+    expect(manager.has(socket.id)).toBe(false);
+    expect(socket.emit).toHaveBeenCalledWith('stream_stopped', { sessionId: 'session-1' });
+
+    jest.advanceTimersByTime(16000);
+    expect(connections[0].keepAlive).toHaveBeenCalledTimes(1);
+  });
+
+  test('replaces a socket\'s earlier stream when it starts another', () => {
+    const socket = fakeSocket();
+    manager.start(socket, 'session-1');
+    manager.start(socket, 'session-2');
+
+    expect(connections[0].close).toHaveBeenCalled();
+    expect(manager.has(socket.id)).toBe(true);
+    expect(manager.streams.get(socket.id).sessionId).toBe('session-2');
+    manager.stop(socket.id);
+  });
+
+  test('tells the socket when the provider connection fails', () => {
+    const socket = fakeSocket();
+    manager.start(socket, 'session-1');
+    connections[0].emit('error', new Error('socket hang up'));
+
+    expect(socket.emit).toHaveBeenCalledWith('stream_error', { sessionId: 'session-1', error: 'Live transcription failed' });
+    manager.stop(socket.id);
+  });
+
+  test('refuses providers without live streaming', () => {
+    provider.supportsStreaming = false;
+    provider.name = 'whisper';
+
+    expect(() => manager.start(fakeSocket(), 'session-1')).toThrow('Transcription provider whisper does not support live streaming');
+  });
+});
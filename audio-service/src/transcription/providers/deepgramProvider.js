@@ -0,0 +1,104 @@
+/**
+ * Deepgram transcription provider (prerecorded and live)
+ */
+
+const { EventEmitter } = require('events');
+const { createClient, LiveTranscriptionEvents } = require('@deepgram/sdk');
+
+const DEFAULT_MODEL = 'nova-2';
+const DEFAULT_LANGUAGE = 'en-US';
+
+class DeepgramProvider {
+  constructor({ apiKey, model, language } = {}) {
+    this.name = 'deepgram';
+    this.supportsStreaming = true;
+    this.supportsMultichannel = true;
+    this.client = createClient(apiKey);
+    this.model = model || DEFAULT_MODEL;
+    this.language = language || DEFAULT_LANGUAGE;
+  }
+
+  async transcribe(audioBuffer, options = {}) {
+    const model = options.model || this.model;
+    const { result, error } = await this.client.listen.prerecorded.transcribeFile(
+      audioBuffer,
+      {
+        model,
+        language: options.language || this.language,
+        smart_format: true,
+        diarize: true,
+        punctuate: true,
+        numerals: true,
+        timestamps: true,
+        speaker_labels: true,
+        multichannel: Boolean(options.multichannel),
+        mimetype: options.mimeType
+      }
+    );
+
+    if (error) {
+      throw new Error(`Deepgram transcription failed: ${error.message || error}`);
+    }
+
+    const channels = result.results.channels.map(channel => ({
+      transcript: channel.alternatives[0].transcript,
+      words: channel.alternatives[0].words
+    }));
+    return {
+      provider: this.name,
+      model,
+      transcript: channels[0].transcript,
+      words: channels[0].words,
+      channels: options.multichannel ? channels : undefined,
+      duration: result.metadata ? result.metadata.duration : undefined
+    };
+  }
+
+  /**
+   * Open a live connection; emits `open`, `result`, `error` and `close`
+   */
+  openLiveStream(options = {}) {
+    const liveOptions = {
+      model: options.model || this.model,
+      language: options.language || this.language,
+      smart_format: true,
+      diarize: true,
+      punctuate: true,
+      numerals: true,
+      interim_results: true,
+      endpointing: 300
+    };
+
+    // Raw PCM needs its format spelled out; containerised audio (webm, ogg) is self-describing
+    if (options.encoding) {
+      liveOptions.encoding = options.encoding;
+      liveOptions.sample_rate = options.sampleRate || 16000;
+      liveOptions.channels = options.channels || 1;
+    }
+
+    const connection = this.client.listen.live(liveOptions);
+    const stream = new EventEmitter();
+
+    connection.on(LiveTranscriptionEvents.Open, () => stream.emit('open'));
+    connection.on(LiveTranscriptionEvents.Error, error => stream.emit('error', error));
+    connection.on(LiveTranscriptionEvents.Close, () => stream.emit('close'));
+    connection.on(LiveTranscriptionEvents.Transcript, (data) => {
+      const alternative = data.channel.alternatives[0];
+      if (!alternative || !alternative.transcript) {
+        return;
+      }
+      stream.emit('result', {
+        transcript: alternative.transcript,
+        words: alternative.words,
+        isFinal: Boolean(data.is_final)
+      });
+    });
+
+    stream.send = audio => connection.send(audio);
+    stream.keepAlive = () => connection.keepAlive();
+    stream.close = () => connection.requestClose();
+    return stream;
+  }
+}
+
+module.exports = DeepgramProvider;
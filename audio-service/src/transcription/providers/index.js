@@ -0,0 +1,83 @@
+/**
+ * Transcription provider registry.
+ *
+ * A provider exposes:
+ *   name                                  - registry key
+ *   supportsStreaming                     - whether openLiveStream is available
+ *   supportsMultichannel                  - whether transcribe accepts `multichannel: true` and
+ *                                           resolves per-channel results as `channels`
+ *   transcribe(buffer, options)           - resolves { provider, model, transcript, words, duration }
+ *   openLiveStream(options)               - EventEmitter emitting `open`, `result`, `error`, `close`
+ *                                           with send(buffer), keepAlive() and close()
+ *
+ * Words follow Deepgram's shape: { word, punctuated_word, start, end, confidence, speaker }.
+ */
+
+const DeepgramProvider = require('./deepgramProvider');
+const LocalProvider = require('./localProvider');
+const WhisperProvider = require('./whisperProvider');
+
+class TranscriptionProviders {
+  constructor(defaultName) {
+    this.providers = new Map();
+    this.defaultName = defaultName;
+  }
+
+  register(provider) {
+    this.providers.set(provider.name, provider);
+    return this;
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  names() {
+    return Array.from(this.providers.keys());
+  }
+
+  /**
+   * Resolve a provider by name, falling back to the deployment default
+   */
+  get(name) {
+    const provider = this.providers.get(name || this.defaultName);
+    if (!provider) {
+      throw new Error(`Transcription provider not configured: ${name || this.defaultName}`);
+    }
+    return provider;
+  }
+}
+
+/**
+ * Register every provider this deployment has configuration for
+ */
+function createTranscriptionProviders(env = process.env) {
+  const defaultName = env.TRANSCRIPTION_PROVIDER || 'deepgram';
+  const providers = new TranscriptionProviders(defaultName);
+
+  if (env.DEEPGRAM_API_KEY) {
+    providers.register(new DeepgramProvider({
+      apiKey: env.DEEPGRAM_API_KEY,
+      model: env.DEEPGRAM_MODEL,
+      language: env.TRANSCRIPTION_LANGUAGE
+    }));
+  }
+
+  if (env.WHISPER_API_URL || defaultName === 'whisper') {
+    providers.register(new WhisperProvider({
+      baseUrl: env.WHISPER_API_URL,
+      apiKey: env.WHISPER_API_KEY || env.OPENAI_API_KEY,
+      model: env.WHISPER_MODEL,
+      language: env.TRANSCRIPTION_LANGUAGE
+    }));
+  }
+
+  // The scripted provider must never silently replace real transcription in production
+  if (defaultName === 'local' || env.NODE_ENV !== 'production') {
+    providers.register(new LocalProvider());
+  }
+
+  return providers;
+}
+
+module.exports = { TranscriptionProviders, createTranscriptionProviders };
@@ -0,0 +1,54 @@
+const LocalProvider = require('./localProvider');
+
+describe('LocalProvider', () => {
+  const provider = new LocalProvider();
+
+  test('gives the same words for the same audio', async () => {
+    const audio = Buffer.alloc(64000, 7);
+    const first = await provider.transcribe(audio);
+    const second = await provider.transcribe(Buffer.from(audio));
+
+    expect(second).toEqual(first);
+    expect(first.provider).toBe('local');
+    expect(first.transcript).toBe(first.words.map(word => word.punctuated_word).join(' '));
+  });
+
+  test('produces more turns for longer audio, with alternating speakers and rising timestamps', async () => {
+    const short = await provider.transcribe(Buffer.alloc(100, 1));
+    const long = await provider.transcribe(Buffer.alloc(32000 * 3, 1));
+
+    expect(new Set(short.words.map(word => word.speaker)).size).toBe(1);
+    expect(new Set(long.words.map(word => word.speaker))).toEqual(new Set([0, 1]));
+    long.words.slice(1).forEach((word, index) => {
+      expect(word.start).toBeGreaterThan(long.words[index].start);
+    });
+    expect(long.duration).toBe(long.words[long.words.length - 1].end);
+  });
+
+  test('uses a custom script', async () => {
+    const scripted = new LocalProvider({ script: ['Hello there.'] });
+    const result = await scripted.transcribe(Buffer.alloc(10));
+
+    expect(result.transcript).toBe('Hello there.');
+    expect(result.words.map(word => word.word)).toEqual(['hello', 'there']);
+  });
+
+  test('streams an interim and a final result per chunk, timed from the start of the stream', async () => {
+    const scripted = new LocalProvider({ script: ['One two.', 'Three four five.'] });
+    const stream = scripted.openLiveStream();
+    const results = [];
+    stream.on('result', result => results.push(result));
+
+    await new Promise(resolve => stream.once('open', resolve));
+    stream.send(Buffer.alloc(10));
+    stream.send(Buffer.alloc(10));
+    await new Promise(resolve => setImmediate(resolve));
+    stream.close();
+    await new Promise(resolve => stream.once('close', resolve));
+
+    const finals = results.filter(result => result.isFinal);
+    expect(finals.map(result => result.transcript)).toEqual(['One two.', 'Three four five.']);
+    expect(results.filter(result => !result.isFinal)).toHaveLength(2);
+    expect(finals[1].words[0].start).toBeGreaterThan(finals[0].words[1].end);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Whisper-compatible transcription provider.
+ * Talks to any endpoint implementing the OpenAI `/audio/transcriptions` API
+ * (OpenAI itself, faster-whisper-server, LocalAI, ...). Whisper has no diarization,
+ * so every word is attributed to speaker 0.
+ */
+
+const axios = require('axios');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'whisper-1';
+
+class WhisperProvider {
+  constructor({ baseUrl, apiKey, model, language, timeoutMs } = {}) {
+    this.name = 'whisper';
+    this.supportsStreaming = false;
+    this.baseUrl = (baseUrl || DEFAULT_BASE_URL).replace(/\/$/, '');
+    this.apiKey = apiKey;
+    this.model = model || DEFAULT_MODEL;
+    this.language = language;
+    this.timeoutMs = timeoutMs || 120000;
+  }
+
+  async transcribe(audioBuffer, options = {}) {
+    const model = options.model || this.model;
+    const language = toIsoLanguage(options.language || this.language);
+
+    const form = new FormData();
+    form.append('file', new Blob([audioBuffer], { type: options.mimeType || '' }), options.filename || 'audio');
+    form.append('model', model);
+    form.append('response_format', 'verbose_json');
+    form.append('timestamp_granularities[]', 'word');
+    if (language) {
+      form.append('language', language);
+    }
+
+    const headers = {};
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await axios.post(`${this.baseUrl}/audio/transcriptions`, form, {
+      headers,
+      timeout: this.timeoutMs,
+      maxBodyLength: Infinity
+    });
+
+    const words = (response.data.words || []).map(w => ({
+      word: w.word.trim().toLowerCase().replace(/[^a-z0-9']/g, ''),
+      punctuated_word: w.word.trim(),
+      start: w.start,
+      end: w.end,
+      confidence: 1,
+      speaker: 0
+    }));
+
+    return {
+      provider: this.name,
+      model,
+      transcript: (response.data.text || '').trim(),
+      words,
+      duration: response.data.duration
+    };
+  }
+
+  openLiveStream() {
+    throw new Error('Whisper provider does not support live streaming');
+  }
+}
+
+// Whisper expects ISO-639-1 codes ("en"), the rest of the service uses locales ("en-US")
+function toIsoLanguage(language) {
+  return language ? language.split('-')[0] : undefined;
+}
+
+module.exports = WhisperProvider;
@@ -0,0 +1,185 @@
+/**
+ * Session timeline.
+ * Providers time every uploaded chunk from zero, and every live stream from the moment it
+ * opened. The timeline gives each chunk an `offset` (seconds from the start of the
+ * session) so all words sit on one monotonic clock:
+ *
+ *   - an explicit `startOffset` from the client wins
+ *   - otherwise a chunk starts where the previous one ends, in `sequence` order when the
+ *     client numbers its chunks (so late or out-of-order uploads slot into place), or in
+ *     arrival order when it doesn't
+ *   - finals from one live stream share the stream's offset, since the provider already
+ *     times them from the start of the stream
+ *
+ * Functions here mutate the session and are meant to run inside a session store update.
+ */
+
+// Words closer than this (seconds) are considered the same instant
+const EPSILON = 0.05;
+
+/**
+ * Whether the client already delivered a chunk with this sequence number
+ */
+function isDuplicateChunk(session, chunk) {
+  return chunk.sequence !== undefined &&
+    (session.transcripts || []).some(c => c.sequence === chunk.sequence && c.streamId === chunk.streamId);
+}
+
+/**
+ * Add a chunk to the session and recompute every chunk's offset
+ */
+function placeChunk(session, chunk) {
+  const transcripts = session.transcripts;
+  const sameStream = chunk.streamId && transcripts.find(c => c.streamId === chunk.streamId);
+
+  if (sameStream) {
+    chunk.order = sameStream.order;
+  } else if (chunk.sequence !== undefined) {
+    chunk.order = chunk.sequence;
+  } else {
+    chunk.order = transcripts.reduce((max, c, index) => Math.max(max, orderOf(c, index)), -1) + 1;
+  }
+
+  transcripts.push(chunk);
+  reflow(session);
+  return chunk;
+}
+
+/**
+ * Reassign offsets and keep `session.transcripts` in timeline order
+ */
+function reflow(session) {
+  const placed = layout(session.transcripts);
+  session.transcripts = placed.map(({ chunk, offset }) => {
+    chunk.offset = offset;
+    return chunk;
+  });
+
+  const offsets = new Map(placed.map(({ chunk, offset }) => [chunk.id, offset]));
+  (session.riskFlags || []).forEach((flag) => {
+    if (offsets.has(flag.chunkId)) {
+      flag.sessionStart = round(flag.start + offsets.get(flag.chunkId));
+      flag.sessionEnd = round(flag.end + offsets.get(flag.chunkId));
+    }
+  });
+}
+
+/**
+ * Work out offsets without touching the chunks; returns [{ chunk, offset }] in timeline order
+ */
+function layout(chunks = []) {
+  const segments = new Map();
+  chunks.forEach((chunk, index) => {
+    const key = segmentKey(chunk, index);
+    if (!segments.has(key)) {
+      segments.set(key, { order: orderOf(chunk, index), arrival: index, chunks: [] });
+    }
+    segments.get(key).chunks.push(chunk);
+  });
+
+  const ordered = Array.from(segments.values())
+    .sort((a, b) => a.order - b.order || a.arrival - b.arrival);
+
+  const placed = [];
+  let cursor = 0;
+  ordered.forEach((segment) => {
+    const explicit = segment.chunks.find(chunk => typeof chunk.startOffset === 'number');
+    const offset = explicit ? explicit.startOffset : cursor;
+    const end = segment.chunks.reduce((max, chunk) => Math.max(max, chunkEnd(chunk)), 0);
+
+    segment.chunks.forEach(chunk => placed.push({ chunk, offset: round(offset) }));
+    cursor = Math.max(cursor, offset + end);
+  });
+
+  return placed;
+}
+
+/**
+ * Seconds of audio covered by the session so far
+ */
+function timelineEnd(session) {
+  return round(layout(session.transcripts).reduce((max, { chunk, offset }) => Math.max(max, offset + chunkEnd(chunk)), 0));
+}
+
+/**
+ * Every word in the session on the session timeline, sorted by start time with words
+ * repeated by overlapping chunks removed. Each word keeps the index of its chunk.
+ */
+function sessionWords(session) {
+  const words = [];
+  layout(session.transcripts).forEach(({ chunk, offset }, index) => {
+    (chunk.words || []).forEach((word) => {
+      words.push({ ...word, start: round(word.start + offset), end: round(word.end + offset), chunk: index });
+    });
+  });
+
+  words.sort((a, b) => a.start - b.start || a.chunk - b.chunk);
+
+  const merged = [];
+  words.forEach((word) => {
+    if (!isRepeat(merged, word)) {
+      merged.push(word);
+    }
+  });
+  return merged;
+}
+
+/**
+ * Chunks with text but no word timings, with where they start on the timeline
+ */
+function untimedChunks(session) {
+  return layout(session.transcripts)
+    .filter(({ chunk }) => (!chunk.words || chunk.words.length === 0) && chunk.transcript)
+    .map(({ chunk, offset }) => ({ start: offset, transcript: chunk.transcript }));
+}
+
+// The same word, overlapping a word already kept, is a repeat from an overlapping chunk
+function isRepeat(merged, word) {
+  for (let i = merged.length - 1; i >= 0 && merged[i].end > word.start - EPSILON; i--) {
+    const kept = merged[i];
+    const overlap = Math.min(kept.end, word.end) - Math.max(kept.start, word.start);
+    const shorter = Math.max(Math.min(kept.end - kept.start, word.end - word.start), EPSILON);
+    if (normalize(kept.word) === normalize(word.word) && overlap / shorter > 0.5) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function segmentKey(chunk, index) {
+  if (chunk.streamId) {
+    return `stream:${chunk.streamId}`;
+  }
+  // Streamed finals stored before streams were identified share one stream
+  if (chunk.source === 'stream') {
+    return 'stream';
+  }
+  return `chunk:${chunk.id || index}`;
+}
+
+function orderOf(chunk, index) {
+  return chunk.order !== undefined ? chunk.order : index;
+}
+
+function chunkEnd(chunk) {
+  const words = chunk.words || [];
+  const lastWord = words.length ? words[words.length - 1].end : 0;
+  return Math.max(lastWord, chunk.duration || 0);
+}
+
+function normalize(word = '') {
+  return String(word).toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+}
+
+function round(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+module.exports = {
+  isDuplicateChunk,
+  placeChunk,
+  reflow,
+  timelineEnd,
+  sessionWords,
+  untimedChunks
+};
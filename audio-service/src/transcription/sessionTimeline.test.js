@@ -0,0 +1,92 @@
+const { isDuplicateChunk, placeChunk, timelineEnd, sessionWords, untimedChunks } = require('./sessionTimeline');
+
+// A chunk whose words are one second each, starting at zero
+function chunk(id, text, extra = {}) {
+  return {
+    id,
+    transcript: text,
+    words: text.split(' ').map((word, index) => ({ word, start: index, end: index + 1 })),
+    ...extra
+  };
+}
+
+function offsets(session) {
+  return Object.fromEntries(session.transcripts.map(c => [c.id, c.offset]));
+}
+
+describe('sessionTimeline', () => {
+  let session;
+
+  beforeEach(() => {
+    session = { transcripts: [], riskFlags: [] };
+  });
+
+  test('lays unnumbered uploads end to end in arrival order', () => {
+    placeChunk(session, chunk('a', 'one two three'));
+    placeChunk(session, chunk('b', 'four five'));
+
+    expect(offsets(session)).toEqual({ a: 0, b: 3 });
+    expect(sessionWords(session).map(word => [word.word, word.start])).toEqual([
+      ['one', 0], ['two', 1], ['three', 2], ['four', 3], ['five', 4]
+    ]);
+    expect(timelineEnd(session)).toBe(5);
+  });
+
+  test('slots a late chunk into place by sequence and moves later chunks up', () => {
+    placeChunk(session, chunk('first', 'a b', { sequence: 0 }));
+    placeChunk(session, chunk('third', 'e f', { sequence: 2 }));
+    expect(offsets(session).third).toBe(2);
+
+    placeChunk(session, chunk('second', 'c d', { sequence: 1 }));
+    expect(offsets(session)).toEqual({ first: 0, second: 2, third: 4 });
+    expect(session.transcripts.map(c => c.id)).toEqual(['first', 'second', 'third']);
+  });
+
+  test('lets an explicit start offset win', () => {
+    placeChunk(session, chunk('a', 'one two'));
+    placeChunk(session, chunk('b', 'later', { startOffset: 60 }));
+
+    expect(offsets(session)).toEqual({ a: 0, b: 60 });
+    expect(timelineEnd(session)).toBe(61);
+  });
+
+  test('keeps finals of one live stream on the stream\'s clock', () => {
+    placeChunk(session, chunk('upload', 'one two'));
+    placeChunk(session, { id: 'f1', streamId: 's', source: 'stream', words: [{ word: 'hi', start: 0, end: 1 }] });
+    placeChunk(session, { id: 'f2', streamId: 's', source: 'stream', words: [{ word: 'there', start: 5, end: 6 }] });
+
+    expect(offsets(session)).toEqual({ upload: 0, f1: 2, f2: 2 });
+    expect(sessionWords(session).map(word => word.start)).toEqual([0, 1, 2, 7]);
+  });
+
+  test('drops words repeated by overlapping chunks', () => {
+    placeChunk(session, chunk('a', 'one two three'));
+    placeChunk(session, chunk('b', 'three four', { startOffset: 2 }));
+
+    expect(sessionWords(session).map(word => word.word)).toEqual(['one', 'two', 'three', 'four']);
+  });
+
+  test('moves risk flags onto the session clock', () => {
+    placeChunk(session, chunk('a', 'one two'));
+    session.riskFlags.push({ chunkId: 'b', start: 1, end: 2 });
+    placeChunk(session, chunk('b', 'three four'));
+
+    expect(session.riskFlags[0]).toMatchObject({ sessionStart: 3, sessionEnd: 4 });
+  });
+
+  test('recognises a chunk already delivered with the same sequence', () => {
+    placeChunk(session, chunk('a', 'one', { sequence: 4 }));
+
+    expect(isDuplicateChunk(session, { sequence: 4 })).toBe(true);
+    expect(isDuplicateChunk(session, { sequence: 5 })).toBe(false);
+    expect(isDuplicateChunk(session, {})).toBe(false);
+  });
+
+  test('places chunks without word timings', () => {
+    placeChunk(session, chunk('a', 'one two'));
+    placeChunk(session, { id: 'b', transcript: 'untimed text', duration: 4 });
+
+    expect(untimedChunks(session)).toEqual([{ start: 2, transcript: 'untimed text' }]);
+    expect(timelineEnd(session)).toBe(6);
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Session-wide speaker tracking.
+ * Speakers are identified by the provider's diarization index within one diarization
+ * scope: a live stream, or a single uploaded chunk. Providers number speakers afresh for
+ * every request, so speaker 0 of one upload is not necessarily speaker 0 of the next; each
+ * new scope gets its own speakers (`speaker_<n>`, numbered through the session) and each
+ * stored word records its `speakerId`. The same person recorded in several uploads appears
+ * as several speakers and is labelled in each. Per-channel transcriptions are the
+ * exception: a channel is the same microphone in every upload, so channel speakers have
+ * their own session-wide ids (`channel_<n>`). Speakers accumulate talk statistics, and
+ * clinicians label them with a role and name that drive the speaker-attributed
+ * transcript used for notes.
+ */
+
+const { sessionWords, untimedChunks } = require('./sessionTimeline');
+
+const SPEAKER_ROLES = ['clinician', 'client', 'family_member', 'other'];
+
+const ROLE_LABELS = {
+  clinician: 'Clinician',
+  client: 'Client',
+  family_member: 'Family Member',
+  other: 'Other'
+};
+
+/**
+ * Where a chunk's speaker indexes are valid: the whole session for channels, otherwise
+ * its live stream or the chunk alone
+ */
+function speakerScope(transcription) {
+  if (Array.isArray(transcription.channels)) {
+    return 'channels';
+  }
+  if (transcription.streamId) {
+    return `stream:${transcription.streamId}`;
+  }
+  // Streamed finals stored before streams were identified share one stream
+  return transcription.source === 'stream' ? 'stream' : `chunk:${transcription.id}`;
+}
+
+/**
+ * The next speaker number: the diarization index while it is free, so a session with a
+ * single scope keeps `speaker_<index>`
+ */
+function nextNumber(speakers, index) {
+  const taken = speakers.filter(speaker => speaker.id.startsWith('speaker_')).map(speaker => speakerNumber(speaker));
+  return taken.includes(index) ? Math.max(...taken) + 1 : index;
+}
+
+function speakerNumber(speaker) {
+  return speaker.number !== undefined ? speaker.number : speaker.index;
+}
+
+/**
+ * Fold a chunk's words into the session speaker list and tag each word with its
+ * `speakerId`; returns true when a new speaker appeared
+ */
+function trackSpeakers(speakers, transcription) {
+  let added = false;
+  const scope = speakerScope(transcription);
+
+  (transcription.words || []).forEach((word) => {
+    if (word.speaker === undefined) {
+      return;
+    }
+
+    let speaker = speakers.find(s => s.scope === scope && s.index === word.speaker);
+    if (!speaker) {
+      const number = scope === 'channels' ? undefined : nextNumber(speakers, word.speaker);
+      speaker = {
+        id: scope === 'channels' ? `channel_${word.speaker}` : `speaker_${number}`,
+        number,
+        index: word.speaker,
+        scope,
+        role: null,
+        name: null,
+        wordCount: 0,
+        talkTimeSeconds: 0,
+        firstSeenAt: transcription.timestamp
+      };
+      speakers.push(speaker);
+      added = true;
+    }
+
+    word.speakerId = speaker.id;
+    speaker.wordCount++;
+    speaker.talkTimeSeconds = round(speaker.talkTimeSeconds + Math.max(0, word.end - word.start));
+    speaker.lastSeenAt = transcription.timestamp;
+  });
+
+  return added;
+}
+
+/**
+ * Apply a role/name label to a tracked speaker
+ */
+function labelSpeaker(speakers, id, { role, name } = {}) {
+  const speaker = speakers.find(s => s.id === id);
+  if (!speaker) {
+    return null;
+  }
+
+  if (role !== undefined) {
+    if (role !== null && !SPEAKER_ROLES.includes(role)) {
+      const error = new Error(`Invalid speaker role: ${role}. Expected one of ${SPEAKER_ROLES.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    speaker.role = role;
+  }
+  if (name !== undefined) {
+    speaker.name = name ? String(name).trim() : null;
+  }
+
+  speaker.labeledAt = new Date().toISOString();
+  return speaker;
+}
+
+/**
+ * The tracked speaker who said a word; words stored before speakers were scoped only
+ * have their diarization index
+ */
+function wordSpeaker(speakers, word) {
+  const id = word.speakerId || (word.speaker !== undefined ? `speaker_${word.speaker}` : null);
+  return (id && speakers.find(s => s.id === id)) || null;
+}
+
+/**
+ * Display label for a speaker ("Clinician (Dr. Lee)", "Speaker 2")
+ */
+function displayName(speaker, fallbackIndex) {
+  if (!speaker) {
+    return fallbackIndex === undefined ? 'Unknown Speaker' : `Speaker ${fallbackIndex + 1}`;
+  }
+
+  const unlabeled = speaker.scope === 'channels' ? `Channel ${speaker.index + 1}` : `Speaker ${speakerNumber(speaker) + 1}`;
+  const role = speaker.role ? ROLE_LABELS[speaker.role] : unlabeled;
+  return speaker.name ? `${role} (${speaker.name})` : role;
+}
+
+/**
+ * The whole session as speaker turns: [{ start, label, text }] in session time order
+ */
+function buildTranscriptTurns(session) {
+  const speakers = session.speakers || [];
+
+  // Timed words and untimed chunks, merged in session time order
+  const items = sessionWords(session)
+    .map(word => ({
+      start: word.start,
+      label: displayName(wordSpeaker(speakers, word), word.speaker),
+      text: word.punctuated_word || word.word
+    }))
+    .concat(untimedChunks(session).map(chunk => ({ start: chunk.start, label: displayName(null), text: chunk.transcript, untimed: true })))
+    .sort((a, b) => a.start - b.start);
+
+  const turns = [];
+  items.forEach((item) => {
+    const last = turns[turns.length - 1];
+    if (last && last.label === item.label && !item.untimed && !last.untimed) {
+      last.text += ` ${item.text}`;
+    } else {
+      turns.push({ ...item });
+    }
+  });
+
+  return turns
+    .filter(turn => turn.text)
+    .map(({ start, label, text }) => ({ start, label, text }));
+}
+
+/**
+ * Render turns as transcript lines ("Clinician (Dr. Lee): ...")
+ */
+function formatTurns(turns) {
+  return turns.map(turn => (turn.label ? `${turn.label}: ${turn.text}` : turn.text)).join('\n');
+}
+
+/**
+ * Render the whole session as speaker turns ("Clinician (Dr. Lee): ...")
+ */
+function buildLabeledTranscript(session) {
+  return formatTurns(buildTranscriptTurns(session));
+}
+
+function round(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+module.exports = {
+  SPEAKER_ROLES,
+  trackSpeakers,
+  labelSpeaker,
+  wordSpeaker,
+  displayName,
+  buildTranscriptTurns,
+  formatTurns,
+  buildLabeledTranscript
+};
@@ -0,0 +1,95 @@
+const { trackSpeakers, labelSpeaker, buildTranscriptTurns, buildLabeledTranscript } = require('./speakerTracker');
+const { placeChunk } = require('./sessionTimeline');
+
+// One chunk of "<speaker>:<word>" pairs, each word one second long
+function chunk(id, pairs, extra = {}) {
+  return {
+    id,
+    transcript: pairs.map(pair => pair.split(':')[1]).join(' '),
+    words: pairs.map((pair, index) => {
+      const [speaker, word] = pair.split(':');
+      return { word, start: index, end: index + 1, speaker: Number(speaker) };
+    }),
+    timestamp: '2025-01-01T00:00:00.000Z',
+    ...extra
+  };
+}
+
+function store(session, transcription) {
+  const added = trackSpeakers(session.speakers, transcription);
+  placeChunk(session, transcription);
+  return added;
+}
+
+describe('speakerTracker', () => {
+  let session;
+
+  beforeEach(() => {
+    session = { id: 'session-1', speakers: [], transcripts: [] };
+  });
+
+  test('tracks speakers with word counts and talk time', () => {
+    expect(store(session, chunk('a', ['0:hello', '1:hi', '0:there']))).toBe(true);
+
+    expect(session.speakers.map(({ id, wordCount, talkTimeSeconds }) => ({ id, wordCount, talkTimeSeconds }))).toEqual([
+      { id: 'speaker_0', wordCount: 2, talkTimeSeconds: 2 },
+      { id: 'speaker_1', wordCount: 1, talkTimeSeconds: 1 }
+    ]);
+    expect(session.transcripts[0].words.map(word => word.speakerId)).toEqual(['speaker_0', 'speaker_1', 'speaker_0']);
+  });
+
+  test('keeps speakers of one live stream together across finals', () => {
+    store(session, chunk('a', ['0:hello'], { source: 'stream', streamId: 'stream-1' }));
+    expect(store(session, chunk('b', ['0:again'], { source: 'stream', streamId: 'stream-1' }))).toBe(false);
+
+    expect(session.speakers).toHaveLength(1);
+    expect(session.speakers[0].wordCount).toBe(2);
+  });
+
+  test('gives each uploaded chunk its own speakers', () => {
+    store(session, chunk('a', ['0:hello', '1:hi']));
+    expect(store(session, chunk('b', ['0:later', '1:yes']))).toBe(true);
+
+    expect(session.speakers.map(speaker => speaker.id)).toEqual(['speaker_0', 'speaker_1', 'speaker_2', 'speaker_3']);
+    expect(session.transcripts[1].words.map(word => word.speakerId)).toEqual(['speaker_2', 'speaker_3']);
+  });
+
+  test('labels only the speaker of the chunk it was given for', () => {
+    store(session, chunk('a', ['0:hello', '1:hi']));
+    store(session, chunk('b', ['0:later', '1:yes']));
+    labelSpeaker(session.speakers, 'speaker_0', { role: 'clinician', name: 'Dr. Lee' });
+    labelSpeaker(session.speakers, 'speaker_1', { role: 'client' });
+
+    expect(buildTranscriptTurns(session).map(turn => turn.label)).toEqual([
+      'Clinician (Dr. Lee)', 'Client', 'Speaker 3', 'Speaker 4'
+    ]);
+  });
+
+  test('keeps channel speakers apart from diarized ones and the same across uploads', () => {
+    const channels = [{ channel: 0 }, { channel: 1 }];
+    store(session, chunk('a', ['0:hello', '1:hi']));
+    store(session, chunk('b', ['0:morning', '1:hello'], { channels }));
+    expect(store(session, chunk('c', ['1:bye', '0:goodbye'], { channels }))).toBe(false);
+
+    expect(session.speakers.map(speaker => speaker.id)).toEqual(['speaker_0', 'speaker_1', 'channel_0', 'channel_1']);
+    expect(session.speakers.find(speaker => speaker.id === 'channel_0').wordCount).toBe(2);
+
+    labelSpeaker(session.speakers, 'channel_0', { role: 'clinician' });
+    expect(buildTranscriptTurns(session).slice(2).map(({ label, text }) => `${label}: ${text}`)).toEqual([
+      'Clinician: morning', 'Channel 2: hello bye', 'Clinician: goodbye'
+    ]);
+  });
+
+  test('rejects unknown roles', () => {
+    store(session, chunk('a', ['0:hello']));
+    expect(() => labelSpeaker(session.speakers, 'speaker_0', { role: 'doctor' })).toThrow('Invalid speaker role');
+    expect(labelSpeaker(session.speakers, 'speaker_9', { role: 'client' })).toBeNull();
+  });
+
+  test('reads sessions stored before speakers were scoped', () => {
+    session.speakers.push({ id: 'speaker_0', index: 0, role: 'client', name: null });
+    session.transcripts.push(chunk('old', ['0:hello', '0:there']));
+
+    expect(buildLabeledTranscript(session)).toBe('Client: hello there');
+  });
+});
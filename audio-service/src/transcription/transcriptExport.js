@@ -0,0 +1,165 @@
+/**
+ * Session transcript export: WebVTT and SRT captions, a speaker-turn text transcript and
+ * word-level JSON. All formats cover every stored chunk on one session timeline.
+ *
+ * Captions are split into cues whenever the speaker changes, the gap between words is
+ * longer than `pause` seconds, or a cue would run past `maxDuration` seconds or
+ * `maxChars` characters.
+ */
+
+const { sessionWords, untimedChunks, timelineEnd } = require('./sessionTimeline');
+const { displayName, wordSpeaker } = require('./speakerTracker');
+
+const CUE_DEFAULTS = {
+  pause: 1.0,
+  maxDuration: 7,
+  maxChars: 84
+};
+
+const FORMATS = {
+  vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt', render: renderVtt },
+  srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt', render: renderSrt },
+  text: { contentType: 'text/plain; charset=utf-8', extension: 'txt', render: renderText },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json', render: renderJson }
+};
+
+function transcriptFormats() {
+  return Object.keys(FORMATS);
+}
+
+/**
+ * Render a session transcript; returns { body, contentType, filename }
+ */
+function exportTranscript(session, format, options = {}) {
+  const exporter = FORMATS[format];
+  if (!exporter) {
+    const error = new Error(`Unknown transcript format: ${format}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const words = sessionWords(session).map(word => ({
+    ...word,
+    speakerLabel: word.speaker === undefined
+      ? displayName(null)
+      : displayName(wordSpeaker(session.speakers || [], word), word.speaker)
+  }));
+
+  return {
+    body: exporter.render(session, words, { ...CUE_DEFAULTS, ...options }),
+    contentType: exporter.contentType,
+    filename: `transcript-${session.id}.${exporter.extension}`
+  };
+}
+
+/**
+ * Group words into caption cues
+ */
+function buildCues(words, { pause, maxDuration, maxChars }) {
+  const cues = [];
+  let cue = null;
+
+  words.forEach((word) => {
+    const token = word.punctuated_word || word.word;
+    const split = !cue ||
+      (word.speakerId || word.speaker) !== cue.speaker ||
+      word.start - cue.end > pause ||
+      word.end - cue.start > maxDuration ||
+      cue.text.length + token.length + 1 > maxChars;
+
+    if (split) {
+      cue = { start: word.start, end: word.end, speaker: word.speakerId || word.speaker, speakerLabel: word.speakerLabel, text: token };
+      cues.push(cue);
+    } else {
+      cue.end = word.end;
+      cue.text += ` ${token}`;
+    }
+  });
+
+  return cues;
+}
+
+function renderVtt(session, words, options) {
+  const cues = buildCues(words, options).map((cue, index) => [
+    `${index + 1}`,
+    `${timestamp(cue.start, '.')} --> ${timestamp(cue.end, '.')}`,
+    `<v ${cue.speakerLabel.replace(/>/g, '')}>${escapeVtt(cue.text)}`
+  ].join('\n'));
+
+  return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+}
+
+function renderSrt(session, words, options) {
+  const cues = buildCues(words, options).map((cue, index) => [
+    `${index + 1}`,
+    `${timestamp(cue.start, ',')} --> ${timestamp(cue.end, ',')}`,
+    `${cue.speakerLabel}: ${cue.text}`
+  ].join('\n'));
+
+  return `${cues.join('\n\n')}\n`;
+}
+
+/**
+ * Readable transcript, one timestamped line per speaker turn
+ */
+function renderText(session, words) {
+  const turns = [];
+  words.forEach((word) => {
+    const token = word.punctuated_word || word.word;
+    const last = turns[turns.length - 1];
+    if (last && last.speakerLabel === word.speakerLabel) {
+      last.text += ` ${token}`;
+    } else {
+      turns.push({ start: word.start, speakerLabel: word.speakerLabel, text: token });
+    }
+  });
+
+  // Chunks without word timings (older providers) still belong in the transcript
+  untimedChunks(session).forEach((chunk) => {
+    turns.push({ start: chunk.start, speakerLabel: displayName(null), text: chunk.transcript });
+  });
+
+  return `${turns
+    .sort((a, b) => a.start - b.start)
+    .map(turn => `[${timestamp(turn.start, '.').slice(0, 8)}] ${turn.speakerLabel}: ${turn.text}`)
+    .join('\n\n')}\n`;
+}
+
+function renderJson(session, words) {
+  return JSON.stringify({
+    sessionId: session.id,
+    duration: timelineEnd(session),
+    speakers: session.speakers || [],
+    chunks: (session.transcripts || []).map((chunk, index) => ({
+      index,
+      offset: chunk.offset,
+      sequence: chunk.sequence,
+      streamId: chunk.streamId,
+      timestamp: chunk.timestamp,
+      source: chunk.source || 'upload',
+      provider: chunk.provider,
+      wordCount: (chunk.words || []).length
+    })),
+    words
+  }, null, 2);
+}
+
+// HH:MM:SS.mmm (WebVTT) or HH:MM:SS,mmm (SRT)
+function timestamp(seconds, separator) {
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor(totalMs / 60000) % 60;
+  const secs = Math.floor(totalMs / 1000) % 60;
+  const ms = totalMs % 1000;
+  return `${pad(hours, 2)}:${pad(minutes, 2)}:${pad(secs, 2)}${separator}${pad(ms, 3)}`;
+}
+
+function pad(value, length) {
+  return String(value).padStart(length, '0');
+}
+
+function escapeVtt(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+module.exports = { exportTranscript, transcriptFormats, buildCues };
@@ -0,0 +1,97 @@
+const { exportTranscript, transcriptFormats, buildCues } = require('./transcriptExport');
+
+function word(text, start, end, speaker, punctuated) {
+  return { word: text.toLowerCase(), punctuated_word: punctuated || text, start, end, speaker };
+}
+
+const session = {
+  id: 'session-1',
+  speakers: [{ id: 'speaker_0', role: 'clinician', name: 'Dr. Lee' }],
+  transcripts: [{
+    transcript: 'Hello, there. How are you? Fine. Thanks.',
+    words: [
+      word('hello', 0, 0.5, 0, 'Hello,'),
+      word('there', 0.6, 1, 0, 'there.'),
+      word('How', 1.2, 1.5, 1),
+      word('are', 1.6, 1.8, 1),
+      word('you', 1.9, 2.2, 1, 'you?'),
+      word('fine', 4, 4.4, 0, 'Fine.'),
+      word('thanks', 6, 6.3, 0, 'Thanks.')
+    ]
+  }]
+};
+
+describe('transcriptExport', () => {
+  test('renders WebVTT cues split on speaker changes and pauses', () => {
+    const { body, contentType, filename } = exportTranscript(session, 'vtt');
+
+    expect(contentType).toBe('text/vtt; charset=utf-8');
+    expect(filename).toBe('transcript-session-1.vtt');
+    expect(body).toBe([
+      'WEBVTT',
+      '',
+      '1\n00:00:00.000 --> 00:00:01.000\n<v Clinician (Dr. Lee)>Hello, there.',
+      '',
+      '2\n00:00:01.200 --> 00:00:02.200\n<v Speaker 2>How are you?',
+      '',
+      '3\n00:00:04.000 --> 00:00:04.400\n<v Clinician (Dr. Lee)>Fine.',
+      '',
+      '4\n00:00:06.000 --> 00:00:06.300\n<v Clinician (Dr. Lee)>Thanks.',
+      ''
+    ].join('\n'));
+  });
+
+  test('renders SRT with comma milliseconds and speaker prefixes', () => {
+    const { body } = exportTranscript(session, 'srt', { pause: 3 });
+
+    expect(body.split('\n\n')).toEqual([
+      '1\n00:00:00,000 --> 00:00:01,000\nClinician (Dr. Lee): Hello, there.',
+      '2\n00:00:01,200 --> 00:00:02,200\nSpeaker 2: How are you?',
+      '3\n00:00:04,000 --> 00:00:06,300\nClinician (Dr. Lee): Fine. Thanks.\n'
+    ]);
+  });
+
+  test('formats hours and rounds to the millisecond', () => {
+    const long = { id: 'long', transcripts: [{ words: [word('late', 3725.2504, 3726.9996, undefined)] }] };
+
+    expect(exportTranscript(long, 'srt').body).toBe('1\n01:02:05,250 --> 01:02:07,000\nUnknown Speaker: late\n');
+  });
+
+  test('groups the text transcript into one line per speaker turn', () => {
+    const withUntimed = { ...session, transcripts: [...session.transcripts, { transcript: 'Older provider text', words: [] }] };
+
+    expect(exportTranscript(withUntimed, 'text').body.split('\n\n')).toEqual([
+      '[00:00:00] Clinician (Dr. Lee): Hello, there.',
+      '[00:00:01] Speaker 2: How are you?',
+      '[00:00:04] Clinician (Dr. Lee): Fine. Thanks.',
+      '[00:00:06] Unknown Speaker: Older provider text\n'
+    ]);
+  });
+
+  test('exports the session timeline, chunks and labelled words as JSON', () => {
+    const { body, contentType } = exportTranscript(session, 'json');
+    const json = JSON.parse(body);
+
+    expect(contentType).toBe('application/json; charset=utf-8');
+    expect(json).toMatchObject({
+      sessionId: 'session-1',
+      duration: 6.3,
+      speakers: session.speakers,
+      chunks: [{ index: 0, source: 'upload', wordCount: 7 }]
+    });
+    expect(json.words).toHaveLength(7);
+    expect(json.words[2]).toMatchObject({ word: 'how', start: 1.2, end: 1.5, speaker: 1, speakerLabel: 'Speaker 2' });
+  });
+
+  test('starts a new cue before one would run too long', () => {
+    const words = Array.from({ length: 10 }, (unused, i) => ({ word: 'word', start: i, end: i + 0.9, speaker: 0, speakerLabel: 'Speaker 1' }));
+
+    expect(buildCues(words, { pause: 1, maxDuration: 4, maxChars: 84 }).map(cue => [cue.start, cue.end])).toEqual([[0, 3.9], [4, 7.9], [8, 9.9]]);
+    expect(buildCues(words, { pause: 1, maxDuration: 60, maxChars: 14 }).map(cue => cue.text)).toEqual(['word word word', 'word word word', 'word word word', 'word']);
+  });
+
+  test('refuses unknown formats with a 400', () => {
+    expect(transcriptFormats()).toEqual(['vtt', 'srt', 'text', 'json']);
+    expect(() => exportTranscript(session, 'docx')).toThrow(expect.objectContaining({ statusCode: 400, message: 'Unknown transcript format: docx' }));
+  });
+});
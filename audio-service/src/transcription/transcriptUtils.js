@@ -0,0 +1,23 @@
+/**
+ * Transcript helpers shared by uploaded and streamed transcription
+ */
+
+function extractSpeakers(words) {
+  const speakers = {};
+  words.forEach(word => {
+    if (word.speaker !== undefined) {
+      if (!speakers[word.speaker]) {
+        speakers[word.speaker] = [];
+      }
+      speakers[word.speaker].push({
+        word: word.word,
+        start: word.start,
+        end: word.end,
+        confidence: word.confidence
+      });
+    }
+  });
+  return speakers;
+}
+
+module.exports = { extractSpeakers };
@@ -0,0 +1,36 @@
+/**
+ * Webhook request signing.
+ * Each delivery carries `X-Verba-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256>` where
+ * the HMAC is over `<t>.<raw body>` with the subscription secret. Receivers recompute it,
+ * compare in constant time, and reject old timestamps to stop replays.
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'X-Verba-Signature';
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Check a signature header against the raw request body
+ */
+function verifySignature(secret, header, body, { toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.trim().split('=')));
+  const timestamp = Number(parts.t);
+  if (!Number.isFinite(timestamp) || !parts.v1) {
+    return false;
+  }
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body).split('v1=')[1], 'hex');
+  const given = Buffer.from(parts.v1, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+module.exports = { SIGNATURE_HEADER, signPayload, verifySignature };
@@ -0,0 +1,27 @@
+const { signPayload, verifySignature } = require('./signature');
+
+describe('webhook signatures', () => {
+  const body = JSON.stringify({ event: 'note.signed', sessionId: 's1' });
+  const now = Date.parse('2025-03-01T00:00:00.000Z');
+  const timestamp = now / 1000;
+
+  test('verifies a signature made with the same secret', () => {
+    const header = signPayload('secret', timestamp, body);
+    expect(header).toMatch(/^t=\d+,v1=[0-9a-f]{64}$/);
+    expect(verifySignature('secret', header, body, { now })).toBe(true);
+  });
+
+  test('rejects another secret, an altered body or a malformed header', () => {
+    const header = signPayload('secret', timestamp, body);
+    expect(verifySignature('other', header, body, { now })).toBe(false);
+    expect(verifySignature('secret', header, `${body} `, { now })).toBe(false);
+    expect(verifySignature('secret', 'v1=abc', body, { now })).toBe(false);
+    expect(verifySignature('secret', undefined, body, { now })).toBe(false);
+  });
+
+  test('rejects timestamps outside the tolerance', () => {
+    const header = signPayload('secret', timestamp - 301, body);
+    expect(verifySignature('secret', header, body, { now })).toBe(false);
+    expect(verifySignature('secret', header, body, { now, toleranceSeconds: 600 })).toBe(true);
+  });
+});
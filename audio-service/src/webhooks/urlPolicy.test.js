@@ -0,0 +1,18 @@
+const { checkUrl, isPrivateHost } = require('./urlPolicy');
+
+describe('urlPolicy', () => {
+  test('requires https and a public host when asked to', () => {
+    expect(checkUrl('http://localhost:3000/hook')).toBe('http://localhost:3000/hook');
+    expect(() => checkUrl('ftp://example.com', { label: 'Webhook url' })).toThrow('Webhook url must use http or https');
+    expect(() => checkUrl('http://example.com', { requireHttps: true })).toThrow('url must use https');
+    expect(() => checkUrl('https://10.0.0.5/hook', { requireHttps: true })).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  test('recognises private and local addresses', () => {
+    ['localhost', '127.0.0.1', '169.254.169.254', '172.20.0.1', '192.168.1.1', '[::1]', 'fd00::1', 'db.internal'].forEach((host) => {
+      expect(isPrivateHost(host)).toBe(true);
+    });
+    expect(isPrivateHost('example.com')).toBe(false);
+    expect(isPrivateHost('8.8.8.8')).toBe(false);
+  });
+});
@@ -0,0 +1,436 @@
+/**
+ * Outbound webhooks.
+ * Tenants subscribe a URL to a set of events. Every matching event becomes a delivery
+ * that is POSTed with an HMAC signature and retried with exponential backoff until it
+ * succeeds or runs out of attempts. Deliveries are kept as a log (each attempt with its
+ * status code and timing) that can be inspected and redelivered. Payloads carry ids and
+ * statuses only; receivers fetch anything clinical through the API.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const MemoryBackend = require('../sessions/memoryBackend');
+const FileBackend = require('../sessions/fileBackend');
+const { EncryptedBackend } = require('../encryption/encryptedBackend');
+const { SIGNATURE_HEADER, signPayload } = require('./signature');
+const { checkUrl, resolvesToPrivateHost } = require('./urlPolicy');
+
+const WEBHOOK_EVENTS = [
+  'transcription.chunk_stored',
+  'note.generated',
+  'note.signed',
+  'risk.flagged',
+  'meeting.bot_joined',
+  'meeting.bot_left'
+];
+const PING_EVENT = 'webhook.ping';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class WebhookService {
+  constructor({
+    subscriptions,
+    deliveries,
+    logger,
+    http = axios,
+    maxAttempts = 6,
+    retryDelayMs = 30000,
+    timeoutMs = 10000,
+    logRetentionDays = 30,
+    requireHttps = false
+  }) {
+    this.subscriptions = subscriptions;
+    this.deliveries = deliveries;
+    this.logger = logger;
+    this.http = http;
+    this.maxAttempts = maxAttempts;
+    this.retryDelayMs = retryDelayMs;
+    this.timeoutMs = timeoutMs;
+    this.logRetentionDays = logRetentionDays;
+    this.requireHttps = requireHttps;
+    this.timers = new Map();
+  }
+
+  /**
+   * Subscribe a URL; the signing secret is only ever returned here
+   */
+  async create(tenantId, { url, events, description }, actor = {}) {
+    const subscription = {
+      id: uuidv4(),
+      tenantId,
+      url: this.checkUrl(url),
+      events: checkEvents(events),
+      description: description ? String(description) : '',
+      active: true,
+      secret: `whsec_${crypto.randomBytes(32).toString('base64url')}`,
+      createdBy: actor.clinicianId || null,
+      createdAt: new Date().toISOString()
+    };
+    await this.subscriptions.write(subscription.id, subscription);
+    return subscription;
+  }
+
+  async list(tenantId) {
+    return (await readAll(this.subscriptions))
+      .filter(subscription => subscription.tenantId === tenantId)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(describeSubscription);
+  }
+
+  async get(tenantId, id) {
+    const subscription = await this.find(tenantId, id);
+    return subscription ? describeSubscription(subscription) : null;
+  }
+
+  async update(tenantId, id, { url, events, description, active }) {
+    const subscription = await this.find(tenantId, id);
+    if (!subscription) {
+      return null;
+    }
+
+    if (url !== undefined) subscription.url = this.checkUrl(url);
+    if (events !== undefined) subscription.events = checkEvents(events);
+    if (description !== undefined) subscription.description = String(description || '');
+    if (active !== undefined) subscription.active = Boolean(active);
+    subscription.updatedAt = new Date().toISOString();
+
+    await this.subscriptions.write(id, subscription);
+    return describeSubscription(subscription);
+  }
+
+  async remove(tenantId, id) {
+    const subscription = await this.find(tenantId, id);
+    return subscription ? this.subscriptions.remove(id) : false;
+  }
+
+  /**
+   * Queue a delivery of the event to every active subscription for it. Returns immediately;
+   * delivery happens in the background.
+   */
+  async emit(tenantId, event, data) {
+    const subscriptions = (await readAll(this.subscriptions))
+      .filter(s => s.tenantId === tenantId && s.active && s.events.includes(event));
+    if (subscriptions.length === 0) {
+      return [];
+    }
+
+    const payload = buildPayload(tenantId, event, data);
+    const deliveries = [];
+    for (const subscription of subscriptions) {
+      const delivery = await this.createDelivery(subscription, payload);
+      this.schedule(delivery, 0);
+      deliveries.push(delivery);
+    }
+    return deliveries;
+  }
+
+  /**
+   * Send a ping to one subscription and wait for the outcome (no retries)
+   */
+  async ping(tenantId, subscriptionId) {
+    const subscription = await this.find(tenantId, subscriptionId);
+    if (!subscription) {
+      return null;
+    }
+
+    const payload = buildPayload(tenantId, PING_EVENT, { subscriptionId, message: 'Webhook test from Verba AI' });
+    const delivery = await this.createDelivery(subscription, payload, { maxAttempts: 1 });
+    return describeDelivery(await this.attempt(delivery.id));
+  }
+
+  /**
+   * Send a logged delivery again as a new delivery of the same event (same event id, so
+   * receivers can de-duplicate)
+   */
+  async redeliver(tenantId, deliveryId) {
+    const original = await this.findDelivery(tenantId, deliveryId);
+    if (!original) {
+      return null;
+    }
+    const subscription = await this.find(tenantId, original.subscriptionId);
+    if (!subscription) {
+      const error = new Error('The subscription for this delivery no longer exists');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const delivery = await this.createDelivery(subscription, original.payload, { redeliveryOf: original.id });
+    return describeDelivery(await this.attempt(delivery.id));
+  }
+
+  /**
+   * The delivery log, newest first
+   */
+  async listDeliveries(tenantId, { subscriptionId, status, event, limit = 50 } = {}) {
+    return (await readAll(this.deliveries))
+      .filter(d => d.tenantId === tenantId)
+      .filter(d => !subscriptionId || d.subscriptionId === subscriptionId)
+      .filter(d => !status || d.status === status)
+      .filter(d => !event || d.event === event)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit)
+      .map(describeDelivery);
+  }
+
+  async getDelivery(tenantId, id) {
+    const delivery = await this.findDelivery(tenantId, id);
+    return delivery ? describeDelivery(delivery) : null;
+  }
+
+  /**
+   * Pick pending deliveries back up after a restart
+   */
+  async resume() {
+    let resumed = 0;
+    for (const delivery of await readAll(this.deliveries)) {
+      if (delivery.status === 'pending') {
+        this.schedule(delivery, Math.max(0, Date.parse(delivery.nextAttemptAt || 0) - Date.now()));
+        resumed++;
+      }
+    }
+    if (resumed > 0) {
+      this.logger.info(`Resumed ${resumed} pending webhook deliveries`);
+    }
+  }
+
+  /**
+   * Drop finished deliveries older than the log retention period
+   */
+  async prune(now = Date.now()) {
+    const cutoff = now - this.logRetentionDays * DAY_MS;
+    let removed = 0;
+    for (const delivery of await readAll(this.deliveries)) {
+      if (delivery.status !== 'pending' && Date.parse(delivery.createdAt) < cutoff) {
+        await this.deliveries.remove(delivery.id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Re-encrypt the tenant's subscriptions and delivery log under its active data key
+   */
+  async reencrypt(tenantId) {
+    let count = 0;
+    for (const backend of [this.subscriptions, this.deliveries]) {
+      for (const id of await backend.keys()) {
+        if (await backend.reencrypt(id, tenantId) !== undefined) {
+          count++;
+        }
+      }
+    }
+    return { count };
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  async createDelivery(subscription, payload, { maxAttempts = this.maxAttempts, redeliveryOf } = {}) {
+    const delivery = {
+      id: uuidv4(),
+      tenantId: subscription.tenantId,
+      subscriptionId: subscription.id,
+      url: subscription.url,
+      event: payload.type,
+      eventId: payload.id,
+      payload,
+      status: 'pending',
+      maxAttempts,
+      attempts: [],
+      redeliveryOf: redeliveryOf || undefined,
+      createdAt: new Date().toISOString(),
+      nextAttemptAt: new Date().toISOString()
+    };
+    await this.deliveries.write(delivery.id, delivery);
+    return delivery;
+  }
+
+  schedule(delivery, delayMs) {
+    clearTimeout(this.timers.get(delivery.id));
+    const timer = setTimeout(() => {
+      this.timers.delete(delivery.id);
+      this.attempt(delivery.id).catch(error => this.logger.error(`Webhook delivery ${delivery.id} error:`, error));
+    }, delayMs);
+    this.timers.set(delivery.id, timer);
+  }
+
+  /**
+   * POST the delivery once and record the outcome; schedules the next attempt on a retryable failure
+   */
+  async attempt(deliveryId) {
+    const delivery = await this.deliveries.read(deliveryId);
+    const subscription = delivery && await this.subscriptions.read(delivery.subscriptionId);
+    if (!delivery || delivery.status !== 'pending') {
+      return delivery;
+    }
+    if (!subscription) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      delivery.attempts.push({ attempt: delivery.attempts.length + 1, at: new Date().toISOString(), error: 'Subscription deleted' });
+      await this.deliveries.write(delivery.id, delivery);
+      return delivery;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    const record = { attempt: delivery.attempts.length + 1, at: new Date(started).toISOString() };
+    let retryable = true;
+
+    try {
+      // checkUrl only sees the host name; what it resolves to can change after subscribing
+      if (this.requireHttps && await resolvesToPrivateHost(new URL(subscription.url).hostname)) {
+        retryable = false;
+        throw new Error('Webhook url resolves to a private or local address');
+      }
+      const response = await this.http.post(subscription.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Verba-Webhooks/1.0',
+          'X-Verba-Event': delivery.event,
+          'X-Verba-Delivery': delivery.id,
+          [SIGNATURE_HEADER]: signPayload(subscription.secret, timestamp, body)
+        },
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        // Every status is recorded rather than thrown
+        validateStatus: () => true,
+        transformRequest: [data => data]
+      });
+
+      record.statusCode = response.status;
+      record.responseBody = truncate(typeof response.data === 'string' ? response.data : JSON.stringify(response.data));
+      if (response.status >= 200 && response.status < 300) {
+        delivery.status = 'delivered';
+        delivery.deliveredAt = new Date().toISOString();
+      } else {
+        record.error = `HTTP ${response.status}`;
+        // Client errors other than timeouts and rate limits won't fix themselves
+        retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+      }
+    } catch (error) {
+      record.error = error.code || error.message;
+    }
+    record.durationMs = Date.now() - started;
+    delivery.attempts.push(record);
+
+    if (delivery.status === 'pending') {
+      if (retryable && delivery.attempts.length < delivery.maxAttempts) {
+        const delay = this.retryDelayMs * 2 ** (delivery.attempts.length - 1);
+        delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        this.schedule(delivery, delay);
+      } else {
+        delivery.status = 'failed';
+        delivery.nextAttemptAt = null;
+        this.logger.warn(`Webhook delivery ${delivery.id} (${delivery.event}) to ${subscription.url} failed after ${delivery.attempts.length} attempts: ${record.error}`);
+      }
+    } else {
+      delivery.nextAttemptAt = null;
+    }
+
+    await this.deliveries.write(delivery.id, delivery);
+    return delivery;
+  }
+
+  async find(tenantId, id) {
+    const subscription = await this.subscriptions.read(id);
+    return subscription && subscription.tenantId === tenantId ? subscription : null;
+  }
+
+  async findDelivery(tenantId, id) {
+    const delivery = await this.deliveries.read(id);
+    return delivery && delivery.tenantId === tenantId ? delivery : null;
+  }
+
+  checkUrl(url) {
+    // In production deliveries go out over TLS and never to this host or a private network
+    return checkUrl(url, { requireHttps: this.requireHttps, label: 'Webhook url' });
+  }
+}
+
+// Every readable record; one that fails its integrity check is logged by the backend and skipped
+async function readAll(backend) {
+  const ids = await backend.keys();
+  const records = await Promise.all(ids.map(id => backend.read(id).catch(() => null)));
+  return records.filter(Boolean);
+}
+
+function buildPayload(tenantId, event, data) {
+  return {
+    id: uuidv4(),
+    type: event,
+    createdAt: new Date().toISOString(),
+    tenantId,
+    data
+  };
+}
+
+function checkEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    throw validationError(`events must list at least one of: ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+  const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    throw validationError(`Unknown webhook events: ${unknown.join(', ')}. Expected ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+  return Array.from(new Set(events));
+}
+
+// Subscriptions as shown after creation: never the secret
+function describeSubscription({ secret, ...subscription }) {
+  return subscription;
+}
+
+function describeDelivery(delivery) {
+  if (!delivery) {
+    return delivery;
+  }
+  const { maxAttempts, ...rest } = delivery;
+  return rest;
+}
+
+function truncate(text, length = 500) {
+  if (!text) {
+    return undefined;
+  }
+  return text.length > length ? `${text.slice(0, length)}…` : text;
+}
+
+function validationError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Create the webhook service configured for this deployment; subscriptions and the
+ * delivery log share the session store type and are encrypted with the key ring
+ */
+function createWebhookService({ keyRing, logger, env = process.env }) {
+  const type = env.SESSION_STORE || 'file';
+  const directory = env.WEBHOOK_STORE_DIR || path.join('data', 'webhooks');
+
+  const backend = (name) => {
+    const store = type === 'memory' ? new MemoryBackend() : new FileBackend(path.join(directory, name));
+    return keyRing
+      ? new EncryptedBackend(store, { keyRing, tenantOf: record => record.tenantId, logger })
+      : store;
+  };
+
+  return new WebhookService({
+    subscriptions: backend('subscriptions'),
+    deliveries: backend('deliveries'),
+    logger,
+    maxAttempts: parseInt(env.WEBHOOK_MAX_ATTEMPTS, 10) || 6,
+    retryDelayMs: parseInt(env.WEBHOOK_RETRY_DELAY_MS, 10) || 30000,
+    timeoutMs: parseInt(env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+    logRetentionDays: parseInt(env.WEBHOOK_LOG_RETENTION_DAYS, 10) || 30,
+    requireHttps: env.NODE_ENV === 'production'
+  });
+}
+
+module.exports = { WebhookService, createWebhookService, WEBHOOK_EVENTS };
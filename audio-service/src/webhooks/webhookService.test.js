@@ -0,0 +1,49 @@
+const dns = require('dns');
+const { WebhookService } = require('./webhookService');
+const MemoryBackend = require('../sessions/memoryBackend');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+describe('WebhookService', () => {
+  let http;
+  let service;
+
+  beforeEach(() => {
+    http = { post: jest.fn(async () => ({ status: 204, data: '' })) };
+    service = new WebhookService({
+      subscriptions: new MemoryBackend(),
+      deliveries: new MemoryBackend(),
+      logger,
+      http,
+      requireHttps: true
+    });
+  });
+
+  afterEach(() => {
+    service.stop();
+    jest.restoreAllMocks();
+  });
+
+  test('delivers a signed ping to a public receiver', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+    const subscription = await service.create('tenant-a', { url: 'https://hooks.example.com/verba', events: ['note.signed'] });
+
+    const delivery = await service.ping('tenant-a', subscription.id);
+
+    expect(delivery.status).toBe('delivered');
+    expect(http.post.mock.calls[0][2].headers['X-Verba-Signature']).toMatch(/^t=\d+,v1=[0-9a-f]{64}$/);
+  });
+
+  test('refuses to deliver to a name that resolves to a private address', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '169.254.169.254', family: 4 }]);
+    const subscription = await service.create('tenant-a', { url: 'https://hooks.example.com/verba', events: ['note.signed'] });
+
+    const [delivery] = await service.emit('tenant-a', 'note.signed', { sessionId: 's1' });
+    const result = await service.attempt(delivery.id);
+
+    expect(http.post).not.toHaveBeenCalled();
+    expect(result.status).toBe('failed');
+    expect(result.attempts).toEqual([expect.objectContaining({ error: 'Webhook url resolves to a private or local address' })]);
+    expect(subscription.url).toBe('https://hooks.example.com/verba');
+  });
+});
@@ -0,0 +1,257 @@
+/**
+ * Audio bridge from a meeting page into an audio-service session.
+ * A script installed in the page before the meeting loads picks up the meeting's remote
+ * audio: every audio track a WebRTC peer connection receives, and any stream the page
+ * plays through an <audio>/<video> element. Tracks the bot got from getUserMedia (its
+ * own fake microphone) are skipped. The tracks are mixed down to 16 kHz mono linear16
+ * and handed to Node through a page binding. Node streams the frames to audio-service
+ * over Socket.IO as a live transcription stream on a session linked to the meeting id,
+ * so live transcripts reach that session's room like any other stream.
+ */
+
+const crypto = require('crypto');
+const { io } = require('socket.io-client');
+
+const SAMPLE_RATE = 16000;
+const FRAME_SAMPLES = 4096;
+const BINDING = '__verbaAudioFrame';
+// Frames held while the stream (re)connects: about a minute of audio
+const MAX_PENDING_FRAMES = Math.ceil((60 * SAMPLE_RATE) / FRAME_SAMPLES);
+
+/**
+ * Runs in the meeting page, before any of the platform's own scripts
+ */
+function captureScript({ binding, sampleRate, frameSamples }) {
+  const localTracks = new Set();
+  const capturedTracks = new Set();
+  let mixer = null;
+
+  function ensureMixer() {
+    if (mixer) {
+      return mixer;
+    }
+    const context = new AudioContext({ sampleRate });
+    const gain = context.createGain();
+    const processor = context.createScriptProcessor(frameSamples, 1, 1);
+    processor.onaudioprocess = (event) => {
+      const samples = event.inputBuffer.getChannelData(0);
+      const pcm = new Int16Array(samples.length);
+      for (let i = 0; i < samples.length; i++) {
+        const sample = Math.max(-1, Math.min(1, samples[i]));
+        pcm[i] = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
+      }
+      let binary = '';
+      const bytes = new Uint8Array(pcm.buffer);
+      for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+      }
+      window[binding](btoa(binary));
+    };
+    gain.connect(processor);
+    // The processor only runs while connected; its output buffer is left silent
+    processor.connect(context.destination);
+    mixer = { context, gain };
+    return mixer;
+  }
+
+  function capture(track) {
+    if (!track || track.kind !== 'audio' || localTracks.has(track.id) || capturedTracks.has(track.id)) {
+      return;
+    }
+    capturedTracks.add(track.id);
+    const { context, gain } = ensureMixer();
+    context.resume().catch(() => {});
+    context.createMediaStreamSource(new MediaStream([track])).connect(gain);
+  }
+
+  // The bot's own microphone and camera
+  if (navigator.mediaDevices && navigator.mediaDevices.getUserMedia) {
+    const getUserMedia = navigator.mediaDevices.getUserMedia.bind(navigator.mediaDevices);
+    navigator.mediaDevices.getUserMedia = async (constraints) => {
+      const stream = await getUserMedia(constraints);
+      stream.getTracks().forEach(track => localTracks.add(track.id));
+      return stream;
+    };
+  }
+
+  // Remote participants over WebRTC
+  const NativePeerConnection = window.RTCPeerConnection;
+  if (NativePeerConnection) {
+    window.RTCPeerConnection = function RTCPeerConnection(...args) {
+      const connection = new NativePeerConnection(...args);
+      connection.addEventListener('track', event => capture(event.track));
+      return connection;
+    };
+    window.RTCPeerConnection.prototype = NativePeerConnection.prototype;
+    Object.setPrototypeOf(window.RTCPeerConnection, NativePeerConnection);
+  }
+
+  // Remote audio the page plays through media elements
+  const srcObject = Object.getOwnPropertyDescriptor(HTMLMediaElement.prototype, 'srcObject');
+  Object.defineProperty(HTMLMediaElement.prototype, 'srcObject', {
+    configurable: true,
+    get() {
+      return srcObject.get.call(this);
+    },
+    set(stream) {
+      if (stream && typeof stream.getAudioTracks === 'function') {
+        stream.getAudioTracks().forEach(capture);
+      }
+      srcObject.set.call(this, stream);
+    }
+  });
+}
+
+class AudioBridge {
+  constructor({ audioService, logger, connect = io }) {
+    this.audioService = audioService;
+    this.logger = logger;
+    this.connect = connect;
+  }
+
+  get enabled() {
+    return this.audioService.enabled;
+  }
+
+  /**
+   * Install capture in the meeting's browser context before it navigates. Resolves the
+   * link `{ sessionId, ... }`, or null when the bridge can't reach audio-service.
+   * `onStreaming` is called each time audio starts flowing into the session.
+   */
+  async attach({ context }, { meetingId, owner, onStreaming }) {
+    if (!this.enabled) {
+      this.logger.warn(`Audio capture is off for meeting ${meetingId}: JWT_SECRET is not set`);
+      return null;
+    }
+
+    const link = {
+      sessionId: crypto.randomUUID(),
+      meetingId,
+      owner,
+      onStreaming,
+      socket: null,
+      starting: false,
+      streaming: false,
+      pending: [],
+      samplesSent: 0,
+      stopped: false
+    };
+
+    await context.exposeBinding(BINDING, (source, frame) => this.push(link, frame));
+    await context.addInitScript(captureScript, { binding: BINDING, sampleRate: SAMPLE_RATE, frameSamples: FRAME_SAMPLES });
+    return link;
+  }
+
+  /**
+   * Queue one base64 linear16 frame from the page; the stream opens on the first one,
+   * and opens again if audio-service closed it
+   */
+  push(link, frame) {
+    if (link.stopped) {
+      return;
+    }
+    const chunk = Buffer.from(frame, 'base64');
+
+    if (!link.socket) {
+      this.open(link);
+    } else if (link.socket.connected && !link.streaming && !link.starting) {
+      this.startStream(link);
+    }
+    if (!link.streaming) {
+      link.pending.push(chunk);
+      if (link.pending.length > MAX_PENDING_FRAMES) {
+        link.samplesSent += link.pending.shift().length / 2;
+      }
+      return;
+    }
+    this.send(link, chunk);
+  }
+
+  send(link, chunk) {
+    link.socket.emit('audio-chunk', chunk);
+    link.samplesSent += chunk.length / 2;
+  }
+
+  /**
+   * Connect to audio-service; every (re)connection starts the stream again
+   */
+  open(link) {
+    const socket = this.connect(this.audioService.baseUrl, {
+      // A fresh short-lived token for every (re)connection
+      auth: callback => callback({ token: this.audioService.token(link.owner) }),
+      transports: ['websocket']
+    });
+    link.socket = socket;
+
+    socket.on('connect', () => this.startStream(link));
+
+    socket.on('stream_started', () => {
+      link.starting = false;
+      link.streaming = true;
+      const pending = link.pending;
+      link.pending = [];
+      pending.forEach(chunk => this.send(link, chunk));
+      this.logger.info(`Streaming meeting ${link.meetingId} audio into session ${link.sessionId}`);
+      if (link.onStreaming) {
+        link.onStreaming();
+      }
+    });
+
+    socket.on('stream_stopped', () => {
+      link.streaming = false;
+    });
+
+    socket.on('stream_error', ({ error }) => {
+      link.starting = false;
+      this.logger.error(`Audio stream error for meeting ${link.meetingId}: ${error}`);
+    });
+
+    socket.on('session_error', ({ error }) => {
+      this.logger.error(`Audio session error for meeting ${link.meetingId}: ${error}`);
+    });
+
+    socket.on('connect_error', (error) => {
+      this.logger.warn(`Audio bridge for meeting ${link.meetingId} could not connect: ${error.message}`);
+    });
+
+    socket.on('disconnect', () => {
+      link.starting = false;
+      link.streaming = false;
+    });
+  }
+
+  /**
+   * Start the live stream where the audio sent so far has reached on the session timeline
+   */
+  startStream(link) {
+    link.starting = true;
+    link.socket.emit('start_stream', {
+      sessionId: link.sessionId,
+      meetingId: link.meetingId,
+      encoding: 'linear16',
+      sampleRate: SAMPLE_RATE,
+      channels: 1,
+      startOffset: link.samplesSent / SAMPLE_RATE
+    });
+  }
+
+  /**
+   * End the stream; audio-service keeps the session and its transcript
+   */
+  stop(link) {
+    if (!link || link.stopped) {
+      return;
+    }
+    link.stopped = true;
+    link.pending = [];
+    if (link.socket) {
+      if (link.socket.connected) {
+        link.socket.emit('stop_stream');
+      }
+      link.socket.disconnect();
+    }
+    this.logger.info(`Stopped audio for meeting ${link.meetingId} (${(link.samplesSent / SAMPLE_RATE).toFixed(1)}s sent)`);
+  }
+}
+
+module.exports = { AudioBridge, SAMPLE_RATE };
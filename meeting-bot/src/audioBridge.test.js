@@ -0,0 +1,136 @@
+const { AudioBridge, SAMPLE_RATE } = require('./audioBridge');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+// Socket.IO client stand-in: `emit` records what the bridge sends, `fire` plays a server event
+function fakeSocket() {
+  const handlers = {};
+  return {
+    connected: false,
+    on: jest.fn((event, handler) => { handlers[event] = handler; }),
+    emit: jest.fn(),
+    disconnect: jest.fn(),
+    fire(event, data) {
+      if (event === 'connect') this.connected = true;
+      if (event === 'disconnect') this.connected = false;
+      handlers[event](data);
+    }
+  };
+}
+
+// One frame of `samples` 16-bit samples, base64 as the page binding delivers it
+function frame(samples, value = 1) {
+  const pcm = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) pcm.writeInt16LE(value, i * 2);
+  return pcm.toString('base64');
+}
+
+function sentChunks(socket) {
+  return socket.emit.mock.calls.filter(([event]) => event === 'audio-chunk').map(([, chunk]) => chunk.length / 2);
+}
+
+describe('AudioBridge', () => {
+  const owner = { tenantId: 't1', clinicianId: 'dr-lee' };
+  let sockets;
+  let bridge;
+  let context;
+
+  beforeEach(() => {
+    sockets = [];
+    const audioService = { enabled: true, baseUrl: 'http://audio:4000', token: jest.fn(() => 'service-jwt') };
+    bridge = new AudioBridge({
+      audioService,
+      logger,
+      connect: jest.fn(() => {
+        const socket = fakeSocket();
+        sockets.push(socket);
+        return socket;
+      })
+    });
+    context = { exposeBinding: jest.fn(), addInitScript: jest.fn() };
+  });
+
+  test('installs the page capture before the meeting loads', async () => {
+    const link = await bridge.attach({ context }, { meetingId: 'standup', owner });
+
+    expect(link).toMatchObject({ meetingId: 'standup', owner, sessionId: expect.any(String) });
+    expect(context.exposeBinding).toHaveBeenCalledWith('__verbaAudioFrame', expect.any(Function));
+    expect(context.addInitScript).toHaveBeenCalledWith(expect.any(Function), { binding: '__verbaAudioFrame', sampleRate: SAMPLE_RATE, frameSamples: 4096 });
+  });
+
+  test('does nothing without a way to authenticate to audio-service', async () => {
+    bridge.audioService.enabled = false;
+
+    expect(await bridge.attach({ context }, { meetingId: 'standup', owner })).toBeNull();
+    expect(context.exposeBinding).not.toHaveBeenCalled();
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('JWT_SECRET is not set'));
+  });
+
+  test('opens the stream on the first frame and forwards chunks once it has started', async () => {
+    const onStreaming = jest.fn();
+    const link = await bridge.attach({ context }, { meetingId: 'standup', owner, onStreaming });
+    // Frames arrive through the page binding
+    const fromPage = context.exposeBinding.mock.calls[0][1];
+
+    fromPage({}, frame(100));
+    expect(bridge.connect).toHaveBeenCalledWith('http://audio:4000', expect.objectContaining({ transports: ['websocket'] }));
+    const socket = sockets[0];
+    const auth = jest.fn();
+    bridge.connect.mock.calls[0][1].auth(auth);
+    expect(auth).toHaveBeenCalledWith({ token: 'service-jwt' });
+    expect(bridge.audioService.token).toHaveBeenCalledWith(owner);
+
+    socket.fire('connect');
+    expect(socket.emit).toHaveBeenCalledWith('start_stream', {
+      sessionId: link.sessionId,
+      meetingId: 'standup',
+      encoding: 'linear16',
+      sampleRate: 16000,
+      channels: 1,
+      startOffset: 0
+    });
+
+    fromPage({}, frame(50));
+    expect(sentChunks(socket)).toEqual([]);
+
+    socket.fire('stream_started');
+    expect(sentChunks(socket)).toEqual([100, 50]);
+    expect(onStreaming).toHaveBeenCalledTimes(1);
+
+    fromPage({}, frame(25));
+    expect(sentChunks(socket)).toEqual([100, 50, 25]);
+    expect(socket.emit.mock.calls.find(([event]) => event === 'audio-chunk')[1].readInt16LE(0)).toBe(1);
+  });
+
+  test('restarts the stream after a reconnect where the audio sent so far left off', async () => {
+    const link = await bridge.attach({ context }, { meetingId: 'standup', owner });
+    bridge.push(link, frame(8000));
+    const socket = sockets[0];
+    socket.fire('connect');
+    socket.fire('stream_started');
+
+    socket.fire('disconnect');
+    bridge.push(link, frame(8000));
+    expect(sentChunks(socket)).toEqual([8000]);
+
+    socket.fire('connect');
+    expect(socket.emit).toHaveBeenLastCalledWith('start_stream', expect.objectContaining({ startOffset: 0.5 }));
+    socket.fire('stream_started');
+    expect(sentChunks(socket)).toEqual([8000, 8000]);
+  });
+
+  test('stops the stream and ignores audio after it', async () => {
+    const link = await bridge.attach({ context }, { meetingId: 'standup', owner });
+    bridge.push(link, frame(10));
+    const socket = sockets[0];
+    socket.fire('connect');
+    socket.fire('stream_started');
+
+    bridge.stop(link);
+    bridge.push(link, frame(10));
+
+    expect(socket.emit).toHaveBeenCalledWith('stop_stream');
+    expect(socket.disconnect).toHaveBeenCalled();
+    expect(sentChunks(socket)).toEqual([10]);
+  });
+});
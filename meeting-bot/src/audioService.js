@@ -0,0 +1,78 @@
+/**
+ * Client for calls from the meeting bot to audio-service.
+ * audio-service scopes everything to a tenant, so each call carries a short-lived HS256
+ * JWT with the `service` role for the tenant that owns the bot, signed with the JWT_SECRET
+ * both services share. Without JWT_SECRET the bot can't speak for a tenant and the
+ * calls are skipped.
+ */
+
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+class AudioServiceClient {
+  constructor({ baseUrl, jwtSecret, jwtIssuer, jwtAudience, logger, http = axios }) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.jwtSecret = jwtSecret;
+    this.jwtIssuer = jwtIssuer;
+    this.jwtAudience = jwtAudience;
+    this.logger = logger;
+    this.http = http;
+  }
+
+  get enabled() {
+    return Boolean(this.jwtSecret);
+  }
+
+  /**
+   * A five-minute token acting for the owner's tenant
+   */
+  token(owner) {
+    // jsonwebtoken rejects options that are present but undefined
+    const options = { algorithm: 'HS256', expiresIn: '5m' };
+    if (owner.clinicianId) options.subject = owner.clinicianId;
+    if (this.jwtIssuer) options.issuer = this.jwtIssuer;
+    if (this.jwtAudience) options.audience = this.jwtAudience;
+    return jwt.sign({ tenant_id: owner.tenantId, role: 'service' }, this.jwtSecret, options);
+  }
+
+  /**
+   * Report a bot lifecycle event (`bot_joined`, `bot_left`); failures are logged, never thrown
+   */
+  async reportEvent(owner, event, data = {}) {
+    if (!this.enabled || !owner.tenantId) {
+      return;
+    }
+
+    try {
+      await this.http.post(`${this.baseUrl}/api/meeting-events`, {
+        event,
+        ...data,
+        occurredAt: new Date().toISOString()
+      }, {
+        headers: { Authorization: `Bearer ${this.token(owner)}` },
+        timeout: 10000
+      });
+    } catch (error) {
+      this.logger.error(`Error reporting ${event} for meeting ${data.meetingId}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Create the client configured for this deployment (TRANSCRIPTION_SERVICE_URL)
+ */
+function createAudioServiceClient({ logger, env = process.env }) {
+  if (!env.JWT_SECRET) {
+    logger.warn('JWT_SECRET is not set; meeting events will not be reported to audio-service');
+  }
+
+  return new AudioServiceClient({
+    baseUrl: env.TRANSCRIPTION_SERVICE_URL || 'http://localhost:4000',
+    jwtSecret: env.JWT_SECRET,
+    jwtIssuer: env.JWT_ISSUER || undefined,
+    jwtAudience: env.JWT_AUDIENCE || undefined,
+    logger
+  });
+}
+
+module.exports = { AudioServiceClient, createAudioServiceClient };
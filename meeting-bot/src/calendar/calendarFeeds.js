@@ -0,0 +1,459 @@
+/**
+ * Calendar feeds.
+ * A clinician registers an iCalendar source: a feed URL (https or webcal), an uploaded
+ * .ics file, or a file in their tenant's folder of the local calendar directory. In
+ * production feed URLs must be https and, like webhook URLs, may not reach this host or a
+ * private network, including through DNS or a redirect. Each sync reads the calendar,
+ * expands its events over the next `horizonMs`, finds the meeting link in each
+ * occurrence and reconciles the bot schedule with it: new occurrences get a scheduled
+ * bot, moved ones are rescheduled, and bots for occurrences that were cancelled or
+ * removed are cancelled. Feeds sync when registered, on request and every `syncIntervalMs`.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+const MemoryBackend = require('../scheduler/memoryBackend');
+const FileBackend = require('../scheduler/fileBackend');
+const { isValidTimeZone } = require('../scheduler/timezone');
+const { parseCalendar } = require('./icsParser');
+const { calendarOccurrences } = require('./recurrence');
+const { checkUrl, resolvesToPrivateHost } = require('./urlPolicy');
+
+const MAX_CALENDAR_BYTES = 5 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+// Reason recorded on bots the sync cancels; they come back if the occurrence does
+const REMOVED_FROM_CALENDAR = 'removed_from_calendar';
+
+class CalendarFeeds {
+  constructor({ backend, scheduler, platforms, logger, http = axios, fileDirectory, requireHttps = false, horizonMs = 14 * 24 * 60 * 60 * 1000, syncIntervalMs = 15 * 60 * 1000, timeoutMs = 15000 }) {
+    this.backend = backend;
+    this.scheduler = scheduler;
+    this.platforms = platforms;
+    this.logger = logger;
+    this.http = http;
+    this.fileDirectory = fileDirectory;
+    this.requireHttps = requireHttps;
+    // fake:// links only count when the fake platform is enabled
+    const schemes = platforms.names().includes('fake') ? 'https?|fake' : 'https?';
+    this.urlPattern = new RegExp(`\\b(?:${schemes}):\\/\\/[^\\s<>"'\\\\]+`, 'gi');
+    this.horizonMs = horizonMs;
+    this.syncIntervalMs = syncIntervalMs;
+    this.timeoutMs = timeoutMs;
+    this.syncing = new Map();
+    this.timer = null;
+  }
+
+  start() {
+    if (!this.syncIntervalMs) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.syncAll().catch(error => this.logger.error('Calendar sync failed:', error));
+    }, this.syncIntervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Register a feed from exactly one of `url`, `file` (a name in the local calendar
+   * directory) or `ics` (the calendar itself), and sync it. The calendar has to be
+   * readable, or nothing is registered.
+   */
+  async create({ url, file, ics, name, timezone, botName, joinEarlySeconds }, owner) {
+    const given = [url, file, ics].filter(value => value !== undefined && value !== null && value !== '');
+    if (given.length !== 1) {
+      throw badRequest('Provide one of url, file or ics');
+    }
+    if (timezone && !isValidTimeZone(timezone)) {
+      throw badRequest(`Unknown timezone: ${timezone}`);
+    }
+    if (joinEarlySeconds !== undefined && joinEarlySeconds !== null &&
+        !(Number.isFinite(Number(joinEarlySeconds)) && Number(joinEarlySeconds) >= 0)) {
+      throw badRequest('joinEarlySeconds must be a non-negative number');
+    }
+
+    let source;
+    if (url) {
+      source = { type: 'url', url: this.feedUrl(url) };
+    } else if (file) {
+      source = { type: 'file', file: path.basename(String(file)) };
+      this.filePath(owner.tenantId, source.file);
+    } else {
+      source = { type: 'upload' };
+    }
+
+    const now = new Date().toISOString();
+    const feed = {
+      id: crypto.randomUUID(),
+      tenantId: owner.tenantId,
+      clinicianId: owner.clinicianId,
+      name: name || (source.type === 'file' ? source.file : source.type === 'url' ? new URL(source.url).hostname : 'Uploaded calendar'),
+      source,
+      ics: source.type === 'upload' ? this.checkCalendar(String(ics)) : null,
+      timezone: timezone || null,
+      botName: botName || null,
+      joinEarlySeconds: joinEarlySeconds !== undefined && joinEarlySeconds !== null ? Number(joinEarlySeconds) : null,
+      createdAt: now,
+      updatedAt: now,
+      lastSyncedAt: null,
+      lastSync: null,
+      lastError: null
+    };
+
+    // Fail now, not on the first background sync, when the calendar can't be read
+    try {
+      this.checkCalendar(await this.read(feed));
+    } catch (error) {
+      throw badRequest(`Could not read the calendar: ${error.message}`);
+    }
+
+    await this.backend.write(feed.id, feed);
+    this.logger.info(`Registered ${source.type} calendar ${feed.id} for tenant ${feed.tenantId}`);
+    return this.sync(feed.id);
+  }
+
+  /**
+   * Replace an uploaded calendar with a new version of the file and sync it
+   */
+  async upload(feedId, tenantId, ics) {
+    const feed = await this.get(feedId, tenantId);
+    if (!feed) {
+      throw notFound();
+    }
+    if (feed.source.type !== 'upload') {
+      throw badRequest(`This calendar is read from its ${feed.source.type}`);
+    }
+    feed.ics = this.checkCalendar(String(ics || ''));
+    feed.updatedAt = new Date().toISOString();
+    await this.backend.write(feed.id, feed);
+    // A sync that started before the upload read the old file
+    await this.syncing.get(feed.id);
+    return this.sync(feed.id);
+  }
+
+  /**
+   * Remove a feed and cancel the bots it scheduled that haven't joined yet
+   */
+  async remove(feedId, tenantId) {
+    const feed = await this.get(feedId, tenantId);
+    if (!feed) {
+      throw notFound();
+    }
+    const jobs = await this.scheduler.list(tenantId, { status: 'scheduled', feedId });
+    for (const job of jobs) {
+      await this.scheduler.cancel(job.id, tenantId, { reason: 'calendar_removed' });
+    }
+    await this.backend.remove(feed.id);
+    this.logger.info(`Removed calendar ${feed.id}, cancelled ${jobs.length} scheduled bots`);
+    return { removed: true, cancelled: jobs.length };
+  }
+
+  /**
+   * Look up a feed; feeds belonging to another tenant are not found
+   */
+  async get(feedId, tenantId) {
+    const feed = await this.backend.read(feedId);
+    return feed && feed.tenantId === tenantId ? feed : null;
+  }
+
+  async list(tenantId) {
+    const feeds = await this.all();
+    return feeds
+      .filter(feed => feed.tenantId === tenantId)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * A feed as the API returns it, without the uploaded calendar itself
+   */
+  describe(feed) {
+    const { ics, ...rest } = feed;
+    return ics ? { ...rest, icsBytes: Buffer.byteLength(ics) } : rest;
+  }
+
+  async all() {
+    const keys = await this.backend.keys();
+    const feeds = await Promise.all(keys.map(async (key) => {
+      try {
+        return await this.backend.read(key);
+      } catch (error) {
+        this.logger.error(`Skipping unreadable calendar ${key}: ${error.message}`);
+        return null;
+      }
+    }));
+    return feeds.filter(Boolean);
+  }
+
+  async syncAll() {
+    const feeds = await this.all();
+    for (const feed of feeds) {
+      await this.sync(feed.id);
+    }
+  }
+
+  /**
+   * Sync one feed; a sync already running for it is joined rather than repeated.
+   * Resolves the feed with `lastSync` (counts) or `lastError` set.
+   */
+  sync(feedId) {
+    if (!this.syncing.has(feedId)) {
+      const run = this.runSync(feedId).finally(() => this.syncing.delete(feedId));
+      this.syncing.set(feedId, run);
+    }
+    return this.syncing.get(feedId);
+  }
+
+  async runSync(feedId) {
+    const feed = await this.backend.read(feedId);
+    if (!feed) {
+      throw notFound();
+    }
+
+    try {
+      const events = parseCalendar(this.checkCalendar(await this.read(feed)), { timeZone: feed.timezone || this.scheduler.defaultTimeZone });
+      feed.lastSync = await this.reconcile(feed, events);
+      feed.lastError = null;
+      this.logger.info(`Synced calendar ${feed.id}: ${JSON.stringify(feed.lastSync)}`);
+    } catch (error) {
+      // Keep the schedule as it was; a calendar that can't be read cancels nothing
+      feed.lastError = error.message;
+      this.logger.warn(`Could not sync calendar ${feed.id}: ${error.message}`);
+    }
+
+    // Only the sync fields: the feed may have been re-uploaded or removed meanwhile
+    const current = await this.backend.read(feed.id);
+    if (!current) {
+      return feed;
+    }
+    current.lastSync = feed.lastSync;
+    current.lastError = feed.lastError;
+    current.lastSyncedAt = new Date().toISOString();
+    await this.backend.write(current.id, current);
+    return current;
+  }
+
+  /**
+   * Bring the feed's scheduled bots in line with the calendar's occurrences
+   */
+  async reconcile(feed, events) {
+    const now = Date.now();
+    const occurrences = calendarOccurrences(events, {
+      // Meetings that have just started can still be joined (less a minute, so the
+      // scheduler never sees one as too late)
+      from: new Date(now - this.scheduler.catchUpMs + 60 * 1000),
+      until: new Date(now + this.horizonMs)
+    });
+
+    const jobs = await this.scheduler.list(feed.tenantId, { feedId: feed.id });
+    const jobsByOccurrence = new Map();
+    jobs.forEach(job => {
+      const key = occurrenceKey(job.source.eventUid, job.source.occurrenceId);
+      const current = jobsByOccurrence.get(key);
+      // A newer job for the same occurrence replaces one the sync cancelled earlier
+      if (!current || job.createdAt > current.createdAt) {
+        jobsByOccurrence.set(key, job);
+      }
+    });
+
+    const counts = { events: events.length, occurrences: occurrences.length, created: 0, updated: 0, cancelled: 0, unchanged: 0, withoutLink: 0 };
+    const owner = { tenantId: feed.tenantId, clinicianId: feed.clinicianId };
+    const seen = new Set();
+
+    for (const occurrence of occurrences) {
+      const meetingUrl = this.meetingLink(occurrence.event);
+      if (!meetingUrl) {
+        counts.withoutLink++;
+        continue;
+      }
+      const key = occurrenceKey(occurrence.uid, occurrence.occurrenceId);
+      seen.add(key);
+      const source = {
+        type: 'calendar',
+        feedId: feed.id,
+        eventUid: occurrence.uid,
+        occurrenceId: occurrence.occurrenceId,
+        summary: occurrence.event.summary,
+        meetingId: this.platforms.meetingId(meetingUrl)
+      };
+      const job = jobsByOccurrence.get(key);
+
+      if (!job || (job.status === 'cancelled' && job.result && job.result.reason === REMOVED_FROM_CALENDAR)) {
+        await this.scheduler.create({
+          meetingUrl,
+          scheduledTime: occurrence.start.toISOString(),
+          timezone: occurrence.event.start.timeZone,
+          joinEarlySeconds: feed.joinEarlySeconds,
+          botName: feed.botName,
+          source
+        }, owner);
+        counts.created++;
+      } else if (job.status === 'scheduled' &&
+          (Date.parse(job.scheduledTime) !== occurrence.start.getTime() || job.meetingUrl !== meetingUrl)) {
+        await this.scheduler.update(job.id, feed.tenantId, {
+          meetingUrl,
+          scheduledTime: occurrence.start.toISOString(),
+          timezone: occurrence.event.start.timeZone
+        });
+        counts.updated++;
+      } else {
+        // Already joined, cancelled by hand, or unchanged
+        counts.unchanged++;
+      }
+    }
+
+    for (const [key, job] of jobsByOccurrence) {
+      if (!seen.has(key) && job.status === 'scheduled') {
+        await this.scheduler.cancel(job.id, feed.tenantId, { reason: REMOVED_FROM_CALENDAR });
+        counts.cancelled++;
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * The first link in the event that belongs to a supported platform: conference
+   * properties and URL first, then the location and description
+   */
+  meetingLink(event) {
+    const text = [...event.links, event.location, event.description].join('\n');
+    const candidates = text.match(this.urlPattern) || [];
+    return candidates
+      .map(candidate => candidate.replace(/[.,;:!?)\]}>]+$/, ''))
+      .find(candidate => this.platforms.detect(candidate)) || null;
+  }
+
+  /**
+   * The calendar's text from wherever the feed reads it
+   */
+  async read(feed) {
+    switch (feed.source.type) {
+      case 'upload':
+        return feed.ics;
+      case 'file':
+        try {
+          return await fs.readFile(this.filePath(feed.tenantId, feed.source.file), 'utf8');
+        } catch (error) {
+          if (error.code === 'ENOENT') {
+            throw new Error(`No calendar file named ${feed.source.file}`);
+          }
+          throw error;
+        }
+      case 'url':
+        return this.fetch(feed.source.url);
+      default:
+        throw new Error(`Unknown calendar source: ${feed.source.type}`);
+    }
+  }
+
+  /**
+   * Download a feed. Redirects are followed here rather than by the HTTP client, so
+   * every hop gets the same URL checks.
+   */
+  async fetch(url) {
+    let current = url;
+    for (let redirects = 0; ; redirects++) {
+      if (this.requireHttps && await resolvesToPrivateHost(new URL(current).hostname)) {
+        throw badRequest('url must not point at a private or local address');
+      }
+      const response = await this.http.get(current, {
+        responseType: 'text',
+        transformResponse: data => data,
+        timeout: this.timeoutMs,
+        maxContentLength: MAX_CALENDAR_BYTES,
+        maxRedirects: 0,
+        validateStatus: status => status >= 200 && status < 400,
+        headers: { Accept: 'text/calendar' }
+      });
+      if (response.status < 300) {
+        return response.data;
+      }
+      if (!response.headers.location || redirects >= MAX_REDIRECTS) {
+        throw new Error(`Calendar feed answered ${response.status} without a usable redirect`);
+      }
+      current = this.feedUrl(new URL(response.headers.location, current).href);
+    }
+  }
+
+  /**
+   * webcal:// is the same feed over https
+   */
+  feedUrl(value) {
+    return checkUrl(String(value).replace(/^webcals?:\/\//i, 'https://'), { requireHttps: this.requireHttps, label: 'url' });
+  }
+
+  /**
+   * A local file in the tenant's own folder of the calendar directory
+   */
+  filePath(tenantId, name) {
+    if (!this.fileDirectory) {
+      throw badRequest('Local calendar files are not enabled');
+    }
+    if (!/^[A-Za-z0-9_.-]+\.ics$/.test(name)) {
+      throw badRequest('file must be the name of an .ics file');
+    }
+    if (!/^[A-Za-z0-9_-][A-Za-z0-9_.-]*$/.test(String(tenantId || ''))) {
+      throw badRequest('Local calendar files are not available for this tenant');
+    }
+    return path.join(this.fileDirectory, tenantId, name);
+  }
+
+  checkCalendar(text) {
+    if (Buffer.byteLength(text) > MAX_CALENDAR_BYTES) {
+      throw badRequest('Calendar is too large');
+    }
+    if (!/BEGIN:VCALENDAR/i.test(text)) {
+      throw badRequest('Not an iCalendar file');
+    }
+    return text;
+  }
+}
+
+function occurrenceKey(uid, occurrenceId) {
+  return `${uid}|${occurrenceId}`;
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function notFound() {
+  const error = new Error('Calendar not found');
+  error.statusCode = 404;
+  return error;
+}
+
+/**
+ * Create the feeds configured for this deployment. Feeds are stored like the schedule
+ * (SCHEDULE_STORE), in CALENDAR_STORE_DIR. Local .ics files are read from
+ * CALENDAR_FILE_DIR/<tenantId>; the directory defaults to data/ics outside production
+ * and is off in production unless set.
+ */
+function createCalendarFeeds({ scheduler, platforms, logger, env = process.env }) {
+  const production = env.NODE_ENV === 'production';
+  const backend = (env.SCHEDULE_STORE || 'file') === 'memory'
+    ? new MemoryBackend()
+    : new FileBackend(env.CALENDAR_STORE_DIR || path.join('data', 'calendars'));
+  const days = env.CALENDAR_HORIZON_DAYS !== undefined ? Number(env.CALENDAR_HORIZON_DAYS) : 14;
+  const minutes = env.CALENDAR_SYNC_MINUTES !== undefined ? Number(env.CALENDAR_SYNC_MINUTES) : 15;
+
+  return new CalendarFeeds({
+    backend,
+    scheduler,
+    platforms,
+    logger,
+    fileDirectory: env.CALENDAR_FILE_DIR || (production ? null : path.join('data', 'ics')),
+    requireHttps: production,
+    horizonMs: days * 24 * 60 * 60 * 1000,
+    syncIntervalMs: minutes * 60 * 1000
+  });
+}
+
+module.exports = { CalendarFeeds, createCalendarFeeds };
@@ -0,0 +1,262 @@
+/**
+ * iCalendar (RFC 5545) parser for meeting events.
+ * Reads the VEVENTs of a calendar into plain objects: uid, summary, start and end (with
+ * the time zone they were written in), status, recurrence (RRULE, RDATE, EXDATE) and
+ * RECURRENCE-ID for edited instances, plus the text fields meeting links hide in. Times
+ * with a TZID are read in that zone, UTC times as UTC, and floating times in the
+ * calendar's X-WR-TIMEZONE or the zone passed in. All-day events are marked `allDay`.
+ */
+
+const { isValidTimeZone, zonedTimeToUtc } = require('../scheduler/timezone');
+
+// Outlook and Exchange feeds use Windows zone names
+const WINDOWS_TIME_ZONES = {
+  'UTC': 'UTC',
+  'GMT Standard Time': 'Europe/London',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'E. Europe Standard Time': 'Europe/Chisinau',
+  'Eastern Standard Time': 'America/New_York',
+  'Central Standard Time': 'America/Chicago',
+  'Mountain Standard Time': 'America/Denver',
+  'US Mountain Standard Time': 'America/Phoenix',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'Alaskan Standard Time': 'America/Anchorage',
+  'Hawaiian Standard Time': 'Pacific/Honolulu',
+  'India Standard Time': 'Asia/Kolkata',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'New Zealand Standard Time': 'Pacific/Auckland'
+};
+
+const DATE_TIME = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/;
+const DURATION = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+
+/**
+ * Join folded lines and split each into `{ name, params, value }`
+ */
+function contentLines(text) {
+  return String(text || '')
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(parseLine)
+    .filter(Boolean);
+}
+
+function parseLine(line) {
+  // The value starts at the first colon outside a quoted parameter
+  let quoted = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      quoted = !quoted;
+    } else if (line[i] === ':' && !quoted) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) {
+    return null;
+  }
+
+  const [name, ...rawParams] = line.slice(0, colon).split(';');
+  const params = {};
+  rawParams.forEach(param => {
+    const equals = param.indexOf('=');
+    if (equals > 0) {
+      params[param.slice(0, equals).toUpperCase()] = param.slice(equals + 1).replace(/^"|"$/g, '');
+    }
+  });
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, character) => (character === 'n' || character === 'N' ? '\n' : character));
+}
+
+/**
+ * An IANA zone for a TZID, or null when it can't be recognised
+ */
+function resolveTimeZone(tzid) {
+  if (!tzid) {
+    return null;
+  }
+  if (WINDOWS_TIME_ZONES[tzid]) {
+    return WINDOWS_TIME_ZONES[tzid];
+  }
+  // Some producers prefix the zone, e.g. /mozilla.org/20070129_1/Europe/London
+  const candidates = [tzid, tzid.split('/').slice(-2).join('/')];
+  return candidates.find(isValidTimeZone) || null;
+}
+
+/**
+ * Parse a DATE or DATE-TIME value. Returns `{ date, timeZone, allDay, local }` where
+ * `local` is the wall-clock time recurrence rules work in.
+ */
+function parseDateTime(value, params, defaultTimeZone) {
+  const match = String(value).trim().match(DATE_TIME);
+  if (!match) {
+    return null;
+  }
+  const [year, month, day, hour = 0, minute = 0, second = 0] = match.slice(1, 7).map(part => Number(part || 0));
+  const local = { year, month, day, hour, minute, second };
+
+  if (!match[4] || params.VALUE === 'DATE') {
+    return { date: new Date(Date.UTC(year, month - 1, day)), timeZone: defaultTimeZone, allDay: true, local };
+  }
+  if (match[7]) {
+    return { date: new Date(Date.UTC(year, month - 1, day, hour, minute, second)), timeZone: 'UTC', allDay: false, local };
+  }
+  const timeZone = resolveTimeZone(params.TZID) || defaultTimeZone;
+  return { date: zonedTimeToUtc(local, timeZone), timeZone, allDay: false, local };
+}
+
+function parseDuration(value) {
+  const match = String(value || '').trim().match(DURATION);
+  if (!match) {
+    return null;
+  }
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const ms = ((Number(weeks || 0) * 7 + Number(days || 0)) * 86400 +
+    Number(hours || 0) * 3600 + Number(minutes || 0) * 60 + Number(seconds || 0)) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+function parseRule(value) {
+  const rule = {};
+  value.split(';').forEach(part => {
+    const [key, ruleValue] = part.split('=');
+    if (key && ruleValue !== undefined) {
+      rule[key.toUpperCase()] = ruleValue.toUpperCase();
+    }
+  });
+  return rule;
+}
+
+/**
+ * Parse a calendar into its events. `timeZone` is used for floating times when the
+ * calendar doesn't name one.
+ */
+function parseCalendar(text, { timeZone = 'UTC' } = {}) {
+  const lines = contentLines(text);
+  const calendarZone = lines.find(line => line.name === 'X-WR-TIMEZONE');
+  const defaultTimeZone = (calendarZone && resolveTimeZone(calendarZone.value)) || timeZone;
+
+  const events = [];
+  const stack = [];
+  let event = null;
+
+  for (const line of lines) {
+    if (line.name === 'BEGIN') {
+      stack.push(line.value.toUpperCase());
+      if (line.value.toUpperCase() === 'VEVENT') {
+        event = { rdates: [], exdates: [], links: [] };
+      }
+      continue;
+    }
+    if (line.name === 'END') {
+      const component = stack.pop();
+      if (component === 'VEVENT' && event) {
+        const finished = finishEvent(event);
+        if (finished) {
+          events.push(finished);
+        }
+        event = null;
+      }
+      continue;
+    }
+    // Properties of alarms and other sub-components aren't the event's
+    if (!event || stack[stack.length - 1] !== 'VEVENT') {
+      continue;
+    }
+
+    switch (line.name) {
+      case 'UID':
+        event.uid = line.value.trim();
+        break;
+      case 'SUMMARY':
+        event.summary = unescapeText(line.value);
+        break;
+      case 'DESCRIPTION':
+        event.description = unescapeText(line.value);
+        break;
+      case 'LOCATION':
+        event.location = unescapeText(line.value);
+        break;
+      case 'STATUS':
+        event.status = line.value.trim().toUpperCase();
+        break;
+      case 'SEQUENCE':
+        event.sequence = Number(line.value) || 0;
+        break;
+      case 'DTSTART':
+        event.start = parseDateTime(line.value, line.params, defaultTimeZone);
+        break;
+      case 'DTEND':
+        event.end = parseDateTime(line.value, line.params, defaultTimeZone);
+        break;
+      case 'DURATION':
+        event.duration = parseDuration(line.value);
+        break;
+      case 'RRULE':
+        event.rrule = parseRule(line.value);
+        break;
+      case 'RDATE':
+      case 'EXDATE':
+        line.value.split(',').forEach(value => {
+          const parsed = parseDateTime(value, line.params, defaultTimeZone);
+          if (parsed) {
+            event[line.name === 'RDATE' ? 'rdates' : 'exdates'].push(parsed);
+          }
+        });
+        break;
+      case 'RECURRENCE-ID':
+        event.recurrenceId = parseDateTime(line.value, line.params, defaultTimeZone);
+        break;
+      // Where calendar apps put the join link, most specific first
+      case 'CONFERENCE':
+      case 'X-GOOGLE-CONFERENCE':
+      case 'X-MICROSOFT-SKYPETEAMSMEETINGURL':
+      case 'X-MICROSOFT-ONLINEMEETINGEXTERNALLINK':
+      case 'URL':
+        event.links.push(line.value.trim());
+        break;
+      default:
+        break;
+    }
+  }
+  return events;
+}
+
+function finishEvent(event) {
+  if (!event.uid || !event.start) {
+    return null;
+  }
+  let durationMs = 0;
+  if (event.end) {
+    durationMs = event.end.date.getTime() - event.start.date.getTime();
+  } else if (event.duration !== null && event.duration !== undefined) {
+    durationMs = event.duration;
+  }
+
+  return {
+    uid: event.uid,
+    summary: event.summary || '',
+    description: event.description || '',
+    location: event.location || '',
+    links: event.links,
+    status: event.status || 'CONFIRMED',
+    sequence: event.sequence || 0,
+    start: event.start,
+    durationMs: Math.max(0, durationMs),
+    allDay: event.start.allDay,
+    rrule: event.rrule || null,
+    rdates: event.rdates,
+    exdates: event.exdates,
+    recurrenceId: event.recurrenceId || null
+  };
+}
+
+module.exports = { parseCalendar, parseDateTime, resolveTimeZone, unescapeText };
@@ -0,0 +1,98 @@
+const { parseCalendar, parseDateTime, resolveTimeZone } = require('./icsParser');
+
+function calendar(...lines) {
+  return ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+}
+
+describe('parseCalendar', () => {
+  test('reads an event with its zone, links and escaped text', () => {
+    const [event] = parseCalendar(calendar(
+      'BEGIN:VEVENT',
+      'UID:abc@example.com',
+      'SUMMARY:Intake\\, Jane',
+      'DESCRIPTION:Join here:\\nhttps://zoom.us/j/123',
+      ' 4567',
+      'DTSTART;TZID="W. Europe Standard Time":20250310T090000',
+      'DTEND;TZID="W. Europe Standard Time":20250310T095000',
+      'X-MICROSOFT-SKYPETEAMSMEETINGURL:https://teams.microsoft.com/l/meetup-join/1',
+      'BEGIN:VALARM',
+      'DESCRIPTION:Reminder',
+      'END:VALARM',
+      'END:VEVENT'
+    ));
+
+    expect(event).toMatchObject({
+      uid: 'abc@example.com',
+      summary: 'Intake, Jane',
+      description: 'Join here:\nhttps://zoom.us/j/1234567',
+      links: ['https://teams.microsoft.com/l/meetup-join/1'],
+      status: 'CONFIRMED',
+      durationMs: 50 * 60 * 1000,
+      allDay: false
+    });
+    expect(event.start.timeZone).toBe('Europe/Berlin');
+    expect(event.start.date.toISOString()).toBe('2025-03-10T08:00:00.000Z');
+  });
+
+  test('reads recurrence rules, exceptions and edited instances', () => {
+    const [master, moved] = parseCalendar(calendar(
+      'BEGIN:VEVENT',
+      'UID:weekly',
+      'DTSTART:20250303T140000Z',
+      'DURATION:PT45M',
+      'RRULE:FREQ=WEEKLY;byday=MO,WE;COUNT=10',
+      'EXDATE:20250305T140000Z,20250310T140000Z',
+      'RDATE:20250308T140000Z',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:weekly',
+      'SEQUENCE:2',
+      'RECURRENCE-ID:20250312T140000Z',
+      'DTSTART:20250313T150000Z',
+      'DURATION:PT45M',
+      'END:VEVENT'
+    ));
+
+    expect(master.rrule).toEqual({ FREQ: 'WEEKLY', BYDAY: 'MO,WE', COUNT: '10' });
+    expect(master.durationMs).toBe(45 * 60 * 1000);
+    expect(master.exdates.map(exdate => exdate.date.toISOString())).toEqual(['2025-03-05T14:00:00.000Z', '2025-03-10T14:00:00.000Z']);
+    expect(master.rdates).toHaveLength(1);
+    expect(moved).toMatchObject({ sequence: 2, recurrenceId: { date: new Date('2025-03-12T14:00:00Z') } });
+  });
+
+  test('reads floating times in the calendar\'s zone and marks all-day events', () => {
+    const events = parseCalendar(calendar(
+      'X-WR-TIMEZONE:America/New_York',
+      'BEGIN:VEVENT',
+      'UID:floating',
+      'DTSTART:20250701T090000',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:holiday',
+      'DTSTART;VALUE=DATE:20250704',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'SUMMARY:No uid',
+      'DTSTART:20250701T090000Z',
+      'END:VEVENT'
+    ));
+
+    expect(events.map(event => event.uid)).toEqual(['floating', 'holiday']);
+    expect(events[0].start.date.toISOString()).toBe('2025-07-01T13:00:00.000Z');
+    expect(events[1].allDay).toBe(true);
+  });
+});
+
+describe('parseDateTime', () => {
+  test('rejects values that are not dates', () => {
+    expect(parseDateTime('tomorrow', {}, 'UTC')).toBeNull();
+  });
+});
+
+describe('resolveTimeZone', () => {
+  test('maps Windows and prefixed zone names to IANA ones', () => {
+    expect(resolveTimeZone('Pacific Standard Time')).toBe('America/Los_Angeles');
+    expect(resolveTimeZone('/mozilla.org/20070129_1/Europe/London')).toBe('Europe/London');
+    expect(resolveTimeZone('Nowhere/Special')).toBeNull();
+  });
+});
@@ -0,0 +1,287 @@
+/**
+ * Recurrence expansion for calendar events.
+ * Turns an event's RRULE, RDATEs and EXDATEs into the start times of its occurrences in a
+ * window. Rules are expanded on the wall clock of the event's time zone, so a 09:00
+ * weekly meeting stays at 09:00 across DST changes. Supports FREQ DAILY, WEEKLY, MONTHLY
+ * and YEARLY with INTERVAL, COUNT, UNTIL, BYDAY (with ordinals such as 2TU or -1FR),
+ * BYMONTHDAY, BYMONTH, BYSETPOS and WKST.
+ */
+
+const { zonedTimeToUtc } = require('../scheduler/timezone');
+const { parseDateTime } = require('./icsParser');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+// Stops runaway rules; daily for 25 years fits comfortably
+const MAX_PERIODS = 10000;
+
+function numbers(value) {
+  return value ? value.split(',').map(Number).filter(Number.isFinite) : null;
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Days (wall-clock ms at midnight) in one month matching BYMONTHDAY / BYDAY, or the
+ * start's day of the month when neither is set
+ */
+function monthDays(year, month, { byMonthDay, byDay }, startDay) {
+  const length = daysInMonth(year, month);
+  const day = value => Date.UTC(year, month - 1, value);
+
+  if (byMonthDay) {
+    return byMonthDay
+      .map(value => (value < 0 ? length + value + 1 : value))
+      .filter(value => value >= 1 && value <= length)
+      .map(day)
+      .filter(ms => !byDay || byDay.some(entry => entry.weekday === new Date(ms).getUTCDay()));
+  }
+
+  if (byDay) {
+    const days = [];
+    byDay.forEach(({ ordinal, weekday }) => {
+      const matching = [];
+      for (let value = 1; value <= length; value++) {
+        if (new Date(day(value)).getUTCDay() === weekday) {
+          matching.push(day(value));
+        }
+      }
+      if (!ordinal) {
+        days.push(...matching);
+      } else {
+        const picked = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+        if (picked !== undefined) {
+          days.push(picked);
+        }
+      }
+    });
+    return days;
+  }
+
+  return startDay <= length ? [day(startDay)] : [];
+}
+
+/**
+ * Candidate days (wall-clock ms at midnight) of period `index` of the rule
+ */
+function periodDays(rule, index, startMidnight, startLocal) {
+  const step = index * rule.interval;
+  const startDate = new Date(startMidnight);
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const day = startMidnight + step * DAY_MS;
+      const date = new Date(day);
+      if (rule.byMonthDay && !rule.byMonthDay.includes(date.getUTCDate()) &&
+          !rule.byMonthDay.includes(date.getUTCDate() - daysInMonth(date.getUTCFullYear(), date.getUTCMonth() + 1) - 1)) {
+        return [];
+      }
+      if (rule.byDay && !rule.byDay.some(entry => entry.weekday === date.getUTCDay())) {
+        return [];
+      }
+      return [day];
+    }
+    case 'WEEKLY': {
+      const offset = (startDate.getUTCDay() - rule.weekStart + 7) % 7;
+      const weekStart = startMidnight - offset * DAY_MS + step * 7 * DAY_MS;
+      const weekdays = rule.byDay ? rule.byDay.map(entry => entry.weekday) : [startDate.getUTCDay()];
+      const days = [];
+      for (let i = 0; i < 7; i++) {
+        const day = weekStart + i * DAY_MS;
+        if (weekdays.includes(new Date(day).getUTCDay())) {
+          days.push(day);
+        }
+      }
+      return days;
+    }
+    case 'MONTHLY': {
+      const monthIndex = startLocal.month - 1 + step;
+      const year = startLocal.year + Math.floor(monthIndex / 12);
+      const month = (monthIndex % 12) + 1;
+      return monthDays(year, month, rule, startLocal.day);
+    }
+    case 'YEARLY': {
+      const year = startLocal.year + step;
+      const months = rule.byMonth || [startLocal.month];
+      return months.flatMap(month => monthDays(year, month, rule, startLocal.day));
+    }
+    default:
+      return [];
+  }
+}
+
+function compileRule(rrule, start) {
+  const byDay = rrule.BYDAY
+    ? rrule.BYDAY.split(',').map(value => {
+      const match = value.match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/);
+      return match ? { ordinal: match[1] ? Number(match[1]) : 0, weekday: WEEKDAYS.indexOf(match[2]) } : null;
+    }).filter(Boolean)
+    : null;
+  const until = rrule.UNTIL ? parseDateTime(rrule.UNTIL, {}, start.timeZone) : null;
+
+  return {
+    freq: rrule.FREQ,
+    interval: Math.max(1, Number(rrule.INTERVAL) || 1),
+    count: rrule.COUNT ? Number(rrule.COUNT) : null,
+    // A date-only UNTIL includes that whole day
+    until: until ? until.date.getTime() + (until.allDay ? DAY_MS - 1 : 0) : null,
+    byDay: byDay && byDay.length ? byDay : null,
+    byMonthDay: numbers(rrule.BYMONTHDAY),
+    byMonth: numbers(rrule.BYMONTH),
+    bySetPos: numbers(rrule.BYSETPOS),
+    weekStart: Math.max(0, WEEKDAYS.indexOf(rrule.WKST || 'MO'))
+  };
+}
+
+/**
+ * Start times (Dates) of the event's occurrences that begin within [from, until]
+ */
+function expandOccurrences(event, { from, until }) {
+  const { start } = event;
+  const fromMs = from.getTime();
+  const untilMs = until.getTime();
+  const starts = [];
+
+  if (event.rrule && event.rrule.FREQ) {
+    const rule = compileRule(event.rrule, start);
+    const { local } = start;
+    const startWall = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+    const startMidnight = Date.UTC(local.year, local.month - 1, local.day);
+    const timeOfDay = startWall - startMidnight;
+    let produced = 0;
+
+    for (let index = 0; index < MAX_PERIODS; index++) {
+      let days = periodDays(rule, index, startMidnight, local).sort((a, b) => a - b);
+      if (rule.bySetPos) {
+        const all = days;
+        days = rule.bySetPos
+          .map(position => (position > 0 ? all[position - 1] : all[all.length + position]))
+          .filter(day => day !== undefined)
+          .sort((a, b) => a - b);
+      }
+
+      let done = false;
+      for (const day of days) {
+        const wall = day + timeOfDay;
+        if (wall < startWall) {
+          continue;
+        }
+        produced++;
+        if (rule.count && produced > rule.count) {
+          done = true;
+          break;
+        }
+        // Wall-clock and UTC differ by less than a day, so far-off times skip the zone lookup
+        if (wall > untilMs + DAY_MS || (rule.until && wall > rule.until + DAY_MS)) {
+          done = true;
+          break;
+        }
+        if (wall < fromMs - DAY_MS) {
+          continue;
+        }
+        const instant = zonedTimeToUtc(wallClockParts(wall), start.timeZone);
+        if (rule.until && instant.getTime() > rule.until) {
+          done = true;
+          break;
+        }
+        starts.push(instant);
+      }
+      if (done) {
+        break;
+      }
+    }
+  } else {
+    starts.push(start.date);
+  }
+
+  event.rdates.forEach(rdate => starts.push(rdate.date));
+  const excluded = new Set(event.exdates.map(exdate => exdate.date.getTime()));
+
+  const seen = new Set();
+  return starts
+    .filter(date => {
+      const time = date.getTime();
+      if (excluded.has(time) || seen.has(time) || time < fromMs || time > untilMs) {
+        return false;
+      }
+      seen.add(time);
+      return true;
+    })
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Every occurrence of the calendar's events that starts within [from, until], as
+ * `{ event, uid, occurrenceId, start, end }`. `occurrenceId` is the instance's original
+ * start (its RECURRENCE-ID), so an instance keeps its identity when it's moved. Edited
+ * instances replace the ones they override, and cancelled events and instances are left out.
+ */
+function calendarOccurrences(events, { from, until }) {
+  // Several copies of an event or instance: the highest SEQUENCE is the current one
+  const latest = new Map();
+  events.forEach(event => {
+    const key = `${event.uid}|${event.recurrenceId ? event.recurrenceId.date.toISOString() : ''}`;
+    const current = latest.get(key);
+    if (!current || event.sequence >= current.sequence) {
+      latest.set(key, event);
+    }
+  });
+
+  const overrides = new Map();
+  const masters = [];
+  latest.forEach(event => {
+    if (event.recurrenceId) {
+      overrides.set(`${event.uid}|${event.recurrenceId.date.toISOString()}`, event);
+    } else {
+      masters.push(event);
+    }
+  });
+
+  // Instances can be moved into the window from outside it
+  const margin = 31 * DAY_MS;
+  const wideWindow = { from: new Date(from.getTime() - margin), until: new Date(until.getTime() + margin) };
+  const occurrences = [];
+  const add = (event, occurrenceId, start) => {
+    if (event.status !== 'CANCELLED' && !event.allDay && start >= from && start <= until) {
+      occurrences.push({ event, uid: event.uid, occurrenceId, start, end: new Date(start.getTime() + event.durationMs) });
+    }
+  };
+
+  masters.forEach(master => {
+    expandOccurrences(master, wideWindow).forEach(start => {
+      const occurrenceId = start.toISOString();
+      const override = overrides.get(`${master.uid}|${occurrenceId}`);
+      if (override) {
+        overrides.delete(`${master.uid}|${occurrenceId}`);
+        add(override, occurrenceId, override.start.date);
+      } else if (master.status !== 'CANCELLED') {
+        add(master, occurrenceId, start);
+      }
+    });
+  });
+  // Edited instances whose series isn't in the feed (or whose original time is outside the window)
+  overrides.forEach(override => {
+    const master = masters.find(event => event.uid === override.uid);
+    if (!master || master.status !== 'CANCELLED') {
+      add(override, override.recurrenceId.date.toISOString(), override.start.date);
+    }
+  });
+
+  return occurrences.sort((a, b) => a.start - b.start);
+}
+
+function wallClockParts(wall) {
+  const date = new Date(wall);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hour: date.getUTCHours(),
+    minute: date.getUTCMinutes(),
+    second: date.getUTCSeconds()
+  };
+}
+
+module.exports = { expandOccurrences, calendarOccurrences };
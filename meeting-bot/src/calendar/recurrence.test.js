@@ -0,0 +1,97 @@
+const { expandOccurrences, calendarOccurrences } = require('./recurrence');
+const { parseCalendar } = require('./icsParser');
+
+function events(...lines) {
+  return parseCalendar(['BEGIN:VCALENDAR', ...lines, 'END:VCALENDAR'].join('\r\n'));
+}
+
+function event(...lines) {
+  return events('BEGIN:VEVENT', 'UID:series', ...lines, 'END:VEVENT')[0];
+}
+
+const iso = dates => dates.map(date => date.toISOString());
+const window = (from, until) => ({ from: new Date(from), until: new Date(until) });
+
+describe('expandOccurrences', () => {
+  test('keeps a weekly meeting at the same wall-clock time across DST', () => {
+    const weekly = event('DTSTART;TZID=America/New_York:20250303T090000', 'RRULE:FREQ=WEEKLY');
+
+    expect(iso(expandOccurrences(weekly, window('2025-03-01', '2025-03-20')))).toEqual([
+      '2025-03-03T14:00:00.000Z',
+      '2025-03-10T13:00:00.000Z',
+      '2025-03-17T13:00:00.000Z'
+    ]);
+  });
+
+  test('expands BYDAY ordinals such as the second Tuesday and last Friday', () => {
+    const monthly = event('DTSTART:20250101T100000Z', 'RRULE:FREQ=MONTHLY;BYDAY=2TU,-1FR;COUNT=4');
+
+    expect(iso(expandOccurrences(monthly, window('2025-01-01', '2025-12-31')))).toEqual([
+      '2025-01-14T10:00:00.000Z',
+      '2025-01-31T10:00:00.000Z',
+      '2025-02-11T10:00:00.000Z',
+      '2025-02-28T10:00:00.000Z'
+    ]);
+  });
+
+  test('honours INTERVAL, UNTIL, BYSETPOS and negative BYMONTHDAY', () => {
+    const fortnightly = event('DTSTART:20250106T090000Z', 'RRULE:FREQ=WEEKLY;INTERVAL=2;UNTIL=20250203T090000Z');
+    expect(iso(expandOccurrences(fortnightly, window('2025-01-01', '2025-12-31')))).toEqual([
+      '2025-01-06T09:00:00.000Z', '2025-01-20T09:00:00.000Z', '2025-02-03T09:00:00.000Z'
+    ]);
+
+    const lastWeekday = event('DTSTART:20250131T090000Z', 'RRULE:FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1;COUNT=3');
+    expect(iso(expandOccurrences(lastWeekday, window('2025-01-01', '2025-12-31')))).toEqual([
+      '2025-01-31T09:00:00.000Z', '2025-02-28T09:00:00.000Z', '2025-03-31T09:00:00.000Z'
+    ]);
+
+    const monthEnd = event('DTSTART:20250130T090000Z', 'RRULE:FREQ=MONTHLY;BYMONTHDAY=-1;COUNT=2');
+    expect(iso(expandOccurrences(monthEnd, window('2025-01-01', '2025-12-31')))).toEqual([
+      '2025-01-31T09:00:00.000Z', '2025-02-28T09:00:00.000Z'
+    ]);
+  });
+
+  test('applies EXDATEs and RDATEs', () => {
+    const daily = event(
+      'DTSTART:20250301T090000Z',
+      'RRULE:FREQ=DAILY;COUNT=3',
+      'EXDATE:20250302T090000Z',
+      'RDATE:20250310T090000Z'
+    );
+
+    expect(iso(expandOccurrences(daily, window('2025-03-01', '2025-03-31')))).toEqual([
+      '2025-03-01T09:00:00.000Z', '2025-03-03T09:00:00.000Z', '2025-03-10T09:00:00.000Z'
+    ]);
+  });
+
+  test('returns a single event once, if it is in the window', () => {
+    const single = event('DTSTART:20250301T090000Z');
+    expect(expandOccurrences(single, window('2025-03-01', '2025-03-02'))).toHaveLength(1);
+    expect(expandOccurrences(single, window('2025-04-01', '2025-04-02'))).toHaveLength(0);
+  });
+});
+
+describe('calendarOccurrences', () => {
+  test('replaces edited instances, drops cancelled ones and keeps the original start as the id', () => {
+    const feed = events(
+      'BEGIN:VEVENT', 'UID:series', 'DTSTART:20250303T090000Z', 'DURATION:PT1H', 'RRULE:FREQ=DAILY;COUNT=3', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:series', 'RECURRENCE-ID:20250304T090000Z', 'DTSTART:20250304T150000Z', 'DURATION:PT30M', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:series', 'RECURRENCE-ID:20250305T090000Z', 'DTSTART:20250305T090000Z', 'STATUS:CANCELLED', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:holiday', 'DTSTART;VALUE=DATE:20250304', 'END:VEVENT'
+    );
+
+    expect(calendarOccurrences(feed, window('2025-03-01', '2025-03-31')).map(({ occurrenceId, start, end }) => [occurrenceId, start.toISOString(), end.toISOString()])).toEqual([
+      ['2025-03-03T09:00:00.000Z', '2025-03-03T09:00:00.000Z', '2025-03-03T10:00:00.000Z'],
+      ['2025-03-04T09:00:00.000Z', '2025-03-04T15:00:00.000Z', '2025-03-04T15:30:00.000Z']
+    ]);
+  });
+
+  test('uses the copy of an event with the highest sequence', () => {
+    const feed = events(
+      'BEGIN:VEVENT', 'UID:one', 'SEQUENCE:1', 'DTSTART:20250303T090000Z', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:one', 'SEQUENCE:0', 'DTSTART:20250303T100000Z', 'END:VEVENT'
+    );
+
+    expect(calendarOccurrences(feed, window('2025-03-01', '2025-03-31')).map(o => o.start.toISOString())).toEqual(['2025-03-03T09:00:00.000Z']);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Checks for calendar feed URLs the bot fetches on a tenant's behalf. With
+ * `requireHttps` (production) a URL has to use TLS and must not point at this host or a
+ * private network. These are the rules audio-service applies to webhook URLs.
+ */
+
+const dns = require('dns').promises;
+const net = require('net');
+
+/**
+ * Validate a URL; returns it normalised. `label` names it in error messages.
+ */
+function checkUrl(url, { requireHttps = false, label = 'url' } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(String(url));
+  } catch (error) {
+    throw validationError(`${label} must be an absolute URL`);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw validationError(`${label} must use http or https`);
+  }
+  if (requireHttps) {
+    if (parsed.protocol !== 'https:') {
+      throw validationError(`${label} must use https`);
+    }
+    if (isPrivateHost(parsed.hostname)) {
+      throw validationError(`${label} must not point at a private or local address`);
+    }
+  }
+  return parsed.toString();
+}
+
+/**
+ * Whether a public-looking host name resolves to a private address, which checkUrl
+ * can't see from the name alone
+ */
+async function resolvesToPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) {
+    return isPrivateHost(host);
+  }
+  const addresses = await dns.lookup(host, { all: true });
+  return addresses.some(({ address }) => isPrivateHost(address));
+}
+
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal') || host.endsWith('.local')) {
+    return true;
+  }
+  if (net.isIPv4(host)) {
+    const [a, b] = host.split('.').map(Number);
+    return a === 10 || a === 127 || a === 0 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168);
+  }
+  if (net.isIPv6(host)) {
+    return host === '::1' || host === '::' || host.startsWith('fc') || host.startsWith('fd') || host.startsWith('fe80') || host.startsWith('::ffff:');
+  }
+  return false;
+}
+
+function validationError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+module.exports = { checkUrl, resolvesToPrivateHost, isPrivateHost };
@@ -0,0 +1,16 @@
+const { checkUrl, resolvesToPrivateHost } = require('./urlPolicy');
+
+describe('urlPolicy', () => {
+  test('requires https and a public host when asked to', () => {
+    expect(checkUrl('http://calendar.example.com/feed.ics')).toBe('http://calendar.example.com/feed.ics');
+    expect(() => checkUrl('file:///etc/passwd')).toThrow('url must use http or https');
+    expect(() => checkUrl('http://calendar.example.com/feed.ics', { requireHttps: true })).toThrow('url must use https');
+    expect(() => checkUrl('https://169.254.169.254/latest', { requireHttps: true })).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  test('checks address literals without a lookup', async () => {
+    expect(await resolvesToPrivateHost('10.1.2.3')).toBe(true);
+    expect(await resolvesToPrivateHost('[::1]')).toBe(true);
+    expect(await resolvesToPrivateHost('93.184.216.34')).toBe(false);
+  });
+});
@@ -4,16 +4,17 @@
  */
 
 const express = require('express');
-const puppeteer = require('puppeteer-extra');
-const StealthPlugin = require('puppeteer-extra-plugin-stealth');
-const { chromium } = require('playwright');
-const cron = require('node-cron');
 const winston = require('winston');
-const axios = require('axios');
 require('dotenv').config();
-
-// Use stealth plugin to avoid detection
-puppeteer.use(StealthPlugin());
+// The bot accepts the same API keys and JWTs as audio-service (API_KEYS, JWT_SECRET)
+const { createAuthenticator } = require('./auth');
+const { createAudioServiceClient } = require('./audioService');
+const { createPlatformRegistry } = require('./platforms');
+const { AudioBridge } = require('./audioBridge');
+const { MeetingBot } = require('./meetingBot');
+const { lifecycleLimits } = require('./meetingLifecycle');
+const { createBotScheduler } = require('./scheduler/botScheduler');
+const { createCalendarFeeds } = require('./calendar/calendarFeeds');
 
 const app = express();
 app.use(express.json());
@@ -31,362 +32,205 @@ const logger = winston.createLogger({
   ]
 });
 
-class MeetingBot {
-  constructor() {
-    this.activeMeetings = new Map();
-    this.browser = null;
-  }
-
-  /**
-   * Join a Zoom meeting
-   */
-  async joinZoomMeeting(meetingUrl, meetingPassword, botName = 'Verba AI Notetaker') {
-    try {
-      logger.info(`Joining Zoom meeting: ${meetingUrl}`);
-      
-      const browser = await puppeteer.launch({
-        headless: false, // Set to true in production
-        args: [
-          '--use-fake-ui-for-media-stream',
-          '--use-fake-device-for-media-stream',
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-web-security',
-          '--disable-features=IsolateOrigins',
-          '--disable-site-isolation-trials'
-        ]
-      });
-
-      const page = await browser.newPage();
-      
-      // Grant permissions for microphone and camera
-      const context = browser.defaultBrowserContext();
-      await context.overridePermissions(meetingUrl, ['microphone', 'camera']);
-
-      // Navigate to Zoom web client
-      const webUrl = meetingUrl.replace('zoom.us/j/', 'zoom.us/wc/join/');
-      await page.goto(webUrl, { waitUntil: 'networkidle2' });
+// Every API route is tied to an authenticated tenant
+const authenticator = createAuthenticator({ logger });
+app.use('/api', authenticator.middleware());
 
-      // Wait for and fill in the name field
-      await page.waitForSelector('input[type="text"]', { timeout: 10000 });
-      await page.type('input[type="text"]', botName);
-
-      // Enter password if provided
-      if (meetingPassword) {
-        await page.waitForSelector('input[type="password"]', { timeout: 5000 });
-        await page.type('input[type="password"]', meetingPassword);
-      }
-
-      // Click join button
-      await page.click('button[class*="join"]');
-      
-      // Store meeting session
-      const meetingId = this.extractMeetingId(meetingUrl);
-      this.activeMeetings.set(meetingId, {
-        browser,
-        page,
-        platform: 'zoom',
-        startTime: new Date(),
-        status: 'active'
-      });
-
-      // Start audio capture
-      await this.startAudioCapture(page, meetingId);
-      
-      logger.info(`Successfully joined Zoom meeting: ${meetingId}`);
-      return { success: true, meetingId };
+// Initialize bot
+const audioService = createAudioServiceClient({ logger });
+const bot = new MeetingBot({
+  platforms: createPlatformRegistry({ logger }),
+  audioService,
+  audioBridge: new AudioBridge({ audioService, logger }),
+  limits: lifecycleLimits(),
+  logger
+});
+const scheduler = createBotScheduler({
+  join: (request, owner) => bot.joinMeeting(request, owner),
+  platforms: bot.platforms,
+  logger
+});
+const calendars = createCalendarFeeds({ scheduler, platforms: bot.platforms, logger });
+// Raw .ics uploads
+const icsBody = express.text({ type: ['text/calendar', 'text/plain'], limit: '5mb' });
 
-    } catch (error) {
-      logger.error('Error joining Zoom meeting:', error);
-      return { success: false, error: error.message };
+// API Endpoints
+app.post('/api/join-meeting', async (req, res) => {
+  try {
+    const { platform, meetingUrl, password, botName } = req.body;
+    if (!meetingUrl) {
+      return res.status(400).json({ success: false, error: 'meetingUrl is required' });
     }
-  }
-
-  /**
-   * Join a Google Meet meeting
-   */
-  async joinGoogleMeet(meetingUrl, botName = 'Verba AI Notetaker') {
-    try {
-      logger.info(`Joining Google Meet: ${meetingUrl}`);
-      
-      const browser = await chromium.launch({
-        headless: false,
-        args: ['--use-fake-ui-for-media-stream']
-      });
-
-      const context = await browser.newContext({
-        permissions: ['microphone', 'camera']
-      });
-      
-      const page = await context.newPage();
-      await page.goto(meetingUrl);
-
-      // Dismiss any popups
-      try {
-        await page.click('button[aria-label="Dismiss"]', { timeout: 3000 });
-      } catch (e) {
-        // Popup might not exist
-      }
 
-      // Enter name
-      await page.waitForSelector('input[placeholder*="name" i]', { timeout: 10000 });
-      await page.fill('input[placeholder*="name" i]', botName);
-
-      // Turn off camera and microphone
-      await page.click('div[role="button"][aria-label*="camera" i]');
-      await page.click('div[role="button"][aria-label*="microphone" i]');
-
-      // Click "Ask to join" or "Join now"
-      await page.click('button[jsname="Qx7uuf"]');
-
-      const meetingId = this.extractMeetingId(meetingUrl);
-      this.activeMeetings.set(meetingId, {
-        browser,
-        page,
-        platform: 'meet',
-        startTime: new Date(),
-        status: 'active'
-      });
-
-      await this.startAudioCapture(page, meetingId);
-      
-      logger.info(`Successfully joined Google Meet: ${meetingId}`);
-      return { success: true, meetingId };
-
-    } catch (error) {
-      logger.error('Error joining Google Meet:', error);
-      return { success: false, error: error.message };
+    // One bot per meeting for each tenant; other tenants' bots don't count
+    if (bot.findMeeting(req.auth.tenantId, bot.extractMeetingId(meetingUrl))) {
+      return res.status(409).json({ success: false, error: 'A bot is already in this meeting' });
     }
-  }
-
-  /**
-   * Join a Microsoft Teams meeting
-   */
-  async joinTeamsMeeting(meetingUrl, botName = 'Verba AI Notetaker') {
-    try {
-      logger.info(`Joining Teams meeting: ${meetingUrl}`);
-      
-      const browser = await chromium.launch({
-        headless: false,
-        args: ['--use-fake-ui-for-media-stream']
-      });
-
-      const page = await browser.newPage();
-      await page.goto(meetingUrl);
-
-      // Choose "Join on the web instead"
-      await page.waitForSelector('a[class*="use-web-client"]', { timeout: 10000 });
-      await page.click('a[class*="use-web-client"]');
 
-      // Enter name
-      await page.waitForSelector('input[placeholder*="name" i]', { timeout: 10000 });
-      await page.fill('input[placeholder*="name" i]', botName);
-
-      // Turn off camera and mic
-      await page.click('toggle-button[aria-label*="camera" i]');
-      await page.click('toggle-button[aria-label*="mic" i]');
-
-      // Join meeting
-      await page.click('button[class*="join-btn"]');
-
-      const meetingId = this.extractMeetingId(meetingUrl);
-      this.activeMeetings.set(meetingId, {
-        browser,
-        page,
-        platform: 'teams',
-        startTime: new Date(),
-        status: 'active'
-      });
-
-      await this.startAudioCapture(page, meetingId);
-      
-      logger.info(`Successfully joined Teams meeting: ${meetingId}`);
-      return { success: true, meetingId };
+    const result = await bot.joinMeeting({ platform, meetingUrl, password, botName }, req.auth);
+    res.json(result);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
 
-    } catch (error) {
-      logger.error('Error joining Teams meeting:', error);
-      return { success: false, error: error.message };
-    }
+app.post('/api/leave-meeting', async (req, res) => {
+  try {
+    const { meetingId } = req.body;
+    const result = await bot.leaveMeeting(meetingId, req.auth.tenantId);
+    res.json(result);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
   }
+});
 
-  /**
-   * Start capturing audio from the meeting
-   */
-  async startAudioCapture(page, meetingId) {
-    // Inject audio capture script
-    await page.evaluateOnNewDocument(() => {
-      // Capture audio context
-      const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-      
-      // Override getUserMedia to capture audio
-      const originalGetUserMedia = navigator.mediaDevices.getUserMedia;
-      navigator.mediaDevices.getUserMedia = async function(constraints) {
-        const stream = await originalGetUserMedia.call(this, constraints);
-        
-        // Send audio data to our server
-        if (constraints.audio) {
-          const source = audioContext.createMediaStreamSource(stream);
-          const processor = audioContext.createScriptProcessor(4096, 1, 1);
-          
-          processor.onaudioprocess = (e) => {
-            const audioData = e.inputBuffer.getChannelData(0);
-            // Send to our transcription service
-            window.postMessage({
-              type: 'AUDIO_DATA',
-              data: Array.from(audioData),
-              timestamp: Date.now()
-            }, '*');
-          };
-          
-          source.connect(processor);
-          processor.connect(audioContext.destination);
-        }
-        
-        return stream;
-      };
-    });
+// The tenant's bots with their lifecycle state and history; `include=ended` adds the last hour's finished meetings
+app.get('/api/active-meetings', (req, res) => {
+  res.json(bot.listMeetings(req.auth.tenantId, { includeEnded: req.query.include === 'ended' }));
+});
 
-    // Listen for audio data
-    page.on('console', async (msg) => {
-      if (msg.type() === 'log' && msg.text().includes('AUDIO_DATA')) {
-        // Forward to transcription service
-        await this.sendToTranscription(meetingId, msg.text());
-      }
+// Scheduled bots: one-shot joins that survive restarts
+app.post('/api/schedule-bot', async (req, res) => {
+  try {
+    const { meetingUrl, scheduledTime, timezone, joinEarlySeconds, platform, password, botName } = req.body;
+    const job = await scheduler.create({ meetingUrl, scheduledTime, timezone, joinEarlySeconds, platform, password, botName }, req.auth);
+    res.status(201).json({
+      success: true,
+      job: scheduler.describe(job),
+      message: `Bot scheduled to join at ${job.joinAt}`
     });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
   }
+});
 
-  /**
-   * Send audio to transcription service
-   */
-  async sendToTranscription(meetingId, audioData) {
-    try {
-      await axios.post(`${process.env.TRANSCRIPTION_SERVICE_URL}/transcribe`, {
-        meetingId,
-        audioData,
-        timestamp: Date.now()
-      });
-    } catch (error) {
-      logger.error('Error sending audio to transcription:', error);
-    }
+app.get('/api/scheduled-bots', async (req, res) => {
+  try {
+    const jobs = await scheduler.list(req.auth.tenantId, { status: req.query.status });
+    res.json(jobs.map(job => scheduler.describe(job)));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
   }
+});
 
-  /**
-   * Leave a meeting
-   */
-  async leaveMeeting(meetingId) {
-    const meeting = this.activeMeetings.get(meetingId);
-    if (!meeting) {
-      return { success: false, error: 'Meeting not found' };
-    }
-
-    try {
-      await meeting.browser.close();
-      this.activeMeetings.delete(meetingId);
-      
-      logger.info(`Left meeting: ${meetingId}`);
-      return { success: true };
-    } catch (error) {
-      logger.error('Error leaving meeting:', error);
-      return { success: false, error: error.message };
+app.get('/api/scheduled-bots/:jobId', async (req, res) => {
+  try {
+    const job = await scheduler.get(req.params.jobId, req.auth.tenantId);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Scheduled bot not found' });
     }
+    res.json(scheduler.describe(job));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
   }
+});
 
-  /**
-   * Extract meeting ID from URL
-   */
-  extractMeetingId(url) {
-    // Extract meeting ID from various URL formats
-    const patterns = {
-      zoom: /\/j\/(\d+)/,
-      meet: /meet\.google\.com\/([a-z\-]+)/,
-      teams: /meetup-join\/([^\/]+)/
-    };
-
-    for (const [platform, pattern] of Object.entries(patterns)) {
-      const match = url.match(pattern);
-      if (match) {
-        return match[1];
-      }
-    }
+// Reschedule or edit: scheduledTime, timezone, joinEarlySeconds, meetingUrl, platform, password, botName
+app.patch('/api/scheduled-bots/:jobId', async (req, res) => {
+  try {
+    const job = await scheduler.update(req.params.jobId, req.auth.tenantId, req.body || {});
+    res.json(scheduler.describe(job));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
 
-    return url.replace(/[^a-zA-Z0-9]/g, '').substring(0, 20);
+app.delete('/api/scheduled-bots/:jobId', async (req, res) => {
+  try {
+    const job = await scheduler.cancel(req.params.jobId, req.auth.tenantId);
+    res.json(scheduler.describe(job));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
   }
-}
+});
 
-// Initialize bot
-const bot = new MeetingBot();
+// Calendar feeds: bots scheduled from a clinician's ICS feed, uploaded file or local file
+app.post('/api/calendars', async (req, res) => {
+  try {
+    const { url, file, ics, name, timezone, botName, joinEarlySeconds } = req.body;
+    const feed = await calendars.create({ url, file, ics, name, timezone, botName, joinEarlySeconds }, req.auth);
+    res.status(201).json({ success: true, calendar: calendars.describe(feed) });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
 
-// API Endpoints
-app.post('/api/join-meeting', async (req, res) => {
-  const { platform, meetingUrl, password, botName } = req.body;
-  
-  let result;
-  switch (platform.toLowerCase()) {
-    case 'zoom':
-      result = await bot.joinZoomMeeting(meetingUrl, password, botName);
-      break;
-    case 'meet':
-    case 'google':
-      result = await bot.joinGoogleMeet(meetingUrl, botName);
-      break;
-    case 'teams':
-    case 'microsoft':
-      result = await bot.joinTeamsMeeting(meetingUrl, botName);
-      break;
-    default:
-      result = { success: false, error: 'Unsupported platform' };
+// Upload an .ics file as the body (Content-Type: text/calendar); options go in the query string
+app.post('/api/calendars/upload', icsBody, async (req, res) => {
+  try {
+    const { name, timezone, botName, joinEarlySeconds } = req.query;
+    const ics = typeof req.body === 'string' ? req.body : '';
+    const feed = await calendars.create({ ics, name, timezone, botName, joinEarlySeconds }, req.auth);
+    res.status(201).json({ success: true, calendar: calendars.describe(feed) });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
   }
+});
 
-  res.json(result);
+app.get('/api/calendars', async (req, res) => {
+  try {
+    const feeds = await calendars.list(req.auth.tenantId);
+    res.json(feeds.map(feed => calendars.describe(feed)));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
 });
 
-app.post('/api/leave-meeting', async (req, res) => {
-  const { meetingId } = req.body;
-  const result = await bot.leaveMeeting(meetingId);
-  res.json(result);
+// One calendar with the bots it has scheduled
+app.get('/api/calendars/:calendarId', async (req, res) => {
+  try {
+    const feed = await calendars.get(req.params.calendarId, req.auth.tenantId);
+    if (!feed) {
+      return res.status(404).json({ success: false, error: 'Calendar not found' });
+    }
+    const jobs = await scheduler.list(req.auth.tenantId, { feedId: feed.id });
+    res.json({ ...calendars.describe(feed), scheduledBots: jobs.map(job => scheduler.describe(job)) });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
 });
 
-app.get('/api/active-meetings', (req, res) => {
-  const meetings = Array.from(bot.activeMeetings.entries()).map(([id, data]) => ({
-    id,
-    platform: data.platform,
-    startTime: data.startTime,
-    status: data.status
-  }));
-  res.json(meetings);
+// Replace an uploaded calendar with a new version of the file
+app.put('/api/calendars/:calendarId/ics', icsBody, async (req, res) => {
+  try {
+    const ics = typeof req.body === 'string' ? req.body : '';
+    const feed = await calendars.upload(req.params.calendarId, req.auth.tenantId, ics);
+    res.json({ success: true, calendar: calendars.describe(feed) });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
 });
 
-// Calendar Integration for automatic joining
-app.post('/api/schedule-bot', async (req, res) => {
-  const { meetingUrl, scheduledTime, platform, password } = req.body;
-  
-  // Schedule bot to join at specified time
-  const cronTime = new Date(scheduledTime);
-  const cronPattern = `${cronTime.getMinutes()} ${cronTime.getHours()} ${cronTime.getDate()} ${cronTime.getMonth() + 1} *`;
-  
-  cron.schedule(cronPattern, async () => {
-    logger.info(`Scheduled bot joining meeting at ${scheduledTime}`);
-    
-    switch (platform.toLowerCase()) {
-      case 'zoom':
-        await bot.joinZoomMeeting(meetingUrl, password);
-        break;
-      case 'meet':
-        await bot.joinGoogleMeet(meetingUrl);
-        break;
-      case 'teams':
-        await bot.joinTeamsMeeting(meetingUrl);
-        break;
+app.post('/api/calendars/:calendarId/sync', async (req, res) => {
+  try {
+    if (!await calendars.get(req.params.calendarId, req.auth.tenantId)) {
+      return res.status(404).json({ success: false, error: 'Calendar not found' });
     }
-  });
+    const feed = await calendars.sync(req.params.calendarId);
+    res.json({ success: !feed.lastError, calendar: calendars.describe(feed) });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
 
-  res.json({ 
-    success: true, 
-    message: `Bot scheduled to join at ${scheduledTime}` 
-  });
+app.delete('/api/calendars/:calendarId', async (req, res) => {
+  try {
+    const result = await calendars.remove(req.params.calendarId, req.auth.tenantId);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
 });
 
 const PORT = process.env.PORT || 5001;
 app.listen(PORT, () => {
   logger.info(`Meeting bot service running on port ${PORT}`);
-});
\ No newline at end of file
+});
+
+// Calendars sync once the schedule they reconcile against is loaded
+scheduler.start()
+  .then(() => {
+    calendars.start();
+    return calendars.syncAll();
+  })
+  .catch(error => logger.error('Failed to load the bot schedule:', error));
\ No newline at end of file
@@ -0,0 +1,294 @@
+/**
+ * Meeting bots: joins a meeting through its platform adapter, follows the page through
+ * the meeting lifecycle (admission, auto-leave, the meeting ending) and streams its
+ * audio into an audio-service session. Bots are tracked per tenant.
+ */
+
+const { MeetingLifecycle, TERMINAL_STATES } = require('./meetingLifecycle');
+
+const DEFAULT_BOT_NAME = 'Verba AI Notetaker';
+// Meetings that ended stay visible in /api/active-meetings?include=ended this long
+const ENDED_MEETING_TTL_MS = 60 * 60 * 1000;
+
+// What the adapter reads from the page, as lifecycle moves
+const PAGE_STATE_TRANSITIONS = {
+  waiting_room: ['waiting_room'],
+  in_meeting: ['admitted'],
+  denied: ['failed', 'denied'],
+  removed: ['bot_removed'],
+  ended: ['host_ended'],
+  closed: ['failed', 'browser_closed']
+};
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+const meetingKey = (tenantId, meetingId) => `${tenantId}:${meetingId}`;
+
+class MeetingBot {
+  constructor({ platforms, audioService, audioBridge, limits, logger }) {
+    this.activeMeetings = new Map();
+    this.endedMeetings = [];
+    this.platforms = platforms;
+    this.audioService = audioService;
+    this.audioBridge = audioBridge;
+    this.limits = limits;
+    this.logger = logger;
+  }
+
+  /**
+   * Join a meeting on whichever platform its link belongs to (or `platform`, when given).
+   * Resolves once the join request is sent; the lifecycle is followed in the background.
+   */
+  async joinMeeting({ platform, meetingUrl, password, botName = DEFAULT_BOT_NAME }, owner = {}) {
+    const adapter = platform ? this.platforms.get(platform) : this.platforms.detect(meetingUrl);
+    if (!adapter) {
+      return { success: false, error: platform ? 'Unsupported platform' : 'Unrecognised meeting link' };
+    }
+    if (!adapter.matches(meetingUrl)) {
+      return { success: false, error: `Not a ${adapter.name} meeting link` };
+    }
+
+    const meetingId = adapter.meetingId(meetingUrl);
+    if (this.findMeeting(owner.tenantId, meetingId)) {
+      return { success: false, error: 'A bot is already in this meeting' };
+    }
+    const meeting = {
+      id: meetingId,
+      adapter,
+      platform: adapter.name,
+      tenantId: owner.tenantId,
+      clinicianId: owner.clinicianId,
+      startTime: new Date(),
+      session: null,
+      audio: null,
+      sessionId: null,
+      participants: null
+    };
+    meeting.lifecycle = new MeetingLifecycle({
+      onChange: (state, previous, reason) => this.onStateChange(meeting, state, previous, reason)
+    });
+    // Claimed before the browser starts, so a second join for the meeting is refused
+    this.activeMeetings.set(meetingKey(owner.tenantId, meetingId), meeting);
+
+    try {
+      this.logger.info(`Joining ${adapter.name} meeting: ${meetingId}`);
+      meeting.session = await adapter.join({
+        meetingUrl,
+        password,
+        botName: botName || DEFAULT_BOT_NAME,
+        // Capture has to be in place before the meeting page's own scripts run
+        prepare: async (browserSession) => {
+          meeting.lifecycle.transition('joining');
+          meeting.audio = await this.audioBridge.attach(browserSession, {
+            meetingId,
+            owner,
+            onStreaming: () => meeting.lifecycle.transition('recording')
+          });
+          meeting.sessionId = meeting.audio ? meeting.audio.sessionId : null;
+        }
+      });
+    } catch (error) {
+      this.logger.error(`Error joining ${adapter.name} meeting:`, error);
+      meeting.lifecycle.transition('failed', error.message);
+      return { success: false, error: error.message };
+    }
+
+    // Asked to leave while the browser was starting
+    if (meeting.lifecycle.terminal) {
+      await this.release(meeting, false);
+      return { success: false, error: `Meeting ${meeting.lifecycle.state} while joining` };
+    }
+
+    this.watchMeeting(meeting);
+    this.logger.info(`Asked to join ${adapter.name} meeting: ${meetingId}`);
+    return { success: true, meetingId, sessionId: meeting.sessionId, state: meeting.lifecycle.state };
+  }
+
+  /**
+   * Follow the meeting page until the bot is out: admission (or its timeout), then the
+   * meeting ending, the bot being removed, or an auto-leave rule
+   */
+  async watchMeeting(meeting) {
+    const { adapter, lifecycle } = meeting;
+    const { admissionTimeoutMs, aloneTimeoutMs, maxDurationMs, pollMs } = this.limits;
+    const page = meeting.session.page;
+
+    try {
+      const admitted = await adapter.waitForAdmission(page, {
+        timeoutMs: admissionTimeoutMs,
+        pollMs,
+        onState: pageState => this.applyPageState(meeting, pageState)
+      });
+      if (lifecycle.terminal) {
+        return;
+      }
+      if (!admitted) {
+        lifecycle.transition('failed', 'admission_timeout');
+        return;
+      }
+
+      const admittedAt = Date.now();
+      let aloneSince = null;
+      while (!lifecycle.terminal) {
+        await delay(pollMs);
+        if (lifecycle.terminal) {
+          break;
+        }
+
+        this.applyPageState(meeting, await adapter.state(page));
+        if (lifecycle.terminal) {
+          break;
+        }
+
+        // Pages that don't show a head count never trigger the alone rule
+        meeting.participants = await adapter.participantCount(page);
+        if (meeting.participants !== null && meeting.participants <= 1) {
+          aloneSince = aloneSince || Date.now();
+          if (aloneTimeoutMs && Date.now() - aloneSince >= aloneTimeoutMs) {
+            lifecycle.transition('left', 'alone');
+          }
+        } else {
+          aloneSince = null;
+        }
+
+        if (maxDurationMs && Date.now() - admittedAt >= maxDurationMs) {
+          lifecycle.transition('left', 'max_duration');
+        }
+      }
+    } catch (error) {
+      this.logger.error(`Error watching meeting ${meeting.id}:`, error);
+      lifecycle.transition('failed', error.message);
+    }
+  }
+
+  applyPageState(meeting, pageState) {
+    const [state, reason] = PAGE_STATE_TRANSITIONS[pageState] || [];
+    if (!state) {
+      return;
+    }
+    meeting.lifecycle.transition(state, reason);
+    // Audio can start flowing before the page shows the bot as admitted
+    if (state === 'admitted' && meeting.audio && meeting.audio.streaming) {
+      meeting.lifecycle.transition('recording');
+    }
+  }
+
+  /**
+   * Side effects of each lifecycle change: webhooks on admission and exit, and cleanup
+   * once the bot is out of the meeting
+   */
+  onStateChange(meeting, state, previous, reason) {
+    this.logger.info(`Meeting ${meeting.id}: ${previous} -> ${state}${reason ? ` (${reason})` : ''}`);
+
+    if (state === 'admitted') {
+      this.reportEvent(meeting, 'bot_joined');
+    }
+    if (!TERMINAL_STATES.includes(state)) {
+      return;
+    }
+
+    const key = meetingKey(meeting.tenantId, meeting.id);
+    if (this.activeMeetings.get(key) === meeting) {
+      this.activeMeetings.delete(key);
+    }
+    this.endedMeetings.push(meeting);
+    this.pruneEndedMeetings();
+
+    this.audioBridge.stop(meeting.audio);
+    if (meeting.lifecycle.wasAdmitted) {
+      this.reportEvent(meeting, 'bot_left', { reason: reason || state });
+    }
+    // Leaving on our own goes through the meeting UI; otherwise there's nothing to leave
+    meeting.closing = this.release(meeting, state === 'left');
+  }
+
+  /**
+   * Close the meeting's browser, leaving through the meeting UI first when `leave` is set
+   */
+  async release(meeting, leave) {
+    if (!meeting.session) {
+      return;
+    }
+    try {
+      if (leave) {
+        await meeting.adapter.leave(meeting.session);
+      } else {
+        await meeting.session.browser.close();
+      }
+    } catch (error) {
+      this.logger.error(`Error closing the browser for meeting ${meeting.id}:`, error);
+    }
+  }
+
+  pruneEndedMeetings(now = Date.now()) {
+    this.endedMeetings = this.endedMeetings.filter(meeting => now - Date.parse(meeting.lifecycle.since) < ENDED_MEETING_TTL_MS);
+  }
+
+  /**
+   * Leave a meeting; a tenant can only remove its own bots
+   */
+  async leaveMeeting(meetingId, tenantId) {
+    const meeting = this.findMeeting(tenantId, meetingId);
+    if (!meeting) {
+      return { success: false, error: 'Meeting not found' };
+    }
+
+    meeting.lifecycle.transition('left', 'requested');
+    await meeting.closing;
+    this.logger.info(`Left meeting: ${meetingId}`);
+    return { success: true };
+  }
+
+  /**
+   * The tenant's bot in a meeting, if it has one. Bots are tracked per tenant, so another
+   * tenant's bot in the same meeting is never seen here.
+   */
+  findMeeting(tenantId, meetingId) {
+    return this.activeMeetings.get(meetingKey(tenantId, meetingId)) || null;
+  }
+
+  /**
+   * The tenant's meetings with their lifecycle; `includeEnded` adds the last hour's finished ones
+   */
+  listMeetings(tenantId, { includeEnded = false } = {}) {
+    this.pruneEndedMeetings();
+    const meetings = Array.from(this.activeMeetings.values())
+      .concat(includeEnded ? this.endedMeetings : []);
+
+    return meetings
+      .filter(meeting => meeting.tenantId === tenantId)
+      .map(meeting => ({
+        id: meeting.id,
+        platform: meeting.platform,
+        clinicianId: meeting.clinicianId,
+        sessionId: meeting.sessionId,
+        startTime: meeting.startTime,
+        participants: meeting.participants,
+        ...meeting.lifecycle.toJSON()
+      }));
+  }
+
+  /**
+   * Tell audio-service (and through it the owner's webhooks) what the bot did
+   */
+  reportEvent(meeting, event, details = {}) {
+    if (!this.audioService) {
+      return;
+    }
+    const owner = { tenantId: meeting.tenantId, clinicianId: meeting.clinicianId };
+    this.audioService.reportEvent(owner, event, {
+      meetingId: meeting.id,
+      platform: meeting.platform,
+      sessionId: meeting.sessionId || undefined,
+      ...details
+    });
+  }
+
+  /**
+   * Extract meeting ID from URL
+   */
+  extractMeetingId(url) {
+    return this.platforms.meetingId(url);
+  }
+}
+
+module.exports = { MeetingBot };
@@ -0,0 +1,177 @@
+jest.mock('./platforms/browser');
+
+const { launchMeetingBrowser } = require('./platforms/browser');
+const { createPlatformRegistry } = require('./platforms');
+const { MeetingBot } = require('./meetingBot');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+// Stands in for fake-meeting.html in a browser: joining lands in `joinState`, then the
+// test moves `state` and `participants`
+function fakeMeetingPage() {
+  const page = {
+    state: 'joining',
+    joinState: 'waiting_room',
+    participants: 2,
+    closed: false,
+    goto: jest.fn(async () => {}),
+    fill: jest.fn(async () => {}),
+    click: jest.fn(async (selector) => {
+      if (selector === '#join') page.state = page.joinState;
+    }),
+    isClosed: () => page.closed,
+    locator: selector => ({
+      first: () => ({
+        isVisible: async () => selector === `body[data-state="${page.state}"]`,
+        click: jest.fn(async () => {
+          if (selector === '#leave') page.left = true;
+        })
+      }),
+      count: async () => (selector === '#participants .participant' ? page.participants : 0)
+    })
+  };
+  return page;
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+async function until(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the meeting');
+    }
+    await tick();
+  }
+}
+
+describe('MeetingBot', () => {
+  const owner = { tenantId: 't1', clinicianId: 'dr-lee' };
+  let page;
+  let browser;
+  let audioService;
+  let audioBridge;
+
+  function createBot(limits = {}) {
+    return new MeetingBot({
+      platforms: createPlatformRegistry({ logger, env: { FAKE_MEETINGS_ENABLED: 'true' } }),
+      audioService,
+      audioBridge,
+      limits: { admissionTimeoutMs: 1000, aloneTimeoutMs: 0, maxDurationMs: 0, pollMs: 5, ...limits },
+      logger
+    });
+  }
+
+  function meeting(bot, id = 'standup') {
+    return bot.listMeetings(owner.tenantId, { includeEnded: true }).find(m => m.id === id);
+  }
+
+  beforeEach(() => {
+    page = fakeMeetingPage();
+    browser = { close: jest.fn(async () => { page.closed = true; }) };
+    launchMeetingBrowser.mockResolvedValue({ browser, context: {}, page });
+    audioService = { reportEvent: jest.fn() };
+    audioBridge = {
+      attach: jest.fn(async (session, { onStreaming }) => ({ sessionId: 'session-1', streaming: false, onStreaming })),
+      stop: jest.fn()
+    };
+  });
+
+  test('joins through the adapter its link belongs to and waits to be admitted', async () => {
+    const bot = createBot();
+
+    const result = await bot.joinMeeting({ meetingUrl: 'fake://standup?admitAfter=1' }, owner);
+
+    expect(result).toEqual({ success: true, meetingId: 'standup', sessionId: 'session-1', state: 'joining' });
+    expect(page.goto).toHaveBeenCalledWith(expect.stringContaining('fake-meeting.html?admitAfter=1&id=standup'));
+    expect(page.fill).toHaveBeenCalledWith('#name', 'Verba AI Notetaker');
+    await until(() => meeting(bot).state === 'waiting_room');
+
+    page.state = 'in_meeting';
+    await until(() => meeting(bot).state === 'admitted');
+    expect(audioService.reportEvent).toHaveBeenCalledWith(owner, 'bot_joined', { meetingId: 'standup', platform: 'fake', sessionId: 'session-1' });
+
+    audioBridge.attach.mock.results[0].value.then(link => link.onStreaming());
+    await until(() => meeting(bot).state === 'recording');
+
+    await bot.leaveMeeting('standup', owner.tenantId);
+    expect(meeting(bot)).toMatchObject({ state: 'left' });
+    expect(meeting(bot).history.map(entry => entry.state)).toEqual(['launching', 'joining', 'waiting_room', 'admitted', 'recording', 'left']);
+    expect(page.left).toBe(true);
+    expect(browser.close).toHaveBeenCalled();
+  });
+
+  test('refuses links no adapter recognises and a second bot in the same meeting', async () => {
+    const bot = createBot();
+
+    expect(await bot.joinMeeting({ meetingUrl: 'https://example.com/call' }, owner)).toEqual({ success: false, error: 'Unrecognised meeting link' });
+    expect(await bot.joinMeeting({ platform: 'zoom', meetingUrl: 'fake://standup' }, owner)).toEqual({ success: false, error: 'Not a zoom meeting link' });
+
+    await bot.joinMeeting({ meetingUrl: 'fake://standup' }, owner);
+    expect(await bot.joinMeeting({ meetingUrl: 'fake://standup' }, owner)).toEqual({ success: false, error: 'A bot is already in this meeting' });
+    expect((await bot.joinMeeting({ meetingUrl: 'fake://standup' }, { tenantId: 't2' })).success).toBe(true);
+
+    await bot.leaveMeeting('standup', 't1');
+    await bot.leaveMeeting('standup', 't2');
+  });
+
+  test('gives up when the host never admits the bot', async () => {
+    const bot = createBot({ admissionTimeoutMs: 30 });
+
+    await bot.joinMeeting({ meetingUrl: 'fake://standup' }, owner);
+    await until(() => meeting(bot).state === 'failed');
+
+    expect(meeting(bot).history.pop()).toMatchObject({ state: 'failed', reason: 'admission_timeout' });
+    expect(bot.findMeeting(owner.tenantId, 'standup')).toBeNull();
+    expect(audioBridge.stop).toHaveBeenCalled();
+    expect(browser.close).toHaveBeenCalled();
+    // Never in the meeting, so there is no bot_left to report
+    expect(audioService.reportEvent).not.toHaveBeenCalled();
+  });
+
+  test('leaves once it has been alone for the alone timeout', async () => {
+    const bot = createBot({ aloneTimeoutMs: 30 });
+    page.joinState = 'in_meeting';
+
+    await bot.joinMeeting({ meetingUrl: 'fake://standup' }, owner);
+    await until(() => meeting(bot).state === 'admitted');
+    page.participants = 1;
+    await until(() => meeting(bot).state === 'left');
+
+    expect(meeting(bot).history.pop()).toMatchObject({ reason: 'alone' });
+    expect(page.left).toBe(true);
+    expect(audioService.reportEvent).toHaveBeenLastCalledWith(owner, 'bot_left', expect.objectContaining({ reason: 'alone' }));
+  });
+
+  test('leaves at the maximum meeting duration', async () => {
+    const bot = createBot({ maxDurationMs: 30 });
+    page.joinState = 'in_meeting';
+
+    await bot.joinMeeting({ meetingUrl: 'fake://standup' }, owner);
+    await until(() => meeting(bot).state === 'left');
+
+    expect(meeting(bot).history.pop()).toMatchObject({ reason: 'max_duration' });
+  });
+
+  test('follows the host ending the meeting without clicking leave', async () => {
+    const bot = createBot();
+    page.joinState = 'in_meeting';
+
+    await bot.joinMeeting({ meetingUrl: 'fake://standup' }, owner);
+    await until(() => meeting(bot).state === 'admitted');
+    page.state = 'ended';
+    await until(() => meeting(bot).state === 'host_ended');
+
+    expect(page.left).toBeUndefined();
+    expect(browser.close).toHaveBeenCalled();
+    expect(audioService.reportEvent).toHaveBeenLastCalledWith(owner, 'bot_left', expect.objectContaining({ reason: 'host_ended' }));
+  });
+
+  test('fails the meeting when the browser cannot start', async () => {
+    launchMeetingBrowser.mockRejectedValue(new Error('Executable does not exist'));
+    const bot = createBot();
+
+    expect(await bot.joinMeeting({ meetingUrl: 'fake://standup' }, owner)).toEqual({ success: false, error: 'Executable does not exist' });
+    expect(meeting(bot)).toMatchObject({ state: 'failed' });
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Meeting lifecycle.
+ * Each bot moves through these states, recorded with when and why it entered each:
+ *
+ *   launching     - starting the browser
+ *   joining       - opening the link and asking to join
+ *   waiting_room  - waiting for the host to admit the bot
+ *   admitted      - in the meeting, no audio flowing yet
+ *   recording     - meeting audio is streaming into the session
+ *   host_ended    - the host ended the meeting
+ *   bot_removed   - a host removed the bot from the meeting
+ *   left          - the bot left: on request, alone too long or at the maximum duration
+ *   failed        - the join failed or was denied, the waiting room timed out, or the browser closed
+ *
+ * The last four are terminal.
+ */
+
+const MEETING_STATES = [
+  'launching', 'joining', 'waiting_room', 'admitted', 'recording',
+  'host_ended', 'bot_removed', 'left', 'failed'
+];
+const TERMINAL_STATES = ['host_ended', 'bot_removed', 'left', 'failed'];
+
+// Where each live state can go next; any live state can end
+const TRANSITIONS = {
+  launching: ['joining'],
+  joining: ['waiting_room', 'admitted'],
+  waiting_room: ['admitted'],
+  admitted: ['recording'],
+  recording: []
+};
+
+class MeetingLifecycle {
+  constructor({ onChange } = {}) {
+    this.onChange = onChange;
+    this.state = 'launching';
+    this.history = [{ state: 'launching', at: new Date().toISOString() }];
+  }
+
+  get terminal() {
+    return TERMINAL_STATES.includes(this.state);
+  }
+
+  get since() {
+    return this.history[this.history.length - 1].at;
+  }
+
+  /**
+   * Whether the meeting was ever admitted (it had a bot in it)
+   */
+  get wasAdmitted() {
+    return this.history.some(entry => entry.state === 'admitted');
+  }
+
+  /**
+   * Move to `state`, recording `reason`. Returns false (and changes nothing) for a
+   * repeat of the current state or a move the lifecycle doesn't allow.
+   */
+  transition(state, reason) {
+    if (!MEETING_STATES.includes(state)) {
+      throw new Error(`Unknown meeting state: ${state}`);
+    }
+    if (state === this.state || this.terminal) {
+      return false;
+    }
+    if (!TERMINAL_STATES.includes(state) && !TRANSITIONS[this.state].includes(state)) {
+      return false;
+    }
+
+    const previous = this.state;
+    this.state = state;
+    this.history.push({ state, at: new Date().toISOString(), reason: reason || undefined });
+    if (this.onChange) {
+      this.onChange(state, previous, reason);
+    }
+    return true;
+  }
+
+  toJSON() {
+    return { state: this.state, since: this.since, history: this.history };
+  }
+}
+
+/**
+ * Auto-leave limits for this deployment, in milliseconds
+ */
+function lifecycleLimits(env = process.env) {
+  const minutes = (value, fallback) => {
+    const number = Number(value);
+    return (value !== undefined && value !== '' && Number.isFinite(number) && number >= 0 ? number : fallback) * 60 * 1000;
+  };
+
+  return {
+    // How long the host has to admit the bot
+    admissionTimeoutMs: minutes(env.MEETING_ADMISSION_TIMEOUT_MINUTES, 10),
+    // How long the bot stays once everyone else has gone (0 disables)
+    aloneTimeoutMs: minutes(env.MEETING_ALONE_TIMEOUT_MINUTES, 5),
+    // The longest a bot stays in any meeting (0 disables)
+    maxDurationMs: minutes(env.MEETING_MAX_DURATION_MINUTES, 180),
+    pollMs: (Number(env.MEETING_POLL_SECONDS) || 2) * 1000
+  };
+}
+
+module.exports = { MeetingLifecycle, MEETING_STATES, TERMINAL_STATES, lifecycleLimits };
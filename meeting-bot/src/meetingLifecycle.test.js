@@ -0,0 +1,55 @@
+const { MeetingLifecycle, lifecycleLimits } = require('./meetingLifecycle');
+
+describe('MeetingLifecycle', () => {
+  test('moves through joining, the waiting room and admission to recording', () => {
+    const onChange = jest.fn();
+    const lifecycle = new MeetingLifecycle({ onChange });
+
+    ['joining', 'waiting_room', 'admitted', 'recording'].forEach(state => expect(lifecycle.transition(state)).toBe(true));
+
+    expect(lifecycle.state).toBe('recording');
+    expect(lifecycle.wasAdmitted).toBe(true);
+    expect(lifecycle.history.map(entry => entry.state)).toEqual(['launching', 'joining', 'waiting_room', 'admitted', 'recording']);
+    expect(onChange).toHaveBeenLastCalledWith('recording', 'admitted', undefined);
+  });
+
+  test('refuses moves the lifecycle does not allow, and repeats', () => {
+    const lifecycle = new MeetingLifecycle();
+
+    expect(lifecycle.transition('admitted')).toBe(false);
+    lifecycle.transition('joining');
+    expect(lifecycle.transition('joining')).toBe(false);
+    expect(lifecycle.transition('recording')).toBe(false);
+    expect(lifecycle.state).toBe('joining');
+    expect(() => lifecycle.transition('dancing')).toThrow('Unknown meeting state: dancing');
+  });
+
+  test('lets any live state end, and nothing follows an end', () => {
+    const lifecycle = new MeetingLifecycle();
+    lifecycle.transition('joining');
+    lifecycle.transition('waiting_room');
+
+    expect(lifecycle.transition('failed', 'admission_timeout')).toBe(true);
+    expect(lifecycle.terminal).toBe(true);
+    expect(lifecycle.wasAdmitted).toBe(false);
+    expect(lifecycle.transition('left', 'requested')).toBe(false);
+    expect(lifecycle.toJSON()).toMatchObject({ state: 'failed', history: expect.arrayContaining([expect.objectContaining({ state: 'failed', reason: 'admission_timeout' })]) });
+  });
+});
+
+describe('lifecycleLimits', () => {
+  test('reads the auto-leave limits in minutes, with defaults', () => {
+    expect(lifecycleLimits({})).toEqual({
+      admissionTimeoutMs: 10 * 60000,
+      aloneTimeoutMs: 5 * 60000,
+      maxDurationMs: 180 * 60000,
+      pollMs: 2000
+    });
+    expect(lifecycleLimits({
+      MEETING_ADMISSION_TIMEOUT_MINUTES: '2',
+      MEETING_ALONE_TIMEOUT_MINUTES: '0',
+      MEETING_MAX_DURATION_MINUTES: '-5',
+      MEETING_POLL_SECONDS: '1'
+    })).toEqual({ admissionTimeoutMs: 120000, aloneTimeoutMs: 0, maxDurationMs: 180 * 60000, pollMs: 1000 });
+  });
+});
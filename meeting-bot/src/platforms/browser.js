@@ -0,0 +1,32 @@
+/**
+ * Browser launch shared by every platform adapter (Playwright Chromium).
+ * The fake media flags give the bot a silent camera and microphone so platforms let it
+ * in without prompting; autoplay is allowed so meeting audio plays without a click.
+ */
+
+const { chromium } = require('playwright');
+
+const BROWSER_ARGS = [
+  '--use-fake-ui-for-media-stream',
+  '--use-fake-device-for-media-stream',
+  '--autoplay-policy=no-user-gesture-required',
+  '--no-sandbox',
+  '--disable-setuid-sandbox'
+];
+
+/**
+ * Launch a browser with a single context that has microphone and camera permission
+ */
+async function launchMeetingBrowser({ headless = true, permissions = ['microphone', 'camera'] } = {}) {
+  const browser = await chromium.launch({ headless, args: BROWSER_ARGS });
+  try {
+    const context = await browser.newContext({ permissions });
+    const page = await context.newPage();
+    return { browser, context, page };
+  } catch (error) {
+    await browser.close();
+    throw error;
+  }
+}
+
+module.exports = { launchMeetingBrowser };
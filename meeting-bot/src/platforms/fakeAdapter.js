@@ -0,0 +1,47 @@
+/**
+ * Fake meetings for local testing: `fake://<id>?admitAfter=2&endAfter=60` opens
+ * fake/fake-meeting.html from disk with those options (see the page for the full list),
+ * so join, admission, leave and audio capture run end to end without network access.
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { PlatformAdapter } = require('./platformAdapter');
+
+const PAGE = path.join(__dirname, 'fake', 'fake-meeting.html');
+
+class FakeAdapter extends PlatformAdapter {
+  constructor(options = {}) {
+    const stateSelector = state => `body[data-state="${state}"]`;
+    super({
+      name: 'fake',
+      linkPattern: /^fake:\/\/([A-Za-z0-9_-]+)/,
+      stateSelectors: {
+        ended: [stateSelector('ended')],
+        removed: [stateSelector('removed')],
+        denied: [stateSelector('denied')],
+        waiting_room: [stateSelector('waiting_room')],
+        in_meeting: [stateSelector('in_meeting')]
+      },
+      leaveSelectors: ['#leave'],
+      participantSelectors: ['#participants .participant'],
+      ...options
+    });
+  }
+
+  pageUrl(meetingUrl) {
+    const url = pathToFileURL(PAGE);
+    const options = new URL(meetingUrl).searchParams;
+    options.set('id', this.meetingId(meetingUrl));
+    url.search = options.toString();
+    return url.href;
+  }
+
+  async enterMeeting(page, { meetingUrl, botName }) {
+    await page.goto(this.pageUrl(meetingUrl));
+    await page.fill('#name', botName);
+    await page.click('#join');
+  }
+}
+
+module.exports = { FakeAdapter };
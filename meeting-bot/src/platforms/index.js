@@ -0,0 +1,69 @@
+/**
+ * Meeting platform registry.
+ * Every adapter implements the same interface (see platformAdapter.js):
+ *
+ *   matches(url) / meetingId(url)           - recognise the platform's links
+ *   join({ meetingUrl, password, botName }) - open the meeting and ask to join; resolves { browser, context, page }
+ *   waitForAdmission(page, options)         - resolves true once admitted
+ *   state(page)                             - joining, waiting_room, in_meeting, denied, removed, ended or closed
+ *   participantCount(page)                  - people in the meeting, or null when the page doesn't show it
+ *   leave(session)                          - leave the meeting and close the browser
+ */
+
+const { ZoomAdapter } = require('./zoomAdapter');
+const { MeetAdapter } = require('./meetAdapter');
+const { TeamsAdapter } = require('./teamsAdapter');
+const { FakeAdapter } = require('./fakeAdapter');
+
+class PlatformRegistry {
+  constructor(adapters = []) {
+    this.adapters = adapters;
+  }
+
+  /**
+   * The adapter for a platform name or alias (`google`, `microsoft`)
+   */
+  get(name) {
+    const key = String(name || '').toLowerCase();
+    return this.adapters.find(adapter => adapter.name === key || adapter.aliases.includes(key)) || null;
+  }
+
+  /**
+   * The adapter whose links look like this URL
+   */
+  detect(meetingUrl) {
+    return this.adapters.find(adapter => adapter.matches(meetingUrl)) || null;
+  }
+
+  /**
+   * The meeting's id from its link; unrecognised links fall back to a sanitised prefix
+   */
+  meetingId(meetingUrl) {
+    const adapter = this.detect(meetingUrl);
+    const id = adapter && adapter.meetingId(meetingUrl);
+    return id || String(meetingUrl || '').replace(/[^a-zA-Z0-9]/g, '').substring(0, 20);
+  }
+
+  names() {
+    return this.adapters.map(adapter => adapter.name);
+  }
+}
+
+/**
+ * Create the registry for this deployment. The fake adapter is available outside
+ * production, or anywhere with FAKE_MEETINGS_ENABLED=true. BOT_HEADLESS overrides the
+ * default of a headless browser in production and a visible one elsewhere.
+ */
+function createPlatformRegistry({ logger, env = process.env }) {
+  const production = env.NODE_ENV === 'production';
+  const headless = env.BOT_HEADLESS ? env.BOT_HEADLESS === 'true' : production;
+  const options = { logger, headless };
+
+  const adapters = [new ZoomAdapter(options), new MeetAdapter(options), new TeamsAdapter(options)];
+  if (env.FAKE_MEETINGS_ENABLED ? env.FAKE_MEETINGS_ENABLED === 'true' : !production) {
+    adapters.push(new FakeAdapter(options));
+  }
+  return new PlatformRegistry(adapters);
+}
+
+module.exports = { PlatformRegistry, createPlatformRegistry };
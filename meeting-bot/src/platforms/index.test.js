@@ -0,0 +1,50 @@
+const { createPlatformRegistry } = require('./index');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+describe('PlatformRegistry', () => {
+  const platforms = createPlatformRegistry({ logger, env: { NODE_ENV: 'development' } });
+
+  test('picks the adapter from the meeting link', () => {
+    expect(platforms.detect('https://us02web.zoom.us/j/81234567890?pwd=abc').name).toBe('zoom');
+    expect(platforms.detect('https://meet.google.com/abc-defg-hij').name).toBe('meet');
+    expect(platforms.detect('https://teams.microsoft.com/l/meetup-join/19%3ameeting_x/0').name).toBe('teams');
+    expect(platforms.detect('fake://standup?admitAfter=2').name).toBe('fake');
+    expect(platforms.detect('https://example.com/call')).toBeNull();
+  });
+
+  test('looks adapters up by name or alias', () => {
+    expect(platforms.get('Google').name).toBe('meet');
+    expect(platforms.get('microsoft').name).toBe('teams');
+    expect(platforms.get('webex')).toBeNull();
+  });
+
+  test('takes the meeting id from the link, or a sanitised prefix of unknown links', () => {
+    expect(platforms.meetingId('https://zoom.us/wc/join/81234567890')).toBe('81234567890');
+    expect(platforms.meetingId('fake://standup?endAfter=60')).toBe('standup');
+    expect(platforms.meetingId('https://example.com/call/42')).toBe('httpsexamplecomcall4');
+  });
+
+  test('only offers fake meetings outside production unless enabled', () => {
+    expect(createPlatformRegistry({ logger, env: { NODE_ENV: 'production' } }).names()).toEqual(['zoom', 'meet', 'teams']);
+    expect(createPlatformRegistry({ logger, env: { NODE_ENV: 'production', FAKE_MEETINGS_ENABLED: 'true' } }).names()).toContain('fake');
+    expect(createPlatformRegistry({ logger, env: { FAKE_MEETINGS_ENABLED: 'false' } }).names()).not.toContain('fake');
+  });
+
+  test('runs the browser headless in production unless BOT_HEADLESS says otherwise', () => {
+    expect(createPlatformRegistry({ logger, env: { NODE_ENV: 'production' } }).get('zoom').headless).toBe(true);
+    expect(platforms.get('zoom').headless).toBe(false);
+    expect(createPlatformRegistry({ logger, env: { BOT_HEADLESS: 'true' } }).get('zoom').headless).toBe(true);
+  });
+});
+
+describe('FakeAdapter', () => {
+  test('opens the local fake meeting page with the link\'s options', () => {
+    const fake = createPlatformRegistry({ logger, env: {} }).get('fake');
+    const url = new URL(fake.pageUrl('fake://standup?admitAfter=2&endAfter=60'));
+
+    expect(url.protocol).toBe('file:');
+    expect(url.pathname).toMatch(/platforms\/fake\/fake-meeting\.html$/);
+    expect(Object.fromEntries(url.searchParams)).toEqual({ admitAfter: '2', endAfter: '60', id: 'standup' });
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Google Meet
+ */
+
+const { PlatformAdapter } = require('./platformAdapter');
+
+class MeetAdapter extends PlatformAdapter {
+  constructor(options = {}) {
+    super({
+      name: 'meet',
+      aliases: ['google'],
+      linkPattern: /meet\.google\.com\/([a-z-]+)/,
+      stateSelectors: {
+        ended: ['text=/the meeting has ended/i', 'text=/you left the meeting/i'],
+        removed: ['text=/you\'ve been removed from the meeting/i'],
+        denied: ['text=/denied your request to join/i', 'text=/you can\'t join this call/i'],
+        waiting_room: ['text=/asking to be let in/i', 'text=/someone in the call (will|to) let you in/i'],
+        in_meeting: ['button[aria-label*="Leave call" i]']
+      },
+      leaveSelectors: ['button[aria-label*="Leave call" i]'],
+      participantCountSelectors: ['button[aria-label*="everyone" i] div[class*="count" i]'],
+      ...options
+    });
+  }
+
+  async enterMeeting(page, { meetingUrl, botName }) {
+    await page.goto(meetingUrl);
+
+    try {
+      await page.click('button[aria-label="Dismiss"]', { timeout: 3000 });
+    } catch (e) {
+      // Popup might not exist
+    }
+
+    await page.waitForSelector('input[placeholder*="name" i]', { timeout: 10000 });
+    await page.fill('input[placeholder*="name" i]', botName);
+
+    // Camera and microphone off before asking to join
+    await page.click('div[role="button"][aria-label*="camera" i]');
+    await page.click('div[role="button"][aria-label*="microphone" i]');
+
+    // "Ask to join" or "Join now"
+    await page.click('button[jsname="Qx7uuf"]');
+  }
+}
+
+module.exports = { MeetAdapter };
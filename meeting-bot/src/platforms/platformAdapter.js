@@ -0,0 +1,185 @@
+/**
+ * Meeting platform adapter.
+ * Each platform describes how to recognise its links, how to get from the link to the
+ * meeting (`enterMeeting`), and the selectors that tell which state the page is in. The
+ * shared code here launches the browser, polls those selectors for admission, and
+ * leaves. Page states are:
+ *
+ *   joining       - on the pre-join screen, or nothing recognisable yet
+ *   waiting_room  - asked to join; waiting for the host to admit the bot
+ *   in_meeting    - admitted
+ *   denied        - the host declined the request to join
+ *   removed       - a host removed the bot from the meeting
+ *   ended         - the meeting was ended for everyone
+ *   closed        - the browser page is gone
+ */
+
+const { launchMeetingBrowser } = require('./browser');
+
+// Checked in this order: a terminal message wins over a leave button still on screen
+const STATE_ORDER = ['ended', 'removed', 'denied', 'waiting_room', 'in_meeting'];
+const TERMINAL_STATES = ['ended', 'removed', 'denied', 'closed'];
+
+class PlatformAdapter {
+  /**
+   * `linkPattern` recognises the platform's links and captures the meeting id;
+   * `stateSelectors` maps page states to selectors; `leaveSelectors` are clicked in order to leave;
+   * `participantCountSelectors` find an element whose text is the number of people in the
+   * meeting, or `participantSelectors` one element per participant
+   */
+  constructor({
+    name,
+    aliases = [],
+    linkPattern,
+    stateSelectors = {},
+    leaveSelectors = [],
+    participantCountSelectors = [],
+    participantSelectors = [],
+    logger,
+    headless = true
+  }) {
+    this.name = name;
+    this.aliases = aliases;
+    this.linkPattern = linkPattern;
+    this.stateSelectors = stateSelectors;
+    this.leaveSelectors = leaveSelectors;
+    this.participantCountSelectors = participantCountSelectors;
+    this.participantSelectors = participantSelectors;
+    this.logger = logger;
+    this.headless = headless;
+  }
+
+  matches(meetingUrl) {
+    return this.linkPattern.test(String(meetingUrl || ''));
+  }
+
+  meetingId(meetingUrl) {
+    const match = String(meetingUrl || '').match(this.linkPattern);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Open the meeting and ask to join. Resolves the browser session
+   * `{ browser, context, page }`; the bot may still be waiting to be admitted.
+   * `prepare(session)` runs before the first navigation, e.g. to install page scripts.
+   */
+  async join({ meetingUrl, password, botName, prepare }) {
+    const session = await launchMeetingBrowser({ headless: this.headless });
+    try {
+      if (prepare) {
+        await prepare(session);
+      }
+      await this.enterMeeting(session.page, { meetingUrl, password, botName });
+      return session;
+    } catch (error) {
+      await session.browser.close().catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Platform-specific steps from the link to the join request
+   */
+  async enterMeeting() {
+    throw new Error(`${this.name} adapter does not implement enterMeeting`);
+  }
+
+  /**
+   * The page's current state (see the module comment)
+   */
+  async state(page) {
+    if (!page || page.isClosed()) {
+      return 'closed';
+    }
+
+    for (const state of STATE_ORDER) {
+      for (const selector of this.stateSelectors[state] || []) {
+        try {
+          if (await page.locator(selector).first().isVisible()) {
+            return state;
+          }
+        } catch (error) {
+          // The page navigated or closed mid-check; the next poll sees where it landed
+          if (page.isClosed()) {
+            return 'closed';
+          }
+        }
+      }
+    }
+    return 'joining';
+  }
+
+  /**
+   * How many people (the bot included) are in the meeting, or null when the page doesn't show it
+   */
+  async participantCount(page) {
+    if (!page || page.isClosed()) {
+      return null;
+    }
+    try {
+      for (const selector of this.participantCountSelectors) {
+        const locator = page.locator(selector).first();
+        if (await locator.count() > 0) {
+          const count = parseInt((await locator.textContent()).replace(/\D/g, ''), 10);
+          if (Number.isFinite(count)) {
+            return count;
+          }
+        }
+      }
+      for (const selector of this.participantSelectors) {
+        const count = await page.locator(selector).count();
+        if (count > 0) {
+          return count;
+        }
+      }
+    } catch (error) {
+      // Mid-navigation; try again on the next poll
+    }
+    return null;
+  }
+
+  /**
+   * Poll the page until the bot is admitted (true) or turned away, or the timeout
+   * passes (false). `onState` hears every change.
+   */
+  async waitForAdmission(page, { timeoutMs = 10 * 60 * 1000, pollMs = 1000, onState } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    let last = null;
+
+    while (Date.now() < deadline) {
+      const current = await this.state(page);
+      if (current !== last) {
+        last = current;
+        if (onState) {
+          onState(current);
+        }
+      }
+      if (current === 'in_meeting') {
+        return true;
+      }
+      if (TERMINAL_STATES.includes(current)) {
+        return false;
+      }
+      await new Promise(resolve => setTimeout(resolve, pollMs));
+    }
+    return false;
+  }
+
+  /**
+   * Leave through the meeting UI when possible, then close the browser
+   */
+  async leave({ browser, page }) {
+    if (page && !page.isClosed()) {
+      for (const selector of this.leaveSelectors) {
+        try {
+          await page.locator(selector).first().click({ timeout: 2000 });
+        } catch (error) {
+          // Not on screen (already out, or a confirmation the platform didn't show)
+        }
+      }
+    }
+    await browser.close();
+  }
+}
+
+module.exports = { PlatformAdapter, TERMINAL_STATES };
@@ -0,0 +1,43 @@
+/**
+ * Microsoft Teams, joined on the web instead of the desktop app
+ */
+
+const { PlatformAdapter } = require('./platformAdapter');
+
+class TeamsAdapter extends PlatformAdapter {
+  constructor(options = {}) {
+    super({
+      name: 'teams',
+      aliases: ['microsoft'],
+      linkPattern: /teams\.(?:microsoft|live)\.com\/.*meetup-join\/([^/]+)/,
+      stateSelectors: {
+        ended: ['text=/the meeting has ended/i', 'text=/meeting ended/i'],
+        removed: ['text=/removed you from the meeting/i', 'text=/you\'ve been removed/i'],
+        denied: ['text=/you were denied access/i', 'text=/denied your request/i'],
+        waiting_room: ['text=/someone in the meeting should let you in soon/i', 'text=/waiting for people to let you in/i'],
+        in_meeting: ['#hangup-button', 'button[aria-label="Leave" i]']
+      },
+      leaveSelectors: ['#hangup-button', 'button[aria-label="Leave" i]'],
+      participantCountSelectors: ['#roster-button [data-tid="roster-button-tile"]'],
+      ...options
+    });
+  }
+
+  async enterMeeting(page, { meetingUrl, botName }) {
+    await page.goto(meetingUrl);
+
+    await page.waitForSelector('a[class*="use-web-client"]', { timeout: 10000 });
+    await page.click('a[class*="use-web-client"]');
+
+    await page.waitForSelector('input[placeholder*="name" i]', { timeout: 10000 });
+    await page.fill('input[placeholder*="name" i]', botName);
+
+    // Camera and microphone off
+    await page.click('toggle-button[aria-label*="camera" i]');
+    await page.click('toggle-button[aria-label*="mic" i]');
+
+    await page.click('button[class*="join-btn"]');
+  }
+}
+
+module.exports = { TeamsAdapter };
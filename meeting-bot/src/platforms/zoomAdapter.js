@@ -0,0 +1,39 @@
+/**
+ * Zoom, joined through the web client (`/wc/join/<id>`) rather than the desktop app
+ */
+
+const { PlatformAdapter } = require('./platformAdapter');
+
+class ZoomAdapter extends PlatformAdapter {
+  constructor(options = {}) {
+    super({
+      name: 'zoom',
+      linkPattern: /zoom(?:gov)?\.(?:us|com)\/(?:j|wc\/join)\/(\d+)/,
+      stateSelectors: {
+        ended: ['text=/meeting has been ended by (the )?host/i', 'text=/this meeting has ended/i'],
+        removed: ['text=/you have been removed/i'],
+        waiting_room: ['text=/host will let you in soon/i', 'text=/waiting for the host to start/i'],
+        in_meeting: ['button[aria-label*="Leave" i]', '.footer__leave-btn']
+      },
+      leaveSelectors: ['button[aria-label*="Leave" i]', 'button:has-text("Leave Meeting")'],
+      participantCountSelectors: ['.footer-button__number-counter'],
+      ...options
+    });
+  }
+
+  async enterMeeting(page, { meetingUrl, password, botName }) {
+    await page.goto(meetingUrl.replace(/\/j\//, '/wc/join/'), { waitUntil: 'networkidle' });
+
+    // Name, then the passcode when the link doesn't carry it
+    await page.waitForSelector('input[type="text"]', { timeout: 10000 });
+    await page.fill('input[type="text"]', botName);
+    if (password) {
+      await page.waitForSelector('input[type="password"]', { timeout: 5000 });
+      await page.fill('input[type="password"]', password);
+    }
+
+    await page.click('button[class*="join"]');
+  }
+}
+
+module.exports = { ZoomAdapter };
@@ -0,0 +1,398 @@
+/**
+ * Scheduled bots.
+ * Each job sends a bot to one meeting once: it fires `joinEarlySeconds` before the
+ * meeting's start, asks the bot to join, and records the outcome. Jobs are persisted, so
+ * a restart re-arms them; jobs whose time passed while the service was down are caught
+ * up if the meeting started less than `catchUpMs` ago, and marked `missed` otherwise.
+ *
+ * Job statuses: scheduled, joining, joined, failed, missed, cancelled. Finished jobs are
+ * kept for `retainMs`.
+ *
+ * Meeting passwords are held in memory only and never written to the store. A job with a
+ * password that is still pending after a restart fails when it fires, until the
+ * password is set again with an update.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const MemoryBackend = require('./memoryBackend');
+const FileBackend = require('./fileBackend');
+const { isValidTimeZone, parseScheduledTime } = require('./timezone');
+
+const PENDING_STATUSES = ['scheduled', 'joining'];
+// setTimeout can't wait longer than this; later jobs re-arm when it fires
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+class BotScheduler {
+  constructor({ backend, join, platforms, logger, defaultTimeZone = 'UTC', joinEarlySeconds = 60, catchUpMs = 30 * 60 * 1000, retainMs = 7 * 24 * 60 * 60 * 1000 }) {
+    this.backend = backend;
+    this.join = join;
+    this.platforms = platforms;
+    this.logger = logger;
+    this.defaultTimeZone = defaultTimeZone;
+    this.joinEarlySeconds = joinEarlySeconds;
+    this.catchUpMs = catchUpMs;
+    this.retainMs = retainMs;
+    this.timers = new Map();
+    this.passwords = new Map();
+  }
+
+  /**
+   * Load the persisted schedule: re-arm future jobs, catch up or miss the ones that are
+   * due, and drop finished jobs past retention
+   */
+  async start(now = Date.now()) {
+    const jobs = await this.all();
+    let armed = 0;
+    for (const job of jobs) {
+      // Jobs stored before passwords were kept out of the store
+      if (job.password) {
+        this.passwords.set(job.id, job.password);
+        delete job.password;
+        job.hasPassword = true;
+        await this.backend.write(job.id, job);
+      }
+      if (!PENDING_STATUSES.includes(job.status)) {
+        if (now - Date.parse(job.updatedAt) > this.retainMs) {
+          await this.backend.remove(job.id);
+        }
+        continue;
+      }
+
+      // A job that was mid-join when the service stopped never finished joining
+      if (Date.parse(job.joinAt) <= now) {
+        if (now - Date.parse(job.scheduledTime) > this.catchUpMs) {
+          await this.finish(job, 'missed', { error: 'The service was down when the bot was due to join' });
+          continue;
+        }
+        job.caughtUp = true;
+        await this.backend.write(job.id, job);
+      }
+      if (job.hasPassword && !this.passwords.has(job.id)) {
+        this.logger.warn(`Scheduled bot ${job.id} needs its meeting password set again after the restart`);
+      }
+      this.arm(job);
+      armed++;
+    }
+    this.logger.info(`Scheduler loaded ${jobs.length} jobs, ${armed} pending`);
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  /**
+   * Schedule a bot. `scheduledTime` is when the meeting starts: ISO 8601 with an offset,
+   * or a local time read in `timezone`. `source` records where the job came from (a
+   * calendar feed); jobs created through the API have none.
+   */
+  async create({ meetingUrl, scheduledTime, timezone, joinEarlySeconds, platform, password, botName, source }, owner) {
+    this.checkMeeting(meetingUrl, platform);
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      tenantId: owner.tenantId,
+      clinicianId: owner.clinicianId,
+      meetingUrl,
+      platform: platform || null,
+      hasPassword: Boolean(password),
+      botName: botName || null,
+      source: source || null,
+      status: 'scheduled',
+      createdAt: now,
+      updatedAt: now
+    };
+    this.applyTiming(job, { scheduledTime, timezone, joinEarlySeconds });
+    if (Date.parse(job.scheduledTime) < Date.now() - this.catchUpMs) {
+      throw badRequest('scheduledTime is in the past');
+    }
+
+    await this.backend.write(job.id, job);
+    this.setPassword(job, password);
+    this.arm(job);
+    this.logger.info(`Scheduled bot ${job.id} to join ${job.meetingUrl} at ${job.joinAt}`);
+    return job;
+  }
+
+  /**
+   * Reschedule or edit a job that hasn't fired yet
+   */
+  async update(jobId, tenantId, changes) {
+    const job = await this.get(jobId, tenantId);
+    if (!job) {
+      throw notFound();
+    }
+    if (job.status !== 'scheduled') {
+      throw conflict(`Job is already ${job.status}`);
+    }
+
+    ['meetingUrl', 'platform', 'botName'].forEach(field => {
+      if (changes[field] !== undefined) {
+        job[field] = changes[field] || null;
+      }
+    });
+    this.checkMeeting(job.meetingUrl, job.platform);
+    if (changes.password !== undefined) {
+      job.hasPassword = Boolean(changes.password);
+    }
+    this.applyTiming(job, {
+      // A new time zone alone moves the same wall-clock time into that zone
+      scheduledTime: changes.scheduledTime !== undefined ? changes.scheduledTime : changes.timezone !== undefined ? job.localTime : job.scheduledTime,
+      timezone: changes.timezone !== undefined ? changes.timezone : job.timezone,
+      joinEarlySeconds: changes.joinEarlySeconds !== undefined ? changes.joinEarlySeconds : job.joinEarlySeconds
+    });
+    job.updatedAt = new Date().toISOString();
+
+    await this.backend.write(job.id, job);
+    if (changes.password !== undefined) {
+      this.setPassword(job, changes.password);
+    }
+    this.arm(job);
+    this.logger.info(`Rescheduled bot ${job.id} to join at ${job.joinAt}`);
+    return job;
+  }
+
+  /**
+   * Cancel a job that hasn't fired yet; the record stays for the tenant's history
+   */
+  async cancel(jobId, tenantId, { reason } = {}) {
+    const job = await this.get(jobId, tenantId);
+    if (!job) {
+      throw notFound();
+    }
+    if (job.status !== 'scheduled') {
+      throw conflict(`Job is already ${job.status}`);
+    }
+    return this.finish(job, 'cancelled', reason ? { reason } : {});
+  }
+
+  /**
+   * Look up a job; jobs belonging to another tenant are not found
+   */
+  async get(jobId, tenantId) {
+    const job = await this.backend.read(jobId);
+    return job && job.tenantId === tenantId ? job : null;
+  }
+
+  /**
+   * The tenant's jobs, soonest first; `feedId` picks the ones a calendar feed scheduled
+   */
+  async list(tenantId, { status, feedId } = {}) {
+    const jobs = await this.all();
+    return jobs
+      .filter(job => job.tenantId === tenantId)
+      .filter(job => !status || job.status === status)
+      .filter(job => !feedId || (job.source && job.source.feedId === feedId))
+      .sort((a, b) => Date.parse(a.joinAt) - Date.parse(b.joinAt));
+  }
+
+  /**
+   * A job as the API returns it; `hasPassword` says whether one was given, and
+   * `passwordMissing` that it was lost in a restart and has to be set again
+   */
+  describe(job) {
+    const passwordMissing = PENDING_STATUSES.includes(job.status) && Boolean(job.hasPassword) && !this.passwords.has(job.id);
+    return { ...job, hasPassword: Boolean(job.hasPassword), ...(passwordMissing ? { passwordMissing } : {}) };
+  }
+
+  async all() {
+    const keys = await this.backend.keys();
+    const jobs = await Promise.all(keys.map(async (key) => {
+      try {
+        return await this.backend.read(key);
+      } catch (error) {
+        this.logger.error(`Skipping unreadable scheduled job ${key}: ${error.message}`);
+        return null;
+      }
+    }));
+    return jobs.filter(Boolean);
+  }
+
+  /**
+   * Reject meeting links no platform adapter can join, before they're scheduled
+   */
+  checkMeeting(meetingUrl, platform) {
+    if (!meetingUrl) {
+      throw badRequest('meetingUrl is required');
+    }
+    if (!this.platforms) {
+      return;
+    }
+    const adapter = platform ? this.platforms.get(platform) : this.platforms.detect(meetingUrl);
+    if (!adapter) {
+      throw badRequest(platform ? `Unsupported platform: ${platform}` : 'Unrecognised meeting link');
+    }
+    if (!adapter.matches(meetingUrl)) {
+      throw badRequest(`Not a ${adapter.name} meeting link`);
+    }
+  }
+
+  setPassword(job, password) {
+    if (password) {
+      this.passwords.set(job.id, String(password));
+    } else {
+      this.passwords.delete(job.id);
+    }
+  }
+
+  /**
+   * Work out when the job fires from its meeting start, time zone and join-early offset
+   */
+  applyTiming(job, { scheduledTime, timezone, joinEarlySeconds }) {
+    const timeZone = timezone || this.defaultTimeZone;
+    if (!isValidTimeZone(timeZone)) {
+      throw badRequest(`Unknown timezone: ${timeZone}`);
+    }
+    const start = parseScheduledTime(scheduledTime, timeZone);
+    if (!start) {
+      throw badRequest('scheduledTime must be an ISO 8601 date-time');
+    }
+    const early = joinEarlySeconds === undefined || joinEarlySeconds === null ? this.joinEarlySeconds : Number(joinEarlySeconds);
+    if (!Number.isFinite(early) || early < 0) {
+      throw badRequest('joinEarlySeconds must be a non-negative number');
+    }
+
+    job.scheduledTime = start.toISOString();
+    job.timezone = timeZone;
+    job.localTime = localTime(start, timeZone);
+    job.joinEarlySeconds = early;
+    job.joinAt = new Date(start.getTime() - early * 1000).toISOString();
+  }
+
+  arm(job) {
+    clearTimeout(this.timers.get(job.id));
+    const wait = Math.max(0, Date.parse(job.joinAt) - Date.now());
+    const timer = setTimeout(() => {
+      this.timers.delete(job.id);
+      if (wait > MAX_TIMER_MS) {
+        this.arm(job);
+        return;
+      }
+      this.fire(job.id).catch(error => this.logger.error(`Scheduled bot ${job.id} failed:`, error));
+    }, Math.min(wait, MAX_TIMER_MS));
+    timer.unref();
+    this.timers.set(job.id, timer);
+  }
+
+  /**
+   * Send the bot; re-reads the job so a cancel or reschedule since arming wins
+   */
+  async fire(jobId) {
+    const job = await this.backend.read(jobId);
+    if (!job || !PENDING_STATUSES.includes(job.status)) {
+      return;
+    }
+    if (Date.parse(job.joinAt) > Date.now()) {
+      this.arm(job);
+      return;
+    }
+
+    const password = this.passwords.get(job.id);
+    if (job.hasPassword && !password) {
+      return this.finish(job, 'failed', { error: 'The meeting password was lost in a restart; it has to be set again before the bot joins' });
+    }
+
+    job.status = 'joining';
+    job.updatedAt = new Date().toISOString();
+    await this.backend.write(job.id, job);
+    this.logger.info(`Scheduled bot ${job.id} joining ${job.meetingUrl}${job.caughtUp ? ' (catching up)' : ''}`);
+
+    const owner = { tenantId: job.tenantId, clinicianId: job.clinicianId };
+    let result;
+    try {
+      result = await this.join({
+        platform: job.platform || undefined,
+        meetingUrl: job.meetingUrl,
+        password,
+        botName: job.botName || undefined
+      }, owner);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (result.success) {
+      return this.finish(job, 'joined', { meetingId: result.meetingId, sessionId: result.sessionId || null });
+    }
+    return this.finish(job, 'failed', { error: result.error });
+  }
+
+  async finish(job, status, result = {}) {
+    clearTimeout(this.timers.get(job.id));
+    this.timers.delete(job.id);
+    this.passwords.delete(job.id);
+    job.status = status;
+    job.result = result;
+    job.updatedAt = new Date().toISOString();
+    await this.backend.write(job.id, job);
+    return job;
+  }
+}
+
+/**
+ * The wall-clock time in the job's zone, e.g. `2025-03-14T09:30:00`
+ */
+function localTime(date, timeZone) {
+  return new Intl.DateTimeFormat('sv-SE', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).format(date).replace(' ', 'T');
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function notFound() {
+  const error = new Error('Scheduled bot not found');
+  error.statusCode = 404;
+  return error;
+}
+
+function conflict(message) {
+  const error = new Error(message);
+  error.statusCode = 409;
+  return error;
+}
+
+/**
+ * Create the scheduler configured for this deployment (SCHEDULE_STORE is `file` or `memory`)
+ */
+function createBotScheduler({ join, platforms, logger, env = process.env }) {
+  const type = env.SCHEDULE_STORE || 'file';
+  let backend;
+  switch (type) {
+    case 'memory':
+      backend = new MemoryBackend();
+      break;
+    case 'file':
+      backend = new FileBackend(env.SCHEDULE_STORE_DIR || path.join('data', 'schedule'));
+      break;
+    default:
+      throw new Error(`Unknown schedule store: ${type}`);
+  }
+
+  const defaultTimeZone = env.SCHEDULE_DEFAULT_TIMEZONE || 'UTC';
+  if (!isValidTimeZone(defaultTimeZone)) {
+    throw new Error(`Unknown SCHEDULE_DEFAULT_TIMEZONE: ${defaultTimeZone}`);
+  }
+
+  return new BotScheduler({
+    backend,
+    join,
+    platforms,
+    logger,
+    defaultTimeZone,
+    joinEarlySeconds: env.BOT_JOIN_EARLY_SECONDS !== undefined ? Number(env.BOT_JOIN_EARLY_SECONDS) : 60,
+    catchUpMs: (env.SCHEDULE_CATCH_UP_MINUTES !== undefined ? Number(env.SCHEDULE_CATCH_UP_MINUTES) : 30) * 60 * 1000
+  });
+}
+
+module.exports = { BotScheduler, createBotScheduler, PENDING_STATUSES };
@@ -0,0 +1,158 @@
+const { BotScheduler } = require('./botScheduler');
+const MemoryBackend = require('./memoryBackend');
+
+const owner = { tenantId: 'tenant-a', clinicianId: 'dr-lee' };
+const zoom = { name: 'zoom', matches: url => url.startsWith('https://zoom.us/') };
+const platforms = {
+  get: name => (name === 'zoom' ? zoom : null),
+  detect: url => (zoom.matches(url) ? zoom : null)
+};
+const meetingUrl = 'https://zoom.us/j/123';
+const now = Date.parse('2025-03-10T08:00:00.000Z');
+
+describe('BotScheduler', () => {
+  let backend;
+  let join;
+  let logger;
+  let scheduler;
+
+  function createScheduler() {
+    return new BotScheduler({ backend, join, platforms, logger, joinEarlySeconds: 60 });
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now });
+    backend = new MemoryBackend();
+    join = jest.fn(async () => ({ success: true, meetingId: 'meeting-1', sessionId: 'session-1' }));
+    logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    scheduler = createScheduler();
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    jest.useRealTimers();
+  });
+
+  test('reads local times in the given zone and joins early', async () => {
+    const job = await scheduler.create({ meetingUrl, scheduledTime: '2025-03-10T09:30', timezone: 'Europe/Berlin' }, owner);
+
+    expect(job).toMatchObject({
+      status: 'scheduled',
+      scheduledTime: '2025-03-10T08:30:00.000Z',
+      localTime: '2025-03-10T09:30:00',
+      joinAt: '2025-03-10T08:29:00.000Z'
+    });
+  });
+
+  test('sends the bot when the job fires and records the meeting', async () => {
+    const job = await scheduler.create({ meetingUrl, scheduledTime: '2025-03-10T08:10:00Z', password: 'secret' }, owner);
+
+    await jest.advanceTimersByTimeAsync(9 * 60 * 1000);
+
+    expect(join).toHaveBeenCalledWith({ platform: undefined, meetingUrl, password: 'secret', botName: undefined }, owner);
+    expect(await scheduler.get(job.id, 'tenant-a')).toMatchObject({
+      status: 'joined',
+      result: { meetingId: 'meeting-1', sessionId: 'session-1' }
+    });
+  });
+
+  test('records a failed join', async () => {
+    join.mockRejectedValueOnce(new Error('Meeting has ended'));
+    const job = await scheduler.create({ meetingUrl, scheduledTime: '2025-03-10T08:00:30Z' }, owner);
+
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(await scheduler.get(job.id, 'tenant-a')).toMatchObject({ status: 'failed', result: { error: 'Meeting has ended' } });
+  });
+
+  test('reschedules, and moves the same wall-clock time to a new zone', async () => {
+    const job = await scheduler.create({ meetingUrl, scheduledTime: '2025-03-10T09:30', timezone: 'Europe/Berlin' }, owner);
+    const moved = await scheduler.update(job.id, 'tenant-a', { timezone: 'Europe/London' });
+    expect(moved).toMatchObject({ scheduledTime: '2025-03-10T09:30:00.000Z', localTime: '2025-03-10T09:30:00' });
+
+    await jest.advanceTimersByTimeAsync(60 * 60 * 1000);
+    expect(join).not.toHaveBeenCalled();
+    await jest.advanceTimersByTimeAsync(30 * 60 * 1000);
+    expect(join).toHaveBeenCalledTimes(1);
+  });
+
+  test('cancels a pending job and keeps it out of other tenants\' reach', async () => {
+    const job = await scheduler.create({ meetingUrl, scheduledTime: '2025-03-10T09:00:00Z' }, owner);
+
+    await expect(scheduler.cancel(job.id, 'tenant-b')).rejects.toMatchObject({ statusCode: 404 });
+    expect(await scheduler.cancel(job.id, 'tenant-a', { reason: 'Client rescheduled' })).toMatchObject({ status: 'cancelled' });
+    await expect(scheduler.update(job.id, 'tenant-a', { scheduledTime: '2025-03-10T10:00:00Z' })).rejects.toMatchObject({ statusCode: 409 });
+
+    await jest.advanceTimersByTimeAsync(2 * 60 * 60 * 1000);
+    expect(join).not.toHaveBeenCalled();
+  });
+
+  test('rejects links no platform can join and times in the past', async () => {
+    const create = fields => scheduler.create({ meetingUrl, scheduledTime: '2025-03-10T09:00:00Z', ...fields }, owner);
+
+    await expect(create({ meetingUrl: 'https://example.com/meet' })).rejects.toThrow('Unrecognised meeting link');
+    await expect(create({ platform: 'webex' })).rejects.toThrow('Unsupported platform: webex');
+    await expect(create({ platform: 'zoom', meetingUrl: 'https://teams.microsoft.com/l/1' })).rejects.toThrow('Not a zoom meeting link');
+    await expect(create({ scheduledTime: '2025-03-10T07:00:00Z' })).rejects.toThrow('scheduledTime is in the past');
+    await expect(create({ timezone: 'Mars/Base' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('never stores meeting passwords', async () => {
+    const job = await scheduler.create({ meetingUrl, scheduledTime: '2025-03-10T09:00:00Z', password: 'secret' }, owner);
+
+    expect(JSON.stringify(await backend.read(job.id))).not.toContain('secret');
+    expect(scheduler.describe(job)).toMatchObject({ hasPassword: true });
+    expect(scheduler.describe(job).passwordMissing).toBeUndefined();
+  });
+
+  test('fails a job whose password was lost in a restart', async () => {
+    const job = await scheduler.create({ meetingUrl, scheduledTime: '2025-03-10T09:00:00Z', password: 'secret' }, owner);
+    scheduler.stop();
+
+    scheduler = createScheduler();
+    await scheduler.start();
+    expect(scheduler.describe(await scheduler.get(job.id, 'tenant-a')).passwordMissing).toBe(true);
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('needs its meeting password set again'));
+
+    await jest.advanceTimersByTimeAsync(60 * 60 * 1000);
+    expect(join).not.toHaveBeenCalled();
+    expect((await scheduler.get(job.id, 'tenant-a')).status).toBe('failed');
+  });
+
+  test('moves passwords out of jobs stored before they were kept in memory', async () => {
+    await backend.write('legacy', {
+      id: 'legacy', ...owner, meetingUrl, password: 'secret', status: 'scheduled',
+      scheduledTime: '2025-03-10T09:00:00.000Z', joinAt: '2025-03-10T08:59:00.000Z', updatedAt: new Date(now).toISOString()
+    });
+
+    await scheduler.start();
+    expect(await backend.read('legacy')).toMatchObject({ hasPassword: true });
+    expect((await backend.read('legacy')).password).toBeUndefined();
+
+    await jest.advanceTimersByTimeAsync(60 * 60 * 1000);
+    expect(join).toHaveBeenCalledWith(expect.objectContaining({ password: 'secret' }), owner);
+  });
+
+  test('catches up recently missed jobs, misses old ones and drops expired history on start', async () => {
+    const stored = (id, fields) => backend.write(id, { id, ...owner, meetingUrl, status: 'scheduled', updatedAt: new Date(now).toISOString(), ...fields });
+    await stored('recent', { scheduledTime: '2025-03-10T07:50:00.000Z', joinAt: '2025-03-10T07:49:00.000Z' });
+    await stored('old', { scheduledTime: '2025-03-10T06:00:00.000Z', joinAt: '2025-03-10T05:59:00.000Z' });
+    await stored('done', { status: 'joined', updatedAt: '2025-02-01T00:00:00.000Z' });
+
+    await scheduler.start();
+    expect(await backend.read('old')).toMatchObject({ status: 'missed' });
+    expect(await backend.read('done')).toBeNull();
+
+    await jest.advanceTimersByTimeAsync(0);
+    expect(await backend.read('recent')).toMatchObject({ status: 'joined', caughtUp: true });
+    expect(join).toHaveBeenCalledTimes(1);
+  });
+
+  test('lists a tenant\'s jobs soonest first', async () => {
+    const later = await scheduler.create({ meetingUrl, scheduledTime: '2025-03-11T09:00:00Z' }, owner);
+    const sooner = await scheduler.create({ meetingUrl, scheduledTime: '2025-03-10T09:00:00Z' }, owner);
+    await scheduler.create({ meetingUrl, scheduledTime: '2025-03-10T09:00:00Z' }, { tenantId: 'tenant-b' });
+
+    expect((await scheduler.list('tenant-a')).map(job => job.id)).toEqual([sooner.id, later.id]);
+  });
+});
@@ -0,0 +1,29 @@
+/**
+ * In-memory schedule backend.
+ * Same interface as audio-service's session backends; used for local development.
+ */
+
+class MemoryBackend {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async read(id) {
+    const record = this.records.get(id);
+    return record ? JSON.parse(record) : null;
+  }
+
+  async write(id, data) {
+    this.records.set(id, JSON.stringify(data));
+  }
+
+  async remove(id) {
+    return this.records.delete(id);
+  }
+
+  async keys() {
+    return Array.from(this.records.keys());
+  }
+}
+
+module.exports = MemoryBackend;
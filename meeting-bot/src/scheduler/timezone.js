@@ -0,0 +1,71 @@
+/**
+ * Wall-clock times in IANA time zones, using the zone data built into Node (Intl).
+ */
+
+const LOCAL_TIME = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?$/;
+const HAS_OFFSET = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * How far `timeZone` is ahead of UTC at `date`, in milliseconds
+ */
+function zoneOffsetMs(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant a wall-clock time `{ year, month, day, hour, minute, second }` (month 1-12)
+ * happens in `timeZone`. Times skipped by a DST change land just after it.
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  const guess = wallClock - zoneOffsetMs(new Date(wallClock), timeZone);
+  // Around a DST change the offset at the guess can differ from the one it was made with
+  const offset = zoneOffsetMs(new Date(guess), timeZone);
+  const corrected = wallClock - offset;
+  return new Date(zoneOffsetMs(new Date(corrected), timeZone) === offset ? corrected : guess);
+}
+
+/**
+ * Parse a scheduled time: ISO 8601 with an offset (`Z`, `+02:00`) is taken as is, and a
+ * local time without one (`2025-03-14T09:30`) is read in `timeZone`. Null when invalid.
+ */
+function parseScheduledTime(value, timeZone) {
+  const text = String(value || '').trim();
+  if (HAS_OFFSET.test(text)) {
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  const match = text.match(LOCAL_TIME);
+  if (!match) {
+    return null;
+  }
+  const [year, month, day, hour, minute, second = 0] = match.slice(1).map(part => Number(part || 0));
+  return zonedTimeToUtc({ year, month, day, hour, minute, second }, timeZone);
+}
+
+module.exports = { isValidTimeZone, zoneOffsetMs, zonedTimeToUtc, parseScheduledTime };